@@ -0,0 +1,21 @@
+// Moderators are configured by user id, as REVIEW_MODERATORS="id1,id2"
+const isModerator = (userId) => String(process.env.REVIEW_MODERATORS || '')
+  .split(',')
+  .map(id => id.trim())
+  .includes(String(userId));
+
+// Runs after auth; lets only moderators through
+const moderator = (req, res, next) => {
+  if (!isModerator(req.user?.userId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only moderators can do this'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  moderator,
+  isModerator
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// LRS credentials for learning tools, configured as XAPI_CLIENTS="key:secret,key2:secret2".
+// A signed-in user's own token works too, limited to statements about themselves.
+const xapiAuth = (req, res, next) => {
+  const header = req.header('Authorization') || '';
+  const homePage = `${req.protocol}://${req.get('host')}`;
+
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const key = separator === -1 ? decoded : decoded.slice(0, separator);
+    const secret = separator === -1 ? '' : decoded.slice(separator + 1);
+
+    const client = parseClients(process.env.XAPI_CLIENTS).find(entry => entry.key === key);
+    if (client && safeEqual(client.secret, secret)) {
+      req.xapiAuthority = { key, homePage };
+      return next();
+    }
+  } else if (header.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(header.slice(7), process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+      req.user = decoded;
+      req.xapiAuthority = { key: `user:${decoded.userId}`, homePage, userId: decoded.userId };
+      return next();
+    } catch (error) {
+      // Falls through to the 401 below
+    }
+  }
+
+  res.set('WWW-Authenticate', 'Basic realm="xAPI"');
+  res.status(401).json({
+    success: false,
+    error: 'Invalid or missing LRS credentials'
+  });
+};
+
+function parseClients(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.includes(':'))
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { key: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+}
+
+function safeEqual(expected, actual) {
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(String(actual)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = xapiAuth;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const STAGES = ['saved', 'applied', 'screening', 'interview', 'offer', 'rejected', 'withdrawn'];
+
+// Stages an application may move to from each stage
+const STAGE_TRANSITIONS = {
+  saved: ['applied', 'withdrawn'],
+  applied: ['screening', 'interview', 'offer', 'rejected', 'withdrawn'],
+  screening: ['interview', 'offer', 'rejected', 'withdrawn'],
+  interview: ['offer', 'rejected', 'withdrawn'],
+  offer: ['rejected', 'withdrawn'],
+  rejected: [],
+  withdrawn: ['saved', 'applied']
+};
+
+const contactSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  title: { type: String },
+  email: { type: String, lowercase: true, trim: true },
+  phone: { type: String },
+  notes: { type: String }
+});
+
+const applicationSchema = new mongoose.Schema({
+  // References
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+
+  // Job snapshot, kept so the application survives the posting being removed
+  jobTitle: { type: String, required: true, trim: true },
+  company: { type: String, required: true, trim: true },
+  applicationUrl: { type: String },
+
+  // Pipeline
+  stage: { type: String, enum: STAGES, default: 'applied' },
+  stageTimestamps: {
+    saved: { type: Date },
+    applied: { type: Date },
+    screening: { type: Date },
+    interview: { type: Date },
+    offer: { type: Date },
+    rejected: { type: Date },
+    withdrawn: { type: Date }
+  },
+  stageHistory: [{
+    from: { type: String, enum: STAGES },
+    to: { type: String, enum: STAGES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String }
+  }],
+
+  // Details
+  resumeVersion: { type: String },
+  notes: [{
+    text: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  contacts: [contactSchema]
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for days spent in the current stage
+applicationSchema.virtual('daysInStage').get(function() {
+  const enteredAt = this.stageTimestamps?.[this.stage] || this.createdAt;
+  if (!enteredAt) return 0;
+  return Math.floor((Date.now() - new Date(enteredAt)) / (1000 * 60 * 60 * 24));
+});
+
+// Method to check whether a stage change is allowed
+applicationSchema.methods.canMoveTo = function(stage) {
+  return (STAGE_TRANSITIONS[this.stage] || []).includes(stage);
+};
+
+// Method to move the application to a new stage, recording when it happened
+applicationSchema.methods.moveToStage = function(stage, note) {
+  if (!this.canMoveTo(stage)) {
+    throw new Error(`Cannot move application from ${this.stage} to ${stage}`);
+  }
+
+  const changedAt = new Date();
+  this.stageHistory.push({ from: this.stage, to: stage, changedAt, note });
+  this.stage = stage;
+  this.stageTimestamps[stage] = changedAt;
+  return this;
+};
+
+// Record the entry time of the initial stage
+applicationSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const enteredAt = this.stageTimestamps[this.stage] || new Date();
+    this.stageTimestamps[this.stage] = enteredAt;
+    if (this.stageHistory.length === 0) {
+      this.stageHistory.push({ to: this.stage, changedAt: enteredAt });
+    }
+  }
+  next();
+});
+
+applicationSchema.statics.STAGES = STAGES;
+applicationSchema.statics.STAGE_TRANSITIONS = STAGE_TRANSITIONS;
+
+// Indexes for performance
+applicationSchema.index({ userId: 1, stage: 1 });
+applicationSchema.index(
+  { userId: 1, jobId: 1 },
+  { unique: true, partialFilterExpression: { jobId: { $exists: true } } }
+);
+applicationSchema.index({ updatedAt: -1 });
+
+module.exports = mongoose.model('Application', applicationSchema);
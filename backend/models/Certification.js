@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const skillTaxonomy = require('../services/skillTaxonomy');
 
 const certificationSchema = new mongoose.Schema({
   // User Reference
@@ -29,11 +30,16 @@ const certificationSchema = new mongoose.Schema({
   },
   verificationMethod: {
     type: String,
-    enum: ['api', 'manual', 'document_upload', 'email_verification'],
+    enum: ['api', 'manual', 'document_upload', 'email_verification', 'open_badge'],
     required: true
   },
   verificationDate: { type: Date },
   verificationNotes: { type: String },
+  // Set while the certification waits in the manual review queue
+  manualReview: {
+    reason: { type: String },
+    queuedAt: { type: Date }
+  },
   
   // Certificate Information
   issueDate: { type: Date, required: true },
@@ -45,6 +51,7 @@ const certificationSchema = new mongoose.Schema({
   // Skills and Competencies
   skillsValidated: [{
     name: { type: String, required: true },
+    skillId: { type: String },
     level: { 
       type: String, 
       enum: ['foundational', 'associate', 'professional', 'expert'],
@@ -106,6 +113,10 @@ const certificationSchema = new mongoose.Schema({
     provider: { type: String },
     endpoint: { type: String },
     response: { type: mongoose.Schema.Types.Mixed },
+    // Open Badges / verifiable credentials: what was checked and how to re-check it
+    format: { type: String },
+    assertion: { type: mongoose.Schema.Types.Mixed },
+    proof: { type: String },
     lastChecked: { type: Date },
     nextCheck: { type: Date }
   },
@@ -212,6 +223,12 @@ certificationSchema.methods.calculateValueScore = function() {
   return Math.min(score, 100);
 };
 
+// Pre-validate middleware to store skills under their canonical taxonomy name
+certificationSchema.pre('validate', function(next) {
+  skillTaxonomy.normalizeSkillEntries(this.skillsValidated);
+  next();
+});
+
 // Pre-save middleware to update lastModified
 certificationSchema.pre('save', function(next) {
   this.lastModified = new Date();
@@ -222,9 +239,11 @@ certificationSchema.pre('save', function(next) {
 certificationSchema.index({ userId: 1 });
 certificationSchema.index({ provider: 1, certificationId: 1 });
 certificationSchema.index({ verificationStatus: 1 });
+certificationSchema.index({ verificationStatus: 1, 'manualReview.queuedAt': 1 });
 certificationSchema.index({ category: 1 });
 certificationSchema.index({ expiryDate: 1 });
 certificationSchema.index({ isActive: 1 });
 certificationSchema.index({ 'skillsValidated.name': 1 });
+certificationSchema.index({ 'skillsValidated.skillId': 1 });
 
 module.exports = mongoose.model('Certification', certificationSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+// Weight of a provider rating that comes without a rating count
+const PROVIDER_RATING_MIN_WEIGHT = 5;
+// Quality scores start from this rating and move towards the real one as ratings accumulate
+const QUALITY_PRIOR_RATING = 3.5;
+const QUALITY_PRIOR_WEIGHT = 10;
 
 const courseSchema = new mongoose.Schema({
   // Basic Course Information
@@ -30,15 +37,21 @@ const courseSchema = new mongoose.Schema({
     hours: { type: Number, required: true },
     weeks: { type: Number }
   },
+  // average/count blend the provider's rating with reviews from our own learners
   rating: { 
     average: { type: Number, min: 0, max: 5 },
-    count: { type: Number, default: 0 }
+    count: { type: Number, default: 0 },
+    providerAverage: { type: Number, min: 0, max: 5 },
+    providerCount: { type: Number, min: 0 },
+    reviewAverage: { type: Number, min: 0, max: 5 },
+    reviewCount: { type: Number, min: 0 }
   },
   enrollmentCount: { type: Number, default: 0 },
   
   // Skills and Learning Outcomes
   skillsTaught: [{ 
     name: { type: String, required: true },
+    skillId: { type: String },
     level: { type: String, enum: ['beginner', 'intermediate', 'advanced'] }
   }],
   learningOutcomes: [{ type: String }],
@@ -87,6 +100,7 @@ const courseSchema = new mongoose.Schema({
   tags: [{ type: String }],
   
   // User Interactions
+  // Users with the course in at least one of their learning lists
   bookmarks: { type: Number, default: 0 },
   completions: { type: Number, default: 0 },
   
@@ -121,7 +135,7 @@ courseSchema.methods.isSuitableForUser = function(userSkills, userExperienceLeve
   // Check if user has prerequisites
   const hasPrerequisites = this.prerequisites.every(prereq => 
     userSkills.some(skill => 
-      skill.name.toLowerCase().includes(prereq.toLowerCase()) && 
+      (skillTaxonomy.skillSatisfies(skill.name, prereq) || skill.name.toLowerCase().includes(prereq.toLowerCase())) && 
       ['intermediate', 'advanced', 'expert'].includes(skill.proficiencyLevel)
     )
   );
@@ -145,28 +159,96 @@ courseSchema.methods.calculateRecommendationScore = function(userProfile) {
   
   // Skills alignment (40%)
   const skillsMatch = this.skillsTaught.filter(courseSkill =>
-    userProfile.skills.some(userSkill => 
-      userSkill.name.toLowerCase() === courseSkill.name.toLowerCase()
-    )
+    skillTaxonomy.findMatchingSkill(userProfile.skills, courseSkill.name)
   ).length;
-  const skillsScore = Math.min(skillsMatch / this.skillsTaught.length, 1) * 0.4;
+  const skillsScore = this.skillsTaught.length
+    ? Math.min(skillsMatch / this.skillsTaught.length, 1) * 0.4
+    : 0;
   
   // Career path alignment (30%)
   const careerMatch = this.careerPaths.includes(userProfile.targetJobTitle) ||
                      this.jobRoles.includes(userProfile.targetJobTitle) ? 0.3 : 0;
   
   // Quality metrics (20%)
-  const qualityScore = (this.qualityScore / 10) * 0.2;
+  const qualityScore = ((this.qualityScore || 0) / 10) * 0.2;
   
   // Popularity (10%)
-  const popularityScore = this.popularityScore * 0.1;
+  const popularityScore = (this.popularityScore || 0) * 0.1;
   
   return skillsScore + careerMatch + qualityScore + popularityScore;
 };
 
+// Method to get the hours of each module; modules without a duration share
+// whatever course hours the others don't account for
+courseSchema.methods.getModuleHours = function() {
+  const totalHours = this.duration?.hours || 0;
+  const modules = this.modules || [];
+  if (modules.length === 0) return [];
+
+  const known = modules.filter(module => module.duration > 0);
+  const knownHours = known.reduce((sum, module) => sum + module.duration, 0);
+  const unknownCount = modules.length - known.length;
+  const leftover = Math.max(0, totalHours - knownHours);
+  const fallbackHours = unknownCount > 0
+    ? (leftover > 0 ? leftover / unknownCount : totalHours / modules.length)
+    : 0;
+
+  return modules.map(module => (module.duration > 0 ? module.duration : fallbackHours));
+};
+
+// Method to recompute the blended rating and quality score from provider ratings and reviews
+courseSchema.methods.refreshRating = function() {
+  const rating = this.rating || {};
+
+  // Catalog entries from before ratings were split carry the provider's rating in average/count
+  if (rating.providerAverage === undefined && rating.reviewCount === undefined && rating.average !== undefined) {
+    this.set('rating.providerAverage', rating.average);
+    if (rating.providerCount === undefined) this.set('rating.providerCount', rating.count || 0);
+  }
+
+  const providerAverage = this.rating.providerAverage;
+  // A provider rating without a count still counts, but only as much as a handful of reviews
+  const providerWeight = providerAverage === undefined ? 0 : (this.rating.providerCount || PROVIDER_RATING_MIN_WEIGHT);
+  const reviewCount = this.rating.reviewCount || 0;
+  const totalWeight = providerWeight + reviewCount;
+
+  if (totalWeight === 0) {
+    // Every review was removed and the provider never rated the course
+    this.set('rating.average', undefined);
+    this.set('rating.count', 0);
+    this.qualityScore = undefined;
+  } else {
+    const sum = (providerAverage || 0) * providerWeight + (this.rating.reviewAverage || 0) * reviewCount;
+    this.set('rating.average', Math.round(sum / totalWeight * 100) / 100);
+    this.set('rating.count', (this.rating.providerCount || 0) + reviewCount);
+
+    // Quality: the rating shrunk towards a neutral prior while it rests on few ratings,
+    // with the completion rate mixed in when the provider reports one
+    const shrunk = (QUALITY_PRIOR_RATING * QUALITY_PRIOR_WEIGHT + this.rating.average * totalWeight) /
+      (QUALITY_PRIOR_WEIGHT + totalWeight);
+    const completionRate = this.aiMetrics?.completionRate;
+    const quality = completionRate !== undefined
+      ? 0.8 * (shrunk / 5) + 0.2 * completionRate
+      : shrunk / 5;
+    this.qualityScore = Math.round(quality * 100) / 10;
+  }
+
+  return this.rating;
+};
+
+// Pre-validate middleware to store skills under their canonical taxonomy name
+// and keep the blended rating in step with its sources
+courseSchema.pre('validate', function(next) {
+  skillTaxonomy.normalizeSkillEntries(this.skillsTaught);
+  if (this.isModified('rating') || this.isModified('aiMetrics.completionRate')) this.refreshRating();
+  next();
+});
+
 // Indexes for performance
 courseSchema.index({ provider: 1, category: 1 });
+courseSchema.index({ provider: 1, providerCourseId: 1 });
 courseSchema.index({ 'skillsTaught.name': 1 });
+courseSchema.index({ 'skillsTaught.skillId': 1 });
 courseSchema.index({ careerPaths: 1 });
 courseSchema.index({ difficulty: 1 });
 courseSchema.index({ 'pricing.type': 1 });
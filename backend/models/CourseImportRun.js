@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const createImportRunSchema = require('./importRunSchema');
+
+const courseImportRunSchema = createImportRunSchema({
+  scope: 'provider',
+  recordId: 'providerCourseId',
+  fields: {
+    // full imports create and update courses; metrics runs only refresh ratings, enrollments and freshness
+    mode: { type: String, enum: ['full', 'metrics'], default: 'full' }
+  },
+  counts: {
+    // Only rating, enrollment or freshness figures changed
+    refreshed: { type: Number, default: 0 }
+  }
+});
+
+module.exports = mongoose.model('CourseImportRun', courseImportRunSchema);
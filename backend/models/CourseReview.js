@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['published', 'flagged', 'removed'];
+const FLAG_REASONS = ['spam', 'offensive', 'off_topic', 'other'];
+
+// Reviews with this many open flags are hidden until a moderator looks at them
+const AUTO_HIDE_FLAGS = 3;
+
+const reviewFlagSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, enum: FLAG_REASONS, required: true },
+  note: { type: String, trim: true, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const courseReviewSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shown instead of the account email
+  authorName: { type: String, trim: true },
+
+  // Content
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: 'Rating must be a whole number of stars' }
+  },
+  title: { type: String, trim: true, maxlength: 120 },
+  text: { type: String, trim: true, maxlength: 5000 },
+
+  // Where the reviewer was in the course when they last wrote the review
+  progressAtReview: { type: Number, min: 0, max: 100 },
+  completedCourse: { type: Boolean, default: false },
+
+  // Helpful votes
+  helpfulVoters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  helpfulCount: { type: Number, default: 0 },
+
+  // Moderation
+  status: { type: String, enum: REVIEW_STATUSES, default: 'published' },
+  flags: [reviewFlagSchema],
+  moderation: {
+    moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decision: { type: String, enum: REVIEW_STATUSES },
+    note: { type: String, trim: true, maxlength: 500 },
+    decidedAt: { type: Date }
+  },
+  editedAt: { type: Date }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the number of flags raised on the review
+courseReviewSchema.virtual('flagCount').get(function() {
+  return (this.flags || []).length;
+});
+
+// Method to toggle a user's helpful vote; returns whether the vote is now set
+courseReviewSchema.methods.toggleHelpful = function(userId) {
+  const existing = this.helpfulVoters.findIndex(voter => voter.toString() === userId.toString());
+  if (existing === -1) this.helpfulVoters.push(userId);
+  else this.helpfulVoters.splice(existing, 1);
+  this.helpfulCount = this.helpfulVoters.length;
+  return existing === -1;
+};
+
+// Method to flag the review; a user's second flag replaces their first
+courseReviewSchema.methods.addFlag = function(userId, reason, note) {
+  this.flags = this.flags.filter(flag => flag.userId.toString() !== userId.toString());
+  this.flags.push({ userId, reason, note, createdAt: new Date() });
+
+  // Moderator decisions stand; otherwise enough flags take the review out of the listing
+  if (this.status === 'published' && !this.moderation?.decidedAt && this.flags.length >= AUTO_HIDE_FLAGS) {
+    this.status = 'flagged';
+  }
+  return this.status;
+};
+
+// Method to record a moderator's decision
+courseReviewSchema.methods.moderate = function(moderatorId, decision, note) {
+  this.status = decision;
+  this.moderation = { moderatorId, decision, note, decidedAt: new Date() };
+  // Republishing clears the flags that were dealt with
+  if (decision === 'published') this.flags = [];
+};
+
+// Statics for constants
+courseReviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+courseReviewSchema.statics.FLAG_REASONS = FLAG_REASONS;
+courseReviewSchema.statics.AUTO_HIDE_FLAGS = AUTO_HIDE_FLAGS;
+
+// Indexes for performance
+courseReviewSchema.index({ courseId: 1, userId: 1 }, { unique: true });
+courseReviewSchema.index({ courseId: 1, status: 1, helpfulCount: -1 });
+courseReviewSchema.index({ courseId: 1, status: 1, createdAt: -1 });
+courseReviewSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('CourseReview', courseReviewSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const createImportRunSchema = require('./importRunSchema');
+
+const ingestionRunSchema = createImportRunSchema({
+  scope: 'platform',
+  recordId: 'externalId',
+  counts: {
+    // Created or updated postings folded into an existing listing from another source
+    merged: { type: Number, default: 0 }
+  }
+});
+
+module.exports = mongoose.model('IngestionRun', ingestionRunSchema);
@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+const SOURCE_PLATFORMS = ['Indeed', 'LinkedIn', 'Glassdoor', 'Monster', 'ZipRecruiter', 'Company Website', 'Other'];
+
+// Share of the match score each factor can contribute
+const MATCH_WEIGHTS = {
+  skills: 0.35,
+  experience: 0.25,
+  location: 0.15,
+  salary: 0.15,
+  education: 0.10
+};
+
+const PROFICIENCY_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// How much each required skill counts towards the skills factor
+const SKILL_PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3 };
+
+// Most the skills factor can gain from preferred (nice-to-have) skills
+const PREFERRED_SKILLS_BONUS = 0.15;
+
+const EDUCATION_LEVELS = {
+  'none': 0, 'high_school': 1, 'associate': 2,
+  'bachelor': 3, 'master': 4, 'doctorate': 5
+};
 
 const jobSchema = new mongoose.Schema({
   // Job Basic Information
@@ -42,13 +67,15 @@ const jobSchema = new mongoose.Schema({
   // Requirements
   requiredSkills: [{
     name: { type: String, required: true },
-    level: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'] },
+    skillId: { type: String },
+    level: { type: String, enum: PROFICIENCY_LEVELS },
     isRequired: { type: Boolean, default: true },
     priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' }
   }],
   preferredSkills: [{
     name: { type: String, required: true },
-    level: { type: String, enum: ['beginner', 'intermediate', 'advanced', 'expert'] }
+    skillId: { type: String },
+    level: { type: String, enum: PROFICIENCY_LEVELS }
   }],
   
   // Education & Experience
@@ -114,7 +141,7 @@ const jobSchema = new mongoose.Schema({
   source: {
     platform: { 
       type: String, 
-      enum: ['Indeed', 'LinkedIn', 'Glassdoor', 'Monster', 'ZipRecruiter', 'Company Website', 'Other'],
+      enum: SOURCE_PLATFORMS,
       required: true 
     },
     externalId: { type: String },
@@ -122,6 +149,20 @@ const jobSchema = new mongoose.Schema({
     scrapedAt: { type: Date, default: Date.now },
     lastUpdated: { type: Date }
   },
+  // Every place this posting was seen, including `source`; merged duplicates add theirs here
+  sources: [{
+    platform: { type: String, enum: SOURCE_PLATFORMS, required: true },
+    externalId: { type: String },
+    url: { type: String },
+    scrapedAt: { type: Date },
+    lastUpdated: { type: Date },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' }
+  }],
+  
+  // Duplicate Detection
+  duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  dedupeKey: { type: String },
+  mergedAt: { type: Date },
   
   // Job Status
   status: { 
@@ -131,6 +172,17 @@ const jobSchema = new mongoose.Schema({
   },
   postedDate: { type: Date, required: true },
   expiryDate: { type: Date },
+  // Audit trail of status changes
+  statusHistory: [{
+    from: { type: String, enum: ['active', 'filled', 'expired', 'paused'] },
+    to: { type: String, enum: ['active', 'filled', 'expired', 'paused'], required: true },
+    reason: { type: String },
+    changedBy: { type: String },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Set when no source has refreshed the posting within the staleness window
+  isStale: { type: Boolean, default: false },
+  staleSince: { type: Date },
   
   // Engagement Metrics
   views: { type: Number, default: 0 },
@@ -186,77 +238,46 @@ jobSchema.virtual('salaryDisplay').get(function() {
 
 // Method to calculate match score for a user
 jobSchema.methods.calculateMatchScore = function(userProfile) {
-  let totalScore = 0;
-  let weights = {
-    skills: 0.35,
-    experience: 0.25,
-    location: 0.15,
-    salary: 0.15,
-    education: 0.10
-  };
-  
-  // Skills matching
-  const userSkillNames = userProfile.skills.map(s => s.name.toLowerCase());
-  const requiredSkillMatches = this.requiredSkills.filter(skill => 
-    userSkillNames.includes(skill.name.toLowerCase())
-  ).length;
-  const skillsScore = Math.min(requiredSkillMatches / this.requiredSkills.length, 1);
-  
-  // Experience matching
-  const userYears = userProfile.experience.reduce((sum, exp) => {
-    const start = new Date(exp.startDate);
-    const end = exp.endDate ? new Date(exp.endDate) : new Date();
-    return sum + ((end - start) / (365 * 24 * 60 * 60 * 1000));
-  }, 0);
-  const experienceScore = Math.min(userYears / this.experienceRequirements.minimumYears, 1);
-  
-  // Location matching (simplified)
-  let locationScore = 1; // Default if remote or no location preference
-  if (!this.location.isRemote && userProfile.location) {
-    locationScore = userProfile.location.city === this.location.city ? 1 : 0.3;
-  }
-  
-  // Salary matching (if user has salary expectations)
-  let salaryScore = 0.8; // Default neutral score
-  if (userProfile.desiredSalaryRange && this.salary.min) {
-    const userMin = userProfile.desiredSalaryRange.min;
-    const jobMin = this.salary.min;
-    salaryScore = jobMin >= userMin ? 1 : (jobMin / userMin);
-  }
-  
-  // Education matching
-  const educationLevels = {
-    'none': 0, 'high_school': 1, 'associate': 2, 
-    'bachelor': 3, 'master': 4, 'doctorate': 5
-  };
-  const userEducationLevel = Math.max(...userProfile.education.map(ed => {
-    // Simplified degree mapping
-    if (ed.degree.toLowerCase().includes('phd') || ed.degree.toLowerCase().includes('doctorate')) return 5;
-    if (ed.degree.toLowerCase().includes('master')) return 4;
-    if (ed.degree.toLowerCase().includes('bachelor')) return 3;
-    if (ed.degree.toLowerCase().includes('associate')) return 2;
-    return 1;
-  }), 0);
-  
-  const requiredEducationLevel = educationLevels[this.educationRequirements.minimumDegree] || 0;
-  const educationScore = userEducationLevel >= requiredEducationLevel ? 1 : 0.5;
-  
-  // Calculate weighted total
-  totalScore = (skillsScore * weights.skills) +
-               (experienceScore * weights.experience) +
-               (locationScore * weights.location) +
-               (salaryScore * weights.salary) +
-               (educationScore * weights.education);
-  
-  return Math.round(totalScore * 100);
+  return this.getMatchBreakdown(userProfile).score;
 };
 
-// Method to identify missing skills for a user
+// Method to explain the match score: each factor's value (0-1), weight, points contributed and why
+jobSchema.methods.getMatchBreakdown = function(userProfile) {
+  const factors = [
+    scoreSkills(this, userProfile),
+    scoreExperience(this, userProfile),
+    scoreLocation(this, userProfile),
+    scoreSalary(this, userProfile),
+    scoreEducation(this, userProfile)
+  ].map(factor => {
+    const weight = MATCH_WEIGHTS[factor.factor];
+    return {
+      ...factor,
+      value: Math.round(factor.value * 100) / 100,
+      weight,
+      contribution: Math.round(factor.value * weight * 1000) / 10,
+      maxContribution: weight * 100
+    };
+  });
+
+  const total = factors.reduce((sum, factor) => sum + factor.value * factor.weight, 0);
+  return { score: Math.round(total * 100), factors };
+};
+
+// Method to identify required skills the user doesn't list at all
 jobSchema.methods.getMissingSkills = function(userProfile) {
-  const userSkillNames = userProfile.skills.map(s => s.name.toLowerCase());
-  return this.requiredSkills
-    .filter(skill => !userSkillNames.includes(skill.name.toLowerCase()))
-    .map(skill => skill.name);
+  return this.getSkillGaps(userProfile).missing.map(skill => skill.name);
+};
+
+// Method to split skill gaps into missing skills and skills held below the required level
+jobSchema.methods.getSkillGaps = function(userProfile) {
+  const assessment = assessSkills(this, userProfile);
+  const strip = ({ name, requiredLevel, userLevel, priority }) => ({ name, requiredLevel, userLevel, priority });
+  return {
+    missing: assessment.required.filter(skill => !skill.userLevel).map(strip),
+    underqualified: assessment.required.filter(skill => skill.userLevel && skill.credit < 1).map(strip),
+    preferredMissing: assessment.preferred.filter(skill => !skill.userLevel).map(strip)
+  };
 };
 
 // Method to check if job is still active
@@ -267,13 +288,275 @@ jobSchema.methods.isActive = function() {
   return true;
 };
 
+// Method to describe whether the posting can still be applied to, and why not
+jobSchema.methods.getAvailability = function() {
+  const now = new Date();
+  const closesAt = [this.expiryDate, this.applicationDeadline]
+    .filter(Boolean)
+    .sort((a, b) => a - b)[0] || null;
+
+  let state = this.status;
+  if (state === 'active' && closesAt && now > closesAt) state = 'expired';
+
+  return {
+    state,
+    isOpen: state === 'active',
+    closesAt,
+    daysUntilClose: state === 'active' && closesAt
+      ? Math.ceil((closesAt - now) / (1000 * 60 * 60 * 24))
+      : null
+  };
+};
+
+// Method to explain why a posting is no longer open, using the same rules as isActive
+jobSchema.methods.getClosedReason = function(now = new Date()) {
+  if (this.status !== 'active') return `Posting is ${this.status}`;
+  if (this.expiryDate && now > this.expiryDate) return 'Expiry date passed';
+  if (this.applicationDeadline && now > this.applicationDeadline) return 'Application deadline passed';
+  return null;
+};
+
+// Method to change status and record it in the audit trail
+jobSchema.methods.changeStatus = function(status, reason, changedBy = 'system') {
+  if (this.status === status) return this;
+  this.statusHistory.push({ from: this.status, to: status, reason, changedBy, changedAt: new Date() });
+  this.status = status;
+  return this;
+};
+
+// Query for postings that are still open, matching isActive
+jobSchema.statics.openCriteria = function(now = new Date()) {
+  return {
+    status: 'active',
+    $and: [
+      { $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }] },
+      { $or: [{ applicationDeadline: null }, { applicationDeadline: { $gt: now } }] }
+    ]
+  };
+};
+
+// Virtual for whether this is the listing shown for its duplicates
+jobSchema.virtual('isCanonical').get(function() {
+  return !this.duplicateOf;
+});
+
+// Pre-validate middleware to store skills under their canonical taxonomy name
+jobSchema.pre('validate', function(next) {
+  skillTaxonomy.normalizeSkillEntries(this.requiredSkills);
+  skillTaxonomy.normalizeSkillEntries(this.preferredSkills);
+  next();
+});
+
+// Keep the primary source in the sources list
+jobSchema.pre('save', function(next) {
+  if (this.source && this.source.platform) {
+    const listed = this.sources.find(entry =>
+      entry.platform === this.source.platform &&
+      (entry.externalId || null) === (this.source.externalId || null)
+    );
+    if (!listed) {
+      this.sources.unshift({
+        platform: this.source.platform,
+        externalId: this.source.externalId,
+        url: this.source.url,
+        scrapedAt: this.source.scrapedAt,
+        lastUpdated: this.source.lastUpdated,
+        jobId: this._id
+      });
+    } else if (this.isModified('source')) {
+      listed.url = this.source.url;
+      listed.lastUpdated = this.source.lastUpdated;
+    }
+  }
+  next();
+});
+
+jobSchema.statics.SOURCE_PLATFORMS = SOURCE_PLATFORMS;
+jobSchema.statics.MATCH_WEIGHTS = MATCH_WEIGHTS;
+jobSchema.statics.PROFICIENCY_LEVELS = PROFICIENCY_LEVELS;
+jobSchema.statics.SKILL_PRIORITY_WEIGHTS = SKILL_PRIORITY_WEIGHTS;
+
+// Match scoring helpers; each returns { factor, value (0-1), summary, details }
+
+function scoreSkills(job, userProfile) {
+  const { required, preferred } = assessSkills(job, userProfile);
+  const met = required.filter(skill => skill.credit === 1);
+  const details = {
+    matched: met.map(skill => skill.name),
+    missing: required.filter(skill => !skill.userLevel).map(skill => skill.name),
+    underqualified: required
+      .filter(skill => skill.userLevel && skill.credit < 1)
+      .map(({ name, requiredLevel, userLevel }) => ({ name, requiredLevel, userLevel })),
+    preferredMatched: preferred.filter(skill => skill.credit > 0).map(skill => skill.name)
+  };
+
+  // Partial credit for preferred skills, scaled so holding all of them adds the full bonus
+  const bonus = preferred.length > 0
+    ? PREFERRED_SKILLS_BONUS * preferred.reduce((sum, skill) => sum + skill.credit, 0) / preferred.length
+    : 0;
+
+  if (required.length === 0) {
+    return { factor: 'skills', value: 1, summary: 'No specific skills required', details };
+  }
+
+  const totalWeight = required.reduce((sum, skill) => sum + skill.weight, 0);
+  const earned = required.reduce((sum, skill) => sum + skill.credit * skill.weight, 0);
+
+  let summary = `You meet ${met.length} of ${required.length} required skills`;
+  if (details.underqualified.length > 0) summary += `, ${details.underqualified.length} below the level asked`;
+  if (details.preferredMatched.length > 0) summary += ` (plus ${details.preferredMatched.length} preferred)`;
+
+  return { factor: 'skills', value: Math.min(earned / totalWeight + bonus, 1), summary, details };
+}
+
+// Compares the user's proficiency with each required and preferred skill, matching through the skill taxonomy
+// credit is 1 when the level is met, a fraction of it when held at a lower level, 0 when missing
+function assessSkills(job, userProfile) {
+  const assess = (skill, priority) => {
+    // Same skill, an alias of it, or a more specific one (React for "JavaScript Frameworks")
+    const userSkill = skillTaxonomy.findMatchingSkill(userProfile.skills, skill.name);
+    const userLevel = userSkill ? userSkill.proficiencyLevel || 'beginner' : null;
+    const requiredRank = PROFICIENCY_LEVELS.indexOf(skill.level);
+    const userRank = PROFICIENCY_LEVELS.indexOf(userLevel);
+
+    let credit = 0;
+    if (userLevel) {
+      credit = requiredRank === -1 || userRank >= requiredRank ? 1 : (Math.max(userRank, 0) + 1) / (requiredRank + 1);
+    }
+
+    return {
+      name: skill.name,
+      requiredLevel: skill.level || null,
+      userLevel,
+      priority,
+      weight: SKILL_PRIORITY_WEIGHTS[priority] || SKILL_PRIORITY_WEIGHTS.medium,
+      credit
+    };
+  };
+
+  // Required skills flagged isRequired: false are treated like preferred ones
+  const required = job.requiredSkills
+    .filter(skill => skill.isRequired !== false)
+    .map(skill => assess(skill, skill.priority || 'medium'));
+  const preferred = [
+    ...job.requiredSkills.filter(skill => skill.isRequired === false),
+    ...(job.preferredSkills || [])
+  ].map(skill => assess(skill, skill.priority || 'low'));
+
+  return { required, preferred };
+}
+
+function scoreExperience(job, userProfile) {
+  const userYears = (userProfile.experience || []).reduce((sum, exp) => {
+    const start = new Date(exp.startDate);
+    const end = exp.endDate ? new Date(exp.endDate) : new Date();
+    return sum + ((end - start) / (365 * 24 * 60 * 60 * 1000));
+  }, 0);
+  const requiredYears = job.experienceRequirements?.minimumYears || 0;
+  const details = { userYears: Math.round(userYears * 10) / 10, requiredYears };
+
+  if (requiredYears === 0) {
+    return { factor: 'experience', value: 1, summary: 'No minimum experience required', details };
+  }
+
+  return {
+    factor: 'experience',
+    value: Math.min(userYears / requiredYears, 1),
+    summary: userYears >= requiredYears
+      ? `Your ${details.userYears} years meet the ${requiredYears}-year minimum`
+      : `You have ${details.userYears} of the ${requiredYears} years required`,
+    details
+  };
+}
+
+function scoreLocation(job, userProfile) {
+  const details = { jobCity: job.location.city, userCity: userProfile.location?.city, isRemote: job.location.isRemote };
+
+  if (job.location.isRemote) {
+    return { factor: 'location', value: 1, summary: 'Remote role', details };
+  }
+  if (!userProfile.location?.city) {
+    return { factor: 'location', value: 1, summary: 'No location set on your profile', details };
+  }
+  if (userProfile.location.city === job.location.city) {
+    return { factor: 'location', value: 1, summary: `Based in your city (${job.location.city})`, details };
+  }
+  return {
+    factor: 'location',
+    value: 0.3,
+    summary: `Located in ${job.location.city || 'another city'}, not ${userProfile.location.city}`,
+    details
+  };
+}
+
+function scoreSalary(job, userProfile) {
+  const desiredMin = userProfile.desiredSalaryRange?.min;
+  const details = { jobMin: job.salary?.min, desiredMin };
+
+  // Neutral score when either side is unknown
+  if (!desiredMin || !job.salary?.min) {
+    return {
+      factor: 'salary',
+      value: 0.8,
+      summary: desiredMin ? 'Salary not listed' : 'No salary expectation set',
+      details
+    };
+  }
+
+  return {
+    factor: 'salary',
+    value: Math.min(job.salary.min / desiredMin, 1),
+    summary: job.salary.min >= desiredMin
+      ? 'Meets your salary expectation'
+      : `Starts ${Math.round((1 - job.salary.min / desiredMin) * 100)}% below your expected minimum`,
+    details
+  };
+}
+
+function scoreEducation(job, userProfile) {
+  const userLevel = Math.max(...(userProfile.education || []).map(ed => {
+    // Simplified degree mapping
+    const degree = (ed.degree || '').toLowerCase();
+    if (degree.includes('phd') || degree.includes('doctorate')) return 5;
+    if (degree.includes('master')) return 4;
+    if (degree.includes('bachelor')) return 3;
+    if (degree.includes('associate')) return 2;
+    return 1;
+  }), 0);
+  const requiredDegree = job.educationRequirements?.minimumDegree || 'none';
+  const requiredLevel = EDUCATION_LEVELS[requiredDegree] || 0;
+  const details = {
+    userDegree: Object.keys(EDUCATION_LEVELS).find(key => EDUCATION_LEVELS[key] === userLevel),
+    requiredDegree
+  };
+
+  if (userLevel >= requiredLevel) {
+    return {
+      factor: 'education',
+      value: 1,
+      summary: requiredLevel === 0 ? 'No degree required' : 'Meets the education requirement',
+      details
+    };
+  }
+  return { factor: 'education', value: 0.5, summary: `Asks for a ${requiredDegree.replace('_', ' ')} degree`, details };
+}
+
 // Indexes for performance
 jobSchema.index({ title: 'text', description: 'text', company: 'text' });
 jobSchema.index({ 'location.city': 1, 'location.isRemote': 1 });
 jobSchema.index({ industry: 1, experienceLevel: 1 });
 jobSchema.index({ 'requiredSkills.name': 1 });
 jobSchema.index({ postedDate: -1 });
+jobSchema.index(
+  { 'source.platform': 1, 'source.externalId': 1 },
+  { unique: true, partialFilterExpression: { 'source.externalId': { $exists: true } } }
+);
 jobSchema.index({ status: 1 });
+jobSchema.index({ status: 1, expiryDate: 1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ dedupeKey: 1, duplicateOf: 1 });
+jobSchema.index({ 'sources.platform': 1, 'sources.externalId': 1 });
+jobSchema.index({ 'requiredSkills.skillId': 1 });
 jobSchema.index({ 'salary.min': 1, 'salary.max': 1 });
 jobSchema.index({ 'aiInsights.matchScore': -1 });
 
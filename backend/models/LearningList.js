@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_LIST_NAME = 'Saved courses';
+const MAX_LISTS_PER_USER = 50;
+const MAX_COURSES_PER_LIST = 200;
+
+// Title/provider/url are kept so the entry survives the course being removed from the catalog
+const learningListItemSchema = new mongoose.Schema({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  title: { type: String },
+  provider: { type: String },
+  url: { type: String },
+  note: { type: String, trim: true, maxlength: 500 },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const learningListSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  description: { type: String, trim: true, maxlength: 500 },
+  // Where plain bookmarks go; every user has at most one and it can't be deleted
+  isDefault: { type: Boolean, default: false },
+  // Order of the user's lists, lowest first
+  position: { type: Number, default: 0 },
+
+  // Courses in the order the user arranged them
+  items: [learningListItemSchema],
+
+  // Sharing: anyone with the token can view the list, read-only
+  shareToken: { type: String },
+  sharedAt: { type: Date }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the number of courses in the list
+learningListSchema.virtual('courseCount').get(function() {
+  return (this.items || []).length;
+});
+
+// Virtual for whether the list can be viewed by link
+learningListSchema.virtual('isShared').get(function() {
+  return !!this.shareToken;
+});
+
+// Method to check whether a course is in the list
+learningListSchema.methods.hasCourse = function(courseId) {
+  return this.items.some(item => item.courseId.toString() === courseId.toString());
+};
+
+// Method to add a course to the end of the list; returns the existing entry if it was already there
+learningListSchema.methods.addCourse = function(course, note) {
+  const existing = this.items.find(item => item.courseId.toString() === course._id.toString());
+  if (existing) {
+    if (note !== undefined) existing.note = note;
+    return { entry: existing, added: false };
+  }
+
+  this.items.push({ courseId: course._id, title: course.title, provider: course.provider, url: course.url, note });
+  return { entry: this.items[this.items.length - 1], added: true };
+};
+
+// Method to remove a course from the list; returns whether anything was removed
+learningListSchema.methods.removeCourse = function(courseId) {
+  const before = this.items.length;
+  this.items = this.items.filter(item => item.courseId.toString() !== courseId.toString());
+  return this.items.length < before;
+};
+
+// Method to put the courses in the given order; the ids must be exactly the list's courses
+learningListSchema.methods.reorderCourses = function(courseIds) {
+  const byId = new Map(this.items.map(item => [item.courseId.toString(), item]));
+  const ids = courseIds.map(id => String(id));
+  if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+    return false;
+  }
+
+  this.items = ids.map(id => byId.get(id).toObject());
+  return true;
+};
+
+// Method to start sharing the list, or issue a new link; the old link stops working
+learningListSchema.methods.rotateShareToken = function() {
+  this.shareToken = crypto.randomBytes(18).toString('hex');
+  this.sharedAt = new Date();
+  return this.shareToken;
+};
+
+// Method to stop sharing the list
+learningListSchema.methods.stopSharing = function() {
+  this.shareToken = undefined;
+  this.sharedAt = undefined;
+};
+
+// Statics for constants
+learningListSchema.statics.DEFAULT_LIST_NAME = DEFAULT_LIST_NAME;
+learningListSchema.statics.MAX_LISTS_PER_USER = MAX_LISTS_PER_USER;
+learningListSchema.statics.MAX_COURSES_PER_LIST = MAX_COURSES_PER_LIST;
+
+// Indexes for performance
+learningListSchema.index({ userId: 1, position: 1 });
+learningListSchema.index({ userId: 1, 'items.courseId': 1 });
+learningListSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('LearningList', learningListSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const STEP_STATUSES = ['planned', 'in_progress', 'completed', 'skipped'];
+
+const planStepSchema = new mongoose.Schema({
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  title: { type: String, required: true },
+  provider: { type: String },
+  url: { type: String },
+  difficulty: { type: String },
+  order: { type: Number, required: true },
+
+  // Why the course is in the plan
+  skillsCovered: [{ type: String }],
+  prerequisitesCovered: [{ type: String }],
+  // Earlier steps that teach this course's prerequisites
+  dependsOn: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+  reason: { type: String },
+
+  // Schedule
+  hours: { type: Number, required: true },
+  remainingHours: { type: Number },
+  scheduledStart: { type: Date },
+  scheduledEnd: { type: Date },
+
+  // Progress, synced from the user's learningProgress
+  status: { type: String, enum: STEP_STATUSES, default: 'planned' },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  completedAt: { type: Date }
+});
+
+const learningPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetRole: { type: String, required: true, trim: true },
+  status: { type: String, enum: ['active', 'completed', 'archived'], default: 'active' },
+
+  // Planning inputs
+  weeklyHours: { type: Number, required: true, min: 1, max: 80 },
+  startDate: { type: Date, required: true },
+  gapSource: { type: String, enum: ['jobs', 'role'] },
+  skillGaps: [{
+    name: { type: String, required: true },
+    skillId: { type: String },
+    weight: { type: Number }
+  }],
+
+  // The plan
+  steps: [planStepSchema],
+  // Gaps no course in the catalog teaches; left for projects or self-study
+  uncoveredSkills: [{ type: String }],
+  // Prerequisites no course in the catalog teaches
+  unmetPrerequisites: [{
+    skill: { type: String },
+    requiredBy: { type: String }
+  }],
+  totalHours: { type: Number, default: 0 },
+  estimatedCompletion: { type: Date },
+
+  // Re-planning
+  revision: { type: Number, default: 1 },
+  plannedAt: { type: Date, default: Date.now },
+  // Fingerprint of the learning progress the plan was last built from
+  progressSignature: { type: String }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for overall completion, weighted by course hours
+learningPlanSchema.virtual('completionPercentage').get(function() {
+  const counted = this.steps.filter(step => step.status !== 'skipped');
+  const total = counted.reduce((sum, step) => sum + step.hours, 0);
+  if (total === 0) return 0;
+  const done = counted.reduce((sum, step) => sum + step.hours * (step.progress || 0) / 100, 0);
+  return Math.round(done / total * 100);
+});
+
+// Method to get the step the user should work on now
+learningPlanSchema.methods.getCurrentStep = function() {
+  return this.steps.find(step => step.status === 'in_progress') ||
+    this.steps.find(step => step.status === 'planned') ||
+    null;
+};
+
+// Statics for constants
+learningPlanSchema.statics.STEP_STATUSES = STEP_STATUSES;
+
+// Indexes for performance
+learningPlanSchema.index({ userId: 1, status: 1 });
+learningPlanSchema.index({ 'steps.courseId': 1 });
+
+module.exports = mongoose.model('LearningPlan', learningPlanSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['saved_search_match', 'job_expired'];
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+
+  // Content
+  title: { type: String, required: true },
+  message: { type: String },
+  link: { type: String },
+
+  // What the notification is about
+  savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+  jobs: [{
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    title: { type: String },
+    company: { type: String }
+  }],
+
+  // Delivery
+  readAt: { type: Date },
+  // Set when the notification should go out in the next email digest
+  emailPending: { type: Boolean, default: false },
+  emailedAt: { type: Date }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ emailPending: 1, userId: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
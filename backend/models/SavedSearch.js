@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const ALERT_FREQUENCIES = ['hourly', 'daily', 'weekly'];
+
+// How long to wait between scheduled runs for each alert frequency
+const FREQUENCY_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+
+  // Search parameters, same names as /api/jobs/search
+  params: {
+    query: { type: String },
+    location: { type: String },
+    remote: { type: Boolean },
+    salaryMin: { type: Number, min: 0 },
+    salaryMax: { type: Number, min: 0 },
+    employmentType: { type: String },
+    experienceLevel: { type: String },
+    industry: { type: String },
+    company: { type: String },
+    skills: [{ type: String }],
+    postedSince: { type: Number, min: 1 }
+  },
+
+  // Alerts
+  alerts: {
+    enabled: { type: Boolean, default: true },
+    frequency: { type: String, enum: ALERT_FREQUENCIES, default: 'daily' },
+    emailDigest: { type: Boolean, default: false }
+  },
+
+  // Run bookkeeping
+  lastRunAt: { type: Date },
+  nextRunAt: { type: Date, default: Date.now },
+  lastMatchCount: { type: Number, default: 0 },
+  totalMatches: { type: Number, default: 0 },
+  lastError: { type: String }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the query string that reproduces this search on /api/jobs/search
+savedSearchSchema.virtual('queryString').get(function() {
+  const params = this.toObject({ virtuals: false }).params || {};
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}=${encodeURIComponent(Array.isArray(value) ? value.join(',') : value)}`)
+    .join('&');
+});
+
+// Method to record a completed run and schedule the next one
+savedSearchSchema.methods.recordRun = function(matchCount, runAt = new Date()) {
+  this.lastRunAt = runAt;
+  this.lastMatchCount = matchCount;
+  this.totalMatches += matchCount;
+  this.lastError = undefined;
+  this.scheduleNextRun(runAt);
+  return this;
+};
+
+// Method to set nextRunAt from the alert frequency
+savedSearchSchema.methods.scheduleNextRun = function(from = new Date()) {
+  const interval = FREQUENCY_INTERVALS[this.alerts.frequency] || FREQUENCY_INTERVALS.daily;
+  this.nextRunAt = new Date(from.getTime() + interval);
+  return this;
+};
+
+savedSearchSchema.statics.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+
+// Indexes for performance
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ 'alerts.enabled': 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SESSION_STATUSES = ['scheduled', 'completed', 'missed', 'skipped'];
+
+const studySessionSchema = new mongoose.Schema({
+  // What the session works on; itemKey groups the pieces of one module or milestone
+  kind: { type: String, enum: ['course_module', 'goal_milestone'], required: true },
+  itemKey: { type: String, required: true },
+  title: { type: String, required: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  moduleIndex: { type: Number },
+  goalId: { type: String },
+  milestoneIndex: { type: Number },
+  url: { type: String },
+  // Pieces of an item split across several slots: part 1 of 3, ...
+  part: { type: Number, default: 1 },
+  parts: { type: Number, default: 1 },
+
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  durationMinutes: { type: Number, required: true },
+  deadline: { type: Date },
+
+  status: { type: String, enum: SESSION_STATUSES, default: 'scheduled' },
+  completedAt: { type: Date },
+  // Bumped whenever the session moves, so calendar clients pick up the change
+  sequence: { type: Number, default: 0 }
+});
+
+const studyScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  timezone: { type: String, default: 'UTC' },
+  horizonWeeks: { type: Number, default: 8, min: 1, max: 26 },
+
+  sessions: [studySessionSchema],
+  // Work that didn't fit in the horizon or would finish after its deadline
+  unscheduled: [{
+    itemKey: { type: String },
+    title: { type: String },
+    minutes: { type: Number },
+    reason: { type: String }
+  }],
+  atRisk: [{
+    itemKey: { type: String },
+    title: { type: String },
+    deadline: { type: Date },
+    scheduledEnd: { type: Date }
+  }],
+
+  generatedAt: { type: Date },
+  // Fingerprint of the courses, goals and availability the schedule was built from
+  inputSignature: { type: String },
+  // Secret for the subscription feed; calendar apps can't send a login token
+  feedToken: { type: String, default: () => crypto.randomBytes(24).toString('hex') }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for minutes still scheduled from now on
+studyScheduleSchema.virtual('upcomingMinutes').get(function() {
+  const now = new Date();
+  return this.sessions
+    .filter(session => session.status === 'scheduled' && session.end > now)
+    .reduce((sum, session) => sum + session.durationMinutes, 0);
+});
+
+// Method to mark scheduled sessions that have already ended as missed
+studyScheduleSchema.methods.markMissedSessions = function(now = new Date()) {
+  let missed = 0;
+  this.sessions.forEach(session => {
+    if (session.status === 'scheduled' && session.end <= now) {
+      session.status = 'missed';
+      missed += 1;
+    }
+  });
+  return missed;
+};
+
+// Method to issue a new feed token, invalidating old subscription links
+studyScheduleSchema.methods.rotateFeedToken = function() {
+  this.feedToken = crypto.randomBytes(24).toString('hex');
+  return this.feedToken;
+};
+
+// Statics for constants
+studyScheduleSchema.statics.SESSION_STATUSES = SESSION_STATUSES;
+
+// Indexes for performance
+studyScheduleSchema.index({ feedToken: 1 });
+
+module.exports = mongoose.model('StudySchedule', studyScheduleSchema);
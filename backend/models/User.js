@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const skillTaxonomy = require('../services/skillTaxonomy');
 
 const educationSchema = new mongoose.Schema({
   institution: { type: String, required: true },
@@ -23,6 +24,8 @@ const experienceSchema = new mongoose.Schema({
 
 const skillSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  // Canonical taxonomy id; unset for skills the taxonomy doesn't know
+  skillId: { type: String },
   category: { 
     type: String, 
     enum: ['technical', 'soft', 'language', 'certification'],
@@ -41,6 +44,19 @@ const skillSchema = new mongoose.Schema({
   endorsements: { type: Number, default: 0 }
 });
 
+const moduleProgressSchema = new mongoose.Schema({
+  // Position in the course's modules array
+  index: { type: Number, required: true },
+  title: { type: String },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  progress: { type: Number, min: 0, max: 100, default: 0 },
+  timeSpentMinutes: { type: Number, min: 0, default: 0 },
+  // Scaled score (0-100) from a passed assessment
+  score: { type: Number },
+  startedAt: { type: Date },
+  completedAt: { type: Date }
+}, { _id: false });
+
 const learningProgressSchema = new mongoose.Schema({
   courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
   courseName: { type: String, required: true },
@@ -54,7 +70,87 @@ const learningProgressSchema = new mongoose.Schema({
   startDate: { type: Date },
   completionDate: { type: Date },
   certificateUrl: { type: String },
-  skillsGained: [{ type: String }]
+  skillsGained: [{ type: String }],
+  // Per-module progress; once any module is tracked, `progress` is derived from these
+  modules: [moduleProgressSchema],
+  lastActivityAt: { type: Date }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Method to record progress or study time on one module; returns the module entry
+learningProgressSchema.methods.updateModule = function(course, moduleIndex, { status, progress, timeSpentMinutes, score, at = new Date() } = {}) {
+  let module = this.modules.find(item => item.index === moduleIndex);
+  if (!module) {
+    this.modules.push({ index: moduleIndex, title: course.modules[moduleIndex].title, startedAt: at });
+    module = this.modules[this.modules.length - 1];
+  }
+
+  if (timeSpentMinutes > 0) module.timeSpentMinutes = (module.timeSpentMinutes || 0) + timeSpentMinutes;
+  if (score !== undefined) module.score = score;
+
+  if (status === 'completed' || progress >= 100) {
+    module.progress = 100;
+    if (module.status !== 'completed') {
+      module.status = 'completed';
+      module.completedAt = at;
+    }
+  } else if (status === 'in_progress' || progress !== undefined) {
+    // Re-opening a completed module starts it over unless a new percentage is given
+    module.progress = progress !== undefined ? progress : (module.status === 'completed' ? 0 : module.progress);
+    module.status = 'in_progress';
+    module.completedAt = undefined;
+  }
+
+  if (!this.lastActivityAt || at > this.lastActivityAt) this.lastActivityAt = at;
+  return module;
+};
+
+// Method to derive course progress from module progress weighted by module hours,
+// and to collect the topics of completed modules as skills gained
+learningProgressSchema.methods.syncFromModules = function(course, { at = new Date() } = {}) {
+  const hours = course.getModuleHours();
+  if (hours.length === 0 || this.modules.length === 0) return { completedNow: false };
+
+  const total = hours.reduce((sum, value) => sum + value, 0);
+  const weights = total > 0 ? hours : hours.map(() => 1);
+  const weightTotal = total > 0 ? total : hours.length;
+  const done = this.modules.reduce((sum, module) => sum + (weights[module.index] || 0) * (module.progress || 0) / 100, 0);
+
+  const allCompleted = hours.every((_, index) =>
+    this.modules.some(module => module.index === index && module.status === 'completed'));
+  this.progress = allCompleted ? 100 : Math.min(99, Math.round(done / weightTotal * 100));
+
+  const skills = [...(this.skillsGained || [])];
+  this.modules
+    .filter(module => module.status === 'completed')
+    .forEach(module => {
+      (course.modules[module.index]?.topics || []).forEach(topic => {
+        const name = String(topic || '').trim();
+        if (name && !skills.some(skill => skill.toLowerCase() === name.toLowerCase())) skills.push(name);
+      });
+    });
+  this.skillsGained = skills;
+
+  let completedNow = false;
+  if (allCompleted && this.status !== 'completed') {
+    this.status = 'completed';
+    this.completionDate = at;
+    completedNow = true;
+  } else if (!allCompleted && this.status === 'completed') {
+    this.status = 'in_progress';
+    this.completionDate = undefined;
+  } else if (!allCompleted && (this.status === 'not_started' || this.status === 'paused')) {
+    this.status = 'in_progress';
+  }
+
+  return { completedNow };
+};
+
+// Virtual for minutes spent across all modules
+learningProgressSchema.virtual('timeSpentMinutes').get(function() {
+  return (this.modules || []).reduce((sum, module) => sum + (module.timeSpentMinutes || 0), 0);
 });
 
 const userSchema = new mongoose.Schema({
@@ -90,12 +186,30 @@ const userSchema = new mongoose.Schema({
   education: [educationSchema],
   experience: [experienceSchema],
   
+  // Parsed resume awaiting review before it is merged into the profile
+  pendingResumeImport: {
+    parsedData: { type: mongoose.Schema.Types.Mixed },
+    originalName: { type: String },
+    storedFile: { type: String },
+    uploadedAt: { type: Date }
+  },
+  
   // Learning & Certifications
   learningProgress: [learningProgressSchema],
   verifiedCertifications: [{ 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Certification' 
   }],
+  learningPreferences: {
+    weeklyStudyHours: { type: Number, min: 1, max: 80, default: 6 },
+    // Recurring weekly study windows in the user's time zone; day 0 is Sunday
+    availability: [{
+      day: { type: Number, min: 0, max: 6, required: true },
+      start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      end: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+    }],
+    timezone: { type: String, default: 'UTC' }
+  },
   
   // Career Preferences
   desiredSalaryRange: {
@@ -142,6 +256,15 @@ const userSchema = new mongoose.Schema({
     measurableOutcome: { type: String }
   }],
   
+  // Saved Jobs (title/company are kept so the entry survives the posting being removed)
+  savedJobs: [{
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    title: { type: String },
+    company: { type: String },
+    notes: { type: String },
+    savedAt: { type: Date, default: Date.now }
+  }],
+  
   // Resume Versions
   resumeVersions: [{
     version: { type: String, required: true },
@@ -152,7 +275,25 @@ const userSchema = new mongoose.Schema({
       colors: { primary: String, secondary: String },
       fonts: { heading: String, body: String },
       layout: { type: String, enum: ['single-column', 'two-column'], default: 'single-column' }
-    }
+    },
+    // Job-tailored variant: which job it targets and the skills/bullets picked for it
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    tailoring: {
+      jobTitle: { type: String },
+      company: { type: String },
+      skills: [{ type: String }],
+      experience: [{
+        experienceId: { type: mongoose.Schema.Types.ObjectId },
+        achievements: [{ type: String }],
+        relevance: { type: Number, default: 0 }
+      }],
+      matchedKeywords: [{ type: String }],
+      missingKeywords: [{ type: String }]
+    },
+    usedForApplications: [{
+      jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+      appliedAt: { type: Date, default: Date.now }
+    }]
   }],
   
   // System Fields
@@ -209,13 +350,73 @@ userSchema.methods.calculateCompleteness = function() {
 
 // Method to get current resume version
 userSchema.methods.getCurrentResumeVersion = function() {
-  return this.resumeVersions.find(version => version.isActive) || this.resumeVersions[0];
+  return this.resumeVersions.find(version => version.isActive) ||
+    this.resumeVersions.find(version => !version.jobId) ||
+    this.resumeVersions[0];
+};
+
+// Method to get the resume variants tailored to a job, newest first
+userSchema.methods.getJobVariants = function(jobId) {
+  return this.resumeVersions
+    .filter(version => version.jobId && (!jobId || version.jobId.toString() === jobId.toString()))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+// Method to save a job for later; returns the existing entry if it was already saved
+userSchema.methods.saveJob = function(job, notes) {
+  const existing = this.savedJobs.find(entry => entry.jobId.toString() === job._id.toString());
+  if (existing) return { entry: existing, added: false };
+
+  this.savedJobs.push({ jobId: job._id, title: job.title, company: job.company, notes });
+  return { entry: this.savedJobs[this.savedJobs.length - 1], added: true };
+};
+
+// Method to remove a saved job; returns whether anything was removed
+userSchema.methods.unsaveJob = function(jobId) {
+  const before = this.savedJobs.length;
+  this.savedJobs = this.savedJobs.filter(entry => entry.jobId.toString() !== jobId.toString());
+  return this.savedJobs.length < before;
+};
+
+// Method to get the user's progress entry for a course, enrolling them first if needed
+userSchema.methods.ensureEnrollment = function(course, { at = new Date() } = {}) {
+  const existing = this.learningProgress.find(entry => entry.courseId.toString() === course._id.toString());
+  if (existing) return { entry: existing, enrolledNow: false };
+
+  this.learningProgress.push({
+    courseId: course._id,
+    courseName: course.title,
+    provider: course.provider,
+    status: 'not_started',
+    progress: 0,
+    startDate: at,
+    skillsGained: []
+  });
+  return { entry: this.learningProgress[this.learningProgress.length - 1], enrolledNow: true };
 };
 
+// Method to record progress on a course module and re-derive the course percentage
+userSchema.methods.recordModuleProgress = function(course, moduleIndex, update = {}) {
+  const entry = this.learningProgress.find(item => item.courseId.toString() === course._id.toString());
+  if (!entry) return null;
+
+  const module = entry.updateModule(course, moduleIndex, update);
+  const { completedNow } = entry.syncFromModules(course, { at: update.at });
+  if (completedNow) this.analytics.courseCompletions += 1;
+  return { entry, module, completedNow };
+};
+
+// Pre-validate middleware to store skills under their canonical taxonomy name
+userSchema.pre('validate', function(next) {
+  skillTaxonomy.normalizeSkillEntries(this.skills);
+  next();
+});
+
 // Indexes for performance
 userSchema.index({ email: 1 });
 userSchema.index({ targetJobTitle: 1, targetIndustry: 1 });
 userSchema.index({ 'skills.name': 1 });
+userSchema.index({ 'skills.skillId': 1 });
 userSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const OUTCOMES = ['applied', 'no_change', 'unsupported_verb', 'unknown_actor', 'unknown_activity', 'forbidden'];
+
+const xapiStatementSchema = new mongoose.Schema({
+  // The statement as stored by the LRS (with id, timestamp, stored, authority and version set)
+  statementId: { type: String, required: true, unique: true },
+  statement: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  // Copies of the fields statements are queried by
+  verbId: { type: String, required: true },
+  activityId: { type: String, required: true },
+  actorKey: { type: String },
+  timestamp: { type: Date, required: true },
+  stored: { type: Date, default: Date.now },
+  // Credential the statement was submitted with
+  authority: { type: String, required: true },
+
+  // What the statement did to the learner's progress
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  moduleIndex: { type: Number },
+  outcome: { type: String, enum: OUTCOMES, required: true },
+  progressAfter: { type: Number }
+
+}, {
+  timestamps: true
+});
+
+// Statics for constants
+xapiStatementSchema.statics.OUTCOMES = OUTCOMES;
+
+// Indexes for performance
+xapiStatementSchema.index({ authority: 1, stored: -1 });
+xapiStatementSchema.index({ userId: 1, courseId: 1 });
+xapiStatementSchema.index({ verbId: 1, activityId: 1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
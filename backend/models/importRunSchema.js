@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Rejections kept per run; the count still covers all of them
+const MAX_REJECTIONS = 200;
+
+/**
+ * Builds the schema shared by import run models (IngestionRun, CourseImportRun)
+ *
+ * @param {Object} options
+ * @param {string} options.scope - Field naming what the run imported for, e.g. platform or provider
+ * @param {string} options.recordId - Field holding a rejected record's id, e.g. externalId
+ * @param {Object} [options.fields] - Extra run fields
+ * @param {Object} [options.counts] - Extra counters next to received/created/updated/unchanged/rejected
+ * @returns {mongoose.Schema}
+ */
+const createImportRunSchema = ({ scope, recordId, fields = {}, counts = {} }) => {
+  const schema = new mongoose.Schema({
+    // What was imported
+    name: { type: String, trim: true },
+    adapter: { type: String, required: true },
+    [scope]: { type: String, required: true },
+    input: {
+      type: { type: String, enum: ['url', 'file', 'content'], required: true },
+      location: { type: String }
+    },
+    dryRun: { type: Boolean, default: false },
+    ...fields,
+
+    // Outcome
+    status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    counts: {
+      received: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      ...counts
+    },
+    rejections: [{
+      index: { type: Number },
+      [recordId]: { type: String },
+      title: { type: String },
+      reasons: [{ type: String }]
+    }],
+    error: { type: String }
+
+  }, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  });
+
+  // Virtual for run duration in milliseconds
+  schema.virtual('durationMs').get(function() {
+    if (!this.finishedAt || !this.startedAt) return null;
+    return this.finishedAt - this.startedAt;
+  });
+
+  // Method to record a rejected record
+  schema.methods.reject = function(index, record, reasons) {
+    this.counts.rejected += 1;
+    if (this.rejections.length < MAX_REJECTIONS) {
+      this.rejections.push({
+        index,
+        [recordId]: record?.[recordId],
+        title: record?.title,
+        reasons
+      });
+    }
+    return this;
+  };
+
+  // Indexes for performance
+  schema.index({ startedAt: -1 });
+  schema.index({ adapter: 1, [scope]: 1, startedAt: -1 });
+
+  return schema;
+};
+
+module.exports = createImportRunSchema;
@@ -0,0 +1,404 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const auth = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * GET /api/jobs/applications/:userId
+ * List a user's applications, grouped by stage for the board view
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { stage } = req.query;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (stage && !Application.STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid stage. Available: ${Application.STAGES.join(', ')}`
+      });
+    }
+
+    const query = { userId };
+    if (stage) query.stage = stage;
+
+    const applications = await Application.find(query)
+      .populate('jobId', 'title company status location applicationUrl')
+      .sort({ updatedAt: -1 });
+
+    const board = Application.STAGES.reduce((acc, key) => {
+      acc[key] = applications.filter(application => application.stage === key);
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applications,
+        board,
+        stages: Application.STAGES,
+        transitions: Application.STAGE_TRANSITIONS,
+        counts: Object.fromEntries(Object.entries(board).map(([key, list]) => [key, list.length])),
+        total: applications.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Applications retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve applications',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/applications/:userId
+ * Start tracking an application, either for a Job in the catalog or an external posting
+ * Body: { jobId?, jobTitle?, company?, applicationUrl?, stage?, resumeVersion?, note?, contacts? }
+ */
+router.post('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId, stage = 'applied', resumeVersion, note, contacts = [] } = req.body;
+    let { jobTitle, company, applicationUrl } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!['saved', 'applied'].includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New applications must start in the saved or applied stage'
+      });
+    }
+
+    if (jobId) {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({ success: false, error: 'Invalid jobId' });
+      }
+
+      const job = await Job.findById(jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      const existing = await Application.findOne({ userId, jobId });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'An application for this job is already being tracked',
+          data: { application: existing }
+        });
+      }
+
+      jobTitle = jobTitle || job.title;
+      company = company || job.company;
+      applicationUrl = applicationUrl || job.applicationUrl;
+    }
+
+    if (!jobTitle || !company) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobTitle and company are required when no jobId is given'
+      });
+    }
+
+    const application = new Application({
+      userId,
+      jobId,
+      jobTitle,
+      company,
+      applicationUrl,
+      stage,
+      resumeVersion,
+      notes: note ? [{ text: note }] : [],
+      contacts
+    });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Application added to your tracker',
+      data: { application }
+    });
+
+  } catch (error) {
+    // A second submit raced past the findOne above and hit the unique user/job index
+    if (error.code === 11000) {
+      const application = await Application.findOne({ userId: req.params.userId, jobId: req.body.jobId }).catch(() => null);
+      return res.status(409).json({
+        success: false,
+        error: 'An application for this job is already being tracked',
+        data: { application }
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+    console.error('Application creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create application',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/applications/:userId/:applicationId
+ * Get a single application with its stage history
+ */
+router.get('/:userId/:applicationId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const application = await findApplication(req.params);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    await application.populate('jobId');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        application,
+        allowedStages: Application.STAGE_TRANSITIONS[application.stage]
+      }
+    });
+
+  } catch (error) {
+    console.error('Application retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve application',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/jobs/applications/:userId/:applicationId
+ * Update application details; stage changes go through the stage endpoint
+ */
+router.put('/:userId/:applicationId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (req.body.stage) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use POST /stage to change the application stage'
+      });
+    }
+
+    const application = await findApplication(req.params);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    const editableFields = ['jobTitle', 'company', 'applicationUrl', 'resumeVersion', 'contacts'];
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        application[field] = req.body[field];
+      }
+    });
+
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Application updated successfully',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Application update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update application',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/applications/:userId/:applicationId/stage
+ * Move an application to another stage
+ * Body: { stage, note? }
+ */
+router.post('/:userId/:applicationId/stage', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { stage, note } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!Application.STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid stage. Available: ${Application.STAGES.join(', ')}`
+      });
+    }
+
+    const application = await findApplication(req.params);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    if (!application.canMoveTo(stage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot move application from ${application.stage} to ${stage}`,
+        allowedStages: Application.STAGE_TRANSITIONS[application.stage]
+      });
+    }
+
+    application.moveToStage(stage, note);
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Application moved to ${stage}`,
+      data: {
+        application,
+        allowedStages: Application.STAGE_TRANSITIONS[application.stage]
+      }
+    });
+
+  } catch (error) {
+    console.error('Application stage change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change application stage',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/applications/:userId/:applicationId/notes
+ * Add a timestamped note to an application
+ */
+router.post('/:userId/:applicationId/notes', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { text } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note text is required'
+      });
+    }
+
+    const application = await findApplication(req.params);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    application.notes.push({ text: text.trim() });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Application note error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add note',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/jobs/applications/:userId/:applicationId
+ * Stop tracking an application
+ */
+router.delete('/:userId/:applicationId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const application = await findApplication(req.params);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+
+    await application.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Application removed from your tracker'
+    });
+
+  } catch (error) {
+    console.error('Application deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete application',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function findApplication({ userId, applicationId }) {
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) return null;
+  return Application.findOne({ _id: applicationId, userId });
+}
+
+module.exports = router;
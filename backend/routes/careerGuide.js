@@ -2,6 +2,7 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const User = require('../models/User');
 const aiService = require('../services/aiService');
+const learningPathPlanner = require('../services/learningPathPlanner');
 
 const router = express.Router();
 
@@ -22,7 +23,12 @@ router.get('/:userId', auth, async (req, res) => {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
 
-    const guide = await aiService.generateBeginnerCareerGuide(user.toObject());
+    // Without a plan the guide falls back to the generic beginner roadmap
+    const learningPlan = await syncLearningPlan(userId, user);
+    const guide = await aiService.generateBeginnerCareerGuide(user.toObject(), {
+      learningPlan: learningPlan ? learningPlan.toObject() : null
+    });
+    guide.learningPlan = learningPlan;
 
     res.status(200).json({ success: true, data: guide });
   } catch (error) {
@@ -31,4 +37,15 @@ router.get('/:userId', auth, async (req, res) => {
   }
 });
 
+// Helper functions
+
+async function syncLearningPlan(userId, user) {
+  try {
+    return await learningPathPlanner.syncActivePlan(userId, { user });
+  } catch (error) {
+    console.error('Learning plan sync error:', error);
+    return null;
+  }
+}
+
 module.exports = router;
@@ -3,7 +3,9 @@ const multer = require('multer');
 const path = require('path');
 const User = require('../models/User');
 const Certification = require('../models/Certification');
-const aiService = require('../services/aiService');
+const certificationVerifiers = require('../services/certificationVerifiers');
+const auth = require('../middleware/auth');
+const { moderator } = require('../middleware/moderator');
 const router = express.Router();
 
 // Configure multer for certification document uploads
@@ -40,29 +42,38 @@ const upload = multer({
 /**
  * POST /api/certifications/verify
  * Submit a certification for verification
+ * The provider's verifier checks it when it can (see services/certificationVerifiers);
+ * everything else waits in the manual review queue. Open Badges and verifiable
+ * credentials are verified when badgeAssertion (JSON or signed JWS) is given, or
+ * verificationMethod is open_badge with a credentialUrl pointing at the assertion
+ * The certification is filed for the signed-in user; a userId in the body must be theirs
  */
-router.post('/verify', upload.array('documents', 3), async (req, res) => {
+router.post('/verify', auth, upload.array('documents', 3), async (req, res) => {
   try {
+    const userId = req.body.userId || req.user.userId;
+    if (userId !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
     const {
-      userId,
       name,
       provider,
       certificationId,
       issueDate,
       expiryDate,
       isLifetime,
-      verificationMethod,
       credentialUrl,
+      badgeAssertion,
       category,
       certificationType,
       skillsValidated
     } = req.body;
 
     // Validate required fields
-    if (!userId || !name || !provider || !certificationId || !issueDate) {
+    if (!name || !provider || !certificationId || !issueDate) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: userId, name, provider, certificationId, issueDate'
+        error: 'Missing required fields: name, provider, certificationId, issueDate'
       });
     }
 
@@ -109,6 +120,21 @@ router.post('/verify', upload.array('documents', 3), async (req, res) => {
       }
     }
 
+    const method = certificationVerifiers.chooseMethod(provider, req.body);
+    if (!Certification.schema.path('verificationMethod').enumValues.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid verificationMethod "${method}"`
+      });
+    }
+    const missing = certificationVerifiers.missingFields(provider, method, req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${method} verification needs ${missing.join(', ')}`
+      });
+    }
+
     // Create certification record
     const certification = new Certification({
       userId,
@@ -118,7 +144,7 @@ router.post('/verify', upload.array('documents', 3), async (req, res) => {
       issueDate: new Date(issueDate),
       expiryDate: expiryDate ? new Date(expiryDate) : null,
       isLifetime: isLifetime === 'true',
-      verificationMethod: verificationMethod || 'document_upload',
+      verificationMethod: method,
       credentialUrl,
       category: category || 'Technology',
       certificationType: certificationType || 'professional',
@@ -129,41 +155,13 @@ router.post('/verify', upload.array('documents', 3), async (req, res) => {
 
     await certification.save();
 
-    // Attempt automatic verification using AI service
+    // Check with the provider; anything it cannot confirm goes to the manual review queue
     try {
-      const verificationResult = await aiService.verifyCertification(
-        provider,
-        certificationId,
-        {
-          holderName: user.fullName,
-          issueDate,
-          expiryDate
-        }
-      );
-
-      // Update certification with verification result
-      certification.verificationStatus = verificationResult.status;
-      certification.verificationDate = new Date();
-      certification.verificationNotes = verificationResult.error?.message || 'Automated verification completed';
-      certification.apiVerificationData = {
-        provider: verificationResult.provider,
-        response: verificationResult,
-        lastChecked: new Date(),
-        nextCheck: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      };
-
-      await certification.save();
-
-      // If verified, add to user's verified certifications
-      if (verificationResult.status === 'verified') {
-        await User.findByIdAndUpdate(userId, {
-          $addToSet: { verifiedCertifications: certification._id }
-        });
-      }
-
+      await runVerification(certification, user, { badgeAssertion });
     } catch (verificationError) {
       console.warn('Automated verification failed:', verificationError);
       certification.verificationNotes = 'Automated verification failed, manual review required';
+      certification.manualReview = { reason: verificationError.message, queuedAt: new Date() };
       await certification.save();
     }
 
@@ -288,9 +286,9 @@ router.get('/:certificationId', async (req, res) => {
 
 /**
  * PUT /api/certifications/:certificationId/status
- * Update certification verification status (admin endpoint)
+ * Update certification verification status (moderators only)
  */
-router.put('/:certificationId/status', async (req, res) => {
+router.put('/:certificationId/status', auth, moderator, async (req, res) => {
   try {
     const { certificationId } = req.params;
     const { status, notes, reviewerId } = req.body;
@@ -314,6 +312,7 @@ router.put('/:certificationId/status', async (req, res) => {
     certification.verificationStatus = status;
     certification.verificationDate = new Date();
     certification.verificationNotes = notes || '';
+    if (status !== 'pending') certification.manualReview = undefined;
 
     await certification.save();
 
@@ -347,14 +346,14 @@ router.put('/:certificationId/status', async (req, res) => {
 
 /**
  * POST /api/certifications/:certificationId/reverify
- * Re-run verification for a certification
+ * Re-run verification for a certification (its owner only)
  */
-router.post('/:certificationId/reverify', async (req, res) => {
+router.post('/:certificationId/reverify', auth, async (req, res) => {
   try {
     const { certificationId } = req.params;
 
     const certification = await Certification.findById(certificationId)
-      .populate('userId', 'firstName lastName');
+      .populate('userId', 'firstName lastName email');
 
     if (!certification) {
       return res.status(404).json({
@@ -362,30 +361,12 @@ router.post('/:certificationId/reverify', async (req, res) => {
         error: 'Certification not found'
       });
     }
+    if (String(certification.userId?._id || certification.userId) !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
 
-    // Re-run verification using AI service
-    const verificationResult = await aiService.verifyCertification(
-      certification.provider,
-      certification.certificationId,
-      {
-        holderName: certification.userId.firstName + ' ' + certification.userId.lastName,
-        issueDate: certification.issueDate,
-        expiryDate: certification.expiryDate
-      }
-    );
-
-    // Update certification with new verification result
-    certification.verificationStatus = verificationResult.status;
-    certification.verificationDate = new Date();
-    certification.verificationNotes = `Re-verification: ${verificationResult.error?.message || 'Completed successfully'}`;
-    certification.apiVerificationData = {
-      provider: verificationResult.provider,
-      response: verificationResult,
-      lastChecked: new Date(),
-      nextCheck: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-    };
-
-    await certification.save();
+    // Re-run the provider's verifier (badges are re-checked from the stored proof or hosted copy)
+    const verificationResult = await runVerification(certification, certification.userId);
 
     res.status(200).json({
       success: true,
@@ -406,44 +387,54 @@ router.post('/:certificationId/reverify', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/certifications/review/queue
+ * Certifications waiting for manual review, oldest first (moderators only)
+ * Query: provider, limit (default 50, max 200)
+ */
+router.get('/review/queue', auth, moderator, async (req, res) => {
+  try {
+    const { provider } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = { verificationStatus: 'pending', 'manualReview.queuedAt': { $exists: true } };
+    if (provider) query.provider = provider;
+
+    const [certifications, total] = await Promise.all([
+      Certification.find(query)
+        .sort({ 'manualReview.queuedAt': 1 })
+        .limit(limit)
+        .populate('userId', 'firstName lastName email'),
+      Certification.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        certifications,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve the review queue',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/certifications/providers/supported
- * Get list of supported certification providers
+ * Get list of supported certification providers with their verification methods,
+ * required fields and rate limits
  */
 router.get('/providers/supported', async (req, res) => {
   try {
-    const providers = [
-      {
-        name: 'Microsoft',
-        categories: ['Technology', 'Cloud Computing', 'AI/ML'],
-        apiSupported: true,
-        verificationMethods: ['api', 'document_upload']
-      },
-      {
-        name: 'Google',
-        categories: ['Technology', 'Cloud Computing', 'AI/ML', 'Marketing'],
-        apiSupported: true,
-        verificationMethods: ['api', 'document_upload']
-      },
-      {
-        name: 'Amazon',
-        categories: ['Cloud Computing', 'Technology'],
-        apiSupported: true,
-        verificationMethods: ['api', 'document_upload']
-      },
-      {
-        name: 'Cisco',
-        categories: ['Networking', 'Cybersecurity'],
-        apiSupported: false,
-        verificationMethods: ['document_upload', 'manual']
-      },
-      {
-        name: 'CompTIA',
-        categories: ['Cybersecurity', 'Technology'],
-        apiSupported: false,
-        verificationMethods: ['document_upload', 'manual']
-      }
-    ];
+    // One entry per provider the model knows; providers without a verifier get the manual fallback
+    const providers = certificationVerifiers.describeProviders(Certification.schema.path('provider').enumValues);
 
     // Get statistics from database
     const stats = await Certification.aggregate([
@@ -477,6 +468,50 @@ router.get('/providers/supported', async (req, res) => {
   }
 });
 
+// Helper function to run the provider's verifier and record the outcome
+async function runVerification(certification, user, options = {}) {
+  const result = await certificationVerifiers.verifyCertification(certification, { user, ...options });
+  const now = new Date();
+
+  // A provider that cannot be reached right now does not undo an earlier verification
+  const keepVerified = result.status === 'pending' && certification.verificationStatus === 'verified';
+  if (keepVerified) {
+    certification.apiVerificationData.lastChecked = now;
+    certification.apiVerificationData.nextCheck = result.retryAt;
+  } else {
+    certification.verificationStatus = result.status;
+    certification.verificationDate = now;
+    certification.apiVerificationData = {
+      provider: result.verifier,
+      endpoint: result.endpoint,
+      format: result.format,
+      assertion: result.assertion,
+      proof: result.proof,
+      response: result.response,
+      lastChecked: now,
+      nextCheck: result.retryAt || new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000)
+    };
+  }
+  certification.verificationNotes = keepVerified ? `Kept as verified: ${result.manualReviewReason}` : result.message;
+  certification.manualReview = result.status === 'pending' && !keepVerified
+    ? { reason: result.manualReviewReason, queuedAt: certification.manualReview?.queuedAt || now }
+    : undefined;
+  if (result.status === 'verified' && !certification.badgeUrl && /^https?:\/\//.test(result.badgeImage || '')) {
+    certification.badgeUrl = result.badgeImage;
+  }
+
+  await certification.save();
+
+  if (!keepVerified) {
+    const userId = certification.userId._id || certification.userId;
+    await User.findByIdAndUpdate(userId, result.status === 'verified'
+      ? { $addToSet: { verifiedCertifications: certification._id } }
+      : { $pull: { verifiedCertifications: certification._id } });
+  }
+
+  return result;
+}
+
 // Helper function to generate recommended actions
 function generateRecommendedActions(certification) {
   const actions = [];
@@ -0,0 +1,15 @@
+const CourseImportRun = require('../models/CourseImportRun');
+const courseImport = require('../services/courseImport');
+const createImportRunRouter = require('./importRuns');
+
+/**
+ * GET /api/courses/imports/adapters - List the catalog formats course import understands
+ * GET /api/courses/imports/runs - List recent course import runs with their counts (?adapter, provider, mode, status, limit)
+ * GET /api/courses/imports/runs/:runId - Get one course import run including why entries were rejected
+ */
+module.exports = createImportRunRouter({
+  pipeline: courseImport,
+  Run: CourseImportRun,
+  label: 'course import run',
+  filters: ['provider', 'mode']
+});
@@ -0,0 +1,476 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseReview = require('../models/CourseReview');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { moderator, isModerator } = require('../middleware/moderator');
+const courseReviews = require('../services/courseReviews');
+const router = express.Router({ mergeParams: true });
+
+const SORT_ORDERS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Fields other learners never see on a review
+const PRIVATE_FIELDS = '-helpfulVoters -flags -moderation';
+
+/**
+ * GET /api/courses/:courseId/reviews
+ * Published reviews for a course with the star distribution
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { sort = 'helpful', rating, page = 1, limit = 10 } = req.query;
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+    if (!SORT_ORDERS[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `Sort must be one of ${Object.keys(SORT_ORDERS).join(', ')}`
+      });
+    }
+
+    const query = { courseId: course._id, status: 'published' };
+    if (rating) query.rating = parseInt(rating);
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+
+    const [reviews, totalReviews, summary] = await Promise.all([
+      CourseReview.find(query)
+        .select(PRIVATE_FIELDS)
+        .sort(SORT_ORDERS[sort])
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      CourseReview.countDocuments(query),
+      courseReviews.summarizeReviews(course._id)
+    ]);
+    const totalPages = Math.ceil(totalReviews / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        summary,
+        rating: course.rating,
+        qualityScore: course.qualityScore,
+        pagination: {
+          currentPage,
+          totalPages,
+          totalReviews,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Course reviews retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve course reviews',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/reviews/eligibility/:userId
+ * Whether the user can review the course, and their existing review if any
+ */
+router.get('/eligibility/:userId', auth, async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const [user, course] = await Promise.all([User.findById(userId), findCourse(courseId)]);
+    if (!user || !course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const review = await CourseReview.findOne({ courseId: course._id, userId }).select('-helpfulVoters');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...courseReviews.checkEligibility(user, course._id),
+        review
+      }
+    });
+
+  } catch (error) {
+    console.error('Review eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check review eligibility',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/reviews/moderation
+ * Flagged, removed and reported reviews for a course (moderators only)
+ */
+router.get('/moderation', auth, moderator, async (req, res) => {
+  try {
+
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const reviews = await CourseReview.find({
+      courseId: course._id,
+      $or: [{ status: { $ne: 'published' } }, { 'flags.0': { $exists: true } }]
+    })
+      .select('-helpfulVoters')
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      data: { reviews }
+    });
+
+  } catch (error) {
+    console.error('Review moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flagged reviews',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/courses/:courseId/reviews
+ * Review a course the user has completed or made enough progress in
+ * Body: { rating: 1-5, title?, text? }
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { rating, title, text } = req.body;
+
+    const invalid = validateReview({ rating, title, text });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const [user, course] = await Promise.all([User.findById(req.user.userId), findCourse(courseId)]);
+    if (!user || !course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const eligibility = courseReviews.checkEligibility(user, course._id);
+    if (!eligibility.eligible) {
+      return res.status(403).json({ success: false, error: eligibility.reason });
+    }
+
+    if (await CourseReview.exists({ courseId: course._id, userId: user._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'You have already reviewed this course; edit your review instead'
+      });
+    }
+
+    const review = new CourseReview({
+      courseId: course._id,
+      userId: user._id,
+      authorName: authorName(user),
+      rating: Number(rating),
+      title,
+      text,
+      progressAtReview: eligibility.progress,
+      completedCourse: eligibility.completed
+    });
+    await review.save();
+
+    const aggregate = await courseReviews.refreshCourseRating(course._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted',
+      data: { review: publicView(review), rating: aggregate?.rating, qualityScore: aggregate?.qualityScore }
+    });
+
+  } catch (error) {
+    // Two submissions racing past the exists() check
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You have already reviewed this course' });
+    }
+    console.error('Review creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post review',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/courses/:courseId/reviews/:reviewId
+ * Edit your own review
+ * Body: { rating?, title?, text? }
+ */
+router.put('/:reviewId', auth, async (req, res) => {
+  try {
+    const { rating, title, text } = req.body;
+
+    if (rating === undefined && title === undefined && text === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide a rating, title or text' });
+    }
+    const invalid = validateReview({ rating, title, text }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const review = await findReview(req.params);
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    if (review.userId.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'You can only edit your own review' });
+    }
+    if (review.status === 'removed') {
+      return res.status(403).json({ success: false, error: 'This review was removed by a moderator' });
+    }
+
+    if (rating !== undefined) review.rating = Number(rating);
+    if (title !== undefined) review.title = title;
+    if (text !== undefined) review.text = text;
+    review.editedAt = new Date();
+
+    // The snapshot follows the learner's progress at the time of the latest edit
+    const user = await User.findById(req.user.userId);
+    if (user) {
+      const eligibility = courseReviews.checkEligibility(user, review.courseId);
+      review.progressAtReview = eligibility.progress;
+      review.completedCourse = eligibility.completed;
+    }
+    await review.save();
+
+    const aggregate = await courseReviews.refreshCourseRating(review.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated',
+      data: { review: publicView(review), rating: aggregate?.rating, qualityScore: aggregate?.qualityScore }
+    });
+
+  } catch (error) {
+    console.error('Review update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update review',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/courses/:courseId/reviews/:reviewId
+ * Delete your own review (moderators can delete any)
+ */
+router.delete('/:reviewId', auth, async (req, res) => {
+  try {
+    const review = await findReview(req.params);
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    if (review.userId.toString() !== req.user.userId && !isModerator(req.user.userId)) {
+      return res.status(403).json({ success: false, error: 'You can only delete your own review' });
+    }
+
+    await CourseReview.deleteOne({ _id: review._id });
+    const aggregate = await courseReviews.refreshCourseRating(review.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted',
+      data: { rating: aggregate?.rating, qualityScore: aggregate?.qualityScore }
+    });
+
+  } catch (error) {
+    console.error('Review deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete review',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/courses/:courseId/reviews/:reviewId/helpful
+ * Toggle your "helpful" vote on someone else's review
+ */
+router.post('/:reviewId/helpful', auth, async (req, res) => {
+  try {
+    const review = await findReview(req.params);
+    if (!review || review.status !== 'published') {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    if (review.userId.toString() === req.user.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot vote on your own review' });
+    }
+
+    const helpful = review.toggleHelpful(req.user.userId);
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: { helpful, helpfulCount: review.helpfulCount }
+    });
+
+  } catch (error) {
+    console.error('Review vote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record vote',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/courses/:courseId/reviews/:reviewId/flags
+ * Report a review for moderation
+ * Body: { reason: 'spam' | 'offensive' | 'off_topic' | 'other', note? }
+ */
+router.post('/:reviewId/flags', auth, async (req, res) => {
+  try {
+    const { reason, note } = req.body;
+
+    if (!CourseReview.FLAG_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reason must be one of ${CourseReview.FLAG_REASONS.join(', ')}`
+      });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ success: false, error: 'Note must be text of at most 500 characters' });
+    }
+
+    const review = await findReview(req.params);
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    if (review.userId.toString() === req.user.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot flag your own review' });
+    }
+
+    const previousStatus = review.status;
+    const status = review.addFlag(req.user.userId, reason, note);
+    await review.save();
+
+    // A review hidden by flags stops counting towards the course rating
+    if (status !== previousStatus) await courseReviews.refreshCourseRating(review.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Thanks, a moderator will take a look',
+      data: { status }
+    });
+
+  } catch (error) {
+    console.error('Review flag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to flag review',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/courses/:courseId/reviews/:reviewId/moderation
+ * Publish, hide or remove a review (moderators only)
+ * Body: { status: 'published' | 'flagged' | 'removed', note? }
+ */
+router.patch('/:reviewId/moderation', auth, moderator, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!CourseReview.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of ${CourseReview.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const review = await findReview(req.params);
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+
+    review.moderate(req.user.userId, status, note);
+    await review.save();
+
+    const aggregate = await courseReviews.refreshCourseRating(review.courseId);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status}`,
+      data: { review, rating: aggregate?.rating, qualityScore: aggregate?.qualityScore }
+    });
+
+  } catch (error) {
+    console.error('Review moderation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to moderate review',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function findCourse(courseId) {
+  return mongoose.Types.ObjectId.isValid(courseId) ? Course.findById(courseId) : null;
+}
+
+function findReview({ courseId, reviewId }) {
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(reviewId)) return null;
+  return CourseReview.findOne({ _id: reviewId, courseId });
+}
+
+// First name and initial, so reviews don't publish full names
+function authorName(user) {
+  const initial = user.lastName ? ` ${user.lastName.charAt(0)}.` : '';
+  return `${user.firstName || 'Learner'}${initial}`;
+}
+
+function publicView(review) {
+  const { helpfulVoters, flags, moderation, ...rest } = review.toJSON();
+  return rest;
+}
+
+function validateReview({ rating, title, text }, { partial = false } = {}) {
+  if (rating !== undefined || !partial) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) return 'Rating must be a whole number from 1 to 5';
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > 120)) {
+    return 'Title must be text of at most 120 characters';
+  }
+  if (text !== undefined && (typeof text !== 'string' || text.length > 5000)) {
+    return 'Review text must be at most 5000 characters';
+  }
+  return null;
+}
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const auth = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const courseRecommender = require('../services/courseRecommender');
+const learningPathPlanner = require('../services/learningPathPlanner');
 const router = express.Router();
 
 /**
@@ -29,19 +33,16 @@ router.get('/recommendations/:userId', async (req, res) => {
       });
     }
 
-    // Use AI service to get course recommendations
+    // Rank real courses by profile fit and how much of the skill gap they cover
     const targetCareerPath = careerPath || user.targetJobTitle || 'Software Developer';
-    const recommendations = await aiService.recommendCourses(
-      user.skills,
-      targetCareerPath,
-      { 
-        limit: parseInt(limit),
-        difficulty,
-        provider,
-        category,
-        freeOnly: freeOnly === 'true'
-      }
-    );
+    const { recommendations, skillGaps, gapSource, candidates } = await courseRecommender.recommendCourses(user, {
+      careerPath: targetCareerPath,
+      difficulty,
+      provider,
+      category,
+      freeOnly: freeOnly === 'true',
+      limit: Math.min(parseInt(limit) || 10, 50)
+    });
 
     // Analyze skill gaps for better recommendations
     const skillGapAnalysis = await aiService.analyzeSkillGaps(
@@ -49,43 +50,6 @@ router.get('/recommendations/:userId', async (req, res) => {
       targetCareerPath
     );
 
-    // Filter courses from database that match AI recommendations
-    const courseQuery = {};
-    if (provider) courseQuery.provider = provider;
-    if (category) courseQuery.category = category;
-    if (difficulty) courseQuery.difficulty = difficulty;
-    if (freeOnly === 'true') courseQuery['pricing.type'] = 'free';
-
-    const dbCourses = await Course.find(courseQuery)
-      .limit(parseInt(limit))
-      .sort({ 'rating.average': -1, enrollmentCount: -1 });
-
-    // Combine AI recommendations with database courses
-    const combinedRecommendations = recommendations.map((aiRec, index) => {
-      const dbCourse = dbCourses[index];
-      return {
-        id: dbCourse?._id || `ai-rec-${index}`,
-        title: aiRec.title,
-        provider: aiRec.provider,
-        description: dbCourse?.description || `Learn ${aiRec.title} to advance your career in ${targetCareerPath}`,
-        duration: aiRec.duration || dbCourse?.duration?.hours,
-        rating: aiRec.rating || dbCourse?.rating?.average,
-        url: dbCourse?.url || '#',
-        difficulty: aiRec.difficulty || dbCourse?.difficulty,
-        pricing: dbCourse?.pricing || { type: 'paid', amount: 49, currency: 'USD' },
-        relevanceScore: aiRec.relevanceScore,
-        reason: aiRec.reason,
-        estimatedImpact: aiRec.estimatedImpact,
-        skillsGained: aiRec.skillsGained,
-        timeToComplete: aiRec.timeToComplete,
-        isRecommendedForGaps: skillGapAnalysis.prioritySkills.some(gap => 
-          aiRec.skillsGained.some(skill => 
-            skill.toLowerCase().includes(gap.name.toLowerCase())
-          )
-        )
-      };
-    });
-
     // Track recommendation generation for analytics
     await User.findByIdAndUpdate(userId, {
       $inc: { 'analytics.profileViews': 1 }
@@ -94,8 +58,9 @@ router.get('/recommendations/:userId', async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        recommendations: combinedRecommendations,
+        recommendations,
         skillGapAnalysis,
+        skillGaps,
         filters: {
           careerPath: targetCareerPath,
           difficulty,
@@ -104,9 +69,12 @@ router.get('/recommendations/:userId', async (req, res) => {
           freeOnly
         },
         metadata: {
-          totalRecommendations: combinedRecommendations.length,
-          avgRelevanceScore: (combinedRecommendations.reduce((sum, rec) => 
-            sum + rec.relevanceScore, 0) / combinedRecommendations.length).toFixed(2),
+          totalRecommendations: recommendations.length,
+          candidatesConsidered: candidates,
+          skillGapSource: gapSource,
+          avgRelevanceScore: recommendations.length
+            ? (recommendations.reduce((sum, rec) => sum + rec.relevanceScore, 0) / recommendations.length).toFixed(2)
+            : '0.00',
           userSkillsCount: user.skills.length,
           prioritySkillGaps: skillGapAnalysis.prioritySkills.length
         }
@@ -301,6 +269,8 @@ router.post('/:courseId/enroll/:userId', async (req, res) => {
       $inc: { enrollmentCount: 1 }
     });
 
+    await syncLearningPlan(userId, user);
+
     res.status(200).json({
       success: true,
       message: 'Successfully enrolled in course',
@@ -322,13 +292,18 @@ router.post('/:courseId/enroll/:userId', async (req, res) => {
 
 /**
  * PUT /api/courses/:courseId/progress/:userId
- * Update course progress for a user
+ * Update course progress for a user, for courses without modules; courses with
+ * modules derive their percentage from PUT .../modules/:moduleIndex
  */
-router.put('/:courseId/progress/:userId', async (req, res) => {
+router.put('/:courseId/progress/:userId', auth, async (req, res) => {
   try {
     const { courseId, userId } = req.params;
     const { progress, status, skillsGained } = req.body;
 
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
     if (progress < 0 || progress > 100) {
       return res.status(400).json({
         success: false,
@@ -336,13 +311,27 @@ router.put('/:courseId/progress/:userId', async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId);
+    const [user, course] = await Promise.all([
+      User.findById(userId),
+      mongoose.Types.ObjectId.isValid(courseId) ? Course.findById(courseId) : null
+    ]);
     if (!user) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    // Review eligibility and completions rely on the duration-weighted percentage
+    if (course.modules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Progress for this course is tracked per module; update it with PUT /api/courses/:courseId/progress/:userId/modules/:moduleIndex'
+      });
+    }
 
     // Find the course progress entry
     const progressEntry = user.learningProgress.find(
@@ -379,6 +368,8 @@ router.put('/:courseId/progress/:userId', async (req, res) => {
       });
     }
 
+    await syncLearningPlan(userId, user);
+
     res.status(200).json({
       success: true,
       message: 'Course progress updated successfully',
@@ -398,6 +389,119 @@ router.put('/:courseId/progress/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/courses/:courseId/progress/:userId
+ * Get a user's progress in a course, module by module
+ */
+router.get('/:courseId/progress/:userId', auth, async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const [user, course] = await Promise.all([
+      User.findById(userId),
+      mongoose.Types.ObjectId.isValid(courseId) ? Course.findById(courseId) : null
+    ]);
+    if (!user || !course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const progressEntry = user.learningProgress.find(p => p.courseId.toString() === courseId);
+    if (!progressEntry) {
+      return res.status(404).json({ success: false, error: 'Course enrollment not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        progress: progressEntry,
+        modules: moduleBreakdown(course, progressEntry)
+      }
+    });
+
+  } catch (error) {
+    console.error('Course progress retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve course progress',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/courses/:courseId/progress/:userId/modules/:moduleIndex
+ * Update progress on one module; the course percentage is re-derived from all modules
+ * Body: { status?: 'in_progress' | 'completed', progress?: 0-100, timeSpentMinutes?: minutes to add }
+ */
+router.put('/:courseId/progress/:userId/modules/:moduleIndex', auth, async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+    const moduleIndex = Number(req.params.moduleIndex);
+    const { status, progress, timeSpentMinutes } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = validateModuleUpdate({ status, progress, timeSpentMinutes });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const [user, course] = await Promise.all([
+      User.findById(userId),
+      mongoose.Types.ObjectId.isValid(courseId) ? Course.findById(courseId) : null
+    ]);
+    if (!user || !course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+    if (!Number.isInteger(moduleIndex) || moduleIndex < 0 || moduleIndex >= course.modules.length) {
+      return res.status(404).json({ success: false, error: 'Module not found' });
+    }
+
+    const result = user.recordModuleProgress(course, moduleIndex, {
+      status,
+      progress: progress !== undefined ? Number(progress) : undefined,
+      timeSpentMinutes: timeSpentMinutes !== undefined ? Number(timeSpentMinutes) : undefined
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Course enrollment not found' });
+    }
+
+    await user.save();
+
+    if (result.completedNow) {
+      await Course.findByIdAndUpdate(courseId, {
+        $inc: { completions: 1 }
+      });
+    }
+
+    await syncLearningPlan(userId, user);
+
+    res.status(200).json({
+      success: true,
+      message: result.completedNow ? 'Course completed' : 'Module progress updated',
+      data: {
+        progress: result.entry,
+        modules: moduleBreakdown(course, result.entry),
+        isCompleted: result.entry.status === 'completed'
+      }
+    });
+
+  } catch (error) {
+    console.error('Module progress update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update module progress',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/courses/categories
  * Get available course categories and providers
@@ -443,4 +547,52 @@ router.get('/metadata/categories', async (req, res) => {
   }
 });
 
+// Helper functions
+
+// A failed re-plan shouldn't fail the progress update; the plan catches up when next viewed
+async function syncLearningPlan(userId, user) {
+  try {
+    await learningPathPlanner.syncActivePlan(userId, { user });
+  } catch (error) {
+    console.error('Learning plan sync error:', error);
+  }
+}
+
+// Every module of the course with the user's progress on it (untouched modules included)
+function moduleBreakdown(course, progressEntry) {
+  const hours = course.getModuleHours();
+  return course.modules.map((module, index) => {
+    const tracked = progressEntry.modules.find(item => item.index === index);
+    return {
+      index,
+      title: module.title,
+      hours: Math.round(hours[index] * 10) / 10,
+      topics: module.topics,
+      status: tracked ? tracked.status : 'not_started',
+      progress: tracked ? tracked.progress : 0,
+      timeSpentMinutes: tracked ? tracked.timeSpentMinutes : 0,
+      startedAt: tracked?.startedAt,
+      completedAt: tracked?.completedAt
+    };
+  });
+}
+
+function validateModuleUpdate({ status, progress, timeSpentMinutes }) {
+  if (status === undefined && progress === undefined && timeSpentMinutes === undefined) {
+    return 'Provide a status, progress or timeSpentMinutes';
+  }
+  if (status !== undefined && !['in_progress', 'completed'].includes(status)) {
+    return 'Status must be in_progress or completed';
+  }
+  if (progress !== undefined) {
+    const value = Number(progress);
+    if (!Number.isFinite(value) || value < 0 || value > 100) return 'Progress must be between 0 and 100';
+  }
+  if (timeSpentMinutes !== undefined) {
+    const value = Number(timeSpentMinutes);
+    if (!Number.isFinite(value) || value < 0 || value > 24 * 60) return 'timeSpentMinutes must be between 0 and 1440';
+  }
+  return null;
+}
+
 module.exports = router;
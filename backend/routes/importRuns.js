@@ -0,0 +1,98 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+
+/**
+ * Builds the adapter and run history routes shared by import pipelines
+ *
+ * @param {Object} options
+ * @param {Object} options.pipeline - { listAdapters } (see services/importPipeline)
+ * @param {Object} options.Run - Run model built on importRunSchema
+ * @param {string} options.label - Run name used in messages, e.g. "ingestion run"
+ * @param {Array<string>} options.filters - Run fields GET /runs can filter on besides adapter and status
+ * @returns {express.Router}
+ */
+const createImportRunRouter = ({ pipeline, Run, label, filters = [] }) => {
+  const router = express.Router();
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+
+  /**
+   * GET /adapters
+   * List the input formats the pipeline understands
+   */
+  router.get('/adapters', auth, (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: { adapters: pipeline.listAdapters() }
+    });
+  });
+
+  /**
+   * GET /runs
+   * List recent runs with their counts
+   */
+  router.get('/runs', auth, async (req, res) => {
+    try {
+      const { limit = 20 } = req.query;
+
+      // Plain strings only, so ?status[$ne]=x can't become a query operator
+      const query = {};
+      ['adapter', ...filters, 'status'].forEach(field => {
+        if (req.query[field]) query[field] = String(req.query[field]);
+      });
+
+      const runs = await Run.find(query)
+        .select('-rejections')
+        .sort({ startedAt: -1 })
+        .limit(Math.min(parseInt(limit) || 20, 100));
+
+      res.status(200).json({
+        success: true,
+        data: { runs }
+      });
+
+    } catch (error) {
+      console.error(`${title}s retrieval error:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to retrieve ${label}s`,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  /**
+   * GET /runs/:runId
+   * Get one run including why records were rejected
+   */
+  router.get('/runs/:runId', auth, async (req, res) => {
+    try {
+      const { runId } = req.params;
+
+      const run = mongoose.Types.ObjectId.isValid(runId) ? await Run.findById(runId) : null;
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: `${title} not found`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { run }
+      });
+
+    } catch (error) {
+      console.error(`${title} retrieval error:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to retrieve ${label}`,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createImportRunRouter;
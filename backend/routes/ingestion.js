@@ -0,0 +1,15 @@
+const IngestionRun = require('../models/IngestionRun');
+const ingestion = require('../services/ingestion');
+const createImportRunRouter = require('./importRuns');
+
+/**
+ * GET /api/ingestion/adapters - List the feed formats job ingestion understands
+ * GET /api/ingestion/runs - List recent ingestion runs with their counts (?adapter, platform, status, limit)
+ * GET /api/ingestion/runs/:runId - Get one ingestion run including why postings were rejected
+ */
+module.exports = createImportRunRouter({
+  pipeline: ingestion,
+  Run: IngestionRun,
+  label: 'ingestion run',
+  filters: ['platform']
+});
@@ -1,7 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Job = require('../models/Job');
+const Application = require('../models/Application');
 const aiService = require('../services/aiService');
+const jobSearch = require('../services/jobSearch');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const auth = require('../middleware/auth');
 const router = express.Router();
 
 /**
@@ -31,8 +36,8 @@ router.get('/recommendations/:userId', async (req, res) => {
       });
     }
 
-    // Build search criteria based on user profile and filters
-    const searchCriteria = { status: 'active' };
+    // Build search criteria based on user profile and filters (canonical listings only)
+    const searchCriteria = { ...Job.openCriteria(), duplicateOf: null };
 
     // Apply filters
     if (location && remote !== 'true') {
@@ -104,8 +109,8 @@ router.get('/recommendations/:userId', async (req, res) => {
         ai.title.toLowerCase().includes(job.title.toLowerCase().split(' ')[0])
       ) || aiRecommendations[0]; // Fallback to first AI recommendation
 
-      const matchScore = job.calculateMatchScore(user);
-      const missingSkills = job.getMissingSkills(user);
+      const { score: matchScore, factors: matchBreakdown } = job.getMatchBreakdown(user);
+      const skillGaps = job.getSkillGaps(user);
 
       return {
         id: job._id,
@@ -136,8 +141,10 @@ router.get('/recommendations/:userId', async (req, res) => {
         
         // AI-enhanced insights
         matchScore,
-        matchReasons: aiJob?.matchReasons || [`Skills match: ${Math.floor(matchScore * 0.8)}%`],
-        missingSkills,
+        matchBreakdown,
+        matchReasons: matchBreakdown.filter(factor => factor.value >= 0.75).map(factor => factor.summary),
+        missingSkills: skillGaps.missing.map(skill => skill.name),
+        underqualifiedSkills: skillGaps.underqualified,
         applicationTips: aiJob?.applicationTips || [
           'Highlight relevant experience in your application',
           'Customize your resume for this specific role'
@@ -225,94 +232,14 @@ router.get('/search', async (req, res) => {
       experienceLevel,
       industry,
       company,
-      skills,
-      postedSince,
       page = 1,
       limit = 20,
       sortBy = 'postedDate'
     } = req.query;
 
     // Build search criteria
-    const searchCriteria = { status: 'active' };
-
-    // Text search
-    if (query) {
-      searchCriteria.$text = { $search: query };
-    }
-
-    // Location filter
-    if (location) {
-      if (remote === 'true') {
-        searchCriteria['location.isRemote'] = true;
-      } else {
-        searchCriteria.$or = [
-          { 'location.city': new RegExp(location, 'i') },
-          { 'location.state': new RegExp(location, 'i') },
-          { 'location.isRemote': true }
-        ];
-      }
-    }
-
-    // Salary range
-    if (salaryMin) {
-      searchCriteria['salary.min'] = { $gte: parseInt(salaryMin) };
-    }
-    if (salaryMax) {
-      searchCriteria['salary.max'] = { $lte: parseInt(salaryMax) };
-    }
-
-    // Employment type
-    if (employmentType) {
-      searchCriteria.employmentType = employmentType;
-    }
-
-    // Experience level
-    if (experienceLevel) {
-      searchCriteria.experienceLevel = experienceLevel;
-    }
-
-    // Industry
-    if (industry) {
-      searchCriteria.industry = industry;
-    }
-
-    // Company
-    if (company) {
-      searchCriteria.company = new RegExp(company, 'i');
-    }
-
-    // Skills
-    if (skills) {
-      const skillArray = skills.split(',').map(s => s.trim());
-      searchCriteria['requiredSkills.name'] = { $in: skillArray };
-    }
-
-    // Posted date filter
-    if (postedSince) {
-      const daysAgo = parseInt(postedSince);
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysAgo);
-      searchCriteria.postedDate = { $gte: cutoffDate };
-    }
-
-    // Sorting
-    let sortCriteria = {};
-    switch (sortBy) {
-      case 'postedDate':
-        sortCriteria = { postedDate: -1 };
-        break;
-      case 'salary':
-        sortCriteria = { 'salary.min': -1 };
-        break;
-      case 'title':
-        sortCriteria = { title: 1 };
-        break;
-      case 'company':
-        sortCriteria = { company: 1 };
-        break;
-      default:
-        sortCriteria = { postedDate: -1 };
-    }
+    const searchCriteria = jobSearch.buildSearchCriteria(req.query);
+    const sortCriteria = jobSearch.buildSortCriteria(sortBy);
 
     // Execute search with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -342,7 +269,9 @@ router.get('/search', async (req, res) => {
       jobAge: job.jobAge,
       requiredSkills: job.requiredSkills.slice(0, 5),
       applicationUrl: job.applicationUrl,
-      source: job.source.platform
+      source: job.source.platform,
+      sources: job.sources.map(entry => ({ platform: entry.platform, url: entry.url })),
+      isStale: job.isStale
     }));
 
     res.status(200).json({
@@ -376,6 +305,135 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs/saved/:userId
+ * List a user's saved jobs, newest first, with whether each posting is still open
+ */
+router.get('/saved/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Postings are looked up separately so entries whose job was removed still come back
+    const jobs = await Job.find({ _id: { $in: user.savedJobs.map(entry => entry.jobId) } });
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+    const savedJobs = [...user.savedJobs]
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+      .map(entry => formatSavedJob(entry, jobsById.get(entry.jobId.toString())));
+
+    res.status(200).json({
+      success: true,
+      data: savedJobs
+    });
+
+  } catch (error) {
+    console.error('Saved jobs retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve saved jobs',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/saved/:userId
+ * Save a job for later
+ * Body: { jobId, notes? }
+ */
+router.post('/saved/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId, notes } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, error: 'A valid jobId is required' });
+    }
+
+    const result = await saveJobForUser(userId, jobId, notes);
+    if (result.error) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+
+    res.status(result.added ? 201 : 200).json({
+      success: true,
+      message: result.added ? 'Job saved successfully' : 'Job was already saved',
+      data: result.savedJob
+    });
+
+  } catch (error) {
+    console.error('Save job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/jobs/saved/:userId/:jobId
+ * Remove a job from the user's saved list
+ */
+router.delete('/saved/:userId/:jobId', auth, async (req, res) => {
+  try {
+    const { userId, jobId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.unsaveJob(jobId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job is not in your saved list'
+      });
+    }
+    await user.save();
+
+    if (mongoose.Types.ObjectId.isValid(jobId)) {
+      await Job.updateOne({ _id: jobId, saves: { $gt: 0 } }, { $inc: { saves: -1 } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job removed from saved jobs'
+    });
+
+  } catch (error) {
+    console.error('Remove saved job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove saved job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/jobs/:jobId
  * Get detailed information about a specific job
@@ -416,6 +474,11 @@ router.get('/:jobId', async (req, res) => {
       contactPerson: job.contactPerson,
       postedDate: job.postedDate,
       source: job.source,
+      sources: job.sources,
+      canonicalJobId: job.duplicateOf,
+      status: job.status,
+      statusHistory: job.statusHistory,
+      isStale: job.isStale,
       isActive: job.isActive(),
       jobAge: job.jobAge
     };
@@ -424,16 +487,18 @@ router.get('/:jobId', async (req, res) => {
     if (userId) {
       const user = await User.findById(userId);
       if (user) {
-        const matchScore = job.calculateMatchScore(user);
-        const missingSkills = job.getMissingSkills(user);
+        const { score: matchScore, factors: matchBreakdown } = job.getMatchBreakdown(user);
+        const skillGaps = job.getSkillGaps(user);
+        const gapNames = [...skillGaps.missing, ...skillGaps.underqualified].map(skill => skill.name);
         
         jobDetails.personalizedInsights = {
           matchScore,
-          missingSkills,
+          matchBreakdown,
+          missingSkills: skillGaps.missing.map(skill => skill.name),
+          underqualifiedSkills: skillGaps.underqualified,
+          preferredSkillsMissing: skillGaps.preferredMissing.map(skill => skill.name),
           skillsMatch: job.requiredSkills.filter(required =>
-            user.skills.some(userSkill => 
-              userSkill.name.toLowerCase() === required.name.toLowerCase()
-            )
+            required.isRequired !== false && !gapNames.includes(required.name)
           ),
           recommendedActions: generatePersonalizedActions(job, user, matchScore),
           salaryComparison: compareSalaryToExpectations(job.salary, user.desiredSalaryRange),
@@ -462,12 +527,16 @@ router.get('/:jobId', async (req, res) => {
 
 /**
  * POST /api/jobs/:jobId/apply/:userId
- * Track job application (doesn't actually apply, just records intent)
+ * Record an application in the user's tracker (doesn't submit it to the employer)
  */
-router.post('/:jobId/apply/:userId', async (req, res) => {
+router.post('/:jobId/apply/:userId', auth, async (req, res) => {
   try {
     const { jobId, userId } = req.params;
-    const { applicationNotes } = req.body;
+    const { applicationNotes, resumeVersion } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
 
     const job = await Job.findById(jobId);
     if (!job) {
@@ -485,19 +554,63 @@ router.post('/:jobId/apply/:userId', async (req, res) => {
       });
     }
 
+    // Record which resume version was sent; default to the newest variant tailored to this job
+    const usedVersion = resumeVersion
+      ? user.resumeVersions.find(v => v.version === resumeVersion)
+      : user.getJobVariants(jobId)[0];
+
+    if (resumeVersion && !usedVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume version not found'
+      });
+    }
+
+    let application = await Application.findOne({ userId, jobId });
+    if (application && application.stage !== 'saved' && application.stage !== 'withdrawn') {
+      return res.status(409).json({
+        success: false,
+        error: `You already applied to this job (current stage: ${application.stage})`,
+        data: { application }
+      });
+    }
+
+    if (application) {
+      application.moveToStage('applied', applicationNotes);
+    } else {
+      application = new Application({
+        userId,
+        jobId,
+        jobTitle: job.title,
+        company: job.company,
+        applicationUrl: job.applicationUrl,
+        stage: 'applied'
+      });
+    }
+    if (applicationNotes) application.notes.push({ text: applicationNotes });
+    if (usedVersion) application.resumeVersion = usedVersion.version;
+    await application.save();
+
+    if (usedVersion) {
+      usedVersion.usedForApplications.push({ jobId: job._id, appliedAt: new Date() });
+      await user.save();
+    }
+
     // Update analytics
     await Job.findByIdAndUpdate(jobId, { $inc: { applications: 1 } });
     await User.findByIdAndUpdate(userId, { $inc: { 'analytics.jobApplications': 1 } });
 
-    // In a real application, you might store application history
     const applicationRecord = {
+      _id: application._id,
       jobId,
       userId,
-      appliedAt: new Date(),
+      stage: application.stage,
+      appliedAt: application.stageTimestamps.applied,
       applicationNotes,
       jobTitle: job.title,
       company: job.company,
-      applicationUrl: job.applicationUrl
+      applicationUrl: job.applicationUrl,
+      resumeVersion: application.resumeVersion || null
     };
 
     res.status(200).json({
@@ -509,12 +622,21 @@ router.post('/:jobId/apply/:userId', async (req, res) => {
         nextSteps: [
           'Complete the application on the company website',
           'Follow up within a week',
-          'Update your application status in the dashboard'
+          'Move the application along your tracker as you hear back'
         ]
       }
     });
 
   } catch (error) {
+    // A second submit raced past the findOne above and hit the unique user/job index
+    if (error.code === 11000) {
+      const application = await Application.findOne({ userId: req.params.userId, jobId: req.params.jobId }).catch(() => null);
+      return res.status(409).json({
+        success: false,
+        error: 'You already applied to this job',
+        data: { application }
+      });
+    }
     console.error('Job application tracking error:', error);
     res.status(500).json({
       success: false,
@@ -526,43 +648,29 @@ router.post('/:jobId/apply/:userId', async (req, res) => {
 
 /**
  * POST /api/jobs/:jobId/save/:userId
- * Save job for later viewing
+ * Save job for later viewing (same as POST /api/jobs/saved/:userId)
  */
-router.post('/:jobId/save/:userId', async (req, res) => {
+router.post('/:jobId/save/:userId', auth, async (req, res) => {
   try {
     const { jobId, userId } = req.params;
 
-    const job = await Job.findById(jobId);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: 'Job not found'
-      });
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ success: false, error: 'Invalid jobId' });
     }
 
-    // Add to saved jobs (conceptually extending user schema)
-    // In a real implementation, you'd have a savedJobs array in the user schema
-    
-    // Update job saves count
-    await Job.findByIdAndUpdate(jobId, { $inc: { saves: 1 } });
+    const result = await saveJobForUser(userId, jobId, req.body.notes);
+    if (result.error) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
 
-    res.status(200).json({
+    res.status(result.added ? 201 : 200).json({
       success: true,
-      message: 'Job saved successfully',
-      data: {
-        jobId,
-        title: job.title,
-        company: job.company,
-        savedAt: new Date()
-      }
+      message: result.added ? 'Job saved successfully' : 'Job was already saved',
+      data: result.savedJob
     });
 
   } catch (error) {
@@ -584,7 +692,7 @@ router.get('/market/insights', async (req, res) => {
     const { industry, location, experienceLevel } = req.query;
 
     // Build aggregation pipeline for market insights
-    const matchCriteria = { status: 'active' };
+    const matchCriteria = { ...Job.openCriteria(), duplicateOf: null };
     if (industry) matchCriteria.industry = industry;
     if (location) {
       matchCriteria.$or = [
@@ -625,7 +733,7 @@ router.get('/market/insights', async (req, res) => {
 
     // Industry trends
     const industryTrends = await Job.aggregate([
-      { $match: { status: 'active' } },
+      { $match: { ...Job.openCriteria(), duplicateOf: null } },
       {
         $group: {
           _id: '$industry',
@@ -670,7 +778,8 @@ router.get('/market/insights', async (req, res) => {
     const recentTrend = await Job.aggregate([
       {
         $match: {
-          status: 'active',
+          ...Job.openCriteria(),
+          duplicateOf: null,
           postedDate: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
         }
       },
@@ -721,6 +830,44 @@ router.get('/market/insights', async (req, res) => {
 
 // Helper functions
 
+async function saveJobForUser(userId, jobId, notes) {
+  const job = await Job.findById(jobId);
+  if (!job) return { error: 'Job not found' };
+
+  const user = await User.findById(userId);
+  if (!user) return { error: 'User not found' };
+
+  const { entry, added } = user.saveJob(job, notes);
+  if (added) {
+    await user.save();
+    await Job.findByIdAndUpdate(jobId, { $inc: { saves: 1 } });
+  }
+
+  return { added, savedJob: formatSavedJob(entry, job) };
+}
+
+// Flattens a saved entry into the job shape the listing uses; job is missing if the posting was removed
+function formatSavedJob(entry, job) {
+  const availability = job
+    ? job.getAvailability()
+    : { state: 'removed', isOpen: false, closesAt: null, daysUntilClose: null };
+
+  return {
+    _id: entry.jobId,
+    title: job ? job.title : entry.title,
+    company: job ? job.company : entry.company,
+    location: job?.location,
+    employmentType: job?.employmentType,
+    experienceLevel: job?.experienceLevel,
+    salary: job?.salary,
+    applicationUrl: job?.applicationUrl,
+    postedDate: job?.postedDate,
+    notes: entry.notes,
+    savedAt: entry.savedAt,
+    availability
+  };
+}
+
 function generateJobSearchInsights(user, jobs) {
   const insights = [];
 
@@ -827,9 +974,7 @@ function generateApplicationTips(job, user) {
 
   // Skill-based tips
   const matchingSkills = job.requiredSkills.filter(required =>
-    user.skills.some(userSkill => 
-      userSkill.name.toLowerCase() === required.name.toLowerCase()
-    )
+    skillTaxonomy.findMatchingSkill(user.skills, required.name)
   );
 
   if (matchingSkills.length > 0) {
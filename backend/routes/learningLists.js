@@ -0,0 +1,673 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const LearningList = require('../models/LearningList');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const learningLists = require('../services/learningLists');
+const router = express.Router();
+
+/**
+ * GET /api/learning-lists/shared/:token
+ * Read-only view of a list its owner shared by link
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const list = await LearningList.findOne({ shareToken: req.params.token });
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'Shared list not found' });
+    }
+
+    const [owner, courses] = await Promise.all([
+      User.findById(list.userId).select('firstName'),
+      learningLists.describeItems(list)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        name: list.name,
+        description: list.description,
+        ownerName: owner?.firstName,
+        sharedAt: list.sharedAt,
+        updatedAt: list.updatedAt,
+        courses: courses.map(({ note, ...course }) => course)
+      }
+    });
+
+  } catch (error) {
+    console.error('Shared learning list retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve shared list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/learning-lists/:userId
+ * All of a user's lists in their order, plus which lists each bookmarked course is in
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const lists = await LearningList.find({ userId }).sort({ position: 1, createdAt: 1 });
+    const bookmarks = await learningLists.getBookmarkIndex(userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lists: lists.map(formatList),
+        bookmarks
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning lists retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve learning lists',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-lists/:userId
+ * Create a named list
+ * Body: { name, description? }
+ */
+router.post('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, description } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const invalid = validateListDetails({ name, description });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const listCount = await LearningList.countDocuments({ userId });
+    if (listCount >= LearningList.MAX_LISTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${LearningList.MAX_LISTS_PER_USER} lists`
+      });
+    }
+
+    // The default list goes first, so it exists before any named list is positioned after it
+    await learningLists.getDefaultList(userId);
+
+    const list = new LearningList({
+      userId,
+      name: name.trim(),
+      description,
+      position: await learningLists.nextListPosition(userId)
+    });
+    await list.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'List created',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/learning-lists/:userId/order
+ * Reorder the user's lists
+ * Body: { listIds: [...] } covering every list the user has
+ */
+router.put('/:userId/order', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { listIds } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (!Array.isArray(listIds)) {
+      return res.status(400).json({ success: false, error: 'listIds must be an array' });
+    }
+
+    const lists = await LearningList.find({ userId });
+    const byId = new Map(lists.map(list => [list._id.toString(), list]));
+    const ids = listIds.map(String);
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      return res.status(400).json({ success: false, error: 'listIds must name each of your lists exactly once' });
+    }
+
+    for (const [position, id] of ids.entries()) {
+      const list = byId.get(id);
+      if (list.position === position) continue;
+      list.position = position;
+      await list.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lists reordered',
+      data: { lists: ids.map(id => formatList(byId.get(id))) }
+    });
+
+  } catch (error) {
+    console.error('Learning list reorder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder lists',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-lists/:userId/bookmarks
+ * Bookmark a course: add it to the given list, or to the default list
+ * Body: { courseId, listId?, note? }
+ */
+router.post('/:userId/bookmarks', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { courseId, listId, note } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ success: false, error: 'Note must be text of at most 500 characters' });
+    }
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const list = listId ? await findList(userId, listId) : await learningLists.getDefaultList(userId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const refused = checkCapacity(list, course._id);
+    if (refused) {
+      return res.status(400).json({ success: false, error: refused });
+    }
+
+    const { entry, added } = await learningLists.addCourseToList(list, course, note);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? `Saved to ${list.name}` : `Already in ${list.name}`,
+      data: { list: formatList(list), entry }
+    });
+
+  } catch (error) {
+    console.error('Course bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to bookmark course',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/learning-lists/:userId/bookmarks/:courseId
+ * Remove a bookmark: take the course out of every list
+ */
+router.delete('/:userId/bookmarks/:courseId', auth, async (req, res) => {
+  try {
+    const { userId, courseId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found' });
+    }
+
+    const removedFrom = await learningLists.removeBookmark(userId, courseId);
+    if (removedFrom === 0) {
+      return res.status(404).json({ success: false, error: 'Bookmark not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Bookmark removed',
+      data: { removedFrom }
+    });
+
+  } catch (error) {
+    console.error('Bookmark removal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove bookmark',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/learning-lists/:userId/:listId
+ * One list with current course details
+ */
+router.get('/:userId/:listId', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatList(list),
+        courses: await learningLists.describeItems(list)
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning list retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/learning-lists/:userId/:listId
+ * Rename a list or change its description
+ * Body: { name?, description? }
+ */
+router.patch('/:userId/:listId', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+    const { name, description } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide a name or description' });
+    }
+
+    const invalid = validateListDetails({ name, description }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    if (name !== undefined) list.name = name.trim();
+    if (description !== undefined) list.description = description;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'List updated',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/learning-lists/:userId/:listId
+ * Delete a named list; its courses stay bookmarked if another list holds them
+ */
+router.delete('/:userId/:listId', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+    if (list.isDefault) {
+      return res.status(400).json({ success: false, error: 'Your default list cannot be deleted' });
+    }
+
+    await learningLists.deleteList(list);
+
+    res.status(200).json({
+      success: true,
+      message: 'List deleted'
+    });
+
+  } catch (error) {
+    console.error('Learning list deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-lists/:userId/:listId/items
+ * Add a course to a list
+ * Body: { courseId, note? }
+ */
+router.post('/:userId/:listId/items', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+    const { courseId, note } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ success: false, error: 'Note must be text of at most 500 characters' });
+    }
+
+    const [list, course] = await Promise.all([findList(userId, listId), findCourse(courseId)]);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+    if (!course) {
+      return res.status(404).json({ success: false, error: 'Course not found' });
+    }
+
+    const refused = checkCapacity(list, course._id);
+    if (refused) {
+      return res.status(400).json({ success: false, error: refused });
+    }
+
+    const { entry, added } = await learningLists.addCourseToList(list, course, note);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      message: added ? 'Course added to list' : 'Course already in list',
+      data: { list: formatList(list), entry }
+    });
+
+  } catch (error) {
+    console.error('Learning list item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add course to list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/learning-lists/:userId/:listId/items/:courseId
+ * Take a course out of one list
+ */
+router.delete('/:userId/:listId/items/:courseId', auth, async (req, res) => {
+  try {
+    const { userId, listId, courseId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const removed = mongoose.Types.ObjectId.isValid(courseId) &&
+      await learningLists.removeCourseFromList(list, courseId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Course is not in this list' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Course removed from list',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list item removal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove course from list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/learning-lists/:userId/:listId/items/order
+ * Reorder the courses in a list
+ * Body: { courseIds: [...] } covering every course in the list
+ */
+router.put('/:userId/:listId/items/order', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+    const { courseIds } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (!Array.isArray(courseIds)) {
+      return res.status(400).json({ success: false, error: 'courseIds must be an array' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    if (!list.reorderCourses(courseIds)) {
+      return res.status(400).json({ success: false, error: 'courseIds must name each course in the list exactly once' });
+    }
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'List reordered',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list item reorder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-lists/:userId/:listId/share
+ * Share the list by link, or replace its link; the old link stops working
+ */
+router.post('/:userId/:listId/share', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    list.rotateShareToken();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Anyone with the link can now view this list',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to share list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/learning-lists/:userId/:listId/share
+ * Stop sharing the list
+ */
+router.delete('/:userId/:listId/share', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    list.stopSharing();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'The share link no longer works',
+      data: formatList(list)
+    });
+
+  } catch (error) {
+    console.error('Learning list unshare error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop sharing list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/learning-lists/:userId/:listId/export?format=csv|json
+ * Download a list
+ */
+router.get('/:userId/:listId/export', auth, async (req, res) => {
+  try {
+    const { userId, listId } = req.params;
+    const { format = 'csv' } = req.query;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+    if (!learningLists.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of ${learningLists.EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const list = await findList(userId, listId);
+    if (!list) {
+      return res.status(404).json({ success: false, error: 'List not found' });
+    }
+
+    const file = await learningLists.exportList(list, format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(list, file.extension)}"`
+    });
+    res.status(200).send(file.body);
+
+  } catch (error) {
+    console.error('Learning list export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export list',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function findList(userId, listId) {
+  return mongoose.Types.ObjectId.isValid(listId) ? LearningList.findOne({ _id: listId, userId }) : null;
+}
+
+function findCourse(courseId) {
+  return mongoose.Types.ObjectId.isValid(courseId) ? Course.findById(courseId) : null;
+}
+
+// The share link points at the app page, which reads the list from /shared/:token
+function formatList(list) {
+  const data = list.toJSON();
+  return {
+    ...data,
+    sharePath: data.shareToken ? `/lists/shared/${data.shareToken}` : null
+  };
+}
+
+function checkCapacity(list, courseId) {
+  if (!list.hasCourse(courseId) && list.items.length >= LearningList.MAX_COURSES_PER_LIST) {
+    return `A list can hold at most ${LearningList.MAX_COURSES_PER_LIST} courses`;
+  }
+  return null;
+}
+
+function validateListDetails({ name, description }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return 'List name is required';
+    if (name.trim().length > 80) return 'List name must be at most 80 characters';
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+    return 'Description must be text of at most 500 characters';
+  }
+  return null;
+}
+
+function exportFileName(list, extension) {
+  const slug = list.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'learning-list';
+  return `${slug}.${extension}`;
+}
+
+module.exports = router;
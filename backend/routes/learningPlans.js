@@ -0,0 +1,208 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const LearningPlan = require('../models/LearningPlan');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const learningPathPlanner = require('../services/learningPathPlanner');
+const router = express.Router();
+
+/**
+ * GET /api/learning-plans/:userId
+ * Get the user's current learning plan (the active one, or else the last completed one),
+ * re-planned first if their progress changed
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const plan = await learningPathPlanner.syncActivePlan(userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        plan,
+        currentStep: plan ? plan.getCurrentStep() : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning plan retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve learning plan',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-plans/:userId
+ * Build a new learning plan; it replaces the user's active plan
+ * Body: { careerPath?, weeklyHours?, startDate? }
+ */
+router.post('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { careerPath, weeklyHours, startDate } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = validatePlanOptions({ weeklyHours, startDate });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const plan = await learningPathPlanner.createLearningPlan(user, {
+      careerPath: careerPath ? String(careerPath).trim() : undefined,
+      weeklyHours: weeklyHours !== undefined ? Number(weeklyHours) : undefined,
+      startDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Learning plan created successfully',
+      data: {
+        plan,
+        currentStep: plan.getCurrentStep()
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning plan creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create learning plan',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/learning-plans/:userId/replan
+ * Re-plan the active plan now, optionally with new weekly study hours
+ * Body: { weeklyHours? }
+ */
+router.post('/:userId/replan', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { weeklyHours } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = validatePlanOptions({ weeklyHours });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const [plan, user] = await Promise.all([
+      LearningPlan.findOne({ userId, status: 'active' }),
+      User.findById(userId)
+    ]);
+    if (!plan || !user) {
+      return res.status(404).json({ success: false, error: 'No active learning plan' });
+    }
+
+    await learningPathPlanner.replanLearningPlan(plan, user, {
+      weeklyHours: weeklyHours !== undefined ? Number(weeklyHours) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Learning plan updated',
+      data: {
+        plan,
+        currentStep: plan.getCurrentStep()
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning plan replan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update learning plan',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/learning-plans/:userId/steps/:stepId
+ * Skip a step (or bring a skipped one back) and re-plan around it
+ * Body: { status: 'skipped' | 'planned' }
+ */
+router.patch('/:userId/steps/:stepId', auth, async (req, res) => {
+  try {
+    const { userId, stepId } = req.params;
+    const { status } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!['skipped', 'planned'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Status must be skipped or planned' });
+    }
+
+    const [plan, user] = await Promise.all([
+      LearningPlan.findOne({ userId, status: 'active' }),
+      User.findById(userId)
+    ]);
+    const step = plan && mongoose.Types.ObjectId.isValid(stepId) ? plan.steps.id(stepId) : null;
+    if (!step || !user) {
+      return res.status(404).json({ success: false, error: 'Plan step not found' });
+    }
+    if (step.status === 'completed') {
+      return res.status(400).json({ success: false, error: 'Completed steps cannot be changed' });
+    }
+
+    step.status = status;
+    await learningPathPlanner.replanLearningPlan(plan, user);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'skipped' ? 'Step skipped and plan updated' : 'Step restored and plan updated',
+      data: {
+        plan,
+        currentStep: plan.getCurrentStep()
+      }
+    });
+
+  } catch (error) {
+    console.error('Learning plan step update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update learning plan step',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function validatePlanOptions({ weeklyHours, startDate }) {
+  if (weeklyHours !== undefined) {
+    const hours = Number(weeklyHours);
+    if (!Number.isFinite(hours) || hours < 1 || hours > 80) {
+      return 'weeklyHours must be a number between 1 and 80';
+    }
+  }
+  if (startDate !== undefined && Number.isNaN(new Date(startDate).getTime())) {
+    return 'startDate must be a valid date';
+  }
+  return null;
+}
+
+module.exports = router;
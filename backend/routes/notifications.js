@@ -0,0 +1,122 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const router = express.Router();
+
+/**
+ * GET /api/notifications/:userId
+ * Get a user's notification feed, newest first
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { unreadOnly, limit = 20, before } = req.query;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const query = { userId };
+    if (unreadOnly === 'true') query.readAt = null;
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(parseInt(limit) || 20, 100)),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Notifications retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve notifications',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/:userId/read
+ * Mark notifications as read
+ * Body: { ids? } - marks every unread notification when ids is omitted
+ */
+router.post('/:userId/read', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { ids } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const query = { userId, readAt: null };
+    if (Array.isArray(ids)) {
+      query._id = { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+    }
+
+    const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:userId/:notificationId
+ * Dismiss a notification
+ */
+router.delete('/:userId/:notificationId', auth, async (req, res) => {
+  try {
+    const { userId, notificationId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    const result = await Notification.deleteOne({ _id: notificationId, userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification dismissed'
+    });
+
+  } catch (error) {
+    console.error('Notification deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss notification',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const User = require('../models/User');
 const aiService = require('../services/aiService');
+const resumeImport = require('../services/resumeImport');
+const skillTaxonomy = require('../services/skillTaxonomy');
 const auth = require('../middleware/auth');
 const router = express.Router();
 
@@ -42,7 +44,7 @@ const upload = multer({
 
 /**
  * POST /api/profile/upload
- * Handle resume upload and parse it using AI service
+ * Handle resume upload, parse it and store the result as a pending import
  */
 router.post('/upload', auth, (req, res, next) => {
   upload.single('resume')(req, res, (err) => {
@@ -77,7 +79,7 @@ router.post('/upload', auth, (req, res, next) => {
 
     // Get the authenticated user
     const userId = req.user.userId;
-    let user = await User.findById(userId);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({
@@ -86,54 +88,21 @@ router.post('/upload', auth, (req, res, next) => {
       });
     }
 
-    // Update user profile with parsed data
-    user = await User.findByIdAndUpdate(
-      userId,
-      {
-        firstName: parsedData.personalInfo.name.split(' ')[0] || user.firstName,
-        lastName: parsedData.personalInfo.name.split(' ').slice(1).join(' ') || user.lastName,
-        phone: parsedData.personalInfo.phone || user.phone,
-        location: parsedData.personalInfo.location ? {
-          city: parsedData.personalInfo.location.split(',')[0]?.trim(),
-          state: parsedData.personalInfo.location.split(',')[1]?.trim(),
-          country: 'USA'
-        } : user.location,
-        summary: parsedData.summary || user.summary,
-        skills: parsedData.skills ? parsedData.skills.map(skill => ({
-          name: skill.name,
-          category: skill.category,
-          proficiencyLevel: skill.level,
-          verificationStatus: 'unverified'
-        })) : user.skills,
-        experience: parsedData.experience ? parsedData.experience.map(exp => ({
-          company: exp.company,
-          position: exp.position,
-          description: exp.description,
-          startDate: new Date(exp.startDate),
-          endDate: exp.endDate ? new Date(exp.endDate) : null,
-          isCurrentJob: !exp.endDate,
-          technologies: exp.technologies || []
-        })) : user.experience,
-        education: parsedData.education ? parsedData.education.map(edu => ({
-          institution: edu.institution,
-          degree: edu.degree,
-          field: edu.field,
-          startDate: new Date(edu.startDate),
-          endDate: new Date(edu.endDate),
-          isCurrentlyEnrolled: false
-        })) : user.education,
-        lastProfileUpdate: new Date()
-      },
-      { new: true, runValidators: true }
-    );
-
-    // Calculate profile completeness
-    user.calculateCompleteness();
+    // Store the parse result for review instead of overwriting the profile
+    user.pendingResumeImport = {
+      parsedData,
+      originalName: req.file.originalname,
+      storedFile: req.file.filename,
+      uploadedAt: new Date()
+    };
+    user.markModified('pendingResumeImport');
     await user.save();
 
+    const diff = resumeImport.buildImportDiff(user, parsedData);
+
     res.status(200).json({
       success: true,
-      message: 'Resume uploaded and processed successfully',
+      message: 'Resume processed. Review the detected changes before applying them.',
       data: {
         userId: user._id,
         profileCompleteness: user.profileCompleteness,
@@ -141,6 +110,7 @@ router.post('/upload', auth, (req, res, next) => {
           ...parsedData,
           userId: user._id
         },
+        diff,
         warnings: parsedData.warnings || []
       }
     });
@@ -155,6 +125,162 @@ router.post('/upload', auth, (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/profile/:userId/import
+ * Field-by-field diff between the pending resume import and the current profile
+ */
+router.get('/:userId/import', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User profile not found'
+      });
+    }
+
+    const pending = user.pendingResumeImport;
+    if (!pending?.parsedData) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending resume import'
+      });
+    }
+
+    const diff = resumeImport.buildImportDiff(user, pending.parsedData);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        originalName: pending.originalName,
+        uploadedAt: pending.uploadedAt,
+        confidence: pending.parsedData.confidence,
+        warnings: pending.parsedData.warnings || [],
+        ...diff
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume import diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare resume import',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/profile/:userId/import/apply
+ * Apply the accepted parts of the pending resume import
+ * Body: { accept: ['firstName', 'skills.0', 'experience.1', ...], edits: { [path]: value } }
+ */
+router.post('/:userId/import/apply', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { accept, edits = {} } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!Array.isArray(accept)) {
+      return res.status(400).json({
+        success: false,
+        error: 'accept must be an array of field paths'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User profile not found'
+      });
+    }
+
+    const pending = user.pendingResumeImport;
+    if (!pending?.parsedData) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending resume import'
+      });
+    }
+
+    const result = resumeImport.applyImportChanges(user, pending.parsedData, { accept, edits });
+
+    user.pendingResumeImport = undefined;
+    user.lastProfileUpdate = new Date();
+    user.calculateCompleteness();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Applied ${result.applied.length} changes from your resume`,
+      data: {
+        profile: user,
+        profileCompleteness: user.profileCompleteness,
+        applied: result.applied,
+        skipped: result.skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume import apply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply resume import',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/profile/:userId/import
+ * Discard the pending resume import without changing the profile
+ */
+router.delete('/:userId/import', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $unset: { pendingResumeImport: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pending resume import discarded'
+    });
+
+  } catch (error) {
+    console.error('Resume import discard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard resume import',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/profile/:userId
  * Retrieve a user's complete profile
@@ -303,10 +429,10 @@ router.post('/:userId/skills', async (req, res) => {
       });
     }
 
-    // Add new skills, avoiding duplicates
-    const existingSkillNames = user.skills.map(s => s.name.toLowerCase());
+    // Add new skills, avoiding duplicates (aliases like "JS" count as the skill they name)
+    const existingSkillKeys = user.skills.map(s => skillTaxonomy.skillKey(s.name));
     const newSkills = skills.filter(skill => 
-      !existingSkillNames.includes(skill.name.toLowerCase())
+      !existingSkillKeys.includes(skillTaxonomy.skillKey(skill.name))
     );
 
     user.skills.push(...newSkills);
@@ -481,11 +481,16 @@ async function calculateLearningProgress(user) {
   return {
     coursesInProgress: coursesInProgress.length,
     coursesCompleted: coursesCompleted.length,
-    totalHoursLearned: coursesCompleted.length * 25, // Estimate 25 hours per course
+    // Tracked module time where there is any, otherwise an estimated 25 hours per completed course
+    totalHoursLearned: Math.round(user.learningProgress.reduce((sum, course) => {
+      if (course.timeSpentMinutes > 0) return sum + course.timeSpentMinutes / 60;
+      return sum + (course.status === 'completed' ? 25 : 0);
+    }, 0)),
     currentCourses: coursesInProgress.map(course => ({
       name: course.courseName,
       provider: course.provider,
       progress: course.progress,
+      modulesCompleted: course.modules.filter(module => module.status === 'completed').length,
       startDate: course.startDate,
       estimatedCompletion: estimateCompletionDate(course)
     })),
@@ -1,6 +1,9 @@
 const express = require('express');
 const User = require('../models/User');
+const Job = require('../models/Job');
 const aiService = require('../services/aiService');
+const resumeRenderer = require('../services/resumeRenderer');
+const resumeTailor = require('../services/resumeTailor');
 const router = express.Router();
 
 /**
@@ -26,69 +29,13 @@ router.get('/:userId', async (req, res) => {
     // Get current resume version or create default
     let currentVersion = user.getCurrentResumeVersion();
     if (!currentVersion) {
-      currentVersion = {
-        version: 'v1.0',
-        createdAt: new Date(),
-        template: template,
-        isActive: true,
-        customizations: {
-          colors: { primary: '#2563eb', secondary: '#64748b' },
-          fonts: { heading: 'Inter', body: 'Inter' },
-          layout: 'single-column'
-        }
-      };
+      currentVersion = buildDefaultVersion(template);
       user.resumeVersions.push(currentVersion);
       await user.save();
     }
 
     // Build dynamic resume data
-    const resumeData = {
-      metadata: {
-        version: currentVersion.version,
-        template: currentVersion.template,
-        generatedAt: new Date().toISOString(),
-        lastUpdated: user.lastProfileUpdate,
-        completeness: user.profileCompleteness
-      },
-      personalInfo: {
-        fullName: user.fullName,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        phone: user.phone,
-        location: user.location,
-        headline: user.headline,
-        summary: user.summary,
-        careerObjective: user.careerObjective
-      },
-      professionalSummary: generateProfessionalSummary(user),
-      skills: {
-        technical: user.skills.filter(s => s.category === 'technical'),
-        soft: user.skills.filter(s => s.category === 'soft'),
-        languages: user.skills.filter(s => s.category === 'language'),
-        certifications: user.skills.filter(s => s.category === 'certification'),
-        verified: user.skills.filter(s => s.verificationStatus === 'verified')
-      },
-      experience: user.experience.sort((a, b) => new Date(b.startDate) - new Date(a.startDate)),
-      education: user.education.sort((a, b) => new Date(b.endDate || new Date()) - new Date(a.endDate || new Date())),
-      certifications: user.verifiedCertifications.map(cert => ({
-        name: cert.name,
-        provider: cert.provider,
-        issueDate: cert.issueDate,
-        expiryDate: cert.expiryDate,
-        isLifetime: cert.isLifetime,
-        credentialUrl: cert.credentialUrl,
-        skills: cert.skillsValidated
-      })),
-      projects: generateProjectsSection(user),
-      achievements: generateAchievements(user),
-      customizations: currentVersion.customizations,
-      analytics: {
-        profileViews: user.analytics.profileViews,
-        resumeDownloads: user.analytics.resumeDownloads,
-        jobApplications: user.analytics.jobApplications
-      }
-    };
+    const resumeData = buildResumeData(user, currentVersion);
 
     // Apply template-specific formatting if requested
     if (format === 'formatted') {
@@ -117,20 +64,27 @@ router.get('/:userId', async (req, res) => {
 
 /**
  * GET /api/resume/export/:userId
- * Trigger a PDF/DOCX export of the resume
+ * Render a PDF/DOCX/HTML export of the resume and return its download details
  */
 router.get('/export/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { format = 'pdf', template = 'modern' } = req.query;
+    const { format = 'pdf', template, version } = req.query;
 
-    if (!['pdf', 'docx', 'html'].includes(format)) {
+    if (!resumeRenderer.SUPPORTED_FORMATS[format]) {
       return res.status(400).json({
         success: false,
         error: 'Invalid export format. Supported: pdf, docx, html'
       });
     }
 
+    if (template && !resumeRenderer.TEMPLATE_STYLES[template]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid template. Available: ${Object.keys(resumeRenderer.TEMPLATE_STYLES).join(', ')}`
+      });
+    }
+
     const user = await User.findById(userId)
       .populate('verifiedCertifications');
 
@@ -141,23 +95,33 @@ router.get('/export/:userId', async (req, res) => {
       });
     }
 
-    // For this implementation, we'll return a download URL
-    // In production, this would generate actual PDF/DOCX files
+    const resumeVersion = version
+      ? user.resumeVersions.find(v => v.version === version)
+      : user.getCurrentResumeVersion() || buildDefaultVersion(template);
+
+    if (!resumeVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume version not found'
+      });
+    }
+
+    const resumeData = buildResumeData(user, resumeVersion);
+    const file = await resumeRenderer.renderResume(resumeData, { format, template });
+
     const exportData = {
-      downloadUrl: `/api/resume/download/${userId}?format=${format}&template=${template}`,
-      fileName: `${user.firstName}_${user.lastName}_Resume.${format}`,
-      fileSize: '245 KB', // Mock file size
+      downloadUrl: `/api/resume/download/${userId}?format=${format}&template=${file.template}${version ? `&version=${encodeURIComponent(version)}` : ''}`,
+      fileName: buildExportFileName(user, file.extension),
+      fileSize: formatFileSize(file.buffer.length),
+      fileSizeBytes: file.buffer.length,
       generatedAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
-      template: template,
-      format: format
+      template: file.template,
+      layout: file.layout,
+      format: format,
+      version: resumeVersion.version,
+      jobId: resumeVersion.jobId || null
     };
 
-    // Update analytics
-    await User.findByIdAndUpdate(userId, {
-      $inc: { 'analytics.resumeDownloads': 1 }
-    });
-
     res.status(200).json({
       success: true,
       message: 'Resume export prepared successfully',
@@ -174,14 +138,84 @@ router.get('/export/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/resume/download/:userId
+ * Download the rendered resume file
+ */
+router.get('/download/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { format = 'pdf', template, version } = req.query;
+
+    if (!resumeRenderer.SUPPORTED_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export format. Supported: pdf, docx, html'
+      });
+    }
+
+    if (template && !resumeRenderer.TEMPLATE_STYLES[template]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid template. Available: ${Object.keys(resumeRenderer.TEMPLATE_STYLES).join(', ')}`
+      });
+    }
+
+    const user = await User.findById(userId)
+      .populate('verifiedCertifications');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const resumeVersion = version
+      ? user.resumeVersions.find(v => v.version === version)
+      : user.getCurrentResumeVersion() || buildDefaultVersion(template);
+
+    if (!resumeVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume version not found'
+      });
+    }
+
+    const resumeData = buildResumeData(user, resumeVersion);
+    const file = await resumeRenderer.renderResume(resumeData, { format, template });
+
+    // Update analytics
+    await User.findByIdAndUpdate(userId, {
+      $inc: { 'analytics.resumeDownloads': 1 }
+    });
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.buffer.length,
+      'Content-Disposition': `attachment; filename="${buildExportFileName(user, file.extension)}"`
+    });
+    res.status(200).send(file.buffer);
+
+  } catch (error) {
+    console.error('Resume download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download resume',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * POST /api/resume/:userId/optimize
- * Optimize resume for ATS using AI service
+ * Score the resume against a job description for ATS compatibility
+ * Body: { targetJob, jobDescription, resumeText? }
  */
 router.post('/:userId/optimize', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { targetJob, jobDescription } = req.body;
+    const { targetJob, jobDescription, resumeText } = req.body;
 
     if (!targetJob) {
       return res.status(400).json({
@@ -198,7 +232,7 @@ router.post('/:userId/optimize', async (req, res) => {
       });
     }
 
-    // Use AI service to optimize resume
+    // Score the resume against the job description
     const optimizationResults = await aiService.optimizeResumeForATS(
       {
         personalInfo: {
@@ -207,12 +241,14 @@ router.post('/:userId/optimize', async (req, res) => {
           phone: user.phone,
           location: user.location
         },
+        headline: user.headline,
         summary: user.summary,
         skills: user.skills,
         experience: user.experience,
         education: user.education
       },
-      jobDescription || `Position: ${targetJob}`
+      jobDescription || `Position: ${targetJob}`,
+      { targetJob, resumeText }
     );
 
     // Generate skill gap analysis
@@ -224,6 +260,11 @@ router.post('/:userId/optimize', async (req, res) => {
     const optimizationReport = {
       targetJob,
       atsScore: optimizationResults.atsScore,
+      scoreBreakdown: optimizationResults.scoreBreakdown,
+      keywordCoverage: optimizationResults.keywordCoverage,
+      matchedKeywords: optimizationResults.matchedKeywords,
+      missingKeywords: optimizationResults.missingKeywords,
+      sectionIssues: optimizationResults.sectionIssues,
       overallReadiness: skillGapAnalysis.overallReadiness,
       optimizations: optimizationResults.optimizations,
       keywordSuggestions: optimizationResults.keywordSuggestions,
@@ -290,9 +331,10 @@ router.put('/:userId/template', async (req, res) => {
       createdAt: new Date(),
       template: template || 'modern',
       isActive: true,
+      // Colors and fonts are only stored when picked, so the template's own defaults apply otherwise
       customizations: {
-        colors: customizations?.colors || { primary: '#2563eb', secondary: '#64748b' },
-        fonts: customizations?.fonts || { heading: 'Inter', body: 'Inter' },
+        colors: customizations?.colors,
+        fonts: customizations?.fonts,
         layout: customizations?.layout || 'single-column'
       }
     };
@@ -320,6 +362,143 @@ router.put('/:userId/template', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/resume/:userId/variants
+ * Create a resume variant tailored to a specific job
+ * Body: { jobId, template?, customizations? }
+ */
+router.post('/:userId/variants', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId, template, customizations } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobId is required to tailor a resume'
+      });
+    }
+
+    if (template && !resumeRenderer.TEMPLATE_STYLES[template]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid template. Available: ${Object.keys(resumeRenderer.TEMPLATE_STYLES).join(', ')}`
+      });
+    }
+
+    const [user, job] = await Promise.all([
+      User.findById(userId).populate('verifiedCertifications'),
+      Job.findById(jobId)
+    ]);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    // Variants inherit the look of the current resume unless overridden
+    const baseVersion = user.getCurrentResumeVersion() || buildDefaultVersion(template);
+    const baseCustomizations = baseVersion.customizations || {};
+
+    const variant = {
+      version: `v${user.resumeVersions.length + 1}.0`,
+      createdAt: new Date(),
+      template: template || baseVersion.template || 'modern',
+      isActive: false,
+      customizations: {
+        colors: customizations?.colors || baseCustomizations.colors,
+        fonts: customizations?.fonts || baseCustomizations.fonts,
+        layout: customizations?.layout || baseCustomizations.layout || 'single-column'
+      },
+      jobId: job._id,
+      tailoring: resumeTailor.tailorResumeToJob(user, job)
+    };
+
+    user.resumeVersions.push(variant);
+    await user.save();
+
+    const savedVariant = user.resumeVersions[user.resumeVersions.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: `Resume tailored for ${job.title} at ${job.company}`,
+      data: {
+        variant: savedVariant,
+        resume: buildResumeData(user, savedVariant),
+        exportUrl: `/api/resume/export/${userId}?version=${encodeURIComponent(savedVariant.version)}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume variant creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create resume variant',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/resume/:userId/variants
+ * List job-tailored resume variants with their jobs and the applications they were used for
+ */
+router.get('/:userId/variants', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId } = req.query;
+
+    const user = await User.findById(userId)
+      .select('resumeVersions')
+      .populate('resumeVersions.jobId', 'title company status applicationUrl')
+      .populate('resumeVersions.usedForApplications.jobId', 'title company');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const variants = user.getJobVariants()
+      .filter(variant => !jobId || variant.jobId?._id?.toString() === jobId)
+      .map(variant => ({
+        version: variant.version,
+        createdAt: variant.createdAt,
+        template: variant.template,
+        job: variant.jobId,
+        tailoring: variant.tailoring,
+        applications: variant.usedForApplications,
+        exportUrl: `/api/resume/export/${userId}?version=${encodeURIComponent(variant.version)}`
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        variants,
+        totalVariants: variants.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume variants retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve resume variants',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/resume/:userId/versions
  * Get all resume versions for a user
@@ -428,6 +607,95 @@ router.get('/templates/available', async (req, res) => {
 
 // Helper functions
 
+function buildResumeData(user, currentVersion) {
+  const { skills, experience } = resumeTailor.applyTailoring(
+    {
+      skills: user.skills,
+      experience: user.experience.sort((a, b) => new Date(b.startDate) - new Date(a.startDate))
+    },
+    currentVersion.tailoring
+  );
+
+  return {
+    metadata: {
+      version: currentVersion.version,
+      template: currentVersion.template,
+      jobId: currentVersion.jobId || null,
+      tailoredFor: currentVersion.jobId
+        ? { jobTitle: currentVersion.tailoring?.jobTitle, company: currentVersion.tailoring?.company }
+        : null,
+      generatedAt: new Date().toISOString(),
+      lastUpdated: user.lastProfileUpdate,
+      completeness: user.profileCompleteness
+    },
+    personalInfo: {
+      fullName: user.fullName,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      phone: user.phone,
+      location: user.location,
+      headline: user.headline,
+      summary: user.summary,
+      careerObjective: user.careerObjective
+    },
+    professionalSummary: generateProfessionalSummary(user),
+    skills: {
+      technical: skills.filter(s => s.category === 'technical'),
+      soft: skills.filter(s => s.category === 'soft'),
+      languages: skills.filter(s => s.category === 'language'),
+      certifications: skills.filter(s => s.category === 'certification'),
+      verified: skills.filter(s => s.verificationStatus === 'verified')
+    },
+    experience,
+    education: user.education.sort((a, b) => new Date(b.endDate || new Date()) - new Date(a.endDate || new Date())),
+    certifications: user.verifiedCertifications.map(cert => ({
+      name: cert.name,
+      provider: cert.provider,
+      issueDate: cert.issueDate,
+      expiryDate: cert.expiryDate,
+      isLifetime: cert.isLifetime,
+      credentialUrl: cert.credentialUrl,
+      skills: cert.skillsValidated
+    })),
+    projects: generateProjectsSection(user),
+    achievements: generateAchievements(user),
+    customizations: currentVersion.customizations,
+    analytics: {
+      profileViews: user.analytics.profileViews,
+      resumeDownloads: user.analytics.resumeDownloads,
+      jobApplications: user.analytics.jobApplications
+    }
+  };
+}
+
+function buildDefaultVersion(template = 'modern') {
+  return {
+    version: 'v1.0',
+    createdAt: new Date(),
+    template: template,
+    isActive: true,
+    customizations: {
+      layout: 'single-column'
+    }
+  };
+}
+
+function buildExportFileName(user, extension) {
+  const name = [user.firstName, user.lastName]
+    .filter(Boolean)
+    .map(part => part.replace(/[^a-z0-9-]/gi, ''))
+    .filter(Boolean)
+    .join('_');
+  return `${name || 'My'}_Resume.${extension}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function generateProfessionalSummary(user) {
   if (user.summary) return user.summary;
 
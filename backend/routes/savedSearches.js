@@ -0,0 +1,322 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const Job = require('../models/Job');
+const auth = require('../middleware/auth');
+const jobSearch = require('../services/jobSearch');
+const savedSearchScheduler = require('../services/savedSearchScheduler');
+const router = express.Router();
+
+/**
+ * GET /api/jobs/searches/:userId
+ * List a user's saved searches
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const searches = await SavedSearch.find({ userId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        searches,
+        frequencies: SavedSearch.ALERT_FREQUENCIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Saved searches retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve saved searches',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/searches/:userId
+ * Save a named search
+ * Body: { name, params: { query, location, remote, salaryMin, salaryMax, skills, postedSince, ... }, alerts? }
+ */
+router.post('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, params = {}, alerts = {} } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = validateSearch({ name, params, alerts }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const existing = await SavedSearch.findOne({ userId, name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a saved search with this name'
+      });
+    }
+
+    const search = new SavedSearch({
+      userId,
+      name,
+      params: jobSearch.normalizeSearchParams(params),
+      alerts: pickAlerts(alerts)
+    });
+    search.scheduleNextRun();
+    await search.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { search }
+    });
+
+  } catch (error) {
+    console.error('Saved search creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save search',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/jobs/searches/:userId/:searchId
+ * Rename a saved search, change its parameters or its alert settings
+ */
+router.put('/:userId/:searchId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, params, alerts } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = validateSearch({ name, params, alerts }, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const search = await findSearch(req.params);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    if (name !== undefined) search.name = name;
+    if (params !== undefined) search.params = jobSearch.normalizeSearchParams(params);
+    if (alerts !== undefined) {
+      const frequencyChanged = alerts.frequency && alerts.frequency !== search.alerts.frequency;
+      search.alerts = { ...search.toObject().alerts, ...pickAlerts(alerts) };
+      if (frequencyChanged) search.scheduleNextRun(search.lastRunAt || new Date());
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: { search }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a saved search with this name'
+      });
+    }
+    console.error('Saved search update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved search',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/searches/:userId/:searchId/results
+ * Run a saved search now and return the current results without touching alert state
+ */
+router.get('/:userId/:searchId/results', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20, sortBy = 'postedDate' } = req.query;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const search = await findSearch(req.params);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const criteria = jobSearch.buildSearchCriteria(search.toObject().params);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [jobs, totalJobs] = await Promise.all([
+      Job.find(criteria)
+        .sort(jobSearch.buildSortCriteria(sortBy))
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Job.countDocuments(criteria)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        search,
+        jobs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalJobs / parseInt(limit)),
+          totalJobs
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Saved search results error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run saved search',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/searches/:userId/:searchId/run
+ * Check a saved search for new matches now instead of waiting for the scheduler
+ */
+router.post('/:userId/:searchId/run', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const search = await findSearch(req.params);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const { matches, notification } = await savedSearchScheduler.runSavedSearch(search);
+
+    res.status(200).json({
+      success: true,
+      message: matches.length > 0
+        ? `${matches.length} new ${matches.length === 1 ? 'job' : 'jobs'} since the last check`
+        : 'No new jobs since the last check',
+      data: {
+        search,
+        newJobs: matches,
+        notification
+      }
+    });
+
+  } catch (error) {
+    console.error('Saved search run error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run saved search',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/jobs/searches/:userId/:searchId
+ * Delete a saved search and stop its alerts
+ */
+router.delete('/:userId/:searchId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const search = await findSearch(req.params);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    await search.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    console.error('Saved search deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved search',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function findSearch({ userId, searchId }) {
+  if (!mongoose.Types.ObjectId.isValid(searchId)) return null;
+  return SavedSearch.findOne({ _id: searchId, userId });
+}
+
+function validateSearch({ name, params, alerts }, isNew) {
+  if (isNew || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'A name is required';
+    if (name.trim().length > 100) return 'Name must be 100 characters or fewer';
+  }
+
+  if (params !== undefined) {
+    if (typeof params !== 'object' || params === null) return 'params must be an object';
+    if (Object.keys(jobSearch.normalizeSearchParams(params)).length === 0) {
+      return `At least one search parameter is required: ${jobSearch.SEARCH_PARAMS.join(', ')}`;
+    }
+  }
+
+  if (alerts?.frequency && !SavedSearch.ALERT_FREQUENCIES.includes(alerts.frequency)) {
+    return `Invalid alert frequency. Available: ${SavedSearch.ALERT_FREQUENCIES.join(', ')}`;
+  }
+
+  return null;
+}
+
+function pickAlerts(alerts = {}) {
+  const picked = {};
+  if (alerts.enabled !== undefined) picked.enabled = !!alerts.enabled;
+  if (alerts.frequency !== undefined) picked.frequency = alerts.frequency;
+  if (alerts.emailDigest !== undefined) picked.emailDigest = !!alerts.emailDigest;
+  return picked;
+}
+
+module.exports = router;
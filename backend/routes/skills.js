@@ -0,0 +1,90 @@
+const express = require('express');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const router = express.Router();
+
+const MAX_SUGGESTIONS = 25;
+const MAX_NORMALIZE_NAMES = 100;
+
+/**
+ * GET /api/skills/suggest
+ * Autocomplete known skills by prefix, alias or near-miss spelling
+ * Query: { q, limit?, includeCategories? }
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q = '', limit = 10, includeCategories } = req.query;
+
+    const suggestions = skillTaxonomy.suggestSkills(q, {
+      limit: Math.min(parseInt(limit) || 10, MAX_SUGGESTIONS),
+      includeCategories: includeCategories === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        suggestions
+      }
+    });
+
+  } catch (error) {
+    console.error('Skill suggestion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suggest skills',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/skills/normalize
+ * Map free-text skill names to their canonical taxonomy names
+ * Body: { names: ['js', 'node', ...] }
+ */
+router.post('/normalize', async (req, res) => {
+  try {
+    const { names } = req.body;
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'names must be a non-empty array'
+      });
+    }
+
+    if (names.length > MAX_NORMALIZE_NAMES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_NORMALIZE_NAMES} names can be normalized at once`
+      });
+    }
+
+    const skills = names.map(input => {
+      const skill = skillTaxonomy.resolveSkill(input);
+      return {
+        input,
+        name: skillTaxonomy.canonicalSkillName(input),
+        id: skill ? skill.id : null,
+        known: !!skill,
+        // Closest known skill for names the taxonomy doesn't recognize
+        suggestion: skill ? null : skillTaxonomy.suggestSkills(input, { limit: 1 })[0] || null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { skills }
+    });
+
+  } catch (error) {
+    console.error('Skill normalization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to normalize skills',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
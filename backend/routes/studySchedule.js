@@ -0,0 +1,356 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StudySchedule = require('../models/StudySchedule');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const studyScheduler = require('../services/studyScheduler');
+const icalendar = require('../services/icalendar');
+const router = express.Router();
+
+// Calendar apps are asked to re-fetch the feed this often
+const FEED_REFRESH_HOURS = 6;
+
+/**
+ * GET /api/study-schedule/feed/:token.ics
+ * Subscribable calendar feed; the token in the URL stands in for a login
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const schedule = await StudySchedule.findOne({ feedToken: req.params.token });
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
+
+    const user = await User.findById(schedule.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
+
+    // Rebalances missed sessions so subscribers see the current plan
+    const current = await studyScheduler.syncSchedule(user._id, { user });
+    sendCalendar(res, current, user, { inline: true });
+
+  } catch (error) {
+    console.error('Study calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/study-schedule/:userId
+ * Get the user's study schedule, rebalanced first if sessions were missed or their inputs changed
+ */
+router.get('/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const schedule = await studyScheduler.syncSchedule(userId, { user });
+
+    res.status(200).json({
+      success: true,
+      data: scheduleResponse(schedule, user, req)
+    });
+
+  } catch (error) {
+    console.error('Study schedule retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve study schedule',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/study-schedule/:userId/availability
+ * Replace the user's weekly study windows and time zone, then rebuild the schedule
+ * Body: { slots: [{ day: 0-6, start: 'HH:MM', end: 'HH:MM' }], timezone?, weeklyHours? }
+ */
+router.put('/:userId/availability', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { slots, timezone, weeklyHours } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const validationError = studyScheduler.validateAvailability(slots);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (timezone !== undefined && !studyScheduler.isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: 'timezone must be an IANA time zone such as Europe/Berlin' });
+    }
+    if (weeklyHours !== undefined) {
+      const hours = Number(weeklyHours);
+      if (!Number.isFinite(hours) || hours < 1 || hours > 80) {
+        return res.status(400).json({ success: false, error: 'weeklyHours must be a number between 1 and 80' });
+      }
+    }
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    user.learningPreferences.availability = slots.map(slot => ({
+      day: Number(slot.day),
+      start: slot.start,
+      end: slot.end
+    }));
+    if (timezone !== undefined) user.learningPreferences.timezone = timezone;
+    if (weeklyHours !== undefined) user.learningPreferences.weeklyStudyHours = Number(weeklyHours);
+    await user.save();
+
+    const schedule = await studyScheduler.syncSchedule(userId, { user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated and schedule rebalanced',
+      data: scheduleResponse(schedule, user, req)
+    });
+
+  } catch (error) {
+    console.error('Study availability update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update availability',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/study-schedule/:userId/rebuild
+ * Rebuild the schedule now, optionally over a different number of weeks
+ * Body: { horizonWeeks? }
+ */
+router.post('/:userId/rebuild', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { horizonWeeks } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (horizonWeeks !== undefined) {
+      const weeks = Number(horizonWeeks);
+      if (!Number.isInteger(weeks) || weeks < 1 || weeks > 26) {
+        return res.status(400).json({ success: false, error: 'horizonWeeks must be a whole number between 1 and 26' });
+      }
+    }
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const schedule = await StudySchedule.findOne({ userId }) || new StudySchedule({ userId });
+    await studyScheduler.rebuildSchedule(schedule, user, {
+      horizonWeeks: horizonWeeks !== undefined ? Number(horizonWeeks) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Study schedule rebuilt',
+      data: scheduleResponse(schedule, user, req)
+    });
+
+  } catch (error) {
+    console.error('Study schedule rebuild error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild study schedule',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/study-schedule/:userId/sessions/:sessionId
+ * Mark a session completed, missed or skipped; missed work is moved to later slots
+ * Body: { status: 'completed' | 'missed' | 'skipped' }
+ */
+router.patch('/:userId/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const { status } = req.body;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    if (!['completed', 'missed', 'skipped'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Status must be completed, missed or skipped' });
+    }
+
+    const [schedule, user] = await Promise.all([
+      StudySchedule.findOne({ userId }),
+      User.findById(userId).select('-password')
+    ]);
+    const session = schedule && mongoose.Types.ObjectId.isValid(sessionId) ? schedule.sessions.id(sessionId) : null;
+    if (!session || !user) {
+      return res.status(404).json({ success: false, error: 'Study session not found' });
+    }
+    if (status === 'missed' && session.start > new Date()) {
+      return res.status(400).json({ success: false, error: 'A session that has not started yet cannot be missed' });
+    }
+
+    session.status = status;
+    session.completedAt = status === 'completed' ? new Date() : undefined;
+    await studyScheduler.rebuildSchedule(schedule, user);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'completed' ? 'Session completed' : 'Session updated and schedule rebalanced',
+      data: scheduleResponse(schedule, user, req)
+    });
+
+  } catch (error) {
+    console.error('Study session update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update study session',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/study-schedule/:userId/calendar.ics
+ * Download the schedule as an iCalendar file
+ */
+router.get('/:userId/calendar.ics', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const schedule = await studyScheduler.syncSchedule(userId, { user });
+    sendCalendar(res, schedule, user, { inline: false });
+
+  } catch (error) {
+    console.error('Study calendar export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export study calendar',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/study-schedule/:userId/feed-token
+ * Issue a new subscription link; the old one stops working
+ */
+router.post('/:userId/feed-token', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const schedule = await StudySchedule.findOne({ userId });
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'No study schedule yet' });
+    }
+
+    schedule.rotateFeedToken();
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription link reset',
+      data: { feedUrl: feedUrl(req, schedule) }
+    });
+
+  } catch (error) {
+    console.error('Study feed token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset subscription link',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function scheduleResponse(schedule, user, req) {
+  const preferences = user.learningPreferences || {};
+  const { feedToken, ...rest } = schedule.toObject();
+  return {
+    schedule: rest,
+    availability: preferences.availability || [],
+    timezone: preferences.timezone || 'UTC',
+    weeklyHours: preferences.weeklyStudyHours,
+    feedUrl: feedUrl(req, schedule)
+  };
+}
+
+function feedUrl(req, schedule) {
+  return `${req.protocol}://${req.get('host')}/api/study-schedule/feed/${schedule.feedToken}.ics`;
+}
+
+function sendCalendar(res, schedule, user, { inline }) {
+  const events = schedule.sessions
+    .filter(session => session.status !== 'skipped')
+    .map(session => ({
+      uid: `${session._id}@study-schedule.disha-ai`,
+      start: session.start,
+      end: session.end,
+      summary: session.parts > 1
+        ? `Study: ${session.title} (part ${session.part} of ${session.parts})`
+        : `Study: ${session.title}`,
+      description: sessionDescription(session),
+      url: session.url,
+      sequence: session.sequence,
+      status: session.status === 'missed' ? 'CANCELLED' : 'CONFIRMED',
+      categories: [session.kind === 'course_module' ? 'Course' : 'Career goal']
+    }));
+
+  const body = icalendar.buildCalendar({
+    name: `${user.firstName}'s study schedule`,
+    description: 'Course modules and goal milestones from Disha AI',
+    refreshHours: FEED_REFRESH_HOURS,
+    events
+  });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (!inline) res.set('Content-Disposition', 'attachment; filename="study-schedule.ics"');
+  res.status(200).send(body);
+}
+
+function sessionDescription(session) {
+  const lines = [`${session.durationMinutes} minutes`];
+  if (session.deadline) lines.push(`Due by ${session.deadline.toISOString().slice(0, 10)}`);
+  if (session.status === 'completed') lines.push('Completed');
+  if (session.status === 'missed') lines.push('Missed; this work has been moved to a later session');
+  if (session.url) lines.push(session.url);
+  return lines.join('\n');
+}
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const xapiAuth = require('../middleware/xapiAuth');
+const xapi = require('../services/xapi');
+const router = express.Router();
+
+// Every response carries the LRS version; every request except /about must name one
+router.use((req, res, next) => {
+  res.set('X-Experience-API-Version', xapi.XAPI_VERSION);
+  if (req.path === '/about') return next();
+
+  const version = req.header('X-Experience-API-Version');
+  if (!version || !/^1\.0(\.\d+)?$/.test(version)) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Experience-API-Version header must be 1.0.x'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/xapi/about
+ * LRS information, as learning tools probe it before sending statements
+ */
+router.get('/about', (req, res) => {
+  res.status(200).json({ version: [xapi.XAPI_VERSION] });
+});
+
+/**
+ * POST /api/xapi/statements
+ * Store one statement or an array of them; responds with their ids
+ * completed, passed and progressed statements update the learner's course progress
+ */
+router.post('/statements', xapiAuth, async (req, res) => {
+  try {
+    const statements = Array.isArray(req.body) ? req.body : [req.body];
+    const badRequest = checkBatch(statements);
+    if (badRequest) {
+      return res.status(400).json({ success: false, error: badRequest });
+    }
+
+    const outcome = await xapi.storeStatements(statements, req.xapiAuthority);
+    const refused = refusal(outcome);
+    if (refused) {
+      return res.status(refused.status).json({ success: false, error: refused.error });
+    }
+
+    res.status(200).json(outcome.statementIds);
+
+  } catch (error) {
+    console.error('xAPI statement storage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store statements',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/xapi/statements?statementId=<uuid>
+ * Store a single statement under the given id
+ */
+router.put('/statements', xapiAuth, async (req, res) => {
+  try {
+    const { statementId } = req.query;
+
+    if (!statementId) {
+      return res.status(400).json({ success: false, error: 'statementId query parameter is required' });
+    }
+    if (req.body?.id && String(req.body.id).toLowerCase() !== String(statementId).toLowerCase()) {
+      return res.status(400).json({ success: false, error: 'Statement id does not match statementId' });
+    }
+
+    const statement = { ...req.body, id: statementId };
+    const badRequest = checkBatch([statement]);
+    if (badRequest) {
+      return res.status(400).json({ success: false, error: badRequest });
+    }
+
+    const outcome = await xapi.storeStatements([statement], req.xapiAuthority);
+    const refused = refusal(outcome);
+    if (refused) {
+      return res.status(refused.status).json({ success: false, error: refused.error });
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('xAPI statement storage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store statement',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/xapi/statements
+ * Fetch one statement by statementId, or the latest ones filtered by verb, activity, since and until
+ */
+router.get('/statements', xapiAuth, async (req, res) => {
+  try {
+    const { statementId, verb, activity, since, until, limit } = req.query;
+
+    if ([since, until].some(value => value && Number.isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ success: false, error: 'since and until must be ISO 8601 dates' });
+    }
+
+    const found = await xapi.queryStatements(req.xapiAuthority, { statementId, verb, activity, since, until, limit });
+
+    if (statementId) {
+      if (!found.statement) {
+        return res.status(404).json({ success: false, error: 'Statement not found' });
+      }
+      return res.status(200).json(found.statement);
+    }
+
+    res.status(200).json({ statements: found.statements, more: '' });
+
+  } catch (error) {
+    console.error('xAPI statement query error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve statements',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Helper functions
+
+function checkBatch(statements) {
+  if (statements.length === 0) return 'No statements were sent';
+  if (statements.length > 100) return 'At most 100 statements can be sent at once';
+
+  for (let i = 0; i < statements.length; i++) {
+    const errors = xapi.validateStatement(statements[i]);
+    if (errors.length > 0) {
+      return statements.length > 1 ? `Statement ${i}: ${errors.join('; ')}` : errors.join('; ');
+    }
+  }
+
+  const ids = statements.filter(statement => statement.id).map(statement => String(statement.id).toLowerCase());
+  if (new Set(ids).size !== ids.length) return 'Statement ids must be unique within a batch';
+  return null;
+}
+
+function refusal(outcome) {
+  if (outcome.conflicts) {
+    return { status: 409, error: `A different statement already exists with id ${outcome.conflicts.join(', ')}` };
+  }
+  if (outcome.forbidden) {
+    return { status: 403, error: 'Statements can only be sent about your own account' };
+  }
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+/**
+ * Merge duplicate job postings across the whole Job collection
+ *
+ * Usage: node scripts/dedupeJobs.js
+ *
+ * Ingestion already checks each new posting; run this after changing the
+ * matching rules or importing jobs by other means.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jobDeduplication = require('../services/jobDeduplication');
+
+main().catch(error => {
+  console.error('Deduplication failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  const { scanned, merged } = await jobDeduplication.deduplicateAll();
+  console.log(`Scanned ${scanned} listings, merged ${merged} duplicates`);
+}
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/**
+ * Close expired job postings and flag stale ones
+ *
+ * Usage: node scripts/expireJobs.js [--stale-days 14]
+ *
+ * The API runs this sweep on a timer; use the script when the sweeper is
+ * turned off (JOB_EXPIRY_SWEEPER=off) or to run it on demand.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jobExpirySweeper = require('../services/jobExpirySweeper');
+
+main().catch(error => {
+  console.error('Expiry sweep failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  const staleDaysIndex = process.argv.indexOf('--stale-days');
+  const windowDays = staleDaysIndex > -1 ? parseFloat(process.argv[staleDaysIndex + 1]) : undefined;
+  if (windowDays !== undefined && !(windowDays > 0)) {
+    throw new Error('--stale-days must be a positive number');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  const summary = await jobExpirySweeper.runExpirySweep({ windowDays });
+  console.log(`Expired ${summary.expired} postings, notified ${summary.notified} users`);
+  console.log(`Flagged ${summary.flagged} stale postings, cleared ${summary.cleared}`);
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Import a course catalog from a provider export
+ *
+ * Usage:
+ *   node scripts/importCourses.js --adapter <jsonld|csv|json> (--url <url> | --file <path>)
+ *     [--provider Coursera] [--metrics-only] [--category Technology] [--difficulty Beginner]
+ *     [--pricing free|paid|subscription] [--currency USD] [--hours-per-week 5]
+ *     [--records-path catalog.entries] [--delimiter ";"] [--name "Weekly Coursera export"] [--dry-run]
+ *
+ * Connects to MONGODB_URI, runs the import and prints the run summary.
+ * With --metrics-only, only ratings, enrollment counts and content freshness
+ * of courses already in the catalog are refreshed.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const courseImport = require('../services/courseImport');
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || !args.adapter || (!args.url && !args.file)) {
+  console.log('Usage: node scripts/importCourses.js --adapter <name> (--url <url> | --file <path>) [options]');
+  console.log('\nAdapters:');
+  courseImport.listAdapters().forEach(adapter => console.log(`  ${adapter.name.padEnd(8)} ${adapter.description}`));
+  console.log('\nOptions: --provider --metrics-only --category --difficulty --pricing --currency --hours-per-week');
+  console.log('         --records-path --delimiter --name --dry-run');
+  process.exit(args.help ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Course import failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  const run = await courseImport.runCourseImport({
+    adapter: args.adapter,
+    url: args.url,
+    file: args.file,
+    provider: args.provider,
+    mode: args['metrics-only'] ? 'metrics' : 'full',
+    name: args.name,
+    dryRun: !!args['dry-run'],
+    defaults: {
+      category: args.category,
+      difficulty: args.difficulty,
+      pricingType: args.pricing,
+      currency: args.currency,
+      hoursPerWeek: parseFloat(args['hours-per-week']) || undefined
+    },
+    adapterOptions: {
+      recordsPath: args['records-path'],
+      delimiter: args.delimiter
+    }
+  });
+
+  const { counts } = run;
+  console.log(`Run ${run.dryRun ? '(dry run) ' : ''}${run.status}: ${counts.received} received, ` +
+    `${counts.created} created, ${counts.updated} updated, ${counts.refreshed} refreshed, ` +
+    `${counts.unchanged} unchanged, ${counts.rejected} rejected`);
+
+  run.rejections.forEach(rejection => {
+    console.log(`  #${rejection.index} ${rejection.title || rejection.providerCourseId || ''}: ${rejection.reasons.join('; ')}`);
+  });
+  if (run.error) console.error(`Error: ${run.error}`);
+  if (run.status === 'failed') process.exitCode = 1;
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
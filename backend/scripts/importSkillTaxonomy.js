@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Import a skill taxonomy file and re-normalize stored skills against it
+ *
+ * Usage: node scripts/importSkillTaxonomy.js <file.json> [--dry-run]
+ *
+ * The file is validated, copied over the taxonomy the API loads
+ * (data/skillTaxonomy.json, or SKILL_TAXONOMY_FILE), and every profile, job,
+ * course and certification skill is rewritten to its canonical name and id.
+ * With --dry-run nothing is written; the counts show what would change.
+ * Restart the API afterwards so it picks up the new taxonomy.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Course = require('../models/Course');
+const Certification = require('../models/Certification');
+
+// Skill arrays to re-normalize on each model
+const SKILL_FIELDS = [
+  { model: User, fields: ['skills'] },
+  { model: Job, fields: ['requiredSkills', 'preferredSkills'] },
+  { model: Course, fields: ['skillsTaught'] },
+  { model: Certification, fields: ['skillsValidated'] }
+];
+
+main().catch(error => {
+  console.error('Taxonomy import failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    throw new Error('Usage: node scripts/importSkillTaxonomy.js <file.json> [--dry-run]');
+  }
+
+  // Throws with the first few problems if the file isn't a usable taxonomy
+  const { version, skillCount } = skillTaxonomy.loadTaxonomy(path.resolve(file));
+  console.log(`Loaded taxonomy version ${version} with ${skillCount} skills`);
+
+  const target = process.env.SKILL_TAXONOMY_FILE || skillTaxonomy.DEFAULT_TAXONOMY_FILE;
+  if (!dryRun && path.resolve(file) !== path.resolve(target)) {
+    fs.copyFileSync(path.resolve(file), target);
+    console.log(`Copied to ${target}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  for (const { model, fields } of SKILL_FIELDS) {
+    let scanned = 0;
+    let changed = 0;
+    const cursor = model.find({}).select(fields.join(' ')).cursor();
+    for await (const doc of cursor) {
+      scanned += 1;
+      fields.forEach(field => skillTaxonomy.normalizeSkillEntries(doc[field]));
+      if (!doc.isModified()) continue;
+      changed += 1;
+      // Only the skill arrays are loaded, so skip full-document validation
+      if (!dryRun) await doc.save({ validateBeforeSave: false });
+    }
+    console.log(`${model.modelName}: ${changed} of ${scanned} ${dryRun ? 'would change' : 'updated'}`);
+  }
+}
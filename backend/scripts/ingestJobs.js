@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Ingest job postings from a feed or file
+ *
+ * Usage:
+ *   node scripts/ingestJobs.js --adapter <jsonld|rss|csv|json> (--url <url> | --file <path>)
+ *     [--platform Indeed] [--country US] [--industry Technology] [--company "Acme"]
+ *     [--currency USD] [--records-path data.items] [--delimiter ";"] [--name "Nightly feed"] [--dry-run]
+ *
+ * Connects to MONGODB_URI, runs the ingestion and prints the run summary.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ingestion = require('../services/ingestion');
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || !args.adapter || (!args.url && !args.file)) {
+  console.log('Usage: node scripts/ingestJobs.js --adapter <name> (--url <url> | --file <path>) [options]');
+  console.log('\nAdapters:');
+  ingestion.listAdapters().forEach(adapter => console.log(`  ${adapter.name.padEnd(8)} ${adapter.description}`));
+  console.log('\nOptions: --platform --country --industry --company --currency --records-path --delimiter --name --dry-run');
+  process.exit(args.help ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Ingestion failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  const run = await ingestion.runIngestion({
+    adapter: args.adapter,
+    url: args.url,
+    file: args.file,
+    platform: args.platform,
+    name: args.name,
+    dryRun: !!args['dry-run'],
+    defaults: {
+      country: args.country,
+      industry: args.industry,
+      company: args.company,
+      currency: args.currency
+    },
+    adapterOptions: {
+      recordsPath: args['records-path'],
+      delimiter: args.delimiter
+    }
+  });
+
+  const { counts } = run;
+  console.log(`Run ${run.dryRun ? '(dry run) ' : ''}${run.status}: ${counts.received} received, ` +
+    `${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+    `${counts.rejected} rejected, ${counts.merged} merged as duplicates`);
+
+  run.rejections.forEach(rejection => {
+    console.log(`  #${rejection.index} ${rejection.title || rejection.externalId || ''}: ${rejection.reasons.join('; ')}`);
+  });
+  if (run.error) console.error(`Error: ${run.error}`);
+  if (run.status === 'failed') process.exitCode = 1;
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
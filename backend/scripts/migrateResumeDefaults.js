@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Clear the placeholder colors and fonts older resume versions were saved with
+ *
+ * Usage: node scripts/migrateResumeDefaults.js [--dry-run]
+ *
+ * Resume versions used to be stored with the Modern template's colors
+ * (#2563eb / #64748b) and fonts (Inter) whatever template was picked, which
+ * hid every other template's own styling. Versions saved now only store the
+ * colors and fonts a user chose, so run this once to unset the placeholders
+ * on existing versions. With --dry-run nothing is written.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const LEGACY_DEFAULTS = {
+  colors: { primary: '#2563eb', secondary: '#64748b' },
+  fonts: { heading: 'Inter', body: 'Inter' }
+};
+
+main().catch(error => {
+  console.error('Resume defaults migration failed:', error.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.disconnect());
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai');
+
+  for (const [field, defaults] of Object.entries(LEGACY_DEFAULTS)) {
+    const match = Object.fromEntries(Object.entries(defaults).map(([key, value]) => [`customizations.${field}.${key}`, value]));
+
+    if (dryRun) {
+      const users = await User.countDocuments({ resumeVersions: { $elemMatch: match } });
+      console.log(`(dry run) ${users} users have resume versions with placeholder ${field}`);
+      continue;
+    }
+
+    const { modifiedCount } = await User.updateMany(
+      { resumeVersions: { $elemMatch: match } },
+      { $unset: { [`resumeVersions.$[version].customizations.${field}`]: '' } },
+      { arrayFilters: [Object.fromEntries(Object.entries(match).map(([path, value]) => [`version.${path}`, value]))] }
+    );
+    console.log(`Cleared placeholder ${field} from resume versions of ${modifiedCount} users`);
+  }
+}
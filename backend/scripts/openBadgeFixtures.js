@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * Serve Open Badges / verifiable credential fixtures locally and verify them
+ *
+ * Usage:
+ *   node scripts/openBadgeFixtures.js [--email learner@example.com] [--port 4555] [--serve]
+ *
+ * Generates throwaway issuer keys, serves an Open Badges 2.0 issuer profile,
+ * badge class, key, revocation list and hosted assertions plus an Open
+ * Badges 3.0 issuer and status list over plain http, then runs the verifier
+ * against good and bad badges (tampered, wrong recipient, revoked, expired,
+ * wrong origin). Exits non-zero if any outcome differs from the expected
+ * one. With --serve the fixtures stay up, and the printed assertions can be
+ * submitted to POST /api/certifications/verify (start the API with
+ * OPEN_BADGES_ALLOW_HTTP=true so it will fetch from localhost).
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+
+process.env.OPEN_BADGES_ALLOW_HTTP = 'true';
+const openBadges = require('../services/openBadges');
+const { canonicalize, base58Encode, ed25519Multikey } = require('../services/openBadges/signatures');
+const { hashIdentity } = require('../services/openBadges/recipient');
+
+const OB2_CONTEXT = 'https://w3id.org/openbadges/v2';
+const OB3_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+// Status list index that the fixture issuer has flipped to revoked
+const REVOKED_STATUS_INDEX = 7;
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help) {
+  console.log('Usage: node scripts/openBadgeFixtures.js [--email learner@example.com] [--port 4555] [--serve]');
+  process.exit(0);
+}
+
+const documents = new Map();
+const server = http.createServer((req, res) => {
+  const document = documents.get(req.url);
+  if (document === undefined) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: 'Not found' }));
+  }
+  if (document === 410) {
+    res.writeHead(410);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/ld+json' });
+  res.end(JSON.stringify(document));
+});
+
+main().catch(error => {
+  console.error('Open Badges fixtures failed:', error.message);
+  process.exitCode = 1;
+  server.close();
+});
+
+async function main() {
+  const email = args.email || 'learner@example.com';
+  const port = await listen(parseInt(args.port) || (args.serve ? 4555 : 0));
+  const base = `http://localhost:${port}`;
+  const fixtures = buildFixtures(base, email);
+
+  const cases = [
+    ['OB2 hosted, by URL', { url: `${base}/ob2/assertions/hosted` }, 'verified'],
+    ['OB2 hosted, pasted JSON', { credential: JSON.stringify(documents.get('/ob2/assertions/hosted')) }, 'verified'],
+    ['OB2 hosted, other recipient', { url: `${base}/ob2/assertions/hosted` }, 'failed', 'someone.else@example.com'],
+    ['OB2 hosted, revoked', { url: `${base}/ob2/assertions/revoked` }, 'failed'],
+    ['OB2 hosted, gone (410)', { credential: fixtures.goneAssertion }, 'failed'],
+    ['OB2 hosted, expired', { url: `${base}/ob2/assertions/expired` }, 'expired'],
+    ['OB2 hosted, foreign origin', { url: `http://127.0.0.1:${port}/ob2/assertions/foreign` }, 'failed'],
+    ['OB2 signed', { credential: fixtures.signedAssertion }, 'verified'],
+    ['OB2 signed, tampered', { credential: fixtures.tamperedSignedAssertion }, 'failed'],
+    ['OB2 signed, decoded JSON', { credential: fixtures.signedAssertionJson }, 'failed'],
+    ['OB2 signed, on revocation list', { credential: fixtures.revokedSignedAssertion }, 'failed'],
+    ['OB3 Data Integrity', { credential: fixtures.dataIntegrityCredential }, 'verified'],
+    ['OB3 Data Integrity, by URL', { url: `${base}/ob3/credentials/1` }, 'verified'],
+    ['OB3 Data Integrity, tampered', { credential: fixtures.tamperedDataIntegrityCredential }, 'failed'],
+    ['OB3 Data Integrity, other recipient', { credential: fixtures.dataIntegrityCredential }, 'failed', 'someone.else@example.com'],
+    ['OB3 VC-JWT', { credential: fixtures.jwtCredential }, 'verified'],
+    ['OB3 VC-JWT, revoked in status list', { credential: fixtures.revokedJwtCredential }, 'failed'],
+    ['OB3 VC-JWT, key of another issuer', { credential: fixtures.foreignKeyJwtCredential }, 'failed'],
+    ['VC-JWT, did:key issuer', { credential: fixtures.didKeyJwtCredential }, 'verified'],
+    ['VC, RDF cryptosuite', { credential: fixtures.rdfCredential }, 'unsupported']
+  ];
+
+  let mismatches = 0;
+  for (const [label, source, expected, recipientEmail] of cases) {
+    const result = await openBadges.verifyCredential(source, { email: recipientEmail || email });
+    const ok = result.status === expected;
+    if (!ok) mismatches++;
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}: ${result.status}${ok ? '' : ` (expected ${expected})`} - ${result.message}`);
+  }
+  console.log(`\n${cases.length - mismatches}/${cases.length} cases behaved as expected`);
+  if (mismatches > 0) process.exitCode = 1;
+
+  if (!args.serve) {
+    server.close();
+    return;
+  }
+
+  console.log(`\nServing fixtures at ${base} for ${email} (Ctrl+C to stop)`);
+  console.log(`  Hosted OB2 assertion: ${base}/ob2/assertions/hosted`);
+  console.log(`  OB3 credential:       ${base}/ob3/credentials/1`);
+  console.log(`  Signed OB2 assertion: ${fixtures.signedAssertion}`);
+  console.log(`  OB3 VC-JWT:           ${fixtures.jwtCredential}`);
+}
+
+function buildFixtures(base, email) {
+  const salt = crypto.randomBytes(8).toString('hex');
+  const recipient = { type: 'email', hashed: true, salt, identity: hashIdentity(email, salt) };
+  const now = Date.now();
+  const issuedOn = new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const fixtures = {};
+
+  // Open Badges 2.0: RSA-signed issuer with a hosted key and revocation list
+  const ob2Keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ob2Issuer = `${base}/ob2/issuer`;
+  const badgeClass = `${base}/ob2/badges/1`;
+
+  serve('/ob2/issuer', {
+    '@context': OB2_CONTEXT,
+    type: 'Issuer',
+    id: ob2Issuer,
+    name: 'Fixture Academy',
+    url: base,
+    email: 'badges@example.com',
+    publicKey: `${base}/ob2/keys/1`,
+    revocationList: `${base}/ob2/revocations`
+  });
+  serve('/ob2/keys/1', {
+    '@context': OB2_CONTEXT,
+    type: 'CryptographicKey',
+    id: `${base}/ob2/keys/1`,
+    owner: ob2Issuer,
+    publicKeyPem: ob2Keys.publicKey.export({ type: 'spki', format: 'pem' })
+  });
+  serve('/ob2/badges/1', {
+    '@context': OB2_CONTEXT,
+    type: 'BadgeClass',
+    id: badgeClass,
+    name: 'Fixture Cloud Practitioner',
+    description: 'Awarded for passing the fixture cloud exam',
+    image: `${base}/ob2/badges/1/image.png`,
+    criteria: { narrative: 'Pass the exam' },
+    issuer: ob2Issuer
+  });
+
+  const hostedAssertion = (path, extra = {}) => serve(path, {
+    '@context': OB2_CONTEXT,
+    type: 'Assertion',
+    id: `${base}${path}`,
+    recipient,
+    badge: badgeClass,
+    issuedOn,
+    verification: { type: 'hosted' },
+    ...extra
+  });
+  hostedAssertion('/ob2/assertions/hosted');
+  hostedAssertion('/ob2/assertions/revoked', { revoked: true, revocationReason: 'Issued in error' });
+  hostedAssertion('/ob2/assertions/expired', { expires: new Date(now - 24 * 60 * 60 * 1000).toISOString() });
+  // Same badge, but served from a host the issuer does not own
+  documents.set('/ob2/assertions/foreign', {
+    ...documents.get('/ob2/assertions/hosted'),
+    id: `${base.replace('localhost', '127.0.0.1')}/ob2/assertions/foreign`
+  });
+  fixtures.goneAssertion = { ...documents.get('/ob2/assertions/hosted'), id: `${base}/ob2/assertions/gone` };
+  documents.set('/ob2/assertions/gone', 410);
+
+  const signedAssertion = (id) => ({
+    '@context': OB2_CONTEXT,
+    type: 'Assertion',
+    id,
+    recipient,
+    badge: badgeClass,
+    issuedOn,
+    verification: { type: 'signed', creator: `${base}/ob2/keys/1` }
+  });
+  const sign = (payload) => signJws({ alg: 'RS256' }, payload, ob2Keys.privateKey);
+  fixtures.signedAssertion = sign(signedAssertion(`urn:uuid:${crypto.randomUUID()}`));
+  fixtures.signedAssertionJson = JSON.stringify(signedAssertion(`urn:uuid:${crypto.randomUUID()}`));
+  fixtures.tamperedSignedAssertion = tamperJws(fixtures.signedAssertion, payload => ({ ...payload, issuedOn: new Date(now).toISOString() }));
+
+  const revokedId = `urn:uuid:${crypto.randomUUID()}`;
+  fixtures.revokedSignedAssertion = sign(signedAssertion(revokedId));
+  serve('/ob2/revocations', {
+    '@context': OB2_CONTEXT,
+    type: 'RevocationList',
+    id: `${base}/ob2/revocations`,
+    issuer: ob2Issuer,
+    revokedAssertions: [{ id: revokedId, revocationReason: 'Exam result withdrawn' }]
+  });
+
+  // Open Badges 3.0: Ed25519 issuer key listed in the issuer profile, plus a bitstring status list
+  const ob3Keys = crypto.generateKeyPairSync('ed25519');
+  const ob3Issuer = `${base}/ob3/issuer`;
+  const ob3KeyId = `${ob3Issuer}#key-1`;
+  serve('/ob3/issuer', {
+    '@context': OB3_CONTEXT,
+    type: ['Profile'],
+    id: ob3Issuer,
+    name: 'Fixture Institute',
+    verificationMethod: [{
+      id: ob3KeyId,
+      type: 'Multikey',
+      controller: ob3Issuer,
+      publicKeyMultibase: ed25519Multikey(ob3Keys.publicKey)
+    }]
+  });
+
+  const statusBits = Buffer.alloc(16);
+  statusBits[REVOKED_STATUS_INDEX >> 3] |= 0x80 >> (REVOKED_STATUS_INDEX % 8);
+  serve('/ob3/status/1', {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    id: `${base}/ob3/status/1`,
+    issuer: ob3Issuer,
+    validFrom: issuedOn,
+    credentialSubject: {
+      id: `${base}/ob3/status/1#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: 'revocation',
+      encodedList: `u${zlib.gzipSync(statusBits).toString('base64url')}`
+    }
+  });
+
+  const credential = (issuer, statusIndex) => ({
+    '@context': OB3_CONTEXT,
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    issuer: { id: issuer, type: ['Profile'], name: 'Fixture Institute' },
+    validFrom: issuedOn,
+    name: 'Fixture Data Engineer',
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [{ type: 'IdentityObject', identityType: 'emailAddress', hashed: true, salt, identityHash: hashIdentity(email, salt) }],
+      achievement: {
+        id: `${base}/ob3/achievements/1`,
+        type: ['Achievement'],
+        name: 'Fixture Data Engineer',
+        description: 'Built and shipped a fixture data pipeline',
+        criteria: { narrative: 'Complete the capstone' },
+        image: { id: `${base}/ob3/achievements/1/image.png`, type: 'Image' }
+      }
+    },
+    credentialStatus: {
+      id: `${base}/ob3/status/1#${statusIndex}`,
+      type: 'BitstringStatusListEntry',
+      statusPurpose: 'revocation',
+      statusListIndex: String(statusIndex),
+      statusListCredential: `${base}/ob3/status/1`
+    }
+  });
+
+  fixtures.dataIntegrityCredential = addDataIntegrityProof(credential(ob3Issuer, 3), ob3KeyId, ob3Keys.privateKey);
+  serve('/ob3/credentials/1', fixtures.dataIntegrityCredential);
+  fixtures.tamperedDataIntegrityCredential = {
+    ...fixtures.dataIntegrityCredential,
+    credentialSubject: {
+      ...fixtures.dataIntegrityCredential.credentialSubject,
+      achievement: { ...fixtures.dataIntegrityCredential.credentialSubject.achievement, name: 'Fixture Principal Engineer' }
+    }
+  };
+
+  const signVcJwt = (vc, kid, privateKey) => signJws({ alg: 'EdDSA', typ: 'JWT', ...(kid ? { kid } : {}) }, {
+    iss: typeof vc.issuer === 'string' ? vc.issuer : vc.issuer.id,
+    jti: vc.id,
+    nbf: Math.floor(Date.parse(vc.validFrom) / 1000),
+    vc
+  }, privateKey);
+  fixtures.jwtCredential = signVcJwt(credential(ob3Issuer, 4), ob3KeyId, ob3Keys.privateKey);
+  fixtures.revokedJwtCredential = signVcJwt(credential(ob3Issuer, REVOKED_STATUS_INDEX), ob3KeyId, ob3Keys.privateKey);
+
+  // Signed with the Fixture Institute key but claiming a different issuer
+  const { credentialStatus, ...unlisted } = credential(`${base}/ob3/other-issuer`, 5);
+  fixtures.foreignKeyJwtCredential = signVcJwt(unlisted, ob3KeyId, ob3Keys.privateKey);
+
+  // Self-contained issuer: the did:key is the public key, so nothing needs to be served
+  const didKeys = crypto.generateKeyPairSync('ed25519');
+  const didKey = `did:key:${ed25519Multikey(didKeys.publicKey)}`;
+  const { credentialStatus: ignoredStatus, ...didKeyCredential } = credential(didKey, 6);
+  fixtures.didKeyJwtCredential = signVcJwt(didKeyCredential, null, didKeys.privateKey);
+
+  fixtures.rdfCredential = {
+    ...fixtures.dataIntegrityCredential,
+    proof: { ...fixtures.dataIntegrityCredential.proof, cryptosuite: 'eddsa-rdfc-2022' }
+  };
+
+  return fixtures;
+}
+
+// Signing helpers
+
+function signJws(header, payload, privateKey) {
+  const signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const hash = header.alg === 'EdDSA' ? null : 'sha256';
+  return `${signingInput}.${crypto.sign(hash, Buffer.from(signingInput), privateKey).toString('base64url')}`;
+}
+
+function tamperJws(compact, change) {
+  const [header, payload, signature] = compact.split('.');
+  const changed = change(JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')));
+  return `${header}.${base64Url(JSON.stringify(changed))}.${signature}`;
+}
+
+// eddsa-jcs-2022, mirroring the verifier
+function addDataIntegrityProof(document, verificationMethod, privateKey) {
+  const proofOptions = {
+    type: 'DataIntegrityProof',
+    cryptosuite: 'eddsa-jcs-2022',
+    created: new Date().toISOString(),
+    verificationMethod,
+    proofPurpose: 'assertionMethod'
+  };
+  const hashData = Buffer.concat([
+    sha256(canonicalize({ ...proofOptions, '@context': document['@context'] })),
+    sha256(canonicalize(document))
+  ]);
+  const proofValue = `z${base58Encode(crypto.sign(null, hashData, privateKey))}`;
+  return { ...document, proof: { ...proofOptions, proofValue } };
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function base64Url(text) {
+  return Buffer.from(text).toString('base64url');
+}
+
+// Server helpers
+
+function serve(path, document) {
+  documents.set(path, document);
+  return document;
+}
+
+function listen(port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(server.address().port));
+  });
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
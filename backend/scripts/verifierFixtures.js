@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Run the certification verifiers against recorded HTTP fixtures
+ *
+ * Usage:
+ *   node scripts/verifierFixtures.js [--provider Amazon]
+ *   node scripts/verifierFixtures.js --record --provider Amazon --case "<case name>"
+ *
+ * Each adapter in services/certificationVerifiers/adapters has a fixture
+ * file in services/certificationVerifiers/fixtures holding cases: a
+ * certification, the user who submitted it, the expected status and the
+ * HTTP exchanges the check makes. Cases are replayed offline; a request with
+ * no recording fails the case. The shipped exchanges are minimal responses
+ * in the recorded format. --record runs one case against the live provider
+ * (put a real certificate and its holder in the case first) and saves the
+ * traffic as that case's exchanges.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const certificationVerifiers = require('../services/certificationVerifiers');
+const { createReplayFetch, createRecordingFetch } = require('../services/certificationVerifiers/httpFixtures');
+
+const FIXTURES_DIR = path.join(__dirname, '../services/certificationVerifiers/fixtures');
+const ADAPTERS_DIR = path.join(__dirname, '../services/certificationVerifiers/adapters');
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || (args.record && (!args.provider || !args.case))) {
+  console.log('Usage: node scripts/verifierFixtures.js [--provider <name>] [--record --provider <name> --case <name>]');
+  process.exit(args.help ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Verifier fixtures failed:', error.message);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const files = (await fs.readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+  const fixtures = [];
+  for (const file of files) {
+    const fixture = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, file), 'utf8'));
+    if (!args.provider || fixture.provider === args.provider) fixtures.push({ file, ...fixture });
+  }
+  if (fixtures.length === 0) throw new Error(`No fixtures for ${args.provider || 'any provider'}`);
+
+  if (args.record) return record(fixtures[0]);
+
+  let total = 0;
+  let mismatches = 0;
+  for (const fixture of fixtures) {
+    console.log(`${fixture.provider} (${fixture.file})`);
+    for (const testCase of fixture.cases) {
+      const result = await certificationVerifiers.verifyCertification(
+        { provider: fixture.provider, ...testCase.certification },
+        {
+          user: withFullName(testCase.user),
+          fetchImpl: createReplayFetch(testCase.exchanges),
+          now: testCase.now ? new Date(testCase.now) : undefined
+        }
+      );
+      total++;
+      const ok = result.status === testCase.expect;
+      if (!ok) mismatches++;
+      console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${testCase.name}: ${result.status}` +
+        `${ok ? '' : ` (expected ${testCase.expect})`} - ${result.message}`);
+    }
+  }
+
+  // Every adapter should have recordings
+  let uncovered = 0;
+  if (!args.provider) {
+    const covered = new Set(fixtures.map(fixture => fixture.provider));
+    for (const file of await fs.readdir(ADAPTERS_DIR)) {
+      const adapter = require(path.join(ADAPTERS_DIR, file));
+      if (!covered.has(adapter.provider)) {
+        console.log(`No fixtures for ${adapter.provider} (${file})`);
+        uncovered++;
+      }
+    }
+  }
+
+  console.log(`\n${total - mismatches}/${total} cases behaved as expected`);
+  if (mismatches > 0 || uncovered > 0) process.exitCode = 1;
+}
+
+async function record(fixture) {
+  const testCase = fixture.cases.find(candidate => candidate.name === args.case);
+  if (!testCase) throw new Error(`${fixture.file} has no case named "${args.case}"`);
+
+  const exchanges = [];
+  const result = await certificationVerifiers.verifyCertification(
+    { provider: fixture.provider, ...testCase.certification },
+    { user: withFullName(testCase.user), fetchImpl: createRecordingFetch(fetch, exchanges) }
+  );
+  testCase.exchanges = exchanges;
+  testCase.expect = result.status;
+
+  const { file, ...contents } = fixture;
+  await fs.writeFile(path.join(FIXTURES_DIR, file), `${JSON.stringify(contents, null, 2)}\n`);
+  console.log(`Recorded ${exchanges.length} exchange(s) for "${testCase.name}": ${result.status} - ${result.message}`);
+}
+
+// Fixture users are plain objects, so the User model's fullName virtual is filled in here
+function withFullName(user = {}) {
+  return { fullName: [user.firstName, user.lastName].filter(Boolean).join(' '), ...user };
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Post sample xAPI statements to a running server, the way an LMS would
+ *
+ * Usage:
+ *   node scripts/xapiHarness.js --course <courseId> --email <learner email>
+ *     [--url http://localhost:5000/api/xapi] [--key lms --secret s3cret | --token <jwt>]
+ *     [--scenario modules|course|all] [--modules 3] [--dry-run]
+ *
+ * Credentials default to the first entry of XAPI_CLIENTS. The `modules`
+ * scenario reports progress on, then completes, each module in turn; `course`
+ * sends a single passed statement for the whole course. After posting, the
+ * statements stored for the course are read back and printed.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+const VERBS = {
+  progressed: 'http://adlnet.gov/expapi/verbs/progressed',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed'
+};
+const PROGRESS_EXTENSION = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.help || !args.course || !args.email) {
+  console.log('Usage: node scripts/xapiHarness.js --course <courseId> --email <learner email> [options]');
+  console.log('\nOptions: --url --key --secret --token --scenario modules|course|all --modules --dry-run');
+  process.exit(args.help ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('xAPI harness failed:', error.message);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const url = String(args.url || `http://localhost:${process.env.PORT || 5000}/api/xapi`).replace(/\/+$/, '');
+  const courseIri = `${new URL(url).origin}/courses/${args.course}`;
+  const statements = buildStatements({
+    courseIri,
+    email: args.email,
+    scenario: args.scenario || 'all',
+    moduleCount: parseInt(args.modules) || 2
+  });
+
+  if (args['dry-run']) {
+    console.log(JSON.stringify(statements, null, 2));
+    return;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': '1.0.3',
+    Authorization: authorizationHeader()
+  };
+
+  const about = await fetch(`${url}/about`);
+  console.log(`LRS at ${url} speaks xAPI ${(await about.json()).version.join(', ')}`);
+
+  // One request per statement, like a learner working through the course
+  for (const statement of statements) {
+    const response = await fetch(`${url}/statements`, { method: 'POST', headers, body: JSON.stringify(statement) });
+    const body = await response.json().catch(() => null);
+    const label = `${statement.verb.display['en-US']} ${statement.object.definition.name['en-US']}`;
+    const progress = statement.result?.extensions?.[PROGRESS_EXTENSION];
+    console.log(`  ${response.status} ${label}${progress !== undefined ? ` (${progress}%)` : ''}` +
+      `${response.ok ? '' : `: ${body?.error || 'request failed'}`}`);
+    if (!response.ok) process.exitCode = 1;
+  }
+
+  // Replaying a statement must not change anything
+  const replay = await fetch(`${url}/statements`, { method: 'POST', headers, body: JSON.stringify(statements[0]) });
+  console.log(`Replayed the first statement: ${replay.status}`);
+
+  const query = new URLSearchParams({ activity: courseIri, limit: '20' });
+  const stored = await fetch(`${url}/statements?${query}`, { headers });
+  const { statements: found = [] } = await stored.json();
+  console.log(`${found.length} statement(s) stored for the course activity itself`);
+}
+
+function buildStatements({ courseIri, email, scenario, moduleCount }) {
+  const actor = { objectType: 'Agent', name: 'xAPI harness learner', mbox: `mailto:${email}` };
+  const course = activity(courseIri, 'Sample course');
+  const start = Date.now() - 60 * 60 * 1000;
+  const statements = [];
+  const add = (verb, object, result, parent) => statements.push({
+    id: crypto.randomUUID(),
+    actor,
+    verb: { id: VERBS[verb], display: { 'en-US': verb } },
+    object,
+    ...(result ? { result } : {}),
+    ...(parent ? { context: { contextActivities: { parent: [parent] } } } : {}),
+    timestamp: new Date(start + statements.length * 60 * 1000).toISOString()
+  });
+
+  if (scenario === 'modules' || scenario === 'all') {
+    for (let index = 0; index < moduleCount; index++) {
+      const module = activity(`${courseIri}/modules/${index}`, `Module ${index + 1}`);
+      add('progressed', module, { extensions: { [PROGRESS_EXTENSION]: 50 } }, course);
+      add('completed', module, { completion: true }, course);
+    }
+  }
+  if (scenario === 'course' || scenario === 'all') {
+    add('passed', course, { success: true, completion: true, score: { scaled: 0.92 } });
+  }
+  return statements;
+}
+
+function activity(id, name) {
+  return { objectType: 'Activity', id, definition: { name: { 'en-US': name } } };
+}
+
+function authorizationHeader() {
+  if (args.token) return `Bearer ${args.token}`;
+
+  const [firstClient] = String(process.env.XAPI_CLIENTS || '').split(',');
+  const separator = (firstClient || '').indexOf(':');
+  const key = args.key || (separator > 0 ? firstClient.slice(0, separator).trim() : '');
+  const secret = args.secret || (separator > 0 ? firstClient.slice(separator + 1).trim() : '');
+  if (!key) throw new Error('Pass --key/--secret or --token, or set XAPI_CLIENTS');
+  return `Basic ${Buffer.from(`${key}:${secret}`).toString('base64')}`;
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      parsed[key] = true;
+    } else {
+      parsed[key] = next;
+      i++;
+    }
+  }
+  return parsed;
+}
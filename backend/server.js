@@ -8,11 +8,24 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const coursesRoutes = require('./routes/courses');
+const courseImportsRoutes = require('./routes/courseImports');
+const courseReviewsRoutes = require('./routes/courseReviews');
+const learningPlansRoutes = require('./routes/learningPlans');
+const learningListsRoutes = require('./routes/learningLists');
+const studyScheduleRoutes = require('./routes/studySchedule');
+const xapiRoutes = require('./routes/xapi');
 const certificationsRoutes = require('./routes/certifications');
 const resumeRoutes = require('./routes/resume');
 const progressRoutes = require('./routes/progress');
 const jobsRoutes = require('./routes/jobs');
+const applicationsRoutes = require('./routes/applications');
+const savedSearchesRoutes = require('./routes/savedSearches');
+const notificationsRoutes = require('./routes/notifications');
+const ingestionRoutes = require('./routes/ingestion');
 const careerGuideRoutes = require('./routes/careerGuide');
+const skillsRoutes = require('./routes/skills');
+const savedSearchScheduler = require('./services/savedSearchScheduler');
+const jobExpirySweeper = require('./services/jobExpirySweeper');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -32,18 +45,39 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/disha-ai'
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Saved search alerts; set JOB_ALERTS_SCHEDULER=off to run them elsewhere
+  if (process.env.JOB_ALERTS_SCHEDULER !== 'off') {
+    savedSearchScheduler.startScheduler();
+  }
+  // Closes postings past their expiry date or deadline; JOB_EXPIRY_SWEEPER=off disables it
+  if (process.env.JOB_EXPIRY_SWEEPER !== 'off') {
+    jobExpirySweeper.startSweeper();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/courses/imports', courseImportsRoutes);
+app.use('/api/courses/:courseId/reviews', courseReviewsRoutes);
 app.use('/api/courses', coursesRoutes);
+app.use('/api/learning-plans', learningPlansRoutes);
+app.use('/api/learning-lists', learningListsRoutes);
+app.use('/api/study-schedule', studyScheduleRoutes);
+app.use('/api/xapi', xapiRoutes);
 app.use('/api/certifications', certificationsRoutes);
 app.use('/api/resume', resumeRoutes);
 app.use('/api/progress', progressRoutes);
+app.use('/api/jobs/applications', applicationsRoutes);
+app.use('/api/jobs/searches', savedSearchesRoutes);
 app.use('/api/jobs', jobsRoutes);
 app.use('/api/career-guide', careerGuideRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/skills', skillsRoutes);
+app.use('/api/ingestion', ingestionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
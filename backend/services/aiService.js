@@ -6,6 +6,11 @@
  * machine learning models, or external APIs.
  */
 
+const path = require('path');
+const resumeParser = require('./resumeParser');
+const atsScorer = require('./atsScorer');
+const skillTaxonomy = require('./skillTaxonomy');
+
 // Dummy data for realistic responses
 const DUMMY_SKILLS = [
   'JavaScript', 'Python', 'React', 'Node.js', 'AWS', 'Docker', 'Kubernetes',
@@ -68,69 +73,22 @@ const DUMMY_JOBS = [
 ];
 
 /**
- * Simulates NLP parsing of a resume file
- * In production, this would use OCR and NLP models to extract structured data
+ * Parses an uploaded resume file
+ * Extracts the text from the stored PDF/DOC/DOCX locally and splits it into
+ * contact info, summary, experience, education and skills
  * 
- * @param {Object} file - Uploaded resume file object
- * @returns {Promise<Object>} Parsed resume data
+ * @param {Object} file - Uploaded resume file object (multer)
+ * @returns {Promise<Object>} Parsed resume data with per-field confidence and source
  */
 const parseResume = async (file) => {
   console.log(`[AI Service] Parsing resume: ${file.originalname}`);
   
-  // Simulate processing delay
-  await new Promise(resolve => setTimeout(resolve, 2000));
-  
-  // Mock parsed data - in production, this would be extracted from the actual file
-  const parsedData = {
-    personalInfo: {
-      name: 'John Doe',
-      email: 'john.doe@email.com',
-      phone: '+1-555-0123',
-      location: 'San Francisco, CA'
-    },
-    summary: 'Experienced software developer with 5+ years in full-stack development, specializing in React and Node.js applications.',
-    skills: [
-      { name: 'JavaScript', level: 'advanced', category: 'technical' },
-      { name: 'React', level: 'advanced', category: 'technical' },
-      { name: 'Node.js', level: 'intermediate', category: 'technical' },
-      { name: 'Python', level: 'intermediate', category: 'technical' },
-      { name: 'Leadership', level: 'intermediate', category: 'soft' }
-    ],
-    experience: [
-      {
-        company: 'Tech Innovations Ltd.',
-        position: 'Senior Frontend Developer',
-        startDate: '2020-01-01',
-        endDate: '2023-12-31',
-        description: 'Led frontend development team, built responsive web applications using React and TypeScript.',
-        technologies: ['React', 'TypeScript', 'Redux', 'CSS3']
-      },
-      {
-        company: 'StartupXYZ',
-        position: 'Full Stack Developer',
-        startDate: '2018-06-01',
-        endDate: '2019-12-31',
-        description: 'Developed full-stack applications using MERN stack, implemented RESTful APIs.',
-        technologies: ['React', 'Node.js', 'MongoDB', 'Express']
-      }
-    ],
-    education: [
-      {
-        institution: 'University of California',
-        degree: 'Bachelor of Science',
-        field: 'Computer Science',
-        startDate: '2014-09-01',
-        endDate: '2018-05-31'
-      }
-    ],
-    confidence: 0.87,
-    warnings: [
-      'Some text sections were unclear and may need manual review',
-      'Work experience dates should be verified'
-    ]
-  };
+  const parsedData = await resumeParser.parseResumeFile(file.path, {
+    format: path.extname(file.originalname || file.path).slice(1),
+    originalName: file.originalname
+  });
   
-  console.log(`[AI Service] Resume parsing completed with ${parsedData.confidence * 100}% confidence`);
+  console.log(`[AI Service] Resume parsing completed with ${Math.round(parsedData.confidence * 100)}% confidence`);
   return parsedData;
 };
 
@@ -149,8 +107,6 @@ const recommendCourses = async (userSkills, careerPath, options = {}) => {
   // Simulate AI processing
   await new Promise(resolve => setTimeout(resolve, 1500));
   
-  const userSkillNames = userSkills.map(skill => skill.name.toLowerCase());
-  
   // Mock recommendation algorithm
   const recommendations = DUMMY_COURSES.map(course => {
     // Calculate relevance based on missing skills and career path
@@ -159,7 +115,7 @@ const recommendCourses = async (userSkills, careerPath, options = {}) => {
     // Boost score if course fills skill gaps
     const courseSkills = ['react', 'aws', 'python', 'javascript', 'node.js'];
     const hasRelevantSkills = courseSkills.some(skill => 
-      userSkillNames.includes(skill) || course.title.toLowerCase().includes(skill)
+      skillTaxonomy.findMatchingSkill(userSkills, skill) || course.title.toLowerCase().includes(skill)
     );
     
     if (hasRelevantSkills) {
@@ -181,60 +137,6 @@ const recommendCourses = async (userSkills, careerPath, options = {}) => {
   return recommendations.slice(0, options.limit || 10);
 };
 
-/**
- * Simulates verification of a certification through external APIs
- * In production, this would make actual API calls to certification providers
- * 
- * @param {String} provider - Certification provider (e.g., 'Microsoft', 'Google')
- * @param {String} certId - Certification ID
- * @param {Object} additionalData - Additional verification data
- * @returns {Promise<Object>} Verification result
- */
-const verifyCertification = async (provider, certId, additionalData = {}) => {
-  console.log(`[AI Service] Verifying certification: ${provider} - ${certId}`);
-  
-  // Simulate API call delay
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  
-  // Mock verification logic - in production, this would make real API calls
-  const isValid = Math.random() > 0.15; // 85% success rate
-  const verificationResult = {
-    isValid,
-    provider,
-    certificationId: certId,
-    status: isValid ? 'verified' : 'failed',
-    verifiedAt: new Date().toISOString(),
-    details: {
-      holderName: additionalData.holderName || 'John Doe',
-      issueDate: additionalData.issueDate || '2023-06-15',
-      expiryDate: additionalData.expiryDate || '2026-06-15',
-      credentialUrl: `https://${provider.toLowerCase()}.com/credentials/${certId}`,
-      skills: generateCertificationSkills(provider),
-      level: determineCertificationLevel(provider, certId)
-    },
-    apiResponse: {
-      responseTime: Math.floor(Math.random() * 2000 + 500),
-      endpoint: `https://api.${provider.toLowerCase()}.com/verify`,
-      statusCode: isValid ? 200 : 404
-    }
-  };
-  
-  if (!isValid) {
-    verificationResult.error = {
-      code: 'CERT_NOT_FOUND',
-      message: 'Certification not found in provider database',
-      suggestions: [
-        'Verify the certification ID is correct',
-        'Check if the certification has expired',
-        'Contact the certification provider directly'
-      ]
-    };
-  }
-  
-  console.log(`[AI Service] Certification verification ${isValid ? 'successful' : 'failed'}`);
-  return verificationResult;
-};
-
 /**
  * Recommends job opportunities based on user's resume and preferences
  * In production, this would use ML models and real job market data
@@ -303,14 +205,13 @@ const analyzeSkillGaps = async (currentSkills, targetRole) => {
   
   // Mock skill gap analysis
   const requiredSkills = getRequiredSkillsForRole(targetRole);
-  const currentSkillNames = currentSkills.map(s => s.name.toLowerCase());
   
   const gaps = requiredSkills.filter(required => 
-    !currentSkillNames.includes(required.name.toLowerCase())
+    !skillTaxonomy.findMatchingSkill(currentSkills, required.name)
   );
   
   const strengths = requiredSkills.filter(required =>
-    currentSkillNames.includes(required.name.toLowerCase())
+    skillTaxonomy.findMatchingSkill(currentSkills, required.name)
   );
   
   return {
@@ -325,43 +226,17 @@ const analyzeSkillGaps = async (currentSkills, targetRole) => {
 };
 
 /**
- * Generates ATS-optimized resume content
+ * Scores a resume against a job description for ATS compatibility
  * 
  * @param {Object} resumeData - User's resume data
- * @param {String} targetJob - Target job description
- * @returns {Promise<Object>} Optimized resume suggestions
+ * @param {String} jobDescription - Target job description
+ * @param {Object} options - { targetJob, resumeText }
+ * @returns {Promise<Object>} ATS score, keyword coverage and optimization suggestions
  */
-const optimizeResumeForATS = async (resumeData, targetJob) => {
-  console.log('[AI Service] Optimizing resume for ATS compatibility');
-  
-  await new Promise(resolve => setTimeout(resolve, 1500));
+const optimizeResumeForATS = async (resumeData, jobDescription, options = {}) => {
+  console.log('[AI Service] Scoring resume for ATS compatibility');
   
-  return {
-    atsScore: Math.floor(Math.random() * 30 + 70), // 70-100
-    optimizations: [
-      {
-        section: 'summary',
-        original: resumeData.summary,
-        suggested: 'Results-driven software developer with 5+ years of experience building scalable web applications using React, Node.js, and cloud technologies.',
-        reason: 'Include specific technologies and quantified experience'
-      },
-      {
-        section: 'skills',
-        suggestions: [
-          'Add specific framework versions (e.g., React 18, Node.js 16)',
-          'Include cloud platforms mentioned in job description',
-          'Add soft skills that appear in job requirements'
-        ]
-      }
-    ],
-    keywordSuggestions: extractKeywordsFromJob(targetJob),
-    formatRecommendations: [
-      'Use standard section headers (Experience, Education, Skills)',
-      'Avoid tables and complex formatting',
-      'Use bullet points for better readability',
-      'Save as .docx format for better ATS compatibility'
-    ]
-  };
+  return atsScorer.scoreResume(resumeData, jobDescription, options);
 };
 
 // Helper functions for generating realistic mock data
@@ -396,28 +271,13 @@ function generateSkillsGained(course) {
   return skillSets[course.title] || ['Problem Solving', 'Critical Thinking'];
 }
 
-function generateCertificationSkills(provider) {
-  const providerSkills = {
-    'Microsoft': ['Azure', 'C#', '.NET', 'PowerBI'],
-    'Google': ['GCP', 'Android', 'TensorFlow', 'Firebase'],
-    'Amazon': ['AWS', 'EC2', 'S3', 'Lambda'],
-    'Cisco': ['Networking', 'Security', 'Routing', 'Switching']
-  };
-  return providerSkills[provider] || ['General IT Skills'];
-}
-
-function determineCertificationLevel(provider, certId) {
-  const levels = ['Associate', 'Professional', 'Expert'];
-  return levels[Math.floor(Math.random() * levels.length)];
-}
-
 function calculateJobMatchScore(job, userSkills, userExperience) {
   const baseScore = 60;
   let score = baseScore;
   
   // Skill matching
   const matchingSkills = job.requiredSkills.filter(required =>
-    userSkills.some(user => user.name.toLowerCase() === required.toLowerCase())
+    skillTaxonomy.findMatchingSkill(userSkills, required)
   );
   score += (matchingSkills.length / job.requiredSkills.length) * 30;
   
@@ -429,17 +289,19 @@ function calculateJobMatchScore(job, userSkills, userExperience) {
 }
 
 function generateMatchReasons(job, userSkills, userExperience) {
-  return [
-    `${Math.floor(Math.random() * 5 + 3)} of your skills match requirements`,
-    'Your experience level aligns with job requirements',
-    'Company culture matches your preferences'
-  ];
+  const matchingSkills = job.requiredSkills.filter(required => skillTaxonomy.findMatchingSkill(userSkills, required));
+  const reasons = [`${matchingSkills.length} of ${job.requiredSkills.length} required skills match your profile`];
+
+  // Same approximation calculateJobMatchScore uses
+  if (userExperience.length * 2 >= 3) {
+    reasons.push('Your experience level aligns with job requirements');
+  }
+  return reasons;
 }
 
 function findMissingSkills(requiredSkills, userSkills) {
-  const userSkillNames = userSkills.map(s => s.name.toLowerCase());
   return requiredSkills.filter(required => 
-    !userSkillNames.includes(required.toLowerCase())
+    !skillTaxonomy.findMatchingSkill(userSkills, required)
   );
 }
 
@@ -512,18 +374,9 @@ function generateLearningPath(skillGaps) {
   }));
 }
 
-function extractKeywordsFromJob(jobDescription) {
-  // Mock keyword extraction
-  return [
-    'React', 'JavaScript', 'Node.js', 'Agile', 'Problem Solving',
-    'Team Collaboration', 'Git', 'Testing', 'Performance Optimization'
-  ];
-}
-
 module.exports = {
   parseResume,
   recommendCourses,
-  verifyCertification,
   recommendJobs,
   analyzeSkillGaps,
   optimizeResumeForATS
@@ -534,9 +387,10 @@ module.exports = {
  * Combines skill gap analysis, curated steps, starter projects, and recommended courses
  *
  * @param {Object} user - Mongoose User document or plain object with user fields
+ * @param {Object} options - { learningPlan } the user's active plan, used for the roadmap when present
  * @returns {Promise<Object>} Career guide payload
  */
-async function generateBeginnerCareerGuide(user) {
+async function generateBeginnerCareerGuide(user, { learningPlan } = {}) {
   const targetRole = user?.targetJobTitle || inferTargetRoleFromInterests(user) || 'Frontend Developer';
   const currentSkills = Array.isArray(user?.skills) ? user.skills : [];
   const experienceLevel = user?.experienceLevel || 'entry';
@@ -545,8 +399,10 @@ async function generateBeginnerCareerGuide(user) {
   const gaps = await analyzeSkillGaps(currentSkills, targetRole);
   const courses = await recommendCourses(currentSkills, targetRole, { limit: 6 });
 
-  // Build phased learning roadmap
-  const roadmap = buildBeginnerRoadmap(targetRole, gaps, courses);
+  // Build phased learning roadmap; a saved learning plan already has a real course order
+  const roadmap = learningPlan
+    ? buildPlanRoadmap(learningPlan)
+    : buildBeginnerRoadmap(targetRole, gaps, courses);
 
   // Starter goals derived from roadmap and gaps
   const starterGoals = buildStarterGoals(targetRole, gaps);
@@ -640,6 +496,27 @@ function buildBeginnerRoadmap(targetRole, gaps, courses) {
   return phases;
 }
 
+function buildPlanRoadmap(learningPlan) {
+  const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+  return learningPlan.steps
+    .filter(step => step.status !== 'skipped')
+    .map(step => ({
+      phase: step.scheduledStart
+        ? `${step.order}. ${step.title} (${formatDate(step.scheduledStart)} – ${formatDate(step.scheduledEnd)})`
+        : `${step.order}. ${step.title}`,
+      focus: step.reason,
+      skills: [...step.skillsCovered, ...step.prerequisitesCovered],
+      actions: step.status === 'completed'
+        ? ['Completed']
+        : [
+          `Study ${step.remainingHours ?? step.hours} hours on ${step.provider || 'the course'}`,
+          'Apply what you learn in a small project',
+        ],
+      status: step.status,
+      recommendedCourses: [{ id: step.courseId, title: step.title, provider: step.provider, url: step.url }],
+    }));
+}
+
 function generateStarterProjects(targetRole) {
   const common = [
     {
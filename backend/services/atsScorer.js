@@ -0,0 +1,409 @@
+/**
+ * ATS Scorer - Deterministic resume scoring against a pasted job description
+ *
+ * Works in three steps: extract weighted keywords and skill phrases from the
+ * job description, match them against the resume's skills, experience and
+ * summary, then report coverage, missing keywords, section problems and a
+ * score. No randomness is involved, so the same input always scores the same.
+ */
+
+const { SECTION_HEADERS, KNOWN_SKILLS, SOFT_SKILLS, detectSectionHeader } = require('./resumeParser');
+
+const SKILL_PHRASES = [
+  ...KNOWN_SKILLS,
+  ...SOFT_SKILLS
+    .filter(soft => !KNOWN_SKILLS.some(skill => skill.toLowerCase() === soft))
+    .map(soft => soft.replace(/\b\w/g, letter => letter.toUpperCase()))
+];
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'being', 'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'etc', 'for', 'from',
+  'has', 'have', 'how', 'if', 'in', 'including', 'into', 'is', 'it', 'its', 'may', 'more', 'most',
+  'must', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over', 'per', 'plus', 'should', 'so',
+  'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'up', 'us', 'using', 'very', 'was', 'we', 'well', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'will', 'with', 'within', 'would', 'you', 'your', 'yours',
+  // Job-posting filler that says nothing about the role
+  'ability', 'able', 'applicant', 'applicants', 'apply', 'benefits', 'candidate', 'candidates',
+  'company', 'environment', 'equal', 'employer', 'excellent', 'experience', 'familiarity', 'good',
+  'great', 'ideal', 'including', 'job', 'join', 'knowledge', 'looking', 'new', 'offer', 'opportunity',
+  'position', 'preferred', 'proficiency', 'proven', 'required', 'requirements', 'responsibilities',
+  'role', 'skills', 'strong', 'team', 'understanding', 'work', 'working', 'years', 'year', 'week',
+  'day', 'days', 'time', 'help', 'like', 'make', 'use', 'want', 'need', 'needs', 'based', 'related'
+]);
+
+// Lines under these headings, or containing these cues, count more or less
+const REQUIRED_CUES = /\b(required|requirements|must|qualifications|what you('|’)ll need|you have|minimum)\b/i;
+const PREFERRED_CUES = /\b(preferred|nice to have|bonus|plus|desirable|ideally)\b/i;
+
+const LINE_WEIGHTS = { required: 1.5, neutral: 1, preferred: 0.6 };
+const TYPE_WEIGHTS = { skill: 3, term: 1 };
+const MAX_KEYWORDS = 25;
+
+// Share of the final score contributed by each component
+const SCORE_WEIGHTS = {
+  keywordMatch: 0.6,
+  skillsSection: 0.15,
+  sections: 0.15,
+  titleMatch: 0.1
+};
+
+const REQUIRED_SECTIONS = ['summary', 'experience', 'education', 'skills'];
+
+/**
+ * Extracts weighted keywords and skill phrases from a job description
+ *
+ * @param {String} jobDescription - Pasted job description text
+ * @returns {Array} [{ keyword, type: 'skill'|'term', weight, occurrences, importance }]
+ */
+const extractJobKeywords = (jobDescription) => {
+  const lines = (jobDescription || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const keywords = new Map();
+  const properNouns = new Map();
+  const add = (keyword, type, lineWeight) => {
+    const key = keyword.toLowerCase();
+    const entry = keywords.get(key) || { keyword, type, weight: 0, occurrences: 0 };
+    if (type === 'skill') entry.type = 'skill';
+    entry.weight += TYPE_WEIGHTS[entry.type] * lineWeight;
+    entry.occurrences += 1;
+    keywords.set(key, entry);
+  };
+
+  let blockWeight = LINE_WEIGHTS.neutral;
+  lines.forEach(line => {
+    // Short lines ending in a colon (or all caps) start a new block, e.g. "Requirements:"
+    if (line.length <= 40 && (/:$/.test(line) || /^[A-Z][A-Z &/']+$/.test(line))) {
+      blockWeight = cueWeight(line, LINE_WEIGHTS.neutral);
+    }
+    const lineWeight = cueWeight(line, blockWeight);
+
+    const skills = SKILL_PHRASES.filter(skill => containsPhrase(line, skill));
+    skills.forEach(skill => add(skill, 'skill', lineWeight));
+
+    // Remove matched skills so their words are not counted again as plain terms
+    const remainder = skills.reduce((text, skill) => text.replace(phrasePattern(skill, 'g'), ' '), line);
+    tokenize(remainder).forEach(token => add(token, 'term', lineWeight));
+
+    // Capitalised words mid-sentence are usually tools or products ("Kafka", "Salesforce")
+    remainder.split(/\s+/).slice(1).forEach(word => {
+      const cleaned = word.replace(/[,;:)]+$/, '');
+      if (/^[A-Z][a-zA-Z0-9+#.]*[a-zA-Z0-9+#]$/.test(cleaned) && tokenize(cleaned).length === 1) {
+        properNouns.set(cleaned.toLowerCase(), cleaned);
+      }
+    });
+  });
+
+  return [...keywords.values()]
+    // A plain word has to come up more than once to count as a keyword
+    .filter(entry => entry.type === 'skill' || entry.occurrences > 1 || properNouns.has(entry.keyword.toLowerCase()))
+    .map(entry => ({
+      ...entry,
+      keyword: properNouns.get(entry.keyword.toLowerCase()) || entry.keyword,
+      weight: round(entry.weight)
+    }))
+    .sort((a, b) => b.weight - a.weight || a.keyword.localeCompare(b.keyword))
+    .slice(0, MAX_KEYWORDS)
+    .map((entry, index, list) => ({
+      ...entry,
+      importance: entry.weight >= list[0].weight * 0.6 ? 'high' : (entry.weight >= list[0].weight * 0.3 ? 'medium' : 'low')
+    }));
+};
+
+/**
+ * Scores resume data against a job description
+ *
+ * @param {Object} resumeData - { personalInfo, headline, summary, skills, experience, education }
+ * @param {String} jobDescription - Pasted job description text
+ * @param {Object} options - { targetJob, resumeText } resumeText enables header checks on the original document
+ * @returns {Object} ATS report with score, coverage, missing keywords and section issues
+ */
+const scoreResume = (resumeData, jobDescription, options = {}) => {
+  const keywords = extractJobKeywords(jobDescription);
+  const sources = buildSearchSources(resumeData);
+
+  const matchedKeywords = [];
+  const missingKeywords = [];
+  keywords.forEach(keyword => {
+    const foundIn = Object.keys(sources).filter(source =>
+      sources[source].some(text => containsPhrase(text, keyword.keyword))
+    );
+    if (foundIn.length > 0) {
+      matchedKeywords.push({ ...keyword, foundIn });
+    } else {
+      missingKeywords.push(keyword);
+    }
+  });
+
+  const totalWeight = keywords.reduce((sum, k) => sum + k.weight, 0);
+  const matchedWeight = matchedKeywords.reduce((sum, k) => sum + k.weight, 0);
+  const skillKeywords = keywords.filter(k => k.type === 'skill');
+  const listedSkills = matchedKeywords.filter(k => k.type === 'skill' && k.foundIn.includes('skills'));
+
+  const sectionIssues = [
+    ...checkProfileSections(resumeData),
+    ...(options.resumeText ? checkSectionHeaders(options.resumeText) : [])
+  ];
+
+  const components = {
+    keywordMatch: totalWeight > 0 ? matchedWeight / totalWeight : 0,
+    skillsSection: skillKeywords.length > 0 ? listedSkills.length / skillKeywords.length : 1,
+    sections: Math.max(0, 1 - sectionIssues.reduce((sum, issue) => sum + (issue.severity === 'error' ? 0.25 : 0.1), 0)),
+    titleMatch: scoreTitleMatch(resumeData, options.targetJob)
+  };
+
+  const scoreBreakdown = Object.keys(SCORE_WEIGHTS).reduce((acc, key) => {
+    acc[key] = {
+      score: Math.round(components[key] * 100),
+      weight: SCORE_WEIGHTS[key],
+      contribution: round(components[key] * SCORE_WEIGHTS[key] * 100)
+    };
+    return acc;
+  }, {});
+
+  const atsScore = Math.round(Object.values(scoreBreakdown).reduce((sum, part) => sum + part.contribution, 0));
+
+  return {
+    atsScore,
+    scoreBreakdown,
+    keywordCoverage: {
+      matched: matchedKeywords.length,
+      total: keywords.length,
+      percentage: keywords.length > 0 ? Math.round((matchedKeywords.length / keywords.length) * 100) : 0,
+      weightedPercentage: Math.round(components.keywordMatch * 100)
+    },
+    matchedKeywords,
+    missingKeywords,
+    sectionIssues,
+    optimizations: buildOptimizations(resumeData, matchedKeywords, missingKeywords),
+    keywordSuggestions: missingKeywords.slice(0, 10).map(k => k.keyword),
+    formatRecommendations: buildFormatRecommendations(sectionIssues)
+  };
+};
+
+// Matching helpers
+
+function buildSearchSources(resumeData) {
+  const experience = resumeData.experience || [];
+  return {
+    skills: (resumeData.skills || []).map(skill => skill.name || ''),
+    experience: experience.flatMap(exp => [
+      exp.position,
+      exp.description,
+      ...(exp.achievements || []),
+      ...(exp.technologies || [])
+    ]).filter(Boolean),
+    summary: [resumeData.summary, resumeData.headline || resumeData.personalInfo?.headline].filter(Boolean)
+  };
+}
+
+function scoreTitleMatch(resumeData, targetJob) {
+  const targetWords = tokenize(targetJob || '');
+  if (targetWords.length === 0) return 1;
+
+  const titles = [
+    resumeData.headline || resumeData.personalInfo?.headline,
+    ...(resumeData.experience || []).map(exp => exp.position)
+  ].filter(Boolean);
+
+  const best = titles.reduce((max, title) => {
+    const words = new Set(tokenize(title));
+    const overlap = targetWords.filter(word => words.has(word)).length / targetWords.length;
+    return Math.max(max, overlap);
+  }, 0);
+
+  return best;
+}
+
+// Section checks
+
+function checkProfileSections(resumeData) {
+  const issues = [];
+  const experience = resumeData.experience || [];
+
+  if (!resumeData.summary) {
+    issues.push({ section: 'summary', severity: 'warning', message: 'Add a professional summary; ATS and recruiters scan it for role keywords' });
+  }
+  if (experience.length === 0) {
+    issues.push({ section: 'experience', severity: 'error', message: 'No work experience entries; most ATS rank candidates by the Experience section' });
+  }
+  if ((resumeData.education || []).length === 0) {
+    issues.push({ section: 'education', severity: 'warning', message: 'No education entries; many ATS filters require an Education section' });
+  }
+  if ((resumeData.skills || []).length === 0) {
+    issues.push({ section: 'skills', severity: 'error', message: 'No skills listed; a dedicated Skills section is where ATS look for exact keyword matches' });
+  }
+
+  const withoutDetail = experience.filter(exp => !exp.description && !(exp.achievements || []).length);
+  if (withoutDetail.length > 0) {
+    issues.push({
+      section: 'experience',
+      severity: 'warning',
+      message: `${withoutDetail.length} experience entr${withoutDetail.length === 1 ? 'y has' : 'ies have'} no description or bullet points to match keywords against`
+    });
+  }
+
+  const contact = resumeData.personalInfo || {};
+  if (!contact.email || !contact.phone) {
+    issues.push({ section: 'contact', severity: 'warning', message: 'Include both an email address and a phone number in the header' });
+  }
+
+  return issues;
+}
+
+function checkSectionHeaders(resumeText) {
+  const issues = [];
+  const found = new Set();
+  const standardHeaders = Object.values(SECTION_HEADERS).flat();
+
+  resumeText.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+    const text = raw.trim();
+    if (!text || text.length > 40) return;
+
+    const section = detectSectionHeader(text);
+    if (section) {
+      found.add(section);
+      return;
+    }
+    // The name and contact block come before the first section
+    if (found.size === 0) return;
+
+    // Looks like a heading but no ATS would recognise it
+    const headingLike = /^[A-Z][A-Z &/'-]+:?$/.test(text) || (/:$/.test(text) && text.split(' ').length <= 4);
+    if (headingLike) {
+      const suggestion = suggestHeader(text, standardHeaders);
+      issues.push({
+        section: 'headers',
+        severity: 'warning',
+        line: index + 1,
+        message: `Non-standard section header "${text.replace(/:$/, '')}"${suggestion ? `; consider "${suggestion}"` : ''}`
+      });
+    }
+  });
+
+  REQUIRED_SECTIONS.filter(section => !found.has(section)).forEach(section => {
+    issues.push({
+      section: 'headers',
+      severity: section === 'summary' ? 'warning' : 'error',
+      message: `No recognisable "${toTitleCase(SECTION_HEADERS[section][0])}" header was found in the resume text`
+    });
+  });
+
+  return issues;
+}
+
+function suggestHeader(text, standardHeaders) {
+  const words = new Set(tokenize(text));
+  const match = standardHeaders.find(header => tokenize(header).some(word => words.has(word)));
+  return match ? toTitleCase(match) : null;
+}
+
+// Suggestions
+
+function buildOptimizations(resumeData, matchedKeywords, missingKeywords) {
+  const optimizations = [];
+  const missingSkills = missingKeywords.filter(k => k.type === 'skill');
+  const unlistedSkills = matchedKeywords.filter(k => k.type === 'skill' && !k.foundIn.includes('skills'));
+  const topMissing = missingKeywords.slice(0, 5).map(k => k.keyword);
+
+  if (unlistedSkills.length > 0) {
+    optimizations.push({
+      section: 'skills',
+      original: null,
+      suggested: unlistedSkills.map(k => k.keyword).join(', '),
+      reason: 'These skills appear in your experience but not in your Skills section, where ATS look for exact matches'
+    });
+  }
+
+  if (missingSkills.length > 0) {
+    optimizations.push({
+      section: 'skills',
+      original: null,
+      suggested: missingSkills.map(k => k.keyword).join(', '),
+      reason: 'The job asks for these skills and they do not appear anywhere in your resume; add them if you have them'
+    });
+  }
+
+  const summaryHits = matchedKeywords.filter(k => k.foundIn.includes('summary'));
+  const highPriority = [...matchedKeywords, ...missingKeywords]
+    .filter(k => k.importance === 'high')
+    .filter(k => !summaryHits.includes(k))
+    .map(k => k.keyword);
+  if (highPriority.length > 0) {
+    optimizations.push({
+      section: 'summary',
+      original: resumeData.summary || null,
+      suggested: `Mention ${highPriority.slice(0, 4).join(', ')} in your summary`,
+      reason: 'The summary should reflect the most important requirements of the posting'
+    });
+  }
+
+  if (topMissing.length > 0 && (resumeData.experience || []).length > 0) {
+    optimizations.push({
+      section: 'experience',
+      original: null,
+      suggested: `Describe work involving ${topMissing.join(', ')} in your experience bullets where accurate`,
+      reason: 'Keywords used in context within experience bullets carry more weight than a bare skills list'
+    });
+  }
+
+  return optimizations;
+}
+
+function buildFormatRecommendations(sectionIssues) {
+  const recommendations = [
+    'Use standard section headers (Summary, Experience, Education, Skills)',
+    'Avoid tables, text boxes and images; many ATS cannot read them',
+    'Use bullet points that start with an action verb'
+  ];
+  if (sectionIssues.some(issue => issue.section === 'headers')) {
+    recommendations.unshift('Rename non-standard section headers so ATS can map your content');
+  }
+  return recommendations;
+}
+
+// Text helpers
+
+function cueWeight(text, fallback) {
+  if (PREFERRED_CUES.test(text)) return LINE_WEIGHTS.preferred;
+  if (REQUIRED_CUES.test(text)) return LINE_WEIGHTS.required;
+  return fallback;
+}
+
+function phrasePattern(phrase, flags = '') {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  // Very short names like "Go" or "R" only count when written with their usual casing
+  const caseFlags = phrase.length <= 2 ? flags : `${flags}i`;
+  return new RegExp(`(^|[^a-zA-Z0-9+#])${escaped}(?=$|[^a-zA-Z0-9+#])`, caseFlags);
+}
+
+function containsPhrase(text, phrase) {
+  return phrasePattern(phrase).test(text || '');
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(token => token.length > 2 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+}
+
+function toTitleCase(text) {
+  return text.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  extractJobKeywords,
+  scoreResume,
+  containsPhrase
+};
@@ -0,0 +1,55 @@
+/**
+ * Background Task - Runs a function on an interval inside the API process
+ *
+ * Ticks never overlap: if a run is still going when the next one is due,
+ * that tick is skipped. Timers are unref'd so they never keep the process
+ * alive on their own.
+ */
+
+/**
+ * Creates a start/stop handle for a recurring task
+ *
+ * @param {string} name - Used as the log prefix
+ * @param {Function} run - Async function doing one pass; may return a summary
+ * @param {Object} options - { intervalMinutes, logSummary(summary) => string|null }
+ * @returns {Object} { start(intervalMinutes?), stop(), runNow() }
+ */
+const createBackgroundTask = (name, run, options = {}) => {
+  let timer = null;
+  let running = false;
+
+  const runNow = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return null;
+    running = true;
+    try {
+      const summary = await run();
+      const message = options.logSummary ? options.logSummary(summary) : null;
+      if (message) console.log(`[${name}] ${message}`);
+      return summary;
+    } catch (error) {
+      console.error(`[${name}] Run failed:`, error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = (intervalMinutes = options.intervalMinutes) => {
+    if (timer) return;
+    timer = setInterval(runNow, intervalMinutes * 60 * 1000);
+    if (timer.unref) timer.unref();
+    console.log(`[${name}] Running every ${intervalMinutes} minutes`);
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runNow };
+};
+
+module.exports = {
+  createBackgroundTask
+};
@@ -0,0 +1,28 @@
+/**
+ * Adobe - Adobe Certified Professional / Expert badges on Credly
+ *
+ * Adobe certifications are issued as Credly badges by Adobe; uploads of the
+ * printed certificate still go to manual review.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Adobe';
+const description = 'Adobe Certified Professional / Expert badges on Credly';
+const categories = ['Design', 'Marketing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 20, windowMs: 60 * 1000 };
+
+const issuerNames = [/adobe/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,29 @@
+/**
+ * Amazon - AWS Certification badges on Credly
+ *
+ * AWS issues a Credly badge with every certification. The badge must come
+ * from the AWS Training and Certification organization and name the
+ * learner's email.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Amazon';
+const description = 'AWS Certification badges on Credly';
+const categories = ['Cloud Computing', 'Technology'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/amazon web services/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,29 @@
+/**
+ * Cisco - Cisco certification badges on Credly
+ *
+ * CCNA, CCNP, CyberOps and the other Cisco certifications are published as
+ * Credly badges by Cisco; the badge link is checked against the Cisco
+ * issuer profile.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Cisco';
+const description = 'Cisco certification badges on Credly';
+const categories = ['Technology', 'Cybersecurity'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/\bcisco\b/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,28 @@
+/**
+ * CompTIA - CompTIA certification badges on Credly
+ *
+ * CompTIA's certifications (A+, Network+, Security+, ...) each come with a
+ * Credly badge issued by CompTIA.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'CompTIA';
+const description = 'CompTIA certification badges on Credly';
+const categories = ['Cybersecurity', 'Technology'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/comptia/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,32 @@
+/**
+ * Coursera - Coursera course and specialization certificates
+ *
+ * Coursera has no verification API, but every certificate has a public
+ * verify or share link showing the learner's name.
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'Coursera';
+const description = 'Coursera course and specialization certificates';
+const categories = ['Technology', 'Data Science', 'Business Analysis', 'AI/ML'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 10, windowMs: 60 * 1000 };
+
+const issuerNames = [/coursera/i];
+const URL_PATTERNS = [
+  /^https:\/\/(www\.)?coursera\.org\/(verify|share)\//i,
+  /^https:\/\/(www\.)?coursera\.org\/account\/accomplishments\/(verify|certificate|specialization|professional-cert)\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
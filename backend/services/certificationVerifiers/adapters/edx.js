@@ -0,0 +1,31 @@
+/**
+ * edX - edX course certificates and program records
+ *
+ * Course certificates live on courses.edx.org and program credentials on
+ * credentials.edx.org; both pages show the learner's name.
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'edX';
+const description = 'edX course certificates and program records';
+const categories = ['Technology', 'Data Science', 'Business Analysis'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 10, windowMs: 60 * 1000 };
+
+const issuerNames = [/\bedx\b/i];
+const URL_PATTERNS = [
+  /^https:\/\/(courses|credentials)\.edx\.org\/(certificates|credentials)\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
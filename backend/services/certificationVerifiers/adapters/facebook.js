@@ -0,0 +1,28 @@
+/**
+ * Facebook - Meta certification badges on Credly
+ *
+ * Meta (formerly Facebook) Blueprint certifications are issued as Credly
+ * badges by Meta.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Facebook';
+const description = 'Meta certification badges on Credly';
+const categories = ['Marketing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 20, windowMs: 60 * 1000 };
+
+const issuerNames = [/\bmeta\b|facebook/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
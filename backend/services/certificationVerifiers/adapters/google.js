@@ -0,0 +1,29 @@
+/**
+ * Google - Google Cloud certification badges on Credly
+ *
+ * Google Cloud certifications are published as Credly badges by Google
+ * Cloud. Google Career Certificates earned on Coursera belong to the
+ * Coursera verifier.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Google';
+const description = 'Google Cloud certification badges on Credly';
+const categories = ['Technology', 'Cloud Computing', 'AI/ML', 'Marketing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/google/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
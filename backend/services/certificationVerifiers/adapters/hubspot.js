@@ -0,0 +1,31 @@
+/**
+ * HubSpot - HubSpot Academy certifications
+ *
+ * HubSpot Academy certifications are shared as public achievement pages
+ * on app.hubspot.com.
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'HubSpot';
+const description = 'HubSpot Academy certifications';
+const categories = ['Marketing', 'Sales'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 10, windowMs: 60 * 1000 };
+
+const issuerNames = [/hubspot/i];
+const URL_PATTERNS = [
+  /^https:\/\/app\.hubspot\.com\/academy\/achievements\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,28 @@
+/**
+ * IBM - IBM digital credentials on Credly
+ *
+ * IBM runs one of the largest badge programs on Credly; professional
+ * certifications and skills badges alike are verified through it.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'IBM';
+const description = 'IBM digital credentials on Credly';
+const categories = ['Technology', 'AI/ML', 'Data Science'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/\bibm\b/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,31 @@
+/**
+ * LinkedIn Learning - LinkedIn Learning certificates of completion
+ *
+ * Certificates shared from LinkedIn Learning have a public page with the
+ * learner's name and the course title.
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'LinkedIn Learning';
+const description = 'LinkedIn Learning certificates of completion';
+const categories = ['Technology', 'Business Analysis', 'Marketing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 6, windowMs: 60 * 1000 };
+
+const issuerNames = [/linkedin/i];
+const URL_PATTERNS = [
+  /^https:\/\/(www\.)?linkedin\.com\/learning\/certificates\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,34 @@
+/**
+ * Microsoft - Microsoft Learn credentials and Microsoft certification badges
+ *
+ * Certifications earned since the move to Microsoft Learn are shared as
+ * credential pages on learn.microsoft.com; older ones were issued as Credly
+ * badges. The link the learner gives decides which check runs.
+ */
+
+const { verifyCredlyBadge, credlyBadgeId } = require('../credly');
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'Microsoft';
+const description = 'Microsoft Learn credential pages and Microsoft badges on Credly';
+const categories = ['Technology', 'Cloud Computing', 'AI/ML'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: a Microsoft Learn credential link or a Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 20, windowMs: 60 * 1000 };
+
+const issuerNames = [/microsoft/i];
+const URL_PATTERNS = [
+  /^https:\/\/learn\.microsoft\.com\/([a-z]{2}-[a-z]{2}\/)?users\/[^/]+\/(credentials|transcript)\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the credential or badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) => (credlyBadgeId(certification.credentialUrl)
+  ? verifyCredlyBadge(certification, context, { issuerNames })
+  : verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS }));
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,28 @@
+/**
+ * Oracle - Oracle certification badges on Credly
+ *
+ * Oracle University awards its certifications (OCI, Java, database) as
+ * Credly badges.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'Oracle';
+const description = 'Oracle certification badges on Credly';
+const categories = ['Technology', 'Cloud Computing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 30, windowMs: 60 * 1000 };
+
+const issuerNames = [/oracle/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
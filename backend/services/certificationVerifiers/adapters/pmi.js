@@ -0,0 +1,29 @@
+/**
+ * PMI - PMI certification badges on Credly
+ *
+ * The Project Management Institute issues Credly badges for PMP, CAPM and
+ * its other certifications. PMI's own certification registry has no API,
+ * so certificates without a badge are reviewed by hand.
+ */
+
+const { verifyCredlyBadge } = require('../credly');
+
+const provider = 'PMI';
+const description = 'PMI certification badges on Credly';
+const categories = ['Project Management'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the Credly badge link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 20, windowMs: 60 * 1000 };
+
+const issuerNames = [/project management institute|\bpmi\b/i];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the badge link
+ * @param {Object} context - { user, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCredlyBadge(certification, context, { issuerNames });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
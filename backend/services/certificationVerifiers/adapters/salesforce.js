@@ -0,0 +1,18 @@
+/**
+ * Salesforce - Salesforce certifications (manual review)
+ *
+ * Salesforce certifications are looked up in Trailhead's credential
+ * verification form, which has no API, so uploads are checked by a
+ * reviewer. Badges exported as Open Badges still verify automatically.
+ */
+
+const provider = 'Salesforce';
+const description = 'Salesforce certifications, checked by a reviewer in Trailhead';
+const categories = ['Sales', 'Technology'];
+const verificationMethods = ['open_badge', 'document_upload', 'manual'];
+const requiredFields = [];
+const rateLimit = null;
+
+const issuerNames = [/salesforce|trailhead/i];
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames };
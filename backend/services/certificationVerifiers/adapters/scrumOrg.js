@@ -0,0 +1,31 @@
+/**
+ * Scrum.org - Scrum.org professional Scrum certifications
+ *
+ * Scrum.org lists every certificate holder on a public certificate page
+ * (PSM, PSPO, PSD, ...).
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'Scrum.org';
+const description = 'Scrum.org professional Scrum certifications';
+const categories = ['Project Management'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 10, windowMs: 60 * 1000 };
+
+const issuerNames = [/scrum\.org/i];
+const URL_PATTERNS = [
+  /^https:\/\/(www\.)?scrum\.org\/certificates\//i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
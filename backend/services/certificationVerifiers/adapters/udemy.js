@@ -0,0 +1,32 @@
+/**
+ * Udemy - Udemy certificates of completion
+ *
+ * Certificates of completion have public UC-... links (also shortened as
+ * ude.my) that show who completed the course.
+ */
+
+const { verifyCertificatePage } = require('../certificatePage');
+
+const provider = 'Udemy';
+const description = 'Udemy certificates of completion';
+const categories = ['Technology', 'Design', 'Marketing'];
+const verificationMethods = ['api', 'open_badge', 'document_upload', 'manual'];
+// api: the public certificate link
+const requiredFields = ['credentialUrl'];
+const rateLimit = { requests: 10, windowMs: 60 * 1000 };
+
+const issuerNames = [/udemy/i];
+const URL_PATTERNS = [
+  /^https:\/\/(www\.)?udemy\.com\/certificate\/UC-/i,
+  /^https:\/\/ude\.my\/UC-/i
+];
+
+/**
+ * @param {Object} certification - Certification with credentialUrl set to the certificate page
+ * @param {Object} context - { user, fetchImpl }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verify = (certification, context) =>
+  verifyCertificatePage(certification, context, { urlPatterns: URL_PATTERNS });
+
+module.exports = { provider, description, categories, verificationMethods, requiredFields, rateLimit, issuerNames, verify };
@@ -0,0 +1,100 @@
+/**
+ * Certificate Page - Verifies certificates that providers publish as public web pages
+ *
+ * Course platforms without a verification API give each certificate a
+ * public URL showing the holder's name (and often the certificate number).
+ * The page is fetched from the provider's own host and must show the
+ * learner's name. Whether the certification id appears is recorded too.
+ */
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Checks a certificate page for the holder's name
+ *
+ * @param {Object} certification - Certification with credentialUrl pointing at the page
+ * @param {Object} context - { user, fetchImpl }
+ * @param {Object} options - { urlPatterns: Array<RegExp> } links the provider hands out
+ * @returns {Promise<Object>} Verifier result
+ */
+const verifyCertificatePage = async (certification, { user, fetchImpl = fetch }, { urlPatterns }) => {
+  const url = String(certification.credentialUrl || '');
+  if (!urlPatterns.some(pattern => pattern.test(url))) {
+    return { status: 'failed', message: `Credential URL is not a ${certification.provider} certificate link` };
+  }
+
+  const response = await fetchImpl(url, {
+    headers: { Accept: 'text/html', 'User-Agent': 'DishaAI-CertificationVerifier/1.0' },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (response.status === 404 || response.status === 410) {
+    return { status: 'failed', message: 'Certificate page was not found', endpoint: url, response: { httpStatus: response.status } };
+  }
+  if (!response.ok) {
+    // Anything else may be temporary, so it is not held against the learner
+    throw new Error(`${certification.provider} answered HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  if (Buffer.byteLength(html) > MAX_PAGE_BYTES) {
+    throw new Error(`Certificate page is larger than ${MAX_PAGE_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const pageText = normalizeText(htmlToText(html));
+  const holderName = user.fullName || [user.firstName, user.lastName].filter(Boolean).join(' ');
+  const nameFound = Boolean(holderName) && pageText.includes(normalizeText(holderName));
+  const certificationIdFound = certification.certificationId
+    ? compact(pageText).includes(compact(certification.certificationId))
+    : null;
+
+  const details = {
+    endpoint: url,
+    response: {
+      httpStatus: response.status,
+      title: normalizeWhitespace(htmlToText((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '')),
+      nameFound,
+      certificationIdFound
+    }
+  };
+
+  if (!nameFound) {
+    return { ...details, status: 'failed', message: `Certificate page does not show the holder name "${holderName}"` };
+  }
+  return { ...details, status: 'verified', message: `${certification.provider} certificate page shows ${holderName}` };
+};
+
+// Text helpers
+
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isInteger(point) && point <= 0x10ffff ? String.fromCodePoint(point) : ' ';
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+// Case-, accent- and whitespace-insensitive comparison text
+function normalizeText(text) {
+  return normalizeWhitespace(String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+}
+
+function normalizeWhitespace(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function compact(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  verifyCertificatePage
+};
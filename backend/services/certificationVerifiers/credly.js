@@ -0,0 +1,67 @@
+/**
+ * Credly - Verifies certifications whose provider issues its badges through Credly
+ *
+ * Every Credly badge is also published as a hosted Open Badges 2.0
+ * assertion, so the badge URL a learner shares is turned into that
+ * assertion and run through the Open Badges verifier: the hosted copy, the
+ * issuer profile and the recipient email hash are all checked. On top of
+ * that the issuing organization must be the certification's provider.
+ */
+
+const { verifyBadge } = require('./openBadge');
+
+const ASSERTION_BASE_URL = 'https://api.credly.com/v1/obi/v2/badge_assertions';
+const CREDLY_HOSTS = ['credly.com', 'www.credly.com', 'api.credly.com', 'youracclaim.com', 'www.youracclaim.com'];
+const BADGE_ID_PATTERN = /\/(?:badges|badge_assertions)\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+
+/**
+ * Verifies a Credly badge for a certification
+ *
+ * @param {Object} certification - Certification with credentialUrl pointing at the badge
+ * @param {Object} context - { user, fetchImpl, now }
+ * @param {Object} options - { issuerNames: Array<RegExp> } accepted issuing organizations
+ * @returns {Promise<Object>} Verifier result
+ */
+const verifyCredlyBadge = async (certification, { user, fetchImpl, now }, { issuerNames }) => {
+  const badgeId = credlyBadgeId(certification.credentialUrl);
+  if (!badgeId) {
+    return {
+      status: 'failed',
+      message: 'Credential URL is not a Credly badge link (https://www.credly.com/badges/...)'
+    };
+  }
+
+  const result = await verifyBadge({ url: `${ASSERTION_BASE_URL}/${badgeId}` }, { email: user.email, fetchImpl, now });
+  const issuerName = result.response?.issuer?.name;
+  if (result.status === 'verified' && !issuerNames.some(pattern => pattern.test(issuerName || ''))) {
+    return {
+      ...result,
+      status: 'failed',
+      message: `Badge was issued by ${issuerName || 'an unknown organization'}, not ${certification.provider}`
+    };
+  }
+  return result;
+};
+
+/**
+ * Extracts the badge id from a Credly (or legacy Acclaim) badge URL
+ *
+ * @param {string} url - Badge URL
+ * @returns {string|null}
+ */
+const credlyBadgeId = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (error) {
+    return null;
+  }
+  if (!CREDLY_HOSTS.includes(parsed.hostname.toLowerCase())) return null;
+  const match = parsed.pathname.match(BADGE_ID_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+};
+
+module.exports = {
+  verifyCredlyBadge,
+  credlyBadgeId
+};
@@ -0,0 +1,59 @@
+/**
+ * HTTP Fixtures - Record and replay the HTTP traffic of certification verifiers
+ *
+ * Verifiers make every request through context.fetchImpl, so a test run can
+ * swap in a replaying fetch that answers from recorded exchanges (and fails
+ * loudly on any request it has no recording for), and a recording run can
+ * wrap the real fetch to capture fresh exchanges. Exchanges are plain JSON:
+ * { request: { method, url }, response: { status, headers, body } } where
+ * body is a string, or any other JSON value for JSON responses.
+ */
+
+/**
+ * Creates a fetch that answers from recorded exchanges
+ *
+ * @param {Array<Object>} exchanges - Recorded { request, response } pairs
+ * @returns {Function} fetch(url, init) => Promise<Response>
+ */
+const createReplayFetch = (exchanges = []) => async (url, init = {}) => {
+  const method = String(init.method || 'GET').toUpperCase();
+  const exchange = exchanges.find(candidate =>
+    String(candidate.request.method || 'GET').toUpperCase() === method && candidate.request.url === String(url));
+  if (!exchange) throw new Error(`No recorded response for ${method} ${url}`);
+
+  const { status = 200, headers = {}, body = '' } = exchange.response;
+  return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers });
+};
+
+/**
+ * Wraps a fetch so every exchange it makes is appended to a list
+ *
+ * @param {Function} fetchImpl - The fetch to record
+ * @param {Array<Object>} exchanges - Recorded exchanges are pushed here
+ * @returns {Function} fetch(url, init) => Promise<Response>
+ */
+const createRecordingFetch = (fetchImpl, exchanges) => async (url, init = {}) => {
+  const response = await fetchImpl(url, init);
+  const text = await response.clone().text();
+  const contentType = response.headers.get('content-type') || '';
+
+  let body = text;
+  if (contentType.includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Kept as text when the server mislabels its content
+    }
+  }
+
+  exchanges.push({
+    request: { method: String(init.method || 'GET').toUpperCase(), url: String(url) },
+    response: { status: response.status, headers: { 'content-type': contentType }, body }
+  });
+  return response;
+};
+
+module.exports = {
+  createReplayFetch,
+  createRecordingFetch
+};
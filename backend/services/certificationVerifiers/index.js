@@ -0,0 +1,272 @@
+/**
+ * Certification Verifiers - Checks certifications with the issuing provider
+ *
+ * Each provider in Certification.provider has an adapter in ./adapters
+ * exporting { provider, description, categories, verificationMethods,
+ * requiredFields, rateLimit: { requests, windowMs }, issuerNames,
+ * verify(certification, context) }. requiredFields are the certification
+ * fields the api method needs; verify is left out by providers that can only
+ * be checked by hand. issuerNames are patterns for the organizations that
+ * issue the provider's badges. The open_badge method works for every
+ * provider (see ../openBadges), but a badge only counts as verified when its
+ * issuer matches the provider and its achievement matches the certification.
+ *
+ * Anything that cannot be checked automatically lands in the manual review
+ * queue as pending: unknown providers, document uploads, missing fields, a
+ * spent rate limit, a provider that did not answer or a badge from another
+ * issuer. Adapters must make
+ * their HTTP requests through context.fetchImpl so they can be replayed
+ * from recorded fixtures (see httpFixtures and scripts/verifierFixtures.js);
+ * register more with registerVerifier().
+ */
+
+const { verifyBadge, badgeSourceFor } = require('./openBadge');
+
+const AUTOMATIC_METHODS = ['api', 'open_badge'];
+// What every provider gets, adapter or not
+const FALLBACK_METHODS = ['open_badge', 'document_upload', 'manual'];
+const RETRY_AFTER_FAILURE_MS = 60 * 60 * 1000;
+// Badge checks fetch from whichever issuer hosts the badge, so they share one limit
+const OPEN_BADGE_VERIFIER = { provider: 'open_badge', rateLimit: { requests: 30, windowMs: 60 * 1000 } };
+
+const verifiers = {};
+[
+  require('./adapters/microsoft'),
+  require('./adapters/google'),
+  require('./adapters/amazon'),
+  require('./adapters/cisco'),
+  require('./adapters/oracle'),
+  require('./adapters/ibm'),
+  require('./adapters/salesforce'),
+  require('./adapters/adobe'),
+  require('./adapters/comptia'),
+  require('./adapters/pmi'),
+  require('./adapters/scrumOrg'),
+  require('./adapters/hubspot'),
+  require('./adapters/facebook'),
+  require('./adapters/coursera'),
+  require('./adapters/edx'),
+  require('./adapters/udemy'),
+  require('./adapters/linkedinLearning')
+].forEach(adapter => { verifiers[adapter.provider] = adapter; });
+
+// Request times per provider inside the current rate limit window
+const requestLog = new Map();
+
+/**
+ * Registers a provider adapter, replacing any adapter for the same provider
+ *
+ * @param {Object} adapter - { provider, verificationMethods, requiredFields, rateLimit, issuerNames?, verify?, description, categories }
+ */
+const registerVerifier = (adapter) => {
+  if (!adapter?.provider || !Array.isArray(adapter.verificationMethods) || !Array.isArray(adapter.requiredFields)) {
+    throw new Error('Verifiers need a provider, verificationMethods and requiredFields');
+  }
+  if (adapter.verify !== undefined && typeof adapter.verify !== 'function') {
+    throw new Error(`Verifier for ${adapter.provider} has a verify that is not a function`);
+  }
+  if (adapter.verify && !(adapter.rateLimit?.requests > 0 && adapter.rateLimit?.windowMs > 0)) {
+    throw new Error(`Verifier for ${adapter.provider} needs a rateLimit of { requests, windowMs }`);
+  }
+  if (adapter.issuerNames !== undefined && !(Array.isArray(adapter.issuerNames) && adapter.issuerNames.every(name => name instanceof RegExp))) {
+    throw new Error(`Verifier for ${adapter.provider} has issuerNames that are not a list of patterns`);
+  }
+  verifiers[adapter.provider] = adapter;
+};
+
+/**
+ * Looks up the adapter for a provider
+ *
+ * @param {string} provider - Certification.provider value
+ * @returns {Object|null}
+ */
+const getVerifier = (provider) => verifiers[provider] || null;
+
+/**
+ * Describes verification support for each provider; providers without an adapter get the manual fallback
+ *
+ * @param {Array<string>} providers - Provider names, e.g. the Certification.provider enum
+ * @returns {Array<Object>} [{ name, description, categories, apiSupported, verificationMethods, requiredFields, rateLimit }]
+ */
+const describeProviders = (providers) => providers.map(name => {
+  const adapter = verifiers[name];
+  if (!adapter) {
+    return {
+      name,
+      description: 'Reviewed by hand unless submitted as an Open Badge',
+      categories: [],
+      apiSupported: false,
+      verificationMethods: FALLBACK_METHODS,
+      requiredFields: [],
+      rateLimit: null
+    };
+  }
+  return {
+    name,
+    description: adapter.description,
+    categories: adapter.categories || [],
+    apiSupported: Boolean(adapter.verify) && adapter.verificationMethods.includes('api'),
+    verificationMethods: adapter.verificationMethods,
+    requiredFields: adapter.requiredFields,
+    rateLimit: adapter.rateLimit || null
+  };
+});
+
+/**
+ * Picks the verification method for a new submission
+ *
+ * @param {string} provider - Certification.provider value
+ * @param {Object} submission - { verificationMethod, badgeAssertion, ...certification fields }
+ * @returns {string} Certification.verificationMethod value
+ */
+const chooseMethod = (provider, submission = {}) => {
+  if (submission.badgeAssertion) return 'open_badge';
+  if (submission.verificationMethod) return submission.verificationMethod;
+
+  // Check with the provider whenever the learner gave us what its adapter needs
+  const adapter = verifiers[provider];
+  if (adapter?.verify && adapter.verificationMethods.includes('api') && missingFields(provider, 'api', submission).length === 0) {
+    return 'api';
+  }
+  return 'document_upload';
+};
+
+/**
+ * Lists the fields a method needs that a submission lacks
+ *
+ * @param {string} provider - Certification.provider value
+ * @param {string} method - Verification method
+ * @param {Object} fields - Submitted certification fields
+ * @returns {Array<string>} Missing field names
+ */
+const missingFields = (provider, method, fields = {}) => {
+  if (method === 'open_badge') {
+    return isBlank(fields.badgeAssertion) && isBlank(fields.credentialUrl) ? ['badgeAssertion or credentialUrl'] : [];
+  }
+  const adapter = verifiers[provider];
+  if (method !== 'api' || !adapter) return [];
+  return adapter.requiredFields.filter(field => isBlank(fields[field]));
+};
+
+/**
+ * Verifies a certification with its provider's adapter
+ *
+ * @param {Object} certification - Certification document (verificationMethod already chosen)
+ * @param {Object} context - { user, badgeAssertion, fetchImpl, now }
+ * @returns {Promise<Object>} { status, method, verifier, message, endpoint, format, assertion, proof, badgeImage, response, manualReviewReason, retryAt }
+ */
+const verifyCertification = async (certification, { user, badgeAssertion, fetchImpl, now = new Date() } = {}) => {
+  const method = certification.verificationMethod;
+  const adapter = verifiers[certification.provider];
+
+  if (method === 'open_badge') {
+    const retryAt = takeRequestSlot(OPEN_BADGE_VERIFIER, now);
+    if (retryAt) {
+      return queueForManualReview(method, `Badge check rate limit reached, retry after ${retryAt.toISOString()}`, retryAt);
+    }
+
+    let result;
+    try {
+      result = await verifyBadge(badgeSourceFor(certification, badgeAssertion), { email: user.email, fetchImpl, now });
+    } catch (error) {
+      return queueForManualReview(method, `Badge check failed: ${error.message}`, new Date(now.getTime() + RETRY_AFTER_FAILURE_MS));
+    }
+
+    // A valid badge from someone else proves nothing about this certification
+    const mismatch = result.status === 'verified' && badgeMismatch(certification, adapter, result.response);
+    if (mismatch) return { ...result, ...queueForManualReview(method, mismatch) };
+    return { ...result, method, verifier: 'open_badge' };
+  }
+
+  if (!AUTOMATIC_METHODS.includes(method)) {
+    return queueForManualReview(method, `${(method || 'document_upload').replace(/_/g, ' ')} submissions are checked by a reviewer`);
+  }
+  if (!adapter) {
+    return queueForManualReview(method, `No automatic verification for ${certification.provider}`);
+  }
+  if (!adapter.verify || !adapter.verificationMethods.includes(method)) {
+    return queueForManualReview(method, `${certification.provider} cannot be verified automatically`);
+  }
+
+  const missing = adapter.requiredFields.filter(field => isBlank(certification[field]));
+  if (missing.length > 0) {
+    return queueForManualReview(method, `Missing ${missing.join(', ')} for ${certification.provider} verification`);
+  }
+
+  const retryAt = takeRequestSlot(adapter, now);
+  if (retryAt) {
+    return queueForManualReview(method, `${certification.provider} rate limit reached, retry after ${retryAt.toISOString()}`, retryAt);
+  }
+
+  try {
+    const result = await adapter.verify(certification, { user, fetchImpl, now });
+    return { ...result, method, verifier: adapter.provider };
+  } catch (error) {
+    return queueForManualReview(method, `${certification.provider} check failed: ${error.message}`,
+      new Date(now.getTime() + RETRY_AFTER_FAILURE_MS));
+  }
+};
+
+// Rate limit helpers
+
+// Returns null when the request may go ahead, otherwise when the next one may
+function takeRequestSlot(adapter, now) {
+  const { requests, windowMs } = adapter.rateLimit;
+  const windowStart = now.getTime() - windowMs;
+  const recent = (requestLog.get(adapter.provider) || []).filter(time => time > windowStart);
+
+  if (recent.length >= requests) {
+    requestLog.set(adapter.provider, recent);
+    return new Date(recent[0] + windowMs);
+  }
+  recent.push(now.getTime());
+  requestLog.set(adapter.provider, recent);
+  return null;
+}
+
+// Open badge helpers
+
+// Returns why a verified badge does not back the certification, or null when it does
+function badgeMismatch(certification, adapter, { issuer, badge } = {}) {
+  const issuerName = issuer?.name || '';
+  if (!adapter?.issuerNames?.some(pattern => pattern.test(issuerName))) {
+    return `Badge was issued by ${issuerName || 'an unknown organization'}, not ${certification.provider}`;
+  }
+
+  const badgeName = comparableName(badge?.name);
+  const certificationName = comparableName(certification.name);
+  if (!badgeName || !certificationName || !(badgeName.includes(certificationName) || certificationName.includes(badgeName))) {
+    return `Badge is for ${badge?.name || 'an unnamed achievement'}, not ${certification.name}`;
+  }
+  return null;
+}
+
+function comparableName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Result helpers
+
+function queueForManualReview(method, reason, retryAt) {
+  return {
+    status: 'pending',
+    method,
+    verifier: 'manual',
+    message: `Queued for manual review: ${reason}`,
+    manualReviewReason: reason,
+    retryAt
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+module.exports = {
+  registerVerifier,
+  getVerifier,
+  describeProviders,
+  chooseMethod,
+  missingFields,
+  verifyCertification
+};
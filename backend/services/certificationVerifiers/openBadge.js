@@ -0,0 +1,65 @@
+/**
+ * Open Badge - Runs the Open Badges verifier on behalf of certification verifiers
+ *
+ * Used for the provider-independent open_badge method and by adapters whose
+ * providers issue badges (see credly.js). Translates the Open Badges outcome
+ * into a verifier result; credentials that cannot be checked automatically
+ * go to the manual review queue.
+ */
+
+const openBadges = require('../openBadges');
+const { createDocumentLoader } = require('../openBadges/documentLoader');
+
+/**
+ * Verifies a badge for a user
+ *
+ * @param {Object} source - { url, credential } as accepted by openBadges.verifyCredential
+ * @param {Object} context - { email, fetchImpl, now }
+ * @returns {Promise<Object>} Verifier result
+ */
+const verifyBadge = async (source, { email, fetchImpl, now } = {}) => {
+  const loader = createDocumentLoader(fetchImpl ? { fetchImpl } : {});
+  const badge = await openBadges.verifyCredential(source, { email, now, loader });
+
+  const result = {
+    status: badge.status === 'unsupported' ? 'pending' : badge.status,
+    message: badge.message,
+    endpoint: badge.endpoint,
+    format: badge.format,
+    assertion: badge.assertion,
+    proof: badge.proof,
+    badgeImage: badge.badge?.image,
+    response: {
+      status: badge.status,
+      checks: badge.checks,
+      badge: badge.badge,
+      issuer: badge.issuer,
+      issuedOn: badge.issuedOn,
+      expires: badge.expires
+    }
+  };
+  if (badge.status === 'unsupported') result.manualReviewReason = badge.message;
+  return result;
+};
+
+/**
+ * Works out what to verify for a certification submitted or stored with the open_badge method
+ *
+ * @param {Object} certification - Certification document
+ * @param {string} [badgeAssertion] - Newly submitted assertion (JSON or JWS)
+ * @returns {Object} { url, credential }
+ */
+const badgeSourceFor = (certification, badgeAssertion) => {
+  if (badgeAssertion) return { url: certification.credentialUrl, credential: badgeAssertion };
+
+  // Re-checks use the stored proof, or re-fetch from where the badge is hosted
+  const stored = certification.apiVerificationData || {};
+  if (stored.proof) return { credential: stored.proof };
+  if (stored.endpoint) return { url: stored.endpoint };
+  return { url: certification.credentialUrl, credential: stored.assertion };
+};
+
+module.exports = {
+  verifyBadge,
+  badgeSourceFor
+};
@@ -0,0 +1,69 @@
+/**
+ * JSON-LD Adapter - schema.org Course markup
+ *
+ * Reads catalog pages that embed Course objects in
+ * <script type="application/ld+json"> blocks, or raw JSON-LD documents.
+ * Courses nested in @graph or ItemList structures are found as well.
+ * Workload comes from timeRequired or hasCourseInstance.courseWorkload,
+ * pricing from offers and ratings from aggregateRating.
+ */
+
+const { findJsonLdNodes, firstOf, identifierOf } = require('../../importPipeline/jsonLd');
+
+const name = 'jsonld';
+const description = 'schema.org Course JSON-LD, embedded in HTML pages or as raw JSON';
+
+/**
+ * @param {string} content - HTML page or JSON-LD document
+ * @returns {Array<Object>} Catalog entries
+ */
+const parse = (content) => findJsonLdNodes(content, 'Course').map(mapCourse);
+
+// Course helpers
+
+function mapCourse(node) {
+  const instance = firstOf(node.hasCourseInstance);
+  const offer = firstOf(node.offers);
+  const rating = node.aggregateRating;
+  const credential = firstOf(node.educationalCredentialAwarded);
+
+  return {
+    providerCourseId: identifierOf(node.identifier) || node.courseCode,
+    provider: nameOf(node.provider),
+    title: node.name,
+    description: node.description,
+    url: node.url || node['@id'],
+    category: nameOf(firstOf(node.about)) || nameOf(firstOf(node.genre)),
+    difficulty: nameOf(node.educationalLevel),
+    duration: node.timeRequired || instance?.courseWorkload || instance?.courseSchedule?.duration,
+    rating: rating?.ratingValue,
+    ratingCount: rating?.ratingCount ?? rating?.reviewCount,
+    enrollmentCount: node.totalHistoricalEnrollment,
+    skills: namesOf(node.teaches),
+    prerequisites: namesOf(node.coursePrerequisites || node.competencyRequired),
+    price: offer?.price,
+    currency: offer?.priceCurrency,
+    pricingType: offer?.category,
+    certificate: credential ? true : undefined,
+    modules: [].concat(node.syllabusSections || []).map(section => ({
+      title: section.name,
+      description: section.description,
+      duration: section.timeRequired
+    })),
+    tags: node.keywords,
+    updatedAt: node.dateModified
+  };
+}
+
+function nameOf(value) {
+  if (!value) return undefined;
+  if (typeof value === 'object') return value.name || value['@id'];
+  return String(value);
+}
+
+function namesOf(value) {
+  if (!value) return undefined;
+  return [].concat(value).map(nameOf).filter(Boolean);
+}
+
+module.exports = { name, description, parse };
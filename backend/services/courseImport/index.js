@@ -0,0 +1,167 @@
+/**
+ * Course Import - Loads provider catalog exports into the Course collection
+ *
+ * Runs on the shared import pipeline (see ../importPipeline): a run loads its
+ * input (URL, file or raw content), hands it to a format adapter, normalizes
+ * each entry onto the Course schema and upserts it by provider +
+ * providerCourseId. Every run is stored as a CourseImportRun with
+ * created/updated/refreshed/unchanged/rejected counts and the reasons each
+ * rejected entry was turned away.
+ *
+ * Ratings, enrollment counts and content freshness are refreshed on every
+ * import that carries them. A metrics run only does that: it never creates
+ * courses or touches catalog fields, so a lightweight stats export can be
+ * imported on its own schedule.
+ *
+ * Adapters are modules exporting { name, description, parse(content, options) }
+ * where parse returns flat catalog entries; register more with registerAdapter().
+ */
+
+const Course = require('../../models/Course');
+const CourseImportRun = require('../../models/CourseImportRun');
+const { createImportPipeline, changedFields } = require('../importPipeline');
+const { createCsvAdapter } = require('../importPipeline/adapters/csvAdapter');
+const { createJsonAdapter } = require('../importPipeline/adapters/jsonAdapter');
+const { normalizeCourseEntry, PROVIDERS } = require('./normalize');
+const { mapRecord } = require('./recordMapper');
+
+const MODES = ['full', 'metrics'];
+// Identify the course, so never count as changes
+const ID_FIELDS = ['provider', 'providerCourseId'];
+
+const pipeline = createImportPipeline({
+  label: 'Course Import',
+  userAgent: 'DishaAI-CourseImport/1.0',
+  idLabel: 'course id',
+  Run: CourseImportRun,
+  adapters: [
+    require('./adapters/jsonLdAdapter'),
+    // List cells such as skills or modules are split on commas, semicolons or pipes
+    createCsvAdapter({ description: 'CSV file with a header row, one course per row', mapRecord }),
+    createJsonAdapter({
+      description: 'JSON array of course objects (or { courses | elements | results | data | items: [...] })',
+      recordName: 'course',
+      containerKeys: ['courses', 'elements', 'results', 'data', 'items'],
+      mapRecord
+    })
+  ]
+});
+
+/**
+ * Registers a format adapter
+ *
+ * @param {Object} adapter - { name, description, parse(content, options) => Array<entry> }
+ */
+const registerAdapter = pipeline.registerAdapter;
+
+/**
+ * Lists the available adapters
+ *
+ * @returns {Array<Object>} [{ name, description }]
+ */
+const listAdapters = pipeline.listAdapters;
+
+/**
+ * Runs one catalog import and records it
+ *
+ * @param {Object} options
+ * @param {string} options.adapter - Adapter name (jsonld, csv, json)
+ * @param {string} [options.url] - Catalog to fetch
+ * @param {string} [options.file] - Local file to read
+ * @param {string} [options.content] - Raw input
+ * @param {string} [options.provider] - Course.provider for entries that don't name a known one (default Other)
+ * @param {string} [options.mode] - 'full' (default) or 'metrics'
+ * @param {Object} [options.defaults] - Fallbacks for missing fields: { category, difficulty, pricingType, currency, hoursPerWeek }
+ * @param {Object} [options.adapterOptions] - Passed through to the adapter (e.g. { columns, delimiter, recordsPath })
+ * @param {string} [options.name] - Label for the run
+ * @param {boolean} [options.dryRun] - Normalize and count without writing Courses
+ * @returns {Promise<Object>} CourseImportRun document
+ */
+const runCourseImport = async (options) => {
+  const provider = options.provider || 'Other';
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Invalid provider "${provider}". Available: ${PROVIDERS.join(', ')}`);
+  }
+
+  const mode = options.mode || 'full';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode "${mode}". Available: ${MODES.join(', ')}`);
+  }
+
+  return pipeline.run(options, {
+    runFields: { provider, mode },
+    normalize: (entry) => {
+      const { course, metrics, errors } = normalizeCourseEntry(entry, { provider, mode, defaults: options.defaults });
+      return {
+        value: { course, metrics },
+        id: course.providerCourseId,
+        key: `${course.provider}:${course.providerCourseId}`,
+        errors
+      };
+    },
+    rejection: (entry, { course }) => ({ ...entry, ...course }),
+    validate: ({ course, metrics }) => (mode === 'full' ? buildCourse(course, metrics) : null),
+    upsert: async (normalized) => {
+      const { outcome } = await upsertCourse(normalized, { mode, dryRun: options.dryRun });
+      return outcome === 'missing'
+        ? { rejected: ['Course is not in the catalog yet; import it with a full run first'] }
+        : outcome;
+    }
+  });
+};
+
+/**
+ * Creates or updates a Course from normalized fields
+ *
+ * @param {Object} normalized - { course, metrics } from normalizeCourseEntry
+ * @param {Object} options - { mode, dryRun }
+ * @returns {Promise<Object>} { outcome: 'created' | 'updated' | 'refreshed' | 'unchanged' | 'missing', course }
+ */
+const upsertCourse = async ({ course, metrics = {} }, { mode = 'full', dryRun = false } = {}) => {
+  const existing = await Course.findOne({ provider: course.provider, providerCourseId: course.providerCourseId });
+
+  if (!existing) {
+    if (mode === 'metrics') return { outcome: 'missing', course: null };
+    const created = buildCourse(course, metrics);
+    if (!dryRun) await created.save();
+    return { outcome: 'created', course: created };
+  }
+
+  const changed = mode === 'full'
+    ? changedFields(existing, new Course(course), Object.keys(course).filter(field => !ID_FIELDS.includes(field)))
+    : [];
+  changed.forEach(field => existing.set(field, course[field]));
+
+  const refreshed = Object.entries(metrics).filter(([path, value]) => !sameValue(existing.get(path), value));
+  refreshed.forEach(([path, value]) => existing.set(path, value));
+
+  if (changed.length === 0 && refreshed.length === 0) {
+    return { outcome: 'unchanged', course: existing };
+  }
+
+  existing.lastUpdated = new Date();
+  if (!dryRun) await existing.save();
+  return { outcome: changed.length > 0 ? 'updated' : 'refreshed', course: existing };
+};
+
+// Upsert helpers
+
+function buildCourse(course, metrics) {
+  const doc = new Course(course);
+  Object.entries(metrics).forEach(([path, value]) => doc.set(path, value));
+  return doc;
+}
+
+function sameValue(current, next) {
+  if (current instanceof Date || next instanceof Date) {
+    return current instanceof Date && next instanceof Date && current.getTime() === next.getTime();
+  }
+  return current === next;
+}
+
+module.exports = {
+  registerAdapter,
+  listAdapters,
+  runCourseImport,
+  upsertCourse
+};
@@ -0,0 +1,344 @@
+/**
+ * Course Import Normalizer - Maps catalog entries onto the Course schema
+ *
+ * Adapters only have to pull fields out of their format into a flat entry
+ * ({ providerCourseId, title, difficulty, duration, rating, price, skills, ... }).
+ * This module turns that into Course fields: it maps providers, categories
+ * and levels onto the schema enums, reads workloads written as hours, ISO 8601
+ * durations or "6 weeks, 3-5 hours/week", works out pricing, and canonicalizes
+ * skill names through the skill taxonomy.
+ *
+ * Only fields the entry actually has are returned, so a later import that
+ * leaves something out doesn't wipe what an earlier one (or an editor) set.
+ */
+
+const crypto = require('crypto');
+const Course = require('../../models/Course');
+const skillTaxonomy = require('../skillTaxonomy');
+const { cleanText, normalizeList, normalizeSkills, parseNumber, parseDate, parseBoolean } = require('../importPipeline/fields');
+
+const PROVIDERS = Course.schema.path('provider').enumValues;
+const CATEGORIES = Course.schema.path('category').enumValues;
+
+const PROVIDER_ALIASES = {
+  'Coursera': ['coursera'],
+  'edX': ['edx'],
+  'Udemy': ['udemy'],
+  'LinkedIn Learning': ['linkedinlearning', 'linkedin', 'lynda'],
+  'Pluralsight': ['pluralsight'],
+  'Khan Academy': ['khanacademy', 'khan'],
+  'FreeCodeCamp': ['freecodecamp', 'fcc']
+};
+
+// Checked in order; the first category with a matching keyword wins
+const CATEGORY_KEYWORDS = [
+  ['Data Science', /\b(data|machine learning|deep learning|ai|artificial intelligence|statistics|analytics|probability)\b/i],
+  ['Technology', /\b(computer|software|programming|development|web|mobile|cloud|devops|security|it|information technology|networking|database)\b/i],
+  ['Design', /\b(design|ux|ui|graphic|illustration|photography)\b/i],
+  ['Marketing', /\b(marketing|seo|advertising|social media|branding)\b/i],
+  ['Business', /\b(business|finance|accounting|management|entrepreneurship|leadership|economics|sales|office productivity)\b/i],
+  ['Engineering', /\b(engineering|electronics|mechanical|electrical|physics)\b/i],
+  ['Healthcare', /\b(health|medicine|medical|nursing|biology|life sciences)\b/i],
+  ['Education', /\b(education|teaching|language learning|languages)\b/i],
+  ['Arts', /\b(arts?|music|humanities|history|literature|writing|lifestyle)\b/i]
+];
+
+const DIFFICULTY_ALIASES = {
+  Beginner: ['beginner', 'beginners', 'introductory', 'intro', 'basic', 'entry', 'novice', 'all levels', 'alllevels', 'all', 'foundational', 'elementary'],
+  Intermediate: ['intermediate', 'mixed', 'medium', 'moderate'],
+  Advanced: ['advanced', 'expert', 'professional', 'hard']
+};
+
+const PRICING_TYPES = {
+  free: ['free', 'free to audit', 'audit'],
+  paid: ['paid', 'purchase', 'one-time', 'onetime'],
+  subscription: ['subscription', 'membership', 'plus', 'monthly']
+};
+
+// Hours of study assumed per week when a catalog gives only a length in weeks
+const DEFAULT_HOURS_PER_WEEK = 5;
+
+/**
+ * Normalizes one adapter entry into Course fields
+ *
+ * @param {Object} entry - Flat catalog entry produced by an adapter
+ * @param {Object} options - { provider, mode: 'full' | 'metrics', defaults: { category, difficulty, pricingType, currency, hoursPerWeek } }
+ * @returns {Object} { course, metrics, errors } - errors is non-empty when the entry must be rejected
+ */
+const normalizeCourseEntry = (entry, options = {}) => {
+  const defaults = options.defaults || {};
+  const mode = options.mode || 'full';
+  const errors = [];
+
+  const provider = normalizeProvider(entry.provider) || options.provider || 'Other';
+  const title = cleanText(entry.title);
+  const url = cleanText(entry.url);
+  const providerCourseId = cleanText(entry.providerCourseId) || deriveCourseId(url);
+  if (!providerCourseId) errors.push('Missing course id and URL');
+
+  const metrics = normalizeMetrics(entry, errors);
+  if (mode === 'metrics') {
+    return { course: { provider, providerCourseId, title: title || undefined }, metrics, errors };
+  }
+
+  const description = cleanText(entry.description, { keepParagraphs: true });
+  if (!title) errors.push('Missing title');
+  if (!description) errors.push('Missing description');
+  if (!url) errors.push('Missing URL');
+
+  const difficulty = normalizeDifficulty(entry.difficulty) || normalizeDifficulty(defaults.difficulty);
+  if (entry.difficulty && !normalizeDifficulty(entry.difficulty)) {
+    errors.push(`Unrecognized difficulty "${entry.difficulty}"`);
+  } else if (!difficulty) {
+    errors.push('Missing difficulty');
+  }
+
+  const modules = normalizeModules(entry.modules);
+  const duration = normalizeDuration(entry, {
+    hoursPerWeek: defaults.hoursPerWeek || DEFAULT_HOURS_PER_WEEK,
+    moduleHours: modules.reduce((sum, module) => sum + (module.duration || 0), 0)
+  });
+  if (!duration) errors.push(entry.duration ? `Unrecognized duration "${entry.duration}"` : 'Missing duration');
+
+  const pricing = normalizePricing(entry, { provider, currency: defaults.currency }) ||
+    (defaults.pricingType ? { type: defaults.pricingType, currency: (defaults.currency || 'USD').toUpperCase() } : undefined);
+  if (!pricing) errors.push('Missing price or pricing type');
+
+  const categoryText = cleanText(entry.category);
+  const skillLevel = difficulty ? difficulty.toLowerCase() : undefined;
+
+  const course = compact({
+    title,
+    description,
+    provider,
+    providerCourseId,
+    url,
+    category: normalizeCategory(categoryText) || defaults.category || 'Other',
+    // The provider's own label is kept when it's narrower than the schema category
+    subcategory: cleanText(entry.subcategory) || (categoryText && !CATEGORIES.includes(categoryText) ? categoryText : undefined),
+    difficulty,
+    duration,
+    skillsTaught: skillTaxonomy.normalizeSkillEntries(normalizeSkills(entry.skills).map(name => ({ name, level: skillLevel }))),
+    learningOutcomes: normalizeList(entry.learningOutcomes, /[\n|;]/),
+    prerequisites: normalizeList(entry.prerequisites),
+    offersCertificate: entry.certificate !== undefined ? parseBoolean(entry.certificate) : undefined,
+    certificateType: normalizeCertificateType(entry.certificateType),
+    pricing,
+    careerPaths: normalizeList(entry.careerPaths),
+    jobRoles: normalizeList(entry.jobRoles),
+    industries: normalizeList(entry.industries),
+    modules,
+    tags: normalizeList(entry.tags),
+    instructorRating: parseRating(entry.instructorRating)
+  });
+
+  return { course, metrics, errors };
+};
+
+/**
+ * Reads a course workload as hours
+ *
+ * @param {Object} entry - { hours, weeks, duration }
+ * @param {Object} options - { hoursPerWeek, moduleHours }
+ * @returns {Object|undefined} { hours, weeks }
+ */
+const normalizeDuration = (entry, options = {}) => {
+  const hoursPerWeek = options.hoursPerWeek || DEFAULT_HOURS_PER_WEEK;
+  let hours = parseNumber(entry.hours);
+  let weeks = parseNumber(entry.weeks);
+
+  if (!hours && entry.duration !== undefined) {
+    const parsed = parseDurationText(entry.duration, hoursPerWeek);
+    hours = parsed.hours;
+    weeks = weeks || parsed.weeks;
+  }
+  if (!hours && weeks) hours = weeks * hoursPerWeek;
+  if (!hours && options.moduleHours) hours = options.moduleHours;
+  if (!hours || hours <= 0) return undefined;
+
+  return compact({ hours: Math.round(hours * 10) / 10, weeks: weeks ? Math.round(weeks) : undefined });
+};
+
+// Metric helpers
+
+function normalizeMetrics(entry, errors) {
+  const metrics = {};
+
+  if (entry.rating !== undefined) {
+    const rating = parseRating(entry.rating);
+    if (rating === undefined) errors.push(`Invalid rating "${entry.rating}"`);
+    else metrics['rating.providerAverage'] = rating;
+  }
+  if (entry.ratingCount !== undefined) {
+    const count = parseCount(entry.ratingCount);
+    if (count === undefined) errors.push(`Invalid rating count "${entry.ratingCount}"`);
+    else metrics['rating.providerCount'] = count;
+  }
+  if (entry.enrollmentCount !== undefined) {
+    const count = parseCount(entry.enrollmentCount);
+    if (count === undefined) errors.push(`Invalid enrollment count "${entry.enrollmentCount}"`);
+    else metrics.enrollmentCount = count;
+  }
+  if (entry.completionRate !== undefined) {
+    const rate = parseNumber(entry.completionRate);
+    if (rate === undefined || rate < 0 || rate > 100) errors.push(`Invalid completion rate "${entry.completionRate}"`);
+    else metrics['aiMetrics.completionRate'] = rate > 1 ? rate / 100 : rate;
+  }
+  if (entry.updatedAt !== undefined) {
+    const date = parseDate(entry.updatedAt);
+    if (!date) errors.push(`Invalid update date "${entry.updatedAt}"`);
+    else metrics.contentFreshness = date;
+  }
+
+  return metrics;
+}
+
+// Catalogs rate out of 5, 10 or 100
+function parseRating(value) {
+  const rating = parseNumber(value);
+  if (rating === undefined || rating < 0) return undefined;
+  if (rating <= 5) return Math.round(rating * 100) / 100;
+  if (rating <= 10) return Math.round(rating * 50) / 100;
+  if (rating <= 100) return Math.round(rating * 5) / 100;
+  return undefined;
+}
+
+function parseCount(value) {
+  if (typeof value === 'number') return value >= 0 ? Math.round(value) : undefined;
+  const match = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return undefined;
+  const multiplier = !match[2] ? 1 : match[2].toLowerCase() === 'k' ? 1000 : 1000000;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Field helpers
+
+function normalizeProvider(raw) {
+  if (!raw) return null;
+  const text = cleanText(raw);
+  if (PROVIDERS.includes(text)) return text;
+  const key = text.toLowerCase().replace(/[^a-z]/g, '');
+  const match = Object.entries(PROVIDER_ALIASES).find(([, aliases]) => aliases.includes(key));
+  return match ? match[0] : null;
+}
+
+function normalizeCategory(text) {
+  if (!text) return null;
+  const exact = CATEGORIES.find(category => category.toLowerCase() === text.toLowerCase());
+  if (exact) return exact;
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+function normalizeDifficulty(raw) {
+  if (!raw) return null;
+  const lower = cleanText(raw).toLowerCase().replace(/\s*level$/, '');
+  const match = Object.entries(DIFFICULTY_ALIASES).find(([level, aliases]) =>
+    level.toLowerCase() === lower || aliases.includes(lower));
+  return match ? match[0] : null;
+}
+
+function normalizeCertificateType(raw) {
+  if (!raw) return undefined;
+  const lower = String(raw).toLowerCase();
+  if (lower.includes('professional')) return 'professional';
+  if (lower.includes('verified')) return 'verified';
+  return 'completion';
+}
+
+function normalizePricing(entry, { provider, currency }) {
+  const typeText = String(entry.pricingType || '').toLowerCase().trim();
+  const type = Object.entries(PRICING_TYPES).find(([name, aliases]) => name === typeText || aliases.includes(typeText))?.[0];
+  const priceText = entry.price !== undefined ? String(entry.price) : '';
+  const amount = parseNumber(entry.price);
+
+  let resolved = type;
+  if (entry.isFree !== undefined && parseBoolean(entry.isFree)) resolved = 'free';
+  else if (!resolved && /\bfree\b/i.test(priceText)) resolved = 'free';
+  else if (!resolved && amount === 0) resolved = 'free';
+  else if (!resolved && amount > 0) resolved = 'paid';
+  else if (!resolved && entry.isFree !== undefined) resolved = 'paid';
+  if (!resolved) return undefined;
+
+  const code = priceText.match(/\b([A-Z]{3})\b/);
+  const symbol = { '$': 'USD', '£': 'GBP', '€': 'EUR', '₹': 'INR' }[priceText.trim()[0]];
+  return compact({
+    type: resolved,
+    amount: resolved === 'free' ? undefined : amount,
+    currency: (cleanText(entry.currency) || (code && code[1]) || symbol || currency || 'USD').toUpperCase(),
+    subscriptionProvider: resolved === 'subscription' ? provider : undefined
+  });
+}
+
+function normalizeModules(raw) {
+  if (!raw) return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[\n|;]/);
+  return list
+    .map(item => {
+      if (item && typeof item === 'object') {
+        const duration = parseNumber(item.hours) || parseDurationText(item.duration, DEFAULT_HOURS_PER_WEEK).hours;
+        return compact({
+          title: cleanText(item.title || item.name),
+          description: cleanText(item.description) || undefined,
+          duration,
+          topics: normalizeList(item.topics || item.lessons)
+        });
+      }
+      return { title: cleanText(item) };
+    })
+    .filter(module => module.title);
+}
+
+// Understands plain hours, "12h 30m", "90 minutes", "6 weeks, 4-6 hours/week", "3 months" and ISO 8601 ("PT12H30M", "P4W")
+function parseDurationText(raw, hoursPerWeek) {
+  if (raw === undefined || raw === null || raw === '') return {};
+  if (typeof raw === 'number') return { hours: raw };
+  const text = String(raw).trim();
+
+  const iso = text.match(/^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?)?$/i);
+  if (iso) {
+    const [, w, d, h, m] = iso.map(part => parseFloat(part) || 0);
+    const weeks = w || (d ? d / 7 : 0);
+    return { hours: h + m / 60 + weeks * hoursPerWeek, weeks: weeks || undefined };
+  }
+
+  const lower = text.toLowerCase();
+  const perWeek = lower.match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(?:hours?|hrs?|h)\s*(?:\/|per|a)\s*(?:week|wk)/);
+  const weekCount = lower.match(/(\d+(?:\.\d+)?)\s*(?:weeks?|wks?)\b(?!\s*\/)/);
+  const monthCount = lower.match(/(\d+(?:\.\d+)?)\s*months?\b/);
+  const weeks = weekCount ? parseFloat(weekCount[1]) : monthCount ? parseFloat(monthCount[1]) * 4.3 : undefined;
+
+  if (perWeek) {
+    const low = parseFloat(perWeek[1]);
+    const high = perWeek[2] ? parseFloat(perWeek[2]) : low;
+    return { hours: weeks ? weeks * (low + high) / 2 : undefined, weeks };
+  }
+
+  const hours = lower.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/);
+  const minutes = lower.match(/(\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m)\b/);
+  if (hours || minutes) {
+    return { hours: (hours ? parseFloat(hours[1]) : 0) + (minutes ? parseFloat(minutes[1]) / 60 : 0), weeks };
+  }
+  if (weeks) return { hours: weeks * hoursPerWeek, weeks };
+
+  const plain = parseNumber(text);
+  return /^\d+(\.\d+)?$/.test(text) && plain ? { hours: plain } : {};
+}
+
+// Drops undefined values and empty arrays so they don't overwrite stored fields
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0)));
+}
+
+// Entries without an ID are keyed on their URL
+function deriveCourseId(url) {
+  if (!url) return '';
+  return `derived:${crypto.createHash('sha1').update(url.toLowerCase()).digest('hex').slice(0, 16)}`;
+}
+
+module.exports = {
+  PROVIDERS,
+  normalizeCourseEntry,
+  normalizeDuration
+};
@@ -0,0 +1,58 @@
+/**
+ * Course Record Mapper - Maps flat records (CSV rows, JSON objects) to catalog entries
+ *
+ * Provider exports name their columns differently, so each entry field
+ * accepts a list of common aliases (see importPipeline/recordMapper for how
+ * they are matched). A catalog with unusual headers can pass its own
+ * { field: 'Column Name' } map.
+ */
+
+const { pickFields } = require('../importPipeline/recordMapper');
+
+const FIELD_ALIASES = {
+  providerCourseId: ['providercourseid', 'courseid', 'id', 'externalid', 'identifier', 'coursecode', 'code', 'slug', 'guid'],
+  provider: ['provider', 'platform', 'source', 'site'],
+  title: ['title', 'coursetitle', 'coursename', 'name'],
+  description: ['description', 'coursedescription', 'summary', 'overview', 'about', 'shortdescription', 'headline'],
+  url: ['url', 'courseurl', 'link', 'permalink', 'href'],
+  category: ['category', 'primarycategory', 'domain', 'subject', 'topic'],
+  subcategory: ['subcategory', 'primarysubcategory', 'subdomain', 'subtopic'],
+  difficulty: ['difficulty', 'difficultylevel', 'level', 'courselevel', 'instructionallevel', 'educationallevel'],
+  hours: ['hours', 'durationhours', 'totalhours', 'contenthours', 'estimatedhours', 'contentlengthhours'],
+  weeks: ['weeks', 'durationweeks', 'lengthweeks'],
+  duration: ['duration', 'length', 'courselength', 'timerequired', 'estimatedduration', 'workload', 'contentinfo'],
+  rating: ['rating', 'averagerating', 'avgrating', 'ratingvalue', 'stars'],
+  ratingCount: ['ratingcount', 'ratingscount', 'numratings', 'numreviews', 'reviewcount', 'reviews'],
+  enrollmentCount: ['enrollmentcount', 'enrollments', 'enrolled', 'numsubscribers', 'subscribers', 'students', 'numstudents', 'learners', 'totalhistoricalenrollment'],
+  completionRate: ['completionrate'],
+  skills: ['skillstaught', 'skills', 'skillsgained', 'teaches'],
+  learningOutcomes: ['learningoutcomes', 'outcomes', 'objectives', 'whatyouwilllearn'],
+  prerequisites: ['prerequisites', 'prereqs', 'requirements', 'courseprerequisites'],
+  price: ['price', 'priceamount', 'amount', 'cost'],
+  currency: ['currency', 'pricecurrency'],
+  pricingType: ['pricingtype', 'pricetype', 'pricingmodel', 'access'],
+  isFree: ['isfree', 'free'],
+  certificate: ['offerscertificate', 'certificate', 'hascertificate', 'certificateavailable'],
+  certificateType: ['certificatetype'],
+  careerPaths: ['careerpaths', 'careers'],
+  jobRoles: ['jobroles', 'roles'],
+  industries: ['industries', 'industry'],
+  modules: ['modules', 'syllabus', 'curriculum', 'syllabussections'],
+  tags: ['tags', 'keywords'],
+  instructorRating: ['instructorrating'],
+  updatedAt: ['contentupdated', 'lastupdated', 'updatedat', 'updated', 'datemodified', 'modified', 'lastupdate']
+};
+
+/**
+ * Maps a flat record onto the entry shape the course normalizer expects
+ *
+ * @param {Object} record - One CSV row or JSON object
+ * @param {Object} columns - Optional { entryField: 'Source Column' } overrides
+ * @returns {Object} Catalog entry with only the fields the record has
+ */
+const mapRecord = (record, columns = {}) => pickFields(record, FIELD_ALIASES, columns);
+
+module.exports = {
+  FIELD_ALIASES,
+  mapRecord
+};
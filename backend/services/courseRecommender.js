@@ -0,0 +1,255 @@
+/**
+ * Course Recommender - Ranks courses from the Course collection for a user
+ *
+ * Each candidate course starts from Course#calculateRecommendationScore and
+ * is boosted by how much of the user's skill gap its skillsTaught covers.
+ * Gaps come from what open jobs for the user's career path ask for, falling
+ * back to the role template from the skill gap analysis when no jobs match.
+ * Courses that fail Course#isSuitableForUser are kept but ranked lower and
+ * flagged, and courses the user has already taken are left out.
+ */
+
+const Course = require('../models/Course');
+const Job = require('../models/Job');
+const aiService = require('./aiService');
+const skillTaxonomy = require('./skillTaxonomy');
+const { escapeRegExp } = require('./jobSearch');
+
+const MAX_CANDIDATES = 300;
+const GAP_BOOST = 0.5;
+const UNSUITABLE_PENALTY = 0.6;
+const DEMAND_JOBS_SAMPLE = 200;
+const MAX_GAPS = 15;
+
+const { PROFICIENCY_LEVELS, SKILL_PRIORITY_WEIGHTS } = Job;
+const DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+
+/**
+ * Finds the skills a user still needs for a career path
+ *
+ * @param {Object} user - User document
+ * @param {string} careerPath - Target role, e.g. "Frontend Developer"
+ * @returns {Promise<Object>} { source: 'jobs' | 'role', gaps: [{ name, skillId, weight, reason }] }
+ */
+const findSkillGaps = async (user, careerPath) => {
+  const demand = await getJobSkillDemand(careerPath);
+
+  let source = 'jobs';
+  let required = demand.skills.map(skill => ({
+    name: skill.name,
+    weight: skill.share >= 0.5 ? SKILL_PRIORITY_WEIGHTS.high : skill.share >= 0.25 ? SKILL_PRIORITY_WEIGHTS.medium : SKILL_PRIORITY_WEIGHTS.low,
+    reason: `asked for in ${Math.round(skill.share * 100)}% of open ${careerPath} jobs`
+  }));
+
+  if (required.length === 0) {
+    source = 'role';
+    const analysis = await aiService.analyzeSkillGaps(user.skills, careerPath);
+    required = [...analysis.skillGaps, ...analysis.existingStrengths].map(skill => ({
+      name: skill.name,
+      level: skill.level,
+      weight: SKILL_PRIORITY_WEIGHTS[skill.priority] || SKILL_PRIORITY_WEIGHTS.medium,
+      reason: `a ${skill.priority || 'medium'}-priority skill for ${careerPath}`
+    }));
+  }
+
+  const gaps = required
+    .filter(skill => !userHasSkill(user, skill))
+    .map(skill => ({ ...skill, name: skillTaxonomy.canonicalSkillName(skill.name), skillId: skillTaxonomy.skillKey(skill.name) }))
+    .filter((gap, index, all) => all.findIndex(other => other.skillId === gap.skillId) === index)
+    .slice(0, MAX_GAPS);
+
+  return { source, gaps };
+};
+
+/**
+ * Ranks courses from the Course collection for a user
+ *
+ * @param {Object} user - User document
+ * @param {Object} options - { careerPath, difficulty, provider, category, freeOnly, limit }
+ * @returns {Promise<Object>} { recommendations, skillGaps, gapSource, candidates }
+ */
+const recommendCourses = async (user, options = {}) => {
+  const careerPath = options.careerPath || user.targetJobTitle || 'Software Developer';
+  const limit = options.limit || 10;
+
+  const { source, gaps } = await findSkillGaps(user, careerPath);
+  const totalGapWeight = gaps.reduce((sum, gap) => sum + gap.weight, 0);
+
+  const takenCourseIds = (user.learningProgress || []).map(entry => entry.courseId);
+  const courses = await Course.find({ ...buildCourseQuery(options), _id: { $nin: takenCourseIds } })
+    .sort({ 'rating.average': -1, enrollmentCount: -1 })
+    .limit(MAX_CANDIDATES);
+
+  // Scored against the career path being asked about, not only the one on the profile
+  const profile = { skills: user.skills, targetJobTitle: careerPath };
+
+  const recommendations = courses.map(course => {
+    const baseScore = course.calculateRecommendationScore(profile);
+    const gapsFilled = gaps.filter(gap =>
+      course.skillsTaught.some(taught => skillTaxonomy.skillSatisfies(taught.name, gap.name)));
+    const gapCoverage = totalGapWeight > 0
+      ? gapsFilled.reduce((sum, gap) => sum + gap.weight, 0) / totalGapWeight
+      : 0;
+    const isSuitable = course.isSuitableForUser(user.skills, user.experienceLevel);
+
+    let score = baseScore + GAP_BOOST * gapCoverage;
+    if (!isSuitable) score *= UNSUITABLE_PENALTY;
+
+    return {
+      course,
+      score,
+      breakdown: {
+        profileFit: round(baseScore),
+        gapCoverage: round(gapCoverage),
+        suitable: isSuitable
+      },
+      gapsFilled,
+      reasons: buildReasons(course, { user, careerPath, gapsFilled, isSuitable })
+    };
+  })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(formatRecommendation);
+
+  return { recommendations, skillGaps: gaps, gapSource: source, candidates: courses.length };
+};
+
+// Query helpers
+
+function buildCourseQuery({ provider, category, difficulty, freeOnly }) {
+  const query = { isActive: true };
+  if (provider) query.provider = provider;
+  if (category) query.category = category;
+  if (difficulty) {
+    // Stored capitalized; accept any casing from the query string
+    query.difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(difficulty).toLowerCase()) || difficulty;
+  }
+  if (freeOnly) query['pricing.type'] = 'free';
+  return query;
+}
+
+async function getJobSkillDemand(careerPath) {
+  const keywords = String(careerPath || '').split(/\s+/).filter(word => word.length > 2);
+  if (keywords.length === 0) return { jobCount: 0, skills: [] };
+
+  const titleMatch = keywords.map(word => ({ title: new RegExp(`\\b${escapeRegExp(word)}`, 'i') }));
+  const open = Job.openCriteria();
+  const jobs = await Job.find({ ...open, duplicateOf: null, $and: [...open.$and, ...titleMatch] })
+    .select('requiredSkills')
+    .sort({ postedDate: -1 })
+    .limit(DEMAND_JOBS_SAMPLE);
+
+  const counts = new Map();
+  jobs.forEach(job => {
+    const seen = new Set();
+    job.requiredSkills
+      .filter(skill => skill.isRequired !== false)
+      .forEach(skill => {
+        const key = skillTaxonomy.skillKey(skill.name);
+        if (seen.has(key)) return;
+        seen.add(key);
+        const entry = counts.get(key) || { name: skill.name, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+  });
+
+  const skills = [...counts.values()]
+    .map(entry => ({ name: entry.name, share: entry.count / jobs.length }))
+    .sort((a, b) => b.share - a.share);
+  return { jobCount: jobs.length, skills };
+}
+
+// Scoring helpers
+
+function userHasSkill(user, required) {
+  const userSkill = skillTaxonomy.findMatchingSkill(user.skills, required.name);
+  if (!userSkill) return false;
+  if (!required.level) return true;
+  return PROFICIENCY_LEVELS.indexOf(userSkill.proficiencyLevel) >= PROFICIENCY_LEVELS.indexOf(required.level);
+}
+
+function buildReasons(course, { user, careerPath, gapsFilled, isSuitable }) {
+  const reasons = [];
+
+  if (gapsFilled.length > 0) {
+    const names = gapsFilled.slice(0, 3).map(gap => gap.name);
+    reasons.push(`Teaches ${joinNames(names)}, ${gapsFilled.length === 1 ? gapsFilled[0].reason : `skills you're missing for ${careerPath}`}`);
+  }
+
+  if (course.careerPaths.includes(careerPath) || course.jobRoles.includes(careerPath)) {
+    reasons.push(`Designed for ${careerPath} roles`);
+  }
+
+  const buildsOn = course.skillsTaught
+    .filter(taught => skillTaxonomy.findMatchingSkill(user.skills, taught.name))
+    .map(taught => taught.name);
+  if (buildsOn.length > 0) {
+    reasons.push(`Builds on skills you already have: ${joinNames(buildsOn.slice(0, 3))}`);
+  }
+
+  if (course.rating?.average && course.rating.count) {
+    reasons.push(`Rated ${course.rating.average.toFixed(1)} by ${course.rating.count.toLocaleString()} learners`);
+  }
+
+  if (course.pricing?.type === 'free') reasons.push('Free to take');
+
+  if (!isSuitable) {
+    reasons.push(course.prerequisites.length > 0
+      ? `Check the prerequisites first: ${joinNames(course.prerequisites.slice(0, 3))}`
+      : `${course.difficulty} level may not fit your experience`);
+  }
+
+  return reasons.length > 0 ? reasons : [`Popular ${course.category} course`];
+}
+
+function formatRecommendation({ course, score, breakdown, gapsFilled, reasons }) {
+  const hours = course.duration?.hours;
+  return {
+    id: course._id,
+    title: course.title,
+    provider: course.provider,
+    description: course.description,
+    url: course.url,
+    category: course.category,
+    subcategory: course.subcategory,
+    difficulty: course.difficulty,
+    duration: hours ? `${hours} hours` : undefined,
+    durationHours: hours,
+    durationWeeks: course.duration?.weeks,
+    timeToComplete: hours ? `${hours} hours` : undefined,
+    rating: course.rating?.average,
+    ratingCount: course.rating?.count,
+    studentCount: course.enrollmentCount,
+    pricing: course.pricing,
+    isFree: course.pricing?.type === 'free',
+    price: course.pricing?.amount,
+    offersCertificate: course.offersCertificate,
+    certificateAvailable: course.offersCertificate,
+    prerequisites: course.prerequisites,
+    skillsGained: course.skillsTaught.map(skill => skill.name),
+    tags: course.tags,
+    relevanceScore: round(Math.min(score, 1)),
+    matchScore: Math.round(Math.min(score, 1) * 100),
+    scoreBreakdown: breakdown,
+    gapsFilled: gapsFilled.map(gap => gap.name),
+    isRecommendedForGaps: gapsFilled.length > 0,
+    isSuitable: breakdown.suitable,
+    reason: reasons[0],
+    reasons
+  };
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  findSkillGaps,
+  recommendCourses
+};
@@ -0,0 +1,114 @@
+/**
+ * Course Reviews - Who may review a course, and what reviews do to its rating
+ *
+ * Only learners who have finished a course, or tracked at least
+ * REVIEW_MIN_PROGRESS percent of it in learningProgress, can review it.
+ * Published reviews are aggregated into the course's reviewAverage and
+ * reviewCount, which Course#refreshRating blends with the provider's own
+ * rating into rating.average and qualityScore. Flagged and removed reviews
+ * drop out of the aggregate until a moderator republishes them.
+ */
+
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseReview = require('../models/CourseReview');
+
+const DEFAULT_MIN_PROGRESS = 50;
+
+/**
+ * Works out whether a user may review a course from their learning progress
+ *
+ * @param {Object} user - User document (or plain object with learningProgress)
+ * @param {string|ObjectId} courseId - Course to review
+ * @returns {Object} { eligible, reason, progress, completed, minProgress }
+ */
+const checkEligibility = (user, courseId) => {
+  const minProgress = minimumProgress();
+  const entry = (user.learningProgress || [])
+    .find(item => item.courseId && item.courseId.toString() === courseId.toString());
+
+  if (!entry) {
+    return {
+      eligible: false,
+      reason: 'Enroll in the course and make some progress before reviewing it',
+      progress: 0,
+      completed: false,
+      minProgress
+    };
+  }
+
+  const progress = entry.progress || 0;
+  const completed = entry.status === 'completed';
+  const eligible = completed || progress >= minProgress;
+
+  return {
+    eligible,
+    reason: eligible ? null : `Reviews open once you are ${minProgress}% through the course (you are at ${progress}%)`,
+    progress,
+    completed,
+    minProgress
+  };
+};
+
+/**
+ * Star counts and average over a course's published reviews
+ *
+ * @param {string|ObjectId} courseId - Course
+ * @returns {Promise<Object>} { average, count, distribution } with distribution keyed 1-5
+ */
+const summarizeReviews = async (courseId) => {
+  const groups = await CourseReview.aggregate([
+    { $match: { courseId: new mongoose.Types.ObjectId(String(courseId)), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  for (const group of groups) {
+    distribution[group._id] = group.count;
+    count += group.count;
+    total += group._id * group.count;
+  }
+
+  return {
+    average: count > 0 ? Math.round(total / count * 100) / 100 : null,
+    count,
+    distribution
+  };
+};
+
+/**
+ * Re-aggregates published reviews into the course rating and quality score
+ *
+ * @param {string|ObjectId} courseId - Course whose reviews changed
+ * @returns {Promise<Object|null>} { rating, qualityScore, summary }, or null if the course is gone
+ */
+const refreshCourseRating = async (courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course) return null;
+
+  const summary = await summarizeReviews(courseId);
+  // Moves a legacy provider rating out of average/count before the first reviews land there
+  course.refreshRating();
+  course.set('rating.reviewAverage', summary.average === null ? undefined : summary.average);
+  course.set('rating.reviewCount', summary.count);
+  // Runs even when the aggregate is unchanged, so existing courses pick up a quality score
+  course.refreshRating();
+  await course.save();
+
+  return { rating: course.rating, qualityScore: course.qualityScore, summary };
+};
+
+// Eligibility helpers
+
+function minimumProgress() {
+  const configured = parseFloat(process.env.REVIEW_MIN_PROGRESS);
+  return Number.isNaN(configured) ? DEFAULT_MIN_PROGRESS : Math.min(100, Math.max(0, configured));
+}
+
+module.exports = {
+  checkEligibility,
+  summarizeReviews,
+  refreshCourseRating
+};
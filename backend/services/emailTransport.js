@@ -0,0 +1,110 @@
+/**
+ * Email Transport - Pluggable outgoing mail delivery
+ *
+ * The transport is picked with EMAIL_TRANSPORT:
+ *   - console (default): logs the message instead of sending it
+ *   - smtp: sends through SMTP_HOST/SMTP_PORT; the defaults point at a local
+ *     SMTP stand-in such as MailHog or smtp4dev on localhost:1025
+ *   - memory: keeps messages in an in-process outbox for local inspection
+ * Other transports can be added with registerTransport().
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Disha AI <no-reply@disha.ai>';
+
+const outbox = [];
+
+const transportFactories = {
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log(`[Email] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { accepted: [message.to] };
+    }
+  }),
+
+  memory: () => ({
+    name: 'memory',
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+      return { accepted: [message.to] };
+    }
+  }),
+
+  smtp: () => {
+    const port = parseInt(process.env.SMTP_PORT || '1025');
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE === 'true',
+      // Local stand-ins usually don't speak TLS
+      ignoreTLS: process.env.SMTP_SECURE !== 'true' && !process.env.SMTP_USER,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: async (message) => mailer.sendMail(message)
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Registers a transport factory under a name usable in EMAIL_TRANSPORT
+ *
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns { name, send(message) => Promise }
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) activeTransport = null;
+};
+
+/**
+ * Returns the configured transport, creating it on first use
+ *
+ * @returns {Object} { name, send }
+ */
+const getTransport = () => {
+  const name = process.env.EMAIL_TRANSPORT || 'console';
+  if (!activeTransport || activeTransport.name !== name) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown email transport "${name}". Available: ${Object.keys(transportFactories).join(', ')}`);
+    }
+    activeTransport = { ...factory(), name };
+  }
+  return activeTransport;
+};
+
+/**
+ * Sends an email through the configured transport
+ *
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async (message) => {
+  if (!message.to || !message.subject) {
+    throw new Error('Email requires a recipient and a subject');
+  }
+  return getTransport().send({ from: process.env.EMAIL_FROM || DEFAULT_FROM, ...message });
+};
+
+/**
+ * Messages delivered by the memory transport
+ *
+ * @returns {Array} Sent messages, oldest first
+ */
+const getOutbox = () => outbox;
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail,
+  getOutbox
+};
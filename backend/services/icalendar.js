@@ -0,0 +1,97 @@
+/**
+ * iCalendar - Minimal RFC 5545 writer for exporting schedules as .ics files
+ *
+ * Only what calendar apps need to show and refresh a read-only feed: a
+ * VCALENDAR with VEVENTs in UTC, text escaping and 75-octet line folding.
+ * Lines are joined with CRLF as the spec requires.
+ */
+
+const PRODUCT_ID = '-//Disha AI//Career Builder//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Builds an iCalendar document
+ *
+ * @param {Object} calendar - { name, description, refreshHours, events }
+ *   events: [{ uid, start, end, summary, description, url, sequence, status, categories }]
+ * @returns {string} .ics file contents
+ */
+const buildCalendar = ({ name, description, refreshHours, events = [] } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  const stamp = formatDateTime(new Date());
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.categories && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    lines.push('TRANSP:OPAQUE');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Formatting helpers
+
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Long lines are split into 75-octet chunks, continuations starting with a space;
+// never split inside a multi-byte character
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+module.exports = {
+  buildCalendar
+};
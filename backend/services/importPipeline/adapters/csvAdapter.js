@@ -0,0 +1,39 @@
+/**
+ * CSV Adapter - Exports with one record per row
+ *
+ * The first row must be a header. Each pipeline passes its record mapper,
+ * which matches columns by common names.
+ */
+
+const { parse: parseCsv } = require('csv-parse/sync');
+
+/**
+ * Creates a CSV adapter
+ *
+ * @param {Object} config - { description, mapRecord(row, columns) }
+ * @returns {Object} Adapter { name, description, parse(content, options) }
+ */
+const createCsvAdapter = ({ description, mapRecord }) => ({
+  name: 'csv',
+  description,
+
+  /**
+   * @param {string} content - CSV text
+   * @param {Object} options - { delimiter, columns }
+   * @returns {Array<Object>} Mapped records
+   */
+  parse: (content, options = {}) => {
+    const rows = parseCsv(content, {
+      columns: true,
+      bom: true,
+      delimiter: options.delimiter || ',',
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+
+    return rows.map(row => mapRecord(row, options.columns));
+  }
+});
+
+module.exports = { createCsvAdapter };
@@ -0,0 +1,51 @@
+/**
+ * JSON Adapter - Exports as a JSON array of flat objects
+ *
+ * Accepts a top-level array, or an object holding the array under one of the
+ * pipeline's container keys. Use recordsPath (e.g. "response.postings") for
+ * anything else. Each pipeline passes its record mapper, which matches fields
+ * by common names.
+ */
+
+/**
+ * Creates a JSON adapter
+ *
+ * @param {Object} config - { description, recordName, containerKeys, mapRecord(record, columns) }
+ * @returns {Object} Adapter { name, description, parse(content, options) }
+ */
+const createJsonAdapter = ({ description, recordName, containerKeys, mapRecord }) => ({
+  name: 'json',
+  description,
+
+  /**
+   * @param {string} content - JSON text
+   * @param {Object} options - { recordsPath, columns }
+   * @returns {Array<Object>} Mapped records
+   */
+  parse: (content, options = {}) => {
+    const data = JSON.parse(content);
+    const records = findRecords(data, options.recordsPath, containerKeys);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`No array of ${recordName} records found in JSON input`);
+    }
+
+    return records
+      .filter(record => record && typeof record === 'object')
+      .map(record => mapRecord(record, options.columns));
+  }
+});
+
+// Helper functions
+
+function findRecords(data, recordsPath, containerKeys) {
+  if (recordsPath) {
+    return recordsPath.split('.').reduce((value, key) => (value ? value[key] : undefined), data);
+  }
+  if (Array.isArray(data)) return data;
+
+  const key = containerKeys.find(candidate => Array.isArray(data?.[candidate]));
+  return key ? data[key] : null;
+}
+
+module.exports = { createJsonAdapter };
@@ -0,0 +1,132 @@
+/**
+ * Import Fields - Value parsing shared by the job ingestion and course import normalizers
+ *
+ * Feeds and catalog exports hand over loosely typed values: HTML fragments,
+ * lists written as "a, b; c", numbers with currency symbols and dates in
+ * whatever format the source prefers. These helpers turn them into the
+ * plain strings, arrays, numbers and dates the schemas expect.
+ */
+
+const skillTaxonomy = require('../skillTaxonomy');
+
+/**
+ * Strips markup and entities and collapses whitespace
+ *
+ * @param {*} value - Text, possibly HTML
+ * @param {Object} options - { keepParagraphs } keeps line breaks between paragraphs
+ * @returns {string}
+ */
+const cleanText = (value, { keepParagraphs = false } = {}) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/<[a-z][\s\S]*>/i.test(text)) {
+    text = text
+      .replace(/<\s*(br|\/p|\/li|\/h\d|\/div)\s*\/?>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '• ')
+      .replace(/<[^>]+>/g, '');
+  }
+  text = decodeEntities(text);
+  return keepParagraphs
+    ? text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+    : text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Reads a list from an array (of strings or { name } objects) or a separated string
+ *
+ * @param {Array|string} raw - List value
+ * @param {RegExp} separator - Splits string values (default commas, semicolons and pipes)
+ * @returns {Array<string>} Cleaned, non-empty items
+ */
+const normalizeList = (raw, separator = /[,;|]/) => {
+  if (!raw) return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(separator);
+  return list
+    .map(item => cleanText(typeof item === 'object' && item !== null ? item.name : item))
+    .filter(Boolean);
+};
+
+/**
+ * Canonicalizes a list of skill names, dropping duplicates
+ *
+ * @param {Array|string} raw - Array of names/{ name } objects, or a comma/semicolon/pipe separated string
+ * @returns {Array<string>} Skill names with taxonomy skills in their canonical spelling
+ */
+const normalizeSkills = (raw) => {
+  const seen = new Set();
+  return normalizeList(raw)
+    .map(skillTaxonomy.canonicalSkillName)
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Parses a number, ignoring currency symbols, units and thousands separators
+ *
+ * @param {*} value - Number or text such as "$1,299.00"
+ * @returns {number|undefined}
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.-]/g, ''));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Parses a date
+ *
+ * @param {*} value - Date or anything Date can parse
+ * @returns {Date|null} null when missing or invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads yes/no style flags
+ *
+ * @param {*} value - Boolean or text such as "Yes", "true" or "1"
+ * @returns {boolean}
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase().trim());
+};
+
+/**
+ * Tells whether a source value is missing: nothing, blank text or an empty list
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+// Text helpers
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+  cleanText,
+  normalizeList,
+  normalizeSkills,
+  parseNumber,
+  parseDate,
+  parseBoolean,
+  isBlank
+};
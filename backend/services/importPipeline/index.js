@@ -0,0 +1,202 @@
+/**
+ * Import Pipeline - The runner behind job ingestion and course catalog import
+ *
+ * A run loads its input (URL, file or raw content), hands it to a format
+ * adapter and walks the records it returns. Each record is normalized,
+ * checked for a repeat of an id earlier in the same input, validated against
+ * the target schema and upserted; anything turned away is recorded on the run
+ * with its reasons. The run document (see models/importRunSchema) is saved
+ * when the run starts and again with its counts when it finishes.
+ *
+ * What a record becomes is up to the pipeline using this module (see
+ * ../ingestion and ../courseImport), which passes hooks:
+ *   normalize(record) => { value, id, key?, errors }
+ *   rejection(record, value) => fields stored on the run for a rejected record
+ *   validate(value) => unsaved document to validate, or null to skip validation
+ *   upsert(value, run) => outcome counted on the run ('created', 'updated', ...),
+ *     or { rejected: reasons } when the record cannot be stored
+ *
+ * Adapters are modules exporting { name, description, parse(content, options) }
+ * where parse returns flat records.
+ */
+
+const fs = require('fs').promises;
+
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Creates a pipeline with its own adapters and run model
+ *
+ * @param {Object} config
+ * @param {string} config.label - Name used in logs, e.g. "Ingestion"
+ * @param {string} config.userAgent - Sent when fetching URLs
+ * @param {string} config.idLabel - How record ids are named in duplicate messages
+ * @param {Object} config.Run - Model built on importRunSchema
+ * @param {Array<Object>} config.adapters - Initial adapters
+ * @returns {Object} { registerAdapter, listAdapters, run }
+ */
+const createImportPipeline = ({ label, userAgent, idLabel, Run, adapters: initialAdapters = [] }) => {
+  const adapters = {};
+
+  /**
+   * Registers a format adapter
+   *
+   * @param {Object} adapter - { name, description, parse(content, options) => Array<record> }
+   */
+  const registerAdapter = (adapter) => {
+    if (!adapter?.name || typeof adapter.parse !== 'function') {
+      throw new Error('Adapters need a name and a parse(content, options) function');
+    }
+    adapters[adapter.name] = adapter;
+  };
+
+  /**
+   * Lists the available adapters
+   *
+   * @returns {Array<Object>} [{ name, description }]
+   */
+  const listAdapters = () => Object.values(adapters).map(({ name, description }) => ({ name, description }));
+
+  /**
+   * Runs one import and records it
+   *
+   * @param {Object} options - { adapter, url, file, content, adapterOptions, name, dryRun }
+   * @param {Object} hooks - { runFields, normalize, rejection, validate, upsert } (see above)
+   * @returns {Promise<Object>} Run document
+   */
+  const run = async (options, hooks) => {
+    const adapter = adapters[options.adapter];
+    if (!adapter) {
+      throw new Error(`Unknown adapter "${options.adapter}". Available: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    const record = new Run({
+      name: options.name,
+      adapter: adapter.name,
+      input: describeInput(options),
+      dryRun: !!options.dryRun,
+      ...hooks.runFields
+    });
+    if (!options.dryRun) await record.save();
+
+    try {
+      const content = await loadContent(options, userAgent);
+      const items = adapter.parse(content, options.adapterOptions || {});
+      record.counts.received = items.length;
+
+      const seen = new Set();
+      for (const [index, item] of items.entries()) {
+        const { value, id, key = id, errors } = hooks.normalize(item);
+
+        if (errors.length === 0 && seen.has(key)) {
+          errors.push(`Duplicate ${idLabel} "${id}" in this input`);
+        }
+        if (errors.length === 0) {
+          const validationError = hooks.validate(value)?.validateSync();
+          if (validationError) {
+            errors.push(...Object.values(validationError.errors).map(error => error.message));
+          }
+        }
+        if (errors.length > 0) {
+          record.reject(index, hooks.rejection(item, value), errors);
+          continue;
+        }
+
+        seen.add(key);
+        const outcome = await hooks.upsert(value, record);
+        if (outcome?.rejected) {
+          record.reject(index, hooks.rejection(item, value), outcome.rejected);
+          continue;
+        }
+        record.counts[outcome] += 1;
+      }
+
+      record.status = 'completed';
+    } catch (error) {
+      console.error(`[${label}] ${adapter.name} run failed:`, error.message);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+
+    record.finishedAt = new Date();
+    if (!options.dryRun) await record.save();
+    return record;
+  };
+
+  initialAdapters.forEach(registerAdapter);
+  return { registerAdapter, listAdapters, run };
+};
+
+/**
+ * Lists the fields whose stored value differs from an incoming one
+ *
+ * @param {Object} existing - Stored document
+ * @param {Object} incoming - Unsaved document of the same model, so both sides have the same casting and defaults
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<string>} Changed fields
+ */
+const changedFields = (existing, incoming, fields) => {
+  const current = stripIds(existing.toObject({ virtuals: false }));
+  const next = stripIds(incoming.toObject({ virtuals: false }));
+
+  return fields.filter(field => stableStringify(current[field]) !== stableStringify(next[field]));
+};
+
+// Input helpers
+
+function describeInput({ url, file, content }) {
+  if (url) return { type: 'url', location: url };
+  if (file) return { type: 'file', location: file };
+  if (content !== undefined) return { type: 'content' };
+  throw new Error('Provide a url, file or content to import');
+}
+
+async function loadContent({ url, file, content }, userAgent) {
+  if (url) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Fetching ${url} failed with HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  if (file) {
+    return fs.readFile(file, 'utf8');
+  }
+  return Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+}
+
+// Comparison helpers
+
+function stripIds(value) {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object' && value.constructor?.name === 'ObjectId') return value.toString();
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id' && key !== 'id')
+      .map(([key, child]) => [key, stripIds(child)]));
+  }
+  return value;
+}
+
+function stableStringify(value) {
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    if (entries.length === 0) return 'undefined';
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  createImportPipeline,
+  changedFields
+};
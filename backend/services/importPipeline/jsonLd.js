@@ -0,0 +1,85 @@
+/**
+ * JSON-LD - Finds schema.org objects in HTML pages or raw JSON-LD documents
+ *
+ * Pages embed their markup in <script type="application/ld+json"> blocks;
+ * objects of the wanted type nested in @graph or ItemList structures are
+ * found as well. The JobPosting and Course adapters map what this returns.
+ */
+
+const SCRIPT_PATTERN = /<script[^>]+type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+/**
+ * Collects every object of a schema.org type
+ *
+ * @param {string} content - HTML page or JSON-LD document
+ * @param {string} type - schema.org type, e.g. JobPosting
+ * @returns {Array<Object>} Matching JSON-LD nodes
+ */
+const findJsonLdNodes = (content, type) => {
+  const documents = [];
+  const text = String(content);
+
+  const scripts = [...text.matchAll(SCRIPT_PATTERN)].map(match => match[1].trim());
+  if (scripts.length > 0) {
+    scripts.forEach(script => {
+      try {
+        documents.push(JSON.parse(script));
+      } catch (error) {
+        // One malformed block shouldn't hide the objects in the others
+      }
+    });
+  } else {
+    documents.push(JSON.parse(text));
+  }
+
+  const nodes = [];
+  documents.forEach(document => collectNodes(document, type, nodes));
+  return nodes;
+};
+
+/**
+ * Takes the first value of a property that may hold one value or a list
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+const firstOf = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Reads an identifier given as text, a number or a PropertyValue
+ *
+ * @param {*} identifier - identifier property
+ * @returns {string|undefined}
+ */
+const identifierOf = (identifier) => {
+  const value = firstOf(identifier);
+  if (!value) return undefined;
+  if (typeof value === 'object') return value.value !== undefined ? String(value.value) : value.name;
+  return String(value);
+};
+
+// Traversal helpers
+
+function collectNodes(node, type, nodes) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectNodes(child, type, nodes));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const types = [].concat(node['@type'] || []);
+  if (types.includes(type)) {
+    nodes.push(node);
+    return;
+  }
+
+  ['@graph', 'itemListElement', 'item', 'mainEntity'].forEach(key => {
+    if (node[key]) collectNodes(node[key], type, nodes);
+  });
+}
+
+module.exports = {
+  findJsonLdNodes,
+  firstOf,
+  identifierOf
+};
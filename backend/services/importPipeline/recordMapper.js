@@ -0,0 +1,58 @@
+/**
+ * Record Mapper - Reads fields from flat records (CSV rows, JSON objects) by alias
+ *
+ * Column names vary between exports, so each field accepts a list of common
+ * aliases. Names are compared lowercased with punctuation removed, so
+ * "Job Title", "job_title" and "jobTitle" all match "jobtitle". A feed with
+ * unusual headers can pass its own { field: 'Column Name' } map. Each
+ * pipeline keeps its own alias table next to its normalizer.
+ */
+
+const { isBlank } = require('./fields');
+
+/**
+ * Creates a reader for one record
+ *
+ * @param {Object} record - One CSV row or JSON object
+ * @param {Object} aliases - { field: ['alias', ...] } with aliases in normalized form
+ * @param {Object} columns - Optional { field: 'Source Column' } overrides
+ * @returns {Function} pick(field) => raw value or undefined
+ */
+const createFieldPicker = (record, aliases, columns = {}) => {
+  const lookup = new Map(Object.keys(record).map(key => [normalizeKey(key), key]));
+
+  return (field) => {
+    if (columns[field] !== undefined) return record[columns[field]];
+    const alias = (aliases[field] || []).find(name => lookup.has(name));
+    return alias ? record[lookup.get(alias)] : undefined;
+  };
+};
+
+/**
+ * Reads every aliased field a record has
+ *
+ * @param {Object} record - One CSV row or JSON object
+ * @param {Object} aliases - { field: ['alias', ...] }
+ * @param {Object} columns - Optional { field: 'Source Column' } overrides
+ * @returns {Object} Only the fields the record has a value for
+ */
+const pickFields = (record, aliases, columns = {}) => {
+  const pick = createFieldPicker(record, aliases, columns);
+  const fields = {};
+  Object.keys(aliases).forEach(field => {
+    const value = pick(field);
+    if (!isBlank(value)) fields[field] = value;
+  });
+  return fields;
+};
+
+// Helper functions
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  createFieldPicker,
+  pickFields
+};
@@ -0,0 +1,83 @@
+/**
+ * JSON-LD Adapter - schema.org JobPosting markup
+ *
+ * Reads career pages that embed JobPosting objects in
+ * <script type="application/ld+json"> blocks, or raw JSON-LD documents.
+ * Postings nested in @graph or ItemList structures are found as well.
+ */
+
+const { findJsonLdNodes, firstOf, identifierOf } = require('../../importPipeline/jsonLd');
+
+const name = 'jsonld';
+const description = 'schema.org JobPosting JSON-LD, embedded in HTML pages or as raw JSON';
+
+/**
+ * @param {string} content - HTML page or JSON-LD document
+ * @returns {Array<Object>} Postings
+ */
+const parse = (content) => findJsonLdNodes(content, 'JobPosting').map(mapJobPosting);
+
+// JobPosting helpers
+
+function mapJobPosting(node) {
+  const organization = firstOf(node.hiringOrganization);
+  const place = firstOf(node.jobLocation);
+  const address = place?.address || {};
+  const remote = [].concat(node.jobLocationType || []).includes('TELECOMMUTE');
+
+  return {
+    externalId: identifierOf(node.identifier),
+    title: node.title,
+    company: typeof organization === 'string' ? organization : organization?.name,
+    companyWebsite: organization?.sameAs || organization?.url,
+    description: node.description,
+    location: place
+      ? {
+        city: address.addressLocality,
+        state: address.addressRegion,
+        country: typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry
+      }
+      : applicantCountry(node.applicantLocationRequirements),
+    isRemote: remote,
+    employmentType: node.employmentType,
+    experienceLevel: node.experienceRequirements?.monthsOfExperience !== undefined
+      ? levelFromMonths(node.experienceRequirements.monthsOfExperience)
+      : undefined,
+    industry: typeof node.industry === 'object' ? node.industry?.name : node.industry,
+    salary: salaryOf(node.baseSalary || node.estimatedSalary),
+    skills: node.skills,
+    postedDate: node.datePosted,
+    expiryDate: node.validThrough,
+    url: node.url,
+    applicationUrl: node.directApply === false ? undefined : node.url
+  };
+}
+
+function applicantCountry(requirements) {
+  const requirement = firstOf(requirements);
+  return requirement?.name ? { country: requirement.name } : undefined;
+}
+
+function salaryOf(baseSalary) {
+  const salary = firstOf(baseSalary);
+  if (!salary) return undefined;
+  if (typeof salary !== 'object') return salary;
+
+  const value = typeof salary.value === 'object' ? salary.value : { value: salary.value };
+  return {
+    min: value.minValue ?? value.value,
+    max: value.maxValue ?? value.value,
+    currency: salary.currency,
+    period: value.unitText || salary.unitText
+  };
+}
+
+function levelFromMonths(months) {
+  const years = Number(months) / 12;
+  if (years < 2) return 'entry';
+  if (years < 5) return 'mid';
+  if (years < 10) return 'senior';
+  return 'executive';
+}
+
+module.exports = { name, description, parse };
@@ -0,0 +1,97 @@
+/**
+ * RSS/Atom Adapter - Job feeds published as RSS 2.0 or Atom
+ *
+ * Standard item fields give the title, link, ID, date and description.
+ * Job boards usually add their own elements (company, location, salary,
+ * jobtype, ...); namespace prefixes are dropped so <job:company> and
+ * <company> read the same. When there is no company element, titles in the
+ * "Title at Company" form are split.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const name = 'rss';
+const description = 'RSS 2.0 or Atom job feed';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  textNodeName: '#text',
+  parseTagValue: false,
+  isArray: (tagName) => ['item', 'entry', 'category', 'link'].includes(tagName)
+});
+
+/**
+ * @param {string} content - Feed XML
+ * @returns {Array<Object>} Postings
+ */
+const parse = (content) => {
+  const feed = parser.parse(String(content));
+
+  if (feed.rss) {
+    const channel = feed.rss.channel || {};
+    return (channel.item || []).map(mapRssItem);
+  }
+  if (feed.feed) {
+    return (feed.feed.entry || []).map(mapAtomEntry);
+  }
+  if (feed.RDF) {
+    return [].concat(feed.RDF.item || []).map(mapRssItem);
+  }
+
+  throw new Error('Input is not an RSS or Atom feed');
+};
+
+// Feed helpers
+
+function mapRssItem(item) {
+  const link = textOf(item.link?.[0]);
+  return withCompanyFromTitle({
+    externalId: textOf(item.guid) || link,
+    title: textOf(item.title),
+    company: textOf(item.company || item.employer || item.hiringOrganization || item.creator),
+    description: textOf(item.encoded || item.description),
+    location: textOf(item.location || item.city),
+    employmentType: textOf(item.jobtype || item.employmentType || item.type),
+    salary: textOf(item.salary),
+    skills: textOf(item.skills),
+    tags: (item.category || []).map(textOf),
+    postedDate: textOf(item.pubDate || item.date),
+    expiryDate: textOf(item.expires || item.validThrough || item.expirationDate),
+    url: link
+  });
+}
+
+function mapAtomEntry(entry) {
+  const links = entry.link || [];
+  const link = links.find(candidate => !candidate['@_rel'] || candidate['@_rel'] === 'alternate') || links[0];
+  return withCompanyFromTitle({
+    externalId: textOf(entry.id),
+    title: textOf(entry.title),
+    company: textOf(entry.company || entry.employer || entry.author?.name),
+    description: textOf(entry.content || entry.summary),
+    location: textOf(entry.location),
+    employmentType: textOf(entry.jobtype || entry.employmentType),
+    salary: textOf(entry.salary),
+    skills: textOf(entry.skills),
+    tags: (entry.category || []).map(category => category['@_term'] || textOf(category)),
+    postedDate: textOf(entry.published || entry.updated),
+    expiryDate: textOf(entry.expires),
+    url: link?.['@_href']
+  });
+}
+
+function withCompanyFromTitle(posting) {
+  if (posting.company || !posting.title) return posting;
+  const match = posting.title.match(/^(.+?)\s+at\s+(.+)$/i);
+  return match ? { ...posting, title: match[1], company: match[2] } : posting;
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : undefined;
+  return String(value);
+}
+
+module.exports = { name, description, parse };
@@ -0,0 +1,152 @@
+/**
+ * Job Ingestion - Pulls postings from feeds and files into the Job collection
+ *
+ * Runs on the shared import pipeline (see ../importPipeline): a run loads its
+ * input (URL, file or raw content), hands it to a format adapter, normalizes
+ * each posting onto the Job schema and upserts it by source platform +
+ * source.externalId. New and changed postings are checked for duplicates
+ * from other sources (see jobDeduplication). Every run is stored as an
+ * IngestionRun with created/updated/unchanged/rejected/merged counts and the
+ * reasons each rejected posting was turned away.
+ *
+ * Adapters are modules exporting { name, description, parse(content, options) }
+ * where parse returns flat postings; register more with registerAdapter().
+ */
+
+const Job = require('../../models/Job');
+const IngestionRun = require('../../models/IngestionRun');
+const jobDeduplication = require('../jobDeduplication');
+const { createImportPipeline, changedFields } = require('../importPipeline');
+const { createCsvAdapter } = require('../importPipeline/adapters/csvAdapter');
+const { createJsonAdapter } = require('../importPipeline/adapters/jsonAdapter');
+const { isBlank } = require('../importPipeline/fields');
+const { normalizeJobPosting, PLATFORMS } = require('./normalize');
+const { mapRecord } = require('./recordMapper');
+
+// Job fields an ingestion run owns; engagement metrics, status and AI insights are left alone
+const UPSERT_FIELDS = [
+  'title', 'company', 'description', 'location', 'employmentType', 'experienceLevel', 'industry',
+  'department', 'salary', 'requiredSkills', 'experienceRequirements', 'applicationUrl',
+  'companyInfo', 'postedDate', 'expiryDate', 'tags'
+];
+
+const pipeline = createImportPipeline({
+  label: 'Ingestion',
+  userAgent: 'DishaAI-JobIngestion/1.0',
+  idLabel: 'externalId',
+  Run: IngestionRun,
+  adapters: [
+    require('./adapters/jsonLdAdapter'),
+    require('./adapters/rssAdapter'),
+    createCsvAdapter({ description: 'CSV file with a header row, one job per row', mapRecord }),
+    createJsonAdapter({
+      description: 'JSON array of job objects (or { jobs | data | results | items: [...] })',
+      recordName: 'job',
+      containerKeys: ['jobs', 'data', 'results', 'items', 'postings'],
+      mapRecord
+    })
+  ]
+});
+
+/**
+ * Registers a format adapter
+ *
+ * @param {Object} adapter - { name, description, parse(content, options) => Array<posting> }
+ */
+const registerAdapter = pipeline.registerAdapter;
+
+/**
+ * Lists the available adapters
+ *
+ * @returns {Array<Object>} [{ name, description }]
+ */
+const listAdapters = pipeline.listAdapters;
+
+/**
+ * Runs one ingestion and records it
+ *
+ * @param {Object} options
+ * @param {string} options.adapter - Adapter name (jsonld, rss, csv, json)
+ * @param {string} [options.url] - Feed or page to fetch
+ * @param {string} [options.file] - Local file to read
+ * @param {string} [options.content] - Raw input
+ * @param {string} [options.platform] - Job.source.platform for these postings (default Other)
+ * @param {Object} [options.defaults] - Fallbacks for missing fields: { country, industry, company, employmentType, currency }
+ * @param {Object} [options.adapterOptions] - Passed through to the adapter (e.g. { columns, delimiter, recordsPath })
+ * @param {string} [options.name] - Label for the run
+ * @param {boolean} [options.dryRun] - Normalize and count without writing Jobs
+ * @returns {Promise<Object>} IngestionRun document
+ */
+const runIngestion = async (options) => {
+  const platform = options.platform || 'Other';
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(`Invalid platform "${platform}". Available: ${PLATFORMS.join(', ')}`);
+  }
+
+  return pipeline.run(options, {
+    runFields: { platform },
+    normalize: (posting) => {
+      const { job, errors } = normalizeJobPosting(posting, { platform, defaults: options.defaults });
+      return { value: job, id: job.source.externalId, errors };
+    },
+    rejection: (posting, job) => ({ ...posting, externalId: job.source.externalId }),
+    validate: (job) => new Job(job),
+    upsert: async (job, run) => {
+      const { outcome, job: saved } = await upsertJob(job, { dryRun: options.dryRun });
+      if (!options.dryRun && outcome !== 'unchanged') {
+        const { merged } = await jobDeduplication.deduplicateJob(saved);
+        if (merged) run.counts.merged += 1;
+      }
+      return outcome;
+    }
+  });
+};
+
+/**
+ * Creates or updates a Job from normalized fields
+ *
+ * @param {Object} fields - Output of normalizeJobPosting
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { outcome: 'created' | 'updated' | 'unchanged', job }
+ */
+const upsertJob = async (fields, { dryRun = false } = {}) => {
+  const now = new Date();
+  const { platform, externalId } = fields.source;
+  const existing = await Job.findOne({ 'source.platform': platform, 'source.externalId': externalId });
+
+  if (!existing) {
+    const job = new Job({ ...fields, source: { ...fields.source, scrapedAt: now, lastUpdated: now } });
+    if (!dryRun) await job.save();
+    return { outcome: 'created', job };
+  }
+
+  let changed = changedFields(existing, new Job(fields), UPSERT_FIELDS);
+  // Listings that absorbed duplicates keep what the merge filled in when this source leaves it blank
+  if (existing.mergedAt && !existing.duplicateOf) {
+    changed = changed.filter(field => !isBlank(fields[field]));
+  }
+  changed.forEach(field => existing.set(field, fields[field]));
+  if (fields.source.url) existing.source.url = fields.source.url;
+  // Refreshed even when nothing changed, so stale postings can be told apart
+  existing.source.lastUpdated = now;
+  existing.isStale = false;
+  existing.staleSince = undefined;
+
+  if (!dryRun) {
+    await existing.save();
+    if (existing.duplicateOf) {
+      await Job.updateOne(
+        { _id: existing.duplicateOf, sources: { $elemMatch: { platform, externalId } } },
+        { $set: { 'sources.$.lastUpdated': now, isStale: false }, $unset: { staleSince: 1 } }
+      );
+    }
+  }
+  return { outcome: changed.length > 0 ? 'updated' : 'unchanged', job: existing };
+};
+
+module.exports = {
+  registerAdapter,
+  listAdapters,
+  runIngestion,
+  upsertJob
+};
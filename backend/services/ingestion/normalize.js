@@ -0,0 +1,275 @@
+/**
+ * Ingestion Normalizer - Maps adapter postings onto the Job schema
+ *
+ * Adapters only have to pull fields out of their format into a flat posting
+ * ({ externalId, title, company, description, location, salary, skills, ... }).
+ * This module turns that into a valid Job document: it cleans text, maps
+ * employment types and experience levels onto the schema enums, parses salary
+ * strings and structures, and canonicalizes skill names through the skill taxonomy.
+ */
+
+const crypto = require('crypto');
+const Job = require('../../models/Job');
+const { KNOWN_SKILLS } = require('../resumeParser');
+const { containsPhrase } = require('../atsScorer');
+const skillTaxonomy = require('../skillTaxonomy');
+const { cleanText, normalizeList, normalizeSkills, parseDate } = require('../importPipeline/fields');
+
+const PLATFORMS = Job.SOURCE_PLATFORMS;
+
+const EMPLOYMENT_TYPES = {
+  'full-time': ['full_time', 'full-time', 'full time', 'fulltime', 'permanent', 'ft'],
+  'part-time': ['part_time', 'part-time', 'part time', 'parttime', 'pt'],
+  'contract': ['contract', 'contractor', 'freelance', 'consultant'],
+  'temporary': ['temporary', 'temp', 'seasonal', 'per_diem'],
+  'internship': ['intern', 'internship', 'trainee', 'apprenticeship']
+};
+
+const EXPERIENCE_LEVELS = {
+  entry: /\b(intern|junior|jr\.?|entry[\s-]level|graduate|associate|trainee)\b/i,
+  executive: /\b(director|vp|vice president|head of|chief|cto|ceo|cfo|president)\b/i,
+  senior: /\b(senior|sr\.?|lead|principal|staff|architect)\b/i
+};
+
+const DEFAULT_MINIMUM_YEARS = { entry: 0, mid: 2, senior: 5, executive: 10 };
+
+const SALARY_PERIODS = {
+  hourly: ['hour', 'hr', 'hourly', 'ph'],
+  daily: ['day', 'daily'],
+  weekly: ['week', 'wk', 'weekly'],
+  monthly: ['month', 'mo', 'monthly'],
+  yearly: ['year', 'yr', 'annum', 'annual', 'annually', 'pa', 'yearly']
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '£': 'GBP', '€': 'EUR', '₹': 'INR', '¥': 'JPY' };
+
+// Soft skills in KNOWN_SKILLS are too vague to pull out of a description
+const DESCRIPTION_SKILL_EXCLUDES = ['Leadership', 'Communication'];
+
+/**
+ * Normalizes one adapter posting into Job fields
+ *
+ * @param {Object} posting - Flat posting produced by an adapter
+ * @param {Object} options - { platform, defaults: { country, industry, employmentType, company } }
+ * @returns {Object} { job, errors } - errors is non-empty when the posting must be rejected
+ */
+const normalizeJobPosting = (posting, options = {}) => {
+  const defaults = options.defaults || {};
+  const errors = [];
+
+  const title = cleanText(posting.title);
+  const company = cleanText(posting.company || defaults.company);
+  const description = cleanText(posting.description, { keepParagraphs: true });
+
+  if (!title) errors.push('Missing title');
+  if (!company) errors.push('Missing company');
+  if (!description) errors.push('Missing description');
+
+  const postedDate = parseDate(posting.postedDate) || new Date();
+  const expiryDate = parseDate(posting.expiryDate);
+  if (posting.postedDate && !parseDate(posting.postedDate)) errors.push(`Invalid posted date "${posting.postedDate}"`);
+
+  const location = normalizeLocation(posting.location, {
+    isRemote: posting.isRemote,
+    country: defaults.country
+  });
+  if (!location.country) errors.push('Missing location country');
+
+  const experienceLevel = normalizeExperienceLevel(posting.experienceLevel, title);
+  const skills = normalizeSkills(posting.skills);
+  const requiredSkills = skillTaxonomy.normalizeSkillEntries((skills.length > 0 ? skills : extractSkills(description))
+    .map(name => ({ name, isRequired: true, priority: skills.length > 0 ? 'medium' : 'low' })));
+
+  const externalId = cleanText(posting.externalId) || deriveExternalId(posting, { title, company });
+
+  const job = {
+    title,
+    company,
+    description,
+    location,
+    employmentType: normalizeEmploymentType(posting.employmentType) ||
+      normalizeEmploymentType(defaults.employmentType) || 'full-time',
+    experienceLevel,
+    industry: cleanText(posting.industry) || defaults.industry || 'Other',
+    department: cleanText(posting.department) || undefined,
+    salary: normalizeSalary(posting.salary, { currency: defaults.currency }),
+    requiredSkills,
+    experienceRequirements: {
+      minimumYears: parseMinimumYears(description) ?? DEFAULT_MINIMUM_YEARS[experienceLevel]
+    },
+    applicationUrl: cleanText(posting.applicationUrl || posting.url) || undefined,
+    companyInfo: posting.companyWebsite ? { website: posting.companyWebsite } : undefined,
+    source: {
+      platform: PLATFORMS.includes(options.platform) ? options.platform : 'Other',
+      externalId,
+      url: cleanText(posting.url) || undefined
+    },
+    postedDate,
+    expiryDate: expiryDate || undefined,
+    tags: normalizeList(posting.tags)
+  };
+
+  return { job, errors };
+};
+
+/**
+ * Parses salary information from a structured value or free text
+ *
+ * @param {Object|string|number} raw - { min, max, value, currency, period } or text like "$80k - $100k a year"
+ * @param {Object} options - { currency } fallback currency
+ * @returns {Object|undefined} { min, max, currency, period } on the Job schema's period scale
+ */
+const normalizeSalary = (raw, options = {}) => {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+
+  let min;
+  let max;
+  let currency;
+  let period;
+
+  if (typeof raw === 'number') {
+    min = max = raw;
+  } else if (typeof raw === 'object') {
+    min = parseAmount(raw.min ?? raw.minValue ?? raw.value);
+    max = parseAmount(raw.max ?? raw.maxValue ?? raw.value);
+    currency = raw.currency;
+    period = normalizePeriod(raw.period || raw.unitText);
+  } else {
+    const text = String(raw);
+    const amounts = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*([kKmM])?\b/g)]
+      .map(match => parseAmount(match[1]) * multiplierFor(match[2]))
+      .filter(amount => amount > 0);
+    if (amounts.length === 0) return undefined;
+    min = amounts[0];
+    max = amounts.length > 1 ? amounts[1] : amounts[0];
+
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => text.includes(key));
+    const code = text.match(/\b(USD|EUR|GBP|INR|CAD|AUD|JPY|SGD|CHF)\b/i);
+    currency = code ? code[1] : CURRENCY_SYMBOLS[symbol];
+    period = normalizePeriod(text);
+  }
+
+  if (!min && !max) return undefined;
+  if (min && max && min > max) [min, max] = [max, min];
+
+  // The schema has no weekly period, so weekly pay is annualized
+  if (period === 'weekly') {
+    min = min ? min * 52 : min;
+    max = max ? max * 52 : max;
+    period = 'yearly';
+  }
+
+  return {
+    min: min || undefined,
+    max: max || undefined,
+    currency: (currency || options.currency || 'USD').toUpperCase(),
+    period: period || 'yearly'
+  };
+};
+
+/**
+ * Finds known skills mentioned in free text
+ *
+ * @param {string} text - Job description
+ * @returns {Array<string>} Canonical skill names
+ */
+const extractSkills = (text) => {
+  if (!text) return [];
+  return KNOWN_SKILLS
+    .filter(skill => !DESCRIPTION_SKILL_EXCLUDES.includes(skill))
+    .filter(skill => containsPhrase(text, skill));
+};
+
+// Field helpers
+
+function normalizeEmploymentType(raw) {
+  const values = Array.isArray(raw) ? raw : [raw];
+  for (const value of values) {
+    if (!value) continue;
+    const lower = String(value).toLowerCase().trim();
+    const match = Object.entries(EMPLOYMENT_TYPES)
+      .find(([type, aliases]) => type === lower || aliases.includes(lower));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function normalizeExperienceLevel(raw, title) {
+  const lower = String(raw || '').toLowerCase();
+  if (['entry', 'mid', 'senior', 'executive'].includes(lower)) return lower;
+  const text = `${raw || ''} ${title || ''}`;
+  if (EXPERIENCE_LEVELS.entry.test(text)) return 'entry';
+  if (EXPERIENCE_LEVELS.executive.test(text)) return 'executive';
+  if (EXPERIENCE_LEVELS.senior.test(text)) return 'senior';
+  return 'mid';
+}
+
+function parseMinimumYears(description) {
+  const match = description && description.match(/(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?(?:'|’)?\s+(?:of\s+)?(?:professional\s+|relevant\s+|industry\s+)?experience/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+function normalizeLocation(raw, { isRemote, country } = {}) {
+  const location = { isRemote: !!isRemote, isHybrid: false };
+
+  if (raw && typeof raw === 'object') {
+    location.city = cleanText(raw.city || raw.addressLocality) || undefined;
+    location.state = cleanText(raw.state || raw.addressRegion) || undefined;
+    location.country = cleanText(raw.country || raw.addressCountry) || undefined;
+    if (raw.isRemote !== undefined) location.isRemote = !!raw.isRemote;
+    if (raw.isHybrid !== undefined) location.isHybrid = !!raw.isHybrid;
+  } else if (raw) {
+    const text = cleanText(raw);
+    if (/\bremote\b/i.test(text)) location.isRemote = true;
+    if (/\bhybrid\b/i.test(text)) location.isHybrid = true;
+    const parts = text
+      .replace(/\(?\b(remote|hybrid|on-?site)\b\)?/gi, '')
+      .split(/[,/]/)
+      .map(part => part.trim())
+      .filter(Boolean);
+    if (parts.length >= 3) {
+      [location.city, location.state, location.country] = parts;
+    } else if (parts.length === 2) {
+      [location.city, location.state] = parts;
+    } else if (parts.length === 1) {
+      location.city = parts[0];
+    }
+  }
+
+  location.country = location.country || country || (location.isRemote ? 'Remote' : undefined);
+  return location;
+}
+
+function normalizePeriod(text) {
+  if (!text) return null;
+  const lower = String(text).toLowerCase();
+  const match = Object.entries(SALARY_PERIODS).find(([, words]) =>
+    words.some(word => new RegExp(`(^|[^a-z])${word}([^a-z]|$)`).test(lower)));
+  return match ? match[0] : null;
+}
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const amount = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isFinite(amount) ? amount : undefined;
+}
+
+function multiplierFor(suffix) {
+  if (!suffix) return 1;
+  return suffix.toLowerCase() === 'k' ? 1000 : 1000000;
+}
+
+// Postings without an ID are keyed on their URL, or failing that on title, company and location
+function deriveExternalId(posting, { title, company }) {
+  const basis = cleanText(posting.url) ||
+    [title, company, typeof posting.location === 'string' ? posting.location : JSON.stringify(posting.location || '')]
+      .join('|').toLowerCase();
+  return `derived:${crypto.createHash('sha1').update(basis).digest('hex').slice(0, 16)}`;
+}
+
+module.exports = {
+  PLATFORMS,
+  normalizeJobPosting,
+  normalizeSalary,
+  extractSkills
+};
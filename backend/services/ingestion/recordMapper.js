@@ -0,0 +1,91 @@
+/**
+ * Record Mapper - Maps flat records (CSV rows, JSON objects) to postings
+ *
+ * Column names vary between exports, so each posting field accepts a list of
+ * common aliases (see importPipeline/recordMapper for how they are matched).
+ * A feed with unusual headers can pass its own { field: 'Column Name' } map.
+ */
+
+const { createFieldPicker, pickFields } = require('../importPipeline/recordMapper');
+const { isBlank } = require('../importPipeline/fields');
+
+const FIELD_ALIASES = {
+  externalId: ['id', 'jobid', 'externalid', 'reference', 'referenceid', 'ref', 'requisitionid', 'reqid', 'guid'],
+  title: ['title', 'jobtitle', 'position', 'positiontitle', 'role', 'name'],
+  company: ['company', 'companyname', 'employer', 'organization', 'hiringorganization'],
+  description: ['description', 'jobdescription', 'summary', 'details', 'body'],
+  location: ['location', 'joblocation', 'locationname'],
+  city: ['city', 'town', 'addresslocality'],
+  state: ['state', 'region', 'province', 'addressregion'],
+  country: ['country', 'countrycode', 'addresscountry'],
+  isRemote: ['remote', 'isremote', 'remoteallowed', 'telecommute'],
+  employmentType: ['employmenttype', 'jobtype', 'type', 'contracttype', 'schedule'],
+  experienceLevel: ['experiencelevel', 'level', 'seniority', 'senioritylevel'],
+  industry: ['industry', 'category', 'sector'],
+  department: ['department', 'team', 'function'],
+  salary: ['salary', 'salaryrange', 'compensation', 'pay', 'basesalary'],
+  salaryMin: ['salarymin', 'minsalary', 'salaryfrom', 'payfrom'],
+  salaryMax: ['salarymax', 'maxsalary', 'salaryto', 'payto'],
+  salaryCurrency: ['salarycurrency', 'currency'],
+  salaryPeriod: ['salaryperiod', 'payperiod', 'salaryunit'],
+  skills: ['skills', 'requiredskills', 'skillsrequired', 'keywords', 'tags'],
+  postedDate: ['posteddate', 'dateposted', 'date', 'publishdate', 'published', 'createdat', 'created'],
+  expiryDate: ['expirydate', 'expirationdate', 'closingdate', 'validthrough', 'deadline', 'expires'],
+  url: ['url', 'link', 'joburl', 'permalink'],
+  applicationUrl: ['applyurl', 'applicationurl', 'applylink']
+};
+
+// Fields copied as they are; location, remote and salary columns are combined below
+const PLAIN_FIELDS = Object.fromEntries(
+  ['externalId', 'title', 'company', 'description', 'employmentType', 'experienceLevel',
+    'industry', 'department', 'skills', 'postedDate', 'expiryDate', 'url', 'applicationUrl']
+    .map(field => [field, FIELD_ALIASES[field]])
+);
+
+/**
+ * Maps a flat record onto the posting shape the normalizer expects
+ *
+ * @param {Object} record - One CSV row or JSON object
+ * @param {Object} columns - Optional { postingField: 'Source Column' } overrides
+ * @returns {Object} Posting
+ */
+const mapRecord = (record, columns = {}) => {
+  const pick = createFieldPicker(record, FIELD_ALIASES, columns);
+  const posting = pickFields(record, PLAIN_FIELDS, columns);
+
+  const location = pick('location');
+  const city = pick('city');
+  const state = pick('state');
+  const country = pick('country');
+  if (location && typeof location === 'object') {
+    posting.location = location;
+  } else if (!isBlank(city) || !isBlank(state) || !isBlank(country)) {
+    posting.location = { city, state, country };
+  } else if (!isBlank(location)) {
+    posting.location = location;
+  }
+
+  const remote = pick('isRemote');
+  if (!isBlank(remote)) posting.isRemote = ['true', 'yes', 'y', '1', 'remote'].includes(String(remote).toLowerCase());
+
+  const salary = pick('salary');
+  const salaryMin = pick('salaryMin');
+  const salaryMax = pick('salaryMax');
+  if (!isBlank(salaryMin) || !isBlank(salaryMax)) {
+    posting.salary = {
+      min: salaryMin,
+      max: salaryMax,
+      currency: pick('salaryCurrency'),
+      period: pick('salaryPeriod')
+    };
+  } else if (!isBlank(salary)) {
+    posting.salary = salary;
+  }
+
+  return posting;
+};
+
+module.exports = {
+  FIELD_ALIASES,
+  mapRecord
+};
@@ -0,0 +1,295 @@
+/**
+ * Job Deduplication - Merges the same posting seen on several sources
+ *
+ * Postings are compared on normalized company, location and title, then on
+ * description similarity (word-shingle Jaccard). A match is merged into one
+ * canonical listing: the canonical Job collects every source entry and fills
+ * gaps (salary, skills, deadlines) from the duplicate, and the duplicate is
+ * kept with duplicateOf pointing at it so saved jobs and applications that
+ * reference it keep working. Searches and recommendations only return
+ * canonical listings (duplicateOf: null).
+ */
+
+const Job = require('../models/Job');
+
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+const DESCRIPTION_SIMILARITY_THRESHOLD = 0.5;
+// Identical normalized titles need less description overlap; boards often trim or reformat text
+const SAME_TITLE_DESCRIPTION_THRESHOLD = 0.3;
+const SHINGLE_SIZE = 3;
+const MAX_CANDIDATES = 50;
+
+const COMPANY_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh',
+  'plc', 'pvt', 'private', 'ag', 'sa', 'bv', 'pty', 'lp', 'llp', 'group', 'holdings'
+];
+
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  dev: 'developer',
+  mgr: 'manager',
+  mgmt: 'management',
+  assoc: 'associate',
+  admin: 'administrator',
+  swe: 'software engineer',
+  ii: '2',
+  iii: '3'
+};
+
+/**
+ * Builds the key postings must share to be compared at all
+ *
+ * @param {Object} job - Job document or plain object
+ * @returns {string} Normalized "company|location"
+ */
+const buildDedupeKey = (job) => `${normalizeCompany(job.company)}|${normalizeLocationKey(job.location)}`;
+
+/**
+ * Scores how likely two postings are the same role
+ *
+ * @param {Object} a - Job
+ * @param {Object} b - Job
+ * @returns {Object} { isDuplicate, titleSimilarity, descriptionSimilarity }
+ */
+const compareJobs = (a, b) => {
+  if (buildDedupeKey(a) !== buildDedupeKey(b)) {
+    return { isDuplicate: false, titleSimilarity: 0, descriptionSimilarity: 0 };
+  }
+
+  const titleA = normalizeTitle(a.title);
+  const titleB = normalizeTitle(b.title);
+  const titleSimilarity = titleA === titleB ? 1 : jaccard(new Set(titleA.split(' ')), new Set(titleB.split(' ')));
+  const descriptionSimilarity = jaccard(shingles(a.description), shingles(b.description));
+
+  const descriptionThreshold = titleSimilarity === 1
+    ? SAME_TITLE_DESCRIPTION_THRESHOLD
+    : DESCRIPTION_SIMILARITY_THRESHOLD;
+
+  return {
+    isDuplicate: titleSimilarity >= TITLE_SIMILARITY_THRESHOLD && descriptionSimilarity >= descriptionThreshold,
+    titleSimilarity: round(titleSimilarity),
+    descriptionSimilarity: round(descriptionSimilarity)
+  };
+};
+
+/**
+ * Finds the canonical listing a job duplicates, if any
+ *
+ * @param {Object} job - Job document
+ * @returns {Promise<Object|null>} { canonical, comparison } for the best match
+ */
+const findCanonicalMatch = async (job) => {
+  const candidates = await Job.find({
+    _id: { $ne: job._id },
+    dedupeKey: buildDedupeKey(job),
+    duplicateOf: null
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_CANDIDATES);
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const comparison = compareJobs(job, candidate);
+    if (!comparison.isDuplicate) return;
+    const score = comparison.titleSimilarity + comparison.descriptionSimilarity;
+    if (!best || score > best.score) best = { canonical: candidate, comparison, score };
+  });
+
+  return best ? { canonical: best.canonical, comparison: best.comparison } : null;
+};
+
+/**
+ * Merges a duplicate into a canonical listing and saves both
+ *
+ * @param {Object} canonical - Job document that stays visible
+ * @param {Object} duplicate - Job document to fold into it
+ * @returns {Promise<Object>} The canonical Job
+ */
+const mergeJobs = async (canonical, duplicate) => {
+  const now = new Date();
+
+  duplicate.sources.forEach(entry => {
+    const listed = canonical.sources.find(existing =>
+      existing.platform === entry.platform && (existing.externalId || null) === (entry.externalId || null));
+    if (listed) {
+      listed.lastUpdated = latest(listed.lastUpdated, entry.lastUpdated);
+      listed.jobId = listed.jobId || duplicate._id;
+    } else {
+      const plain = entry.toObject ? entry.toObject() : { ...entry };
+      delete plain._id;
+      canonical.sources.push({ ...plain, jobId: plain.jobId || duplicate._id });
+    }
+  });
+
+  fillMissingFields(canonical, duplicate);
+  canonical.views += duplicate.views || 0;
+  canonical.applications += duplicate.applications || 0;
+  canonical.saves += duplicate.saves || 0;
+  canonical.mergedAt = now;
+
+  // Anything that was already folded into the duplicate now points at the canonical listing
+  await Job.updateMany({ duplicateOf: duplicate._id }, { $set: { duplicateOf: canonical._id } });
+
+  duplicate.duplicateOf = canonical._id;
+  duplicate.mergedAt = now;
+  duplicate.dedupeKey = buildDedupeKey(duplicate);
+
+  await canonical.save();
+  await duplicate.save();
+  return canonical;
+};
+
+/**
+ * Checks one job against existing canonical listings and merges it if it's a duplicate
+ *
+ * @param {Object} job - Job document (already saved)
+ * @returns {Promise<Object>} { merged, canonical, comparison }
+ */
+const deduplicateJob = async (job) => {
+  const key = buildDedupeKey(job);
+  if (job.dedupeKey !== key) {
+    job.dedupeKey = key;
+    await job.save();
+  }
+
+  if (job.duplicateOf) return { merged: false, canonical: null };
+
+  const match = await findCanonicalMatch(job);
+  if (!match) return { merged: false, canonical: null };
+
+  // The older listing stays canonical so links users already have keep pointing at it
+  const [canonical, duplicate] = match.canonical.createdAt <= (job.createdAt || new Date())
+    ? [match.canonical, job]
+    : [job, match.canonical];
+
+  await mergeJobs(canonical, duplicate);
+  return { merged: true, canonical, comparison: match.comparison };
+};
+
+/**
+ * Recomputes keys and merges duplicates across the whole collection
+ *
+ * @returns {Promise<Object>} { scanned, merged }
+ */
+const deduplicateAll = async () => {
+  const summary = { scanned: 0, merged: 0 };
+
+  const cursor = Job.find({ duplicateOf: null }).sort({ createdAt: 1 }).cursor();
+  for await (const job of cursor) {
+    summary.scanned += 1;
+    // Earlier iterations may already have folded this one into another listing
+    const fresh = await Job.findById(job._id);
+    if (!fresh || fresh.duplicateOf) continue;
+
+    const { merged } = await deduplicateJob(fresh);
+    if (merged) summary.merged += 1;
+  }
+
+  return summary;
+};
+
+// Normalization helpers
+
+function normalizeCompany(company) {
+  return String(company || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !COMPANY_SUFFIXES.includes(word))
+    .join(' ');
+}
+
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/\b(remote|hybrid|on-?site|full[\s-]?time|part[\s-]?time|contract)\b/g, ' ')
+    .replace(/[^a-z0-9+#\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => TITLE_ABBREVIATIONS[word] || word)
+    .join(' ')
+    .trim();
+}
+
+function normalizeLocationKey(location) {
+  if (!location) return '';
+  if (location.isRemote && !location.city) return 'remote';
+  return [location.city, location.state]
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .join(',');
+}
+
+// Similarity helpers
+
+function shingles(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[^a-z0-9+#\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const set = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length > 0) set.add(words.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let intersection = 0;
+  a.forEach(item => { if (b.has(item)) intersection += 1; });
+  return intersection / (a.size + b.size - intersection);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Merge helpers
+
+// Only gaps are filled, so re-ingesting the canonical's own source doesn't undo the merge
+function fillMissingFields(canonical, duplicate) {
+  if (!canonical.salary?.min && !canonical.salary?.max && (duplicate.salary?.min || duplicate.salary?.max)) {
+    canonical.salary = duplicate.salary;
+  }
+
+  if (canonical.requiredSkills.length === 0 && duplicate.requiredSkills.length > 0) {
+    canonical.requiredSkills = duplicate.requiredSkills.map(skill => ({
+      name: skill.name,
+      level: skill.level,
+      isRequired: skill.isRequired,
+      priority: skill.priority
+    }));
+  }
+
+  ['applicationUrl', 'applicationDeadline', 'expiryDate', 'department', 'summary'].forEach(field => {
+    if (!canonical[field] && duplicate[field]) canonical[field] = duplicate[field];
+  });
+}
+
+function latest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+module.exports = {
+  buildDedupeKey,
+  compareJobs,
+  findCanonicalMatch,
+  mergeJobs,
+  deduplicateJob,
+  deduplicateAll
+};
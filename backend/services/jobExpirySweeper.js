@@ -0,0 +1,169 @@
+/**
+ * Job Expiry Sweeper - Closes postings whose expiry date or deadline has passed
+ *
+ * Uses the same rules as Job#isActive: an active posting whose expiryDate or
+ * applicationDeadline is in the past is moved to `expired`, with the reason
+ * recorded in its status history. Users who saved the posting or are tracking
+ * an open application for it get one notification per sweep. Ingested
+ * postings that no source has refreshed within the staleness window are
+ * flagged with isStale so they can be reviewed or hidden.
+ */
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const notificationService = require('./notificationService');
+const { createBackgroundTask } = require('./backgroundTask');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_STALE_DAYS = 14;
+const JOBS_PER_SWEEP = 500;
+
+// Applications still in progress; closed ones don't need to hear about the posting
+const OPEN_APPLICATION_STAGES = ['saved', 'applied', 'screening', 'interview', 'offer'];
+
+/**
+ * Moves active postings past their expiry date or deadline to `expired`
+ *
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { expired, notified }
+ */
+const sweepExpiredJobs = async ({ now = new Date() } = {}) => {
+  const jobs = await Job.find({
+    status: 'active',
+    $or: [{ expiryDate: { $lte: now } }, { applicationDeadline: { $lte: now } }]
+  }).limit(JOBS_PER_SWEEP);
+
+  const expired = [];
+  for (const job of jobs) {
+    job.changeStatus('expired', job.getClosedReason(now), 'expiry-sweeper');
+    await job.save();
+    expired.push(job);
+  }
+
+  const notified = await notifyFollowers(expired);
+  return { expired: expired.length, notified };
+};
+
+/**
+ * Flags ingested postings that no source has refreshed within the window
+ *
+ * @param {Object} options - { now, windowDays }
+ * @returns {Promise<Object>} { flagged, cleared }
+ */
+const flagStaleJobs = async ({ now = new Date(), windowDays = getStaleDays() } = {}) => {
+  const cutoff = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+
+  // Only postings with a source refresh time; hand-entered listings are never stale
+  const flagged = await Job.updateMany(
+    {
+      status: 'active',
+      duplicateOf: null,
+      isStale: { $ne: true },
+      'sources.lastUpdated': { $exists: true },
+      sources: { $not: { $elemMatch: { lastUpdated: { $gte: cutoff } } } }
+    },
+    { $set: { isStale: true, staleSince: now } }
+  );
+
+  // A refresh through a merged duplicate's source brings the canonical listing back
+  const cleared = await Job.updateMany(
+    { isStale: true, sources: { $elemMatch: { lastUpdated: { $gte: cutoff } } } },
+    { $set: { isStale: false }, $unset: { staleSince: 1 } }
+  );
+
+  return { flagged: flagged.modifiedCount || 0, cleared: cleared.modifiedCount || 0 };
+};
+
+/**
+ * Runs one full sweep: expiry first, then staleness
+ *
+ * @param {Object} options - { now, windowDays }
+ * @returns {Promise<Object>} { expired, notified, flagged, cleared }
+ */
+const runExpirySweep = async ({ now = new Date(), windowDays } = {}) => {
+  const expiry = await sweepExpiredJobs({ now });
+  const staleness = await flagStaleJobs({ now, windowDays });
+  return { ...expiry, ...staleness };
+};
+
+const task = createBackgroundTask('Job Expiry Sweeper', () => runExpirySweep(), {
+  logSummary: (summary) => (summary.expired > 0 || summary.flagged > 0
+    ? `Expired ${summary.expired} postings (${summary.notified} users notified), flagged ${summary.flagged} as stale`
+    : null)
+});
+
+/**
+ * Starts sweeping on an interval
+ *
+ * @param {Object} options - { intervalMinutes }
+ */
+const startSweeper = ({ intervalMinutes } = {}) => {
+  task.start(intervalMinutes ||
+    parseFloat(process.env.JOB_EXPIRY_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES);
+};
+
+/**
+ * Stops the sweeper started by startSweeper
+ */
+const stopSweeper = () => {
+  task.stop();
+};
+
+// Notification helpers
+
+async function notifyFollowers(jobs) {
+  if (jobs.length === 0) return 0;
+
+  const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+  const ids = jobs.map(job => job._id);
+  // userId -> { jobs: Map, hasApplication }
+  const followers = new Map();
+
+  const follow = (userId, jobId, hasApplication) => {
+    const key = userId.toString();
+    if (!followers.has(key)) followers.set(key, { jobs: new Map(), hasApplication: false });
+    const entry = followers.get(key);
+    entry.jobs.set(jobId.toString(), jobsById.get(jobId.toString()));
+    entry.hasApplication = entry.hasApplication || hasApplication;
+  };
+
+  const savers = await User.find({ 'savedJobs.jobId': { $in: ids } }).select('savedJobs.jobId');
+  savers.forEach(user => {
+    user.savedJobs
+      .filter(entry => entry.jobId && jobsById.has(entry.jobId.toString()))
+      .forEach(entry => follow(user._id, entry.jobId, false));
+  });
+
+  const applications = await Application.find({ jobId: { $in: ids }, stage: { $in: OPEN_APPLICATION_STAGES } })
+    .select('userId jobId');
+  applications.forEach(application => follow(application.userId, application.jobId, true));
+
+  let notified = 0;
+  for (const [userId, entry] of followers) {
+    try {
+      await notificationService.notifyJobsExpired(userId, [...entry.jobs.values()], {
+        link: entry.hasApplication ? '/applications' : '/jobs'
+      });
+      notified += 1;
+    } catch (error) {
+      console.error(`[Job Expiry Sweeper] Notifying user ${userId} failed:`, error.message);
+    }
+  }
+  return notified;
+}
+
+// Config helpers
+
+function getStaleDays() {
+  return parseFloat(process.env.JOB_STALE_DAYS) || DEFAULT_STALE_DAYS;
+}
+
+module.exports = {
+  sweepExpiredJobs,
+  flagStaleJobs,
+  runExpirySweep,
+  startSweeper,
+  stopSweeper
+};
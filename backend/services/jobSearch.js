@@ -0,0 +1,206 @@
+/**
+ * Job Search - Builds MongoDB queries from job search parameters
+ *
+ * Shared by the /api/jobs/search route and saved searches, so a saved search
+ * re-run by the scheduler matches exactly what the user saw when searching.
+ */
+
+const Job = require('../models/Job');
+const skillTaxonomy = require('./skillTaxonomy');
+
+const SEARCH_PARAMS = [
+  'query', 'location', 'remote', 'salaryMin', 'salaryMax', 'employmentType',
+  'experienceLevel', 'industry', 'company', 'skills', 'postedSince'
+];
+
+/**
+ * Builds the Job query for a set of search parameters
+ *
+ * @param {Object} params - Search parameters as sent to /api/jobs/search
+ * @param {Object} options - { since } only matches jobs added or posted after this date
+ * @returns {Object} MongoDB filter for Job.find
+ */
+const buildSearchCriteria = (params = {}, options = {}) => {
+  const {
+    query,
+    location,
+    remote,
+    salaryMin,
+    salaryMax,
+    employmentType,
+    experienceLevel,
+    industry,
+    company,
+    skills,
+    postedSince
+  } = params;
+
+  // Only open postings (same rules as Job#isActive); merged duplicates are never returned on their own
+  const { $and: openConditions, ...openCriteria } = Job.openCriteria();
+  const searchCriteria = { ...openCriteria, duplicateOf: null };
+  const conditions = [...openConditions];
+
+  // Text search
+  if (query) {
+    searchCriteria.$text = { $search: query };
+  }
+
+  // Location filter
+  if (isTrue(remote)) {
+    searchCriteria['location.isRemote'] = true;
+  } else if (location) {
+    const pattern = new RegExp(escapeRegExp(location), 'i');
+    conditions.push({
+      $or: [
+        { 'location.city': pattern },
+        { 'location.state': pattern },
+        { 'location.isRemote': true }
+      ]
+    });
+  }
+
+  // Salary range
+  if (salaryMin) {
+    searchCriteria['salary.min'] = { $gte: parseInt(salaryMin) };
+  }
+  if (salaryMax) {
+    searchCriteria['salary.max'] = { $lte: parseInt(salaryMax) };
+  }
+
+  // Employment type
+  if (employmentType) {
+    searchCriteria.employmentType = employmentType;
+  }
+
+  // Experience level
+  if (experienceLevel) {
+    searchCriteria.experienceLevel = experienceLevel;
+  }
+
+  // Industry
+  if (industry) {
+    searchCriteria.industry = industry;
+  }
+
+  // Company
+  if (company) {
+    searchCriteria.company = new RegExp(escapeRegExp(company), 'i');
+  }
+
+  // Skills
+  const skillArray = parseSkills(skills);
+  if (skillArray.length > 0) {
+    const names = new Set();
+    skillArray.forEach(skill => {
+      names.add(skill);
+      names.add(skillTaxonomy.canonicalSkillName(skill));
+      // A broader skill also finds jobs asking for the skills under it
+      skillTaxonomy.getDescendants(skill).forEach(id => names.add(skillTaxonomy.resolveSkill(id).name));
+    });
+    searchCriteria['requiredSkills.name'] = {
+      $in: [...names].map(skill => new RegExp(`^${escapeRegExp(skill)}$`, 'i'))
+    };
+  }
+
+  // Posted date filter
+  if (postedSince) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - parseInt(postedSince));
+    searchCriteria.postedDate = { $gte: cutoffDate };
+  }
+
+  // New since a previous run: jobs are new if they were posted or ingested after it
+  if (options.since) {
+    conditions.push({
+      $or: [
+        { createdAt: { $gt: options.since } },
+        { postedDate: { $gt: options.since } }
+      ]
+    });
+  }
+
+  searchCriteria.$and = conditions;
+
+  return searchCriteria;
+};
+
+/**
+ * Builds the sort order for a search
+ *
+ * @param {string} sortBy - postedDate, salary, title or company
+ * @returns {Object} MongoDB sort
+ */
+const buildSortCriteria = (sortBy) => {
+  switch (sortBy) {
+    case 'salary':
+      return { 'salary.min': -1 };
+    case 'title':
+      return { title: 1 };
+    case 'company':
+      return { company: 1 };
+    case 'postedDate':
+    default:
+      return { postedDate: -1 };
+  }
+};
+
+/**
+ * Normalizes search parameters for storage, dropping empty values
+ *
+ * @param {Object} params - Raw parameters from a request
+ * @returns {Object} Parameters with skills as an array, numbers parsed and remote as a boolean
+ */
+const normalizeSearchParams = (params = {}) => {
+  const normalized = {};
+
+  SEARCH_PARAMS.forEach(key => {
+    const value = params[key];
+    if (value === undefined || value === null || value === '') return;
+
+    switch (key) {
+      case 'remote':
+        normalized.remote = isTrue(value);
+        break;
+      case 'skills': {
+        const skills = parseSkills(value);
+        if (skills.length > 0) normalized.skills = skills;
+        break;
+      }
+      case 'salaryMin':
+      case 'salaryMax':
+      case 'postedSince': {
+        const number = parseInt(value);
+        if (!Number.isNaN(number)) normalized[key] = number;
+        break;
+      }
+      default:
+        normalized[key] = String(value).trim();
+    }
+  });
+
+  return normalized;
+};
+
+// Helper functions
+
+function parseSkills(skills) {
+  if (!skills) return [];
+  const list = Array.isArray(skills) ? skills : String(skills).split(',');
+  return list.map(skill => String(skill).trim()).filter(Boolean);
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  SEARCH_PARAMS,
+  buildSearchCriteria,
+  buildSortCriteria,
+  normalizeSearchParams,
+  escapeRegExp
+};
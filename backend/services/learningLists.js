@@ -0,0 +1,229 @@
+/**
+ * Learning Lists - Course bookmarks sorted into named, shareable lists
+ *
+ * A bookmark is a course sitting in at least one of the user's lists. Plain
+ * bookmarks go to the user's default list, which is created the first time
+ * it is needed. Course.bookmarks counts the users who have the course in any
+ * list, so it only moves when a course enters a user's first list or leaves
+ * their last one. Lists can be exported as CSV or JSON.
+ */
+
+const Course = require('../models/Course');
+const LearningList = require('../models/LearningList');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const CSV_COLUMNS = ['position', 'title', 'provider', 'url', 'difficulty', 'durationHours', 'rating', 'note', 'addedAt'];
+
+/**
+ * The user's default list, created if they don't have one yet
+ *
+ * @param {string|ObjectId} userId - List owner
+ * @returns {Promise<Object>} LearningList document
+ */
+const getDefaultList = async (userId) => {
+  const existing = await LearningList.findOne({ userId, isDefault: true });
+  if (existing) return existing;
+
+  const list = new LearningList({
+    userId,
+    name: LearningList.DEFAULT_LIST_NAME,
+    isDefault: true,
+    position: 0
+  });
+  await list.save();
+  return list;
+};
+
+/**
+ * Position for a new list, after the user's existing ones
+ *
+ * @param {string|ObjectId} userId - List owner
+ * @returns {Promise<number>}
+ */
+const nextListPosition = async (userId) => {
+  const last = await LearningList.findOne({ userId }).sort({ position: -1 }).select('position');
+  return last ? last.position + 1 : 0;
+};
+
+/**
+ * Adds a course to one of the user's lists and counts the bookmark
+ *
+ * @param {Object} list - LearningList document owned by the user
+ * @param {Object} course - Course document
+ * @param {string} note - Optional note on the entry
+ * @returns {Promise<Object>} { entry, added }
+ */
+const addCourseToList = async (list, course, note) => {
+  const alreadyBookmarked = await isBookmarked(list.userId, course._id);
+  const result = list.addCourse(course, note);
+  await list.save();
+
+  if (result.added && !alreadyBookmarked) {
+    await Course.findByIdAndUpdate(course._id, { $inc: { bookmarks: 1 } });
+  }
+  return result;
+};
+
+/**
+ * Removes a course from one list, uncounting the bookmark if no list holds it any more
+ *
+ * @param {Object} list - LearningList document
+ * @param {string|ObjectId} courseId - Course to remove
+ * @returns {Promise<boolean>} Whether the course was in the list
+ */
+const removeCourseFromList = async (list, courseId) => {
+  const removed = list.removeCourse(courseId);
+  if (!removed) return false;
+
+  await list.save();
+  await releaseBookmarks(list.userId, [courseId]);
+  return true;
+};
+
+/**
+ * Removes a course from every list the user has (un-bookmarking it)
+ *
+ * @param {string|ObjectId} userId - List owner
+ * @param {string|ObjectId} courseId - Course to remove
+ * @returns {Promise<number>} Number of lists the course was removed from
+ */
+const removeBookmark = async (userId, courseId) => {
+  const lists = await LearningList.find({ userId, 'items.courseId': courseId });
+  for (const list of lists) {
+    list.removeCourse(courseId);
+    await list.save();
+  }
+
+  if (lists.length > 0) await releaseBookmarks(userId, [courseId]);
+  return lists.length;
+};
+
+/**
+ * Deletes a list, uncounting bookmarks on courses that were only in it
+ *
+ * @param {Object} list - LearningList document
+ * @returns {Promise<void>}
+ */
+const deleteList = async (list) => {
+  const courseIds = list.items.map(item => item.courseId);
+  await LearningList.deleteOne({ _id: list._id });
+  await releaseBookmarks(list.userId, courseIds);
+};
+
+/**
+ * For each course, the ids of the user's lists that hold it
+ *
+ * @param {string|ObjectId} userId - List owner
+ * @returns {Promise<Object>} { [courseId]: [listId, ...] }
+ */
+const getBookmarkIndex = async (userId) => {
+  const lists = await LearningList.find({ userId }).select('items.courseId');
+  const index = {};
+  for (const list of lists) {
+    for (const item of list.items) {
+      const key = item.courseId.toString();
+      (index[key] = index[key] || []).push(list._id.toString());
+    }
+  }
+  return index;
+};
+
+/**
+ * The list's entries with current catalog details where the course still exists
+ *
+ * @param {Object} list - LearningList document
+ * @returns {Promise<Array>} Entries in list order
+ */
+const describeItems = async (list) => {
+  const courses = await Course.find({ _id: { $in: list.items.map(item => item.courseId) } })
+    .select('title provider url difficulty duration rating pricing thumbnail isActive');
+  const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+  return list.items.map((item, index) => {
+    const course = coursesById.get(item.courseId.toString());
+    return {
+      position: index + 1,
+      courseId: item.courseId,
+      title: course?.title || item.title,
+      provider: course?.provider || item.provider,
+      url: course?.url || item.url,
+      difficulty: course?.difficulty,
+      durationHours: course?.duration?.hours,
+      rating: course?.rating?.average,
+      pricing: course?.pricing,
+      thumbnail: course?.thumbnail,
+      available: !!course && course.isActive !== false,
+      note: item.note,
+      addedAt: item.addedAt
+    };
+  });
+};
+
+/**
+ * Renders a list for download
+ *
+ * @param {Object} list - LearningList document
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object>} { contentType, extension, body }
+ */
+const exportList = async (list, format = 'csv') => {
+  const items = await describeItems(list);
+
+  if (format === 'json') {
+    return {
+      contentType: 'application/json',
+      extension: 'json',
+      body: JSON.stringify({
+        name: list.name,
+        description: list.description,
+        exportedAt: new Date().toISOString(),
+        courses: items.map(({ pricing, thumbnail, available, ...item }) => item)
+      }, null, 2)
+    };
+  }
+
+  const rows = items.map(item => CSV_COLUMNS.map(column => csvCell(
+    item[column] instanceof Date ? item[column].toISOString() : item[column]
+  )).join(','));
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    body: [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+  };
+};
+
+// Bookmark helpers
+
+async function isBookmarked(userId, courseId) {
+  return !!(await LearningList.exists({ userId, 'items.courseId': courseId }));
+}
+
+// Uncounts the bookmark on each course the user no longer has in any list
+async function releaseBookmarks(userId, courseIds) {
+  for (const courseId of courseIds) {
+    if (await isBookmarked(userId, courseId)) continue;
+    await Course.updateOne({ _id: courseId, bookmarks: { $gt: 0 } }, { $inc: { bookmarks: -1 } });
+  }
+}
+
+// Export helpers
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  // Text that a spreadsheet would read as a formula is kept as text
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getDefaultList,
+  nextListPosition,
+  addCourseToList,
+  removeCourseFromList,
+  removeBookmark,
+  deleteList,
+  getBookmarkIndex,
+  describeItems,
+  exportList
+};
@@ -0,0 +1,415 @@
+/**
+ * Learning Path Planner - Turns a user's skill gaps into an ordered, scheduled course plan
+ *
+ * Courses are linked into a dependency graph: a course depends on any course
+ * that teaches one of its prerequisites the user doesn't have yet. The
+ * planner picks courses greedily by how much uncovered gap weight each one
+ * closes per hour, pulling in whatever teaches the prerequisites of a picked
+ * course, then drops courses the rest of the plan makes redundant. The set is
+ * ordered topologically (easier courses first among equals) and laid onto the
+ * calendar one course at a time at the user's weekly study hours.
+ *
+ * Plans are re-built whenever the user's learning progress changes: finished
+ * courses stay in the plan as done, their skills stop counting as gaps, and
+ * the remaining steps are re-picked and re-scheduled from today. A completed
+ * plan is also re-checked every week, since the skills jobs ask for change,
+ * and becomes active again when new gaps show up.
+ */
+
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const LearningPlan = require('../models/LearningPlan');
+const courseRecommender = require('./courseRecommender');
+const skillTaxonomy = require('./skillTaxonomy');
+
+const DEFAULT_WEEKLY_HOURS = 6;
+const PREREQUISITE_WEIGHT = 3;
+const MAX_CANDIDATES_PER_ROUND = 200;
+// How many levels of prerequisites-of-prerequisites are looked up
+const MAX_PREREQUISITE_DEPTH = 3;
+// Longer courses only lose a little ground against shorter ones that close the same gaps
+const HOURS_PENALTY_SCALE = 20;
+
+const DIFFICULTY_RANK = { Beginner: 0, Intermediate: 1, Advanced: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPLETED_PLAN_RECHECK_MS = 7 * DAY_MS;
+
+/**
+ * Builds a new plan for a user and makes it their active one
+ *
+ * @param {Object} user - User document
+ * @param {Object} options - { careerPath, weeklyHours, startDate }
+ * @returns {Promise<Object>} Saved LearningPlan document
+ */
+const createLearningPlan = async (user, options = {}) => {
+  const targetRole = options.careerPath || user.targetJobTitle || 'Software Developer';
+  const weeklyHours = options.weeklyHours || user.learningPreferences?.weeklyStudyHours || DEFAULT_WEEKLY_HOURS;
+  const startDate = options.startDate ? new Date(options.startDate) : new Date();
+
+  const plan = new LearningPlan({ userId: user._id, targetRole, weeklyHours, startDate });
+  await buildPlan(plan, user, { startDate });
+
+  // One active plan per user; older ones are kept for reference
+  await LearningPlan.updateMany({ userId: user._id, status: 'active' }, { $set: { status: 'archived' } });
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Re-plans an existing plan against the user's current skills and progress
+ *
+ * @param {Object} plan - LearningPlan document
+ * @param {Object} user - User document
+ * @param {Object} options - { weeklyHours, now }
+ * @returns {Promise<Object>} The updated (saved) plan
+ */
+const replanLearningPlan = async (plan, user, { weeklyHours, now = new Date() } = {}) => {
+  if (weeklyHours) plan.weeklyHours = weeklyHours;
+  await buildPlan(plan, user, { startDate: now, previousSteps: plan.steps });
+  plan.revision += 1;
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Re-plans the user's current plan if their progress changed since it was built
+ * The current plan is the active one, or else the latest completed one, which
+ * is re-opened when new gaps show up.
+ *
+ * @param {string} userId - User id
+ * @param {Object} options - { user } to reuse an already-loaded document, { now }
+ * @returns {Promise<Object|null>} The current plan, or null when the user has none
+ */
+const syncActivePlan = async (userId, { user, now = new Date() } = {}) => {
+  // 'active' sorts before 'completed'
+  const plan = await LearningPlan.findOne({ userId, status: { $in: ['active', 'completed'] } })
+    .sort({ status: 1, createdAt: -1 });
+  if (!plan) return null;
+
+  const current = user || await User.findById(userId);
+  if (!current) return plan;
+
+  const recheckDue = plan.status === 'completed' && now - plan.plannedAt >= COMPLETED_PLAN_RECHECK_MS;
+  if (plan.progressSignature === progressSignature(current) && !recheckDue) return plan;
+
+  return replanLearningPlan(plan, current, { now });
+};
+
+/**
+ * Orders courses so every course comes after the courses teaching its prerequisites
+ *
+ * @param {Array<Object>} courses - Course documents
+ * @param {Object} options - { knownSkills, rank(course) => number } lower ranks go first among ready courses
+ * @returns {Object} { ordered, dependencies: Map<courseId, Array<courseId>>, cycles }
+ */
+const orderCourses = (courses, { knownSkills = [], rank = () => 0 } = {}) => {
+  const dependencies = buildDependencyGraph(courses, knownSkills);
+  const remaining = new Map(courses.map(course => [course._id.toString(), course]));
+  const done = new Set();
+  const ordered = [];
+  let cycles = 0;
+
+  const byRank = (a, b) => rank(a) - rank(b) ||
+    (DIFFICULTY_RANK[a.difficulty] ?? 1) - (DIFFICULTY_RANK[b.difficulty] ?? 1);
+
+  while (remaining.size > 0) {
+    let ready = [...remaining.values()].filter(course =>
+      dependencies.get(course._id.toString()).every(id => done.has(id)));
+
+    // Courses teaching each other's prerequisites; break the loop at the easiest one
+    if (ready.length === 0) {
+      cycles += 1;
+      ready = [...remaining.values()];
+    }
+
+    const next = ready.sort(byRank)[0];
+    ordered.push(next);
+    done.add(next._id.toString());
+    remaining.delete(next._id.toString());
+  }
+
+  return { ordered, dependencies, cycles };
+};
+
+// Planning helpers
+
+async function buildPlan(plan, user, { startDate, previousSteps = [] }) {
+  const learningProgress = user.learningProgress || [];
+  const progressByCourse = new Map(learningProgress.map(entry => [entry.courseId.toString(), entry]));
+
+  // Courses already finished, either in the plan or anywhere in the user's learning progress
+  const completedIds = new Set([
+    ...learningProgress.filter(entry => entry.status === 'completed').map(entry => entry.courseId.toString()),
+    ...previousSteps.filter(step => step.status === 'completed').map(step => step.courseId.toString())
+  ]);
+  const skippedIds = new Set(previousSteps.filter(step => step.status === 'skipped').map(step => step.courseId.toString()));
+  const startedIds = learningProgress
+    .filter(entry => entry.status !== 'completed')
+    .map(entry => entry.courseId.toString());
+
+  const ownCourses = await Course.find({ _id: { $in: [...completedIds, ...startedIds] } });
+  const completedCourses = ownCourses.filter(course => completedIds.has(course._id.toString()));
+  const startedCourses = ownCourses.filter(course => !completedIds.has(course._id.toString()));
+
+  // Skills from finished courses count at the level the course teaches them
+  const knownSkillEntries = [
+    ...(user.skills || []),
+    ...learningProgress.flatMap(entry => (entry.skillsGained || []).map(name => ({ name, proficiencyLevel: 'intermediate' }))),
+    ...completedCourses.flatMap(course => course.skillsTaught.map(skill => ({
+      name: skill.name,
+      proficiencyLevel: skill.level || 'intermediate'
+    })))
+  ];
+  const knownSkills = knownSkillEntries.map(skill => skill.name);
+
+  const { source, gaps } = await courseRecommender.findSkillGaps({ skills: knownSkillEntries }, plan.targetRole);
+
+  const selection = await selectCourses({
+    gaps,
+    knownSkills,
+    // Courses the user has started stay in the plan when they help with a gap
+    anchored: startedCourses.filter(course => teachesAny(course, gaps.map(gap => gap.name))),
+    excludeIds: new Set([...completedIds, ...skippedIds])
+  });
+
+  const anchoredIds = new Set(selection.anchored.map(course => course._id.toString()));
+  const { ordered, dependencies } = orderCourses(selection.courses, {
+    knownSkills,
+    rank: course => (anchoredIds.has(course._id.toString()) ? 0 : 1)
+  });
+
+  const doneSteps = previousSteps
+    .filter(step => step.status === 'completed' || step.status === 'skipped')
+    .map(step => (typeof step.toObject === 'function' ? step.toObject() : { ...step }))
+    .map(step => (step.status === 'skipped'
+      ? { ...step, scheduledStart: undefined, scheduledEnd: undefined, remainingHours: undefined }
+      : step));
+  const newSteps = ordered.map(course => {
+    const id = course._id.toString();
+    const entry = progressByCourse.get(id);
+    const covered = selection.coverage.get(id);
+    return {
+      courseId: course._id,
+      title: course.title,
+      provider: course.provider,
+      url: course.url,
+      difficulty: course.difficulty,
+      skillsCovered: covered.gaps,
+      prerequisitesCovered: covered.prerequisites,
+      dependsOn: dependencies.get(id),
+      reason: stepReason(course, covered, entry),
+      hours: course.duration?.hours || 1,
+      status: entry && entry.status !== 'not_started' ? 'in_progress' : 'planned',
+      progress: entry?.progress || 0
+    };
+  });
+
+  // Planned courses the user has finished since the last plan move to the done steps
+  const newlyCompleted = previousSteps
+    .filter(step => step.status !== 'completed' && step.status !== 'skipped')
+    .filter(step => completedIds.has(step.courseId.toString()))
+    .map(step => ({
+      ...(typeof step.toObject === 'function' ? step.toObject() : step),
+      status: 'completed',
+      progress: 100,
+      remainingHours: 0,
+      completedAt: progressByCourse.get(step.courseId.toString())?.completionDate || new Date()
+    }));
+
+  const steps = [...doneSteps, ...newlyCompleted, ...newSteps].map((step, index) => ({ ...step, order: index + 1 }));
+  const estimatedCompletion = scheduleSteps(steps, { startDate, weeklyHours: plan.weeklyHours });
+
+  plan.set({
+    gapSource: source,
+    skillGaps: gaps.map(({ name, skillId, weight }) => ({ name, skillId, weight })),
+    steps,
+    uncoveredSkills: selection.uncovered,
+    unmetPrerequisites: selection.unmetPrerequisites,
+    totalHours: newSteps.reduce((sum, step) => sum + step.hours, 0),
+    estimatedCompletion,
+    plannedAt: new Date(),
+    progressSignature: progressSignature(user),
+    status: newSteps.length === 0 && selection.uncovered.length === 0 ? 'completed' : 'active'
+  });
+  return plan;
+}
+
+// Greedy weighted set cover over gap skills, adding prerequisites as further needs
+async function selectCourses({ gaps, knownSkills, anchored, excludeIds }) {
+  const needs = new Map(gaps.map(gap => [gap.skillId, { name: gap.name, weight: gap.weight, kind: 'gap' }]));
+  const candidates = new Map();
+  const chosen = [...anchored];
+  const chosenIds = new Set(anchored.map(course => course._id.toString()));
+
+  await loadCandidates(candidates, gaps.map(gap => gap.name), excludeIds);
+
+  const isCovered = (need) => chosen.some(course => coversNeed(course, need));
+  // Adds the course's missing prerequisites as needs and looks up courses that teach them
+  const addPrerequisites = async (course, depth) => {
+    if (depth > MAX_PREREQUISITE_DEPTH) return;
+    const added = course.prerequisites
+      .filter(prerequisite => !skillTaxonomy.findMatchingSkill(knownSkills, prerequisite))
+      .filter(prerequisite => {
+        // Kept apart from gap needs: a prerequisite needs the exact skill, a gap accepts narrower ones
+        const key = `prerequisite:${skillTaxonomy.skillKey(prerequisite)}`;
+        if (needs.has(key)) return false;
+        needs.set(key, {
+          name: prerequisite,
+          weight: PREREQUISITE_WEIGHT,
+          kind: 'prerequisite',
+          requiredBy: course._id.toString(),
+          depth
+        });
+        return true;
+      });
+    await loadCandidates(candidates, added, excludeIds);
+  };
+  for (const course of anchored) await addPrerequisites(course, 1);
+
+  for (;;) {
+    const open = [...needs.values()].filter(need => !isCovered(need));
+    let best = null;
+    let bestScore = 0;
+    let bestNeeds = [];
+    candidates.forEach(course => {
+      if (chosenIds.has(course._id.toString())) return;
+      const covered = open.filter(need => coversNeed(course, need));
+      const gain = covered.reduce((sum, need) => sum + need.weight, 0);
+      const score = gain / (1 + (course.duration?.hours || 0) / HOURS_PENALTY_SCALE);
+      if (score > bestScore || (score > 0 && score === bestScore &&
+        (course.rating?.average || 0) > (best.rating?.average || 0))) {
+        best = course;
+        bestScore = score;
+        bestNeeds = covered;
+      }
+    });
+    if (!best) break;
+
+    chosen.push(best);
+    chosenIds.add(best._id.toString());
+    await addPrerequisites(best, Math.max(0, ...bestNeeds.map(need => need.depth || 0)) + 1);
+  }
+
+  const courses = pruneRedundant(chosen, { gaps, knownSkills, anchoredIds: new Set(anchored.map(course => course._id.toString())) });
+
+  const coverage = new Map(courses.map(course => [course._id.toString(), {
+    gaps: gaps.filter(gap => teachesAny(course, [gap.name])).map(gap => gap.name),
+    prerequisites: [...needs.values()]
+      .filter(need => need.kind === 'prerequisite' && teachesPrerequisite(course, need.name))
+      .map(need => need.name)
+  }]));
+
+  const uncovered = gaps
+    .filter(gap => !courses.some(course => teachesAny(course, [gap.name])))
+    .map(gap => gap.name);
+  const unmetPrerequisites = courses.flatMap(course => course.prerequisites
+    .filter(prerequisite => !skillTaxonomy.findMatchingSkill(knownSkills, prerequisite))
+    .filter(prerequisite => !courses.some(other => other !== course && teachesPrerequisite(other, prerequisite)))
+    .map(prerequisite => ({ skill: prerequisite, requiredBy: course.title })));
+
+  return { courses, anchored, coverage, uncovered, unmetPrerequisites };
+}
+
+// Drops picked courses whose gaps and prerequisite duties the rest of the plan already covers
+function pruneRedundant(chosen, { gaps, knownSkills, anchoredIds }) {
+  let kept = [...chosen];
+  const coverableGaps = gaps.filter(gap => chosen.some(course => teachesAny(course, [gap.name])));
+
+  [...chosen].reverse().forEach(course => {
+    if (anchoredIds.has(course._id.toString())) return;
+    const without = kept.filter(other => other !== course);
+    const gapsStillCovered = coverableGaps.every(gap => without.some(other => teachesAny(other, [gap.name])));
+    const prerequisitesStillCovered = without.every(other => other.prerequisites
+      .filter(prerequisite => !skillTaxonomy.findMatchingSkill(knownSkills, prerequisite))
+      .every(prerequisite => !teachesPrerequisite(course, prerequisite) ||
+        without.some(third => third !== other && teachesPrerequisite(third, prerequisite))));
+    if (gapsStillCovered && prerequisitesStillCovered) kept = without;
+  });
+
+  return kept;
+}
+
+async function loadCandidates(candidates, skillNames, excludeIds) {
+  if (skillNames.length === 0) return;
+  // A course teaching a narrower skill (React) also closes a gap in the broader one (JavaScript)
+  const skillIds = [...new Set(skillNames.flatMap(name => [skillTaxonomy.skillKey(name), ...skillTaxonomy.getDescendants(name)]))];
+  const names = skillNames.map(name => skillTaxonomy.canonicalSkillName(name));
+
+  const courses = await Course.find({
+    isActive: true,
+    _id: { $nin: [...excludeIds] },
+    $or: [{ 'skillsTaught.skillId': { $in: skillIds } }, { 'skillsTaught.name': { $in: names } }]
+  })
+    .sort({ 'rating.average': -1 })
+    .limit(MAX_CANDIDATES_PER_ROUND);
+
+  courses.forEach(course => candidates.set(course._id.toString(), course));
+}
+
+function buildDependencyGraph(courses, knownSkills) {
+  const dependencies = new Map();
+  courses.forEach(course => {
+    const needed = course.prerequisites.filter(prerequisite => !skillTaxonomy.findMatchingSkill(knownSkills, prerequisite));
+    dependencies.set(course._id.toString(), courses
+      .filter(other => other !== course && needed.some(prerequisite => teachesPrerequisite(other, prerequisite)))
+      .map(other => other._id.toString()));
+  });
+  return dependencies;
+}
+
+function coversNeed(course, need) {
+  if (need.kind !== 'prerequisite') return teachesAny(course, [need.name]);
+  // A course can't be its own prerequisite
+  return need.requiredBy !== course._id.toString() && teachesPrerequisite(course, need.name);
+}
+
+// Prerequisites need the skill itself; a React course doesn't cover "JavaScript" for the course after it
+function teachesPrerequisite(course, prerequisite) {
+  const key = skillTaxonomy.skillKey(prerequisite);
+  return course.skillsTaught.some(taught => skillTaxonomy.skillKey(taught.name) === key);
+}
+
+function teachesAny(course, skillNames) {
+  return skillNames.some(name => course.skillsTaught.some(taught => skillTaxonomy.skillSatisfies(taught.name, name)));
+}
+
+// Schedule helpers
+
+// Lays unfinished steps end to end from startDate; returns when the last one ends
+function scheduleSteps(steps, { startDate, weeklyHours }) {
+  let cursor = new Date(startDate);
+  steps.forEach(step => {
+    if (step.status === 'completed' || step.status === 'skipped') return;
+    step.remainingHours = Math.round(step.hours * (1 - (step.progress || 0) / 100) * 10) / 10;
+    const days = Math.max(1, Math.ceil(step.remainingHours / weeklyHours * 7));
+    step.scheduledStart = new Date(cursor);
+    step.scheduledEnd = new Date(cursor.getTime() + days * DAY_MS);
+    cursor = step.scheduledEnd;
+  });
+  return cursor;
+}
+
+function stepReason(course, covered, progressEntry) {
+  const parts = [];
+  if (covered.gaps.length > 0) parts.push(`Closes ${covered.gaps.join(', ')}`);
+  if (covered.prerequisites.length > 0) parts.push(`Teaches ${covered.prerequisites.join(', ')} needed by a later course`);
+  if (progressEntry && progressEntry.status !== 'not_started') parts.push(`Already ${progressEntry.progress || 0}% done`);
+  return parts.join('. ') || `Recommended for ${course.category}`;
+}
+
+// Changes whenever enrollments, progress or profile skills change
+function progressSignature(user) {
+  const progress = (user.learningProgress || [])
+    .map(entry => `${entry.courseId}:${entry.status}:${entry.progress || 0}`)
+    .sort();
+  const skills = (user.skills || []).map(skill => `${skill.name}:${skill.proficiencyLevel || ''}`).sort();
+  return crypto.createHash('sha1').update([...progress, '|', ...skills].join(',')).digest('hex');
+}
+
+module.exports = {
+  createLearningPlan,
+  replanLearningPlan,
+  syncActivePlan,
+  orderCourses
+};
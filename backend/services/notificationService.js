@@ -0,0 +1,156 @@
+/**
+ * Notification Service - In-app notification feed and email digests
+ *
+ * Notifications are always written to the in-app feed. Those flagged for email
+ * are collected per user and sent as one digest through the email transport.
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailTransport = require('./emailTransport');
+
+// Jobs listed per notification; the rest are summarized as a count
+const MAX_JOBS_PER_NOTIFICATION = 20;
+
+/**
+ * Records new job matches for a saved search in the user's feed
+ *
+ * @param {Object} search - SavedSearch document
+ * @param {Array} jobs - Job documents that are new since the last run
+ * @returns {Promise<Object|null>} Notification, or null when there were no jobs
+ */
+const notifySavedSearchMatches = async (search, jobs) => {
+  if (jobs.length === 0) return null;
+
+  const count = jobs.length;
+  return Notification.create({
+    userId: search.userId,
+    type: 'saved_search_match',
+    title: `${count} new ${count === 1 ? 'job matches' : 'jobs match'} "${search.name}"`,
+    message: jobs
+      .slice(0, 3)
+      .map(job => `${job.title} at ${job.company}`)
+      .join(', ') + (count > 3 ? ` and ${count - 3} more` : ''),
+    link: `/jobs?${search.queryString}`,
+    savedSearchId: search._id,
+    jobs: jobs.slice(0, MAX_JOBS_PER_NOTIFICATION).map(job => ({
+      jobId: job._id,
+      title: job.title,
+      company: job.company
+    })),
+    emailPending: !!search.alerts?.emailDigest
+  });
+};
+
+/**
+ * Tells a user that postings they saved or applied to have closed
+ *
+ * @param {string} userId - User to notify
+ * @param {Array} jobs - Job documents that just expired
+ * @param {Object} options - { link }
+ * @returns {Promise<Object|null>} Notification, or null when there were no jobs
+ */
+const notifyJobsExpired = async (userId, jobs, { link = '/jobs' } = {}) => {
+  if (jobs.length === 0) return null;
+
+  const count = jobs.length;
+  return Notification.create({
+    userId,
+    type: 'job_expired',
+    title: count === 1
+      ? `${jobs[0].title} at ${jobs[0].company} is no longer accepting applications`
+      : `${count} jobs you're following are no longer accepting applications`,
+    message: jobs
+      .slice(0, 3)
+      .map(job => `${job.title} at ${job.company}`)
+      .join(', ') + (count > 3 ? ` and ${count - 3} more` : ''),
+    link,
+    jobs: jobs.slice(0, MAX_JOBS_PER_NOTIFICATION).map(job => ({
+      jobId: job._id,
+      title: job.title,
+      company: job.company
+    }))
+  });
+};
+
+/**
+ * Sends one digest email per user for notifications waiting on email
+ *
+ * @returns {Promise<Object>} { sent, failed, notifications }
+ */
+const sendEmailDigests = async () => {
+  const pending = await Notification.find({ emailPending: true }).sort({ createdAt: 1 });
+  const byUser = new Map();
+  pending.forEach(notification => {
+    const key = notification.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(notification);
+  });
+
+  const result = { sent: 0, failed: 0, notifications: 0 };
+
+  for (const [userId, notifications] of byUser) {
+    const ids = notifications.map(notification => notification._id);
+    const user = await User.findById(userId).select('email firstName');
+
+    if (!user || !user.email) {
+      await Notification.updateMany({ _id: { $in: ids } }, { $set: { emailPending: false } });
+      continue;
+    }
+
+    try {
+      await emailTransport.sendMail({ to: user.email, ...buildDigest(user, notifications) });
+      await Notification.updateMany(
+        { _id: { $in: ids } },
+        { $set: { emailPending: false, emailedAt: new Date() } }
+      );
+      result.sent += 1;
+      result.notifications += notifications.length;
+    } catch (error) {
+      // Left pending so the next run retries
+      console.error(`[Notifications] Digest to user ${userId} failed:`, error.message);
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+// Digest helpers
+
+function buildDigest(user, notifications) {
+  const jobCount = notifications.reduce((sum, notification) => sum + notification.jobs.length, 0);
+  const subject = `Your job alerts: ${jobCount} new ${jobCount === 1 ? 'match' : 'matches'}`;
+
+  const textSections = notifications.map(notification => [
+    notification.title,
+    ...notification.jobs.map(job => `  - ${job.title} at ${job.company}`)
+  ].join('\n'));
+
+  const htmlSections = notifications.map(notification => `
+    <h3 style="margin:16px 0 4px">${escapeHtml(notification.title)}</h3>
+    <ul style="margin:0;padding-left:20px">
+      ${notification.jobs.map(job => `<li>${escapeHtml(job.title)} at ${escapeHtml(job.company)}</li>`).join('')}
+    </ul>`);
+
+  const greeting = `Hi ${user.firstName || 'there'},`;
+  return {
+    subject,
+    text: [greeting, 'New jobs matched your saved searches:', ...textSections].join('\n\n'),
+    html: `<p>${escapeHtml(greeting)}</p><p>New jobs matched your saved searches:</p>${htmlSections.join('')}`
+  };
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  notifySavedSearchMatches,
+  notifyJobsExpired,
+  sendEmailDigests
+};
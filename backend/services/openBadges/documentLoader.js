@@ -0,0 +1,131 @@
+/**
+ * Document Loader - Fetches issuer profiles, badge classes, keys and hosted assertions
+ *
+ * Only https URLs are fetched, unless OPEN_BADGES_ALLOW_HTTP=true (used with
+ * the local fixture server in scripts/openBadgeFixtures.js). Responses are
+ * size-capped and time-limited, and each loader caches what it fetched so a
+ * verification run asks for the issuer profile only once. did:key URLs are
+ * expanded locally and did:web URLs are resolved to their did.json.
+ */
+
+const { resolveDidKey } = require('./signatures');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_DOCUMENT_BYTES = 512 * 1024;
+
+/**
+ * Creates a loader with its own cache
+ *
+ * @param {Object} options - { fetchImpl } to swap out global fetch
+ * @returns {Object} { loadJson(url), loadText(url), resolveKey(url) }
+ */
+const createDocumentLoader = ({ fetchImpl = fetch } = {}) => {
+  const cache = new Map();
+
+  const loadText = async (url) => {
+    const target = checkUrl(url);
+    if (!cache.has(target)) {
+      cache.set(target, fetchDocument(fetchImpl, target).catch(error => {
+        cache.delete(target);
+        throw error;
+      }));
+    }
+    return cache.get(target);
+  };
+
+  const loadJson = async (url) => {
+    const text = await loadText(url);
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${url} did not return JSON`);
+    }
+  };
+
+  // Key documents: did:key expands locally, did:web maps to https, anything else is fetched
+  const resolveKey = async (keyUrl) => {
+    const url = String(keyUrl);
+    if (url.startsWith('did:key:')) return resolveDidKey(url);
+
+    if (url.startsWith('did:web:')) {
+      const [did, fragment] = url.split('#');
+      const didDocument = await loadJson(didWebUrl(did));
+      const methods = [...toArray(didDocument.verificationMethod), ...toArray(didDocument.publicKey)];
+      const method = methods.find(entry => entry && typeof entry === 'object' &&
+        (entry.id === url || (fragment && entry.id === `#${fragment}`)));
+      if (!method) throw new Error(`${did} does not list the key ${url}`);
+      return { controller: didDocument.id, ...method, id: url };
+    }
+
+    const [documentUrl, fragment] = url.split('#');
+    const document = await loadJson(documentUrl);
+    if (!fragment || document.id === url) return document;
+
+    // A key addressed by fragment inside a larger document (e.g. an issuer profile)
+    const methods = [...toArray(document.verificationMethod), ...toArray(document.publicKey)];
+    const method = methods.find(entry => entry && typeof entry === 'object' &&
+      (entry.id === url || entry.id === `#${fragment}`));
+    if (!method) throw new Error(`${documentUrl} does not list the key ${url}`);
+    return { controller: document.id, ...method, id: url };
+  };
+
+  return { loadJson, loadText, resolveKey };
+};
+
+// Fetch helpers
+
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    throw new Error(`"${url}" is not a URL`);
+  }
+  const insecureAllowed = process.env.OPEN_BADGES_ALLOW_HTTP === 'true';
+  if (parsed.protocol !== 'https:' && !(insecureAllowed && parsed.protocol === 'http:')) {
+    throw new Error(`Only https URLs are fetched (got ${parsed.protocol}//${parsed.host})`);
+  }
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+async function fetchDocument(fetchImpl, url) {
+  const response = await fetchImpl(url, {
+    headers: {
+      Accept: 'application/ld+json, application/json;q=0.9, */*;q=0.1',
+      'User-Agent': 'DishaAI-BadgeVerifier/1.0'
+    },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Fetching ${url} failed with HTTP ${response.status}`);
+  }
+
+  const declaredLength = parseInt(response.headers.get('content-length'));
+  if (declaredLength > MAX_DOCUMENT_BYTES) {
+    throw new Error(`${url} is larger than ${MAX_DOCUMENT_BYTES / 1024} KB`);
+  }
+  const text = await response.text();
+  if (Buffer.byteLength(text) > MAX_DOCUMENT_BYTES) {
+    throw new Error(`${url} is larger than ${MAX_DOCUMENT_BYTES / 1024} KB`);
+  }
+  return text;
+}
+
+// did:web:example.com:issuers:1 -> https://example.com/issuers/1/did.json
+function didWebUrl(did) {
+  const [host, ...path] = did.slice('did:web:'.length).split(':').map(decodeURIComponent);
+  return path.length > 0
+    ? `https://${host}/${path.join('/')}/did.json`
+    : `https://${host}/.well-known/did.json`;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  createDocumentLoader
+};
@@ -0,0 +1,114 @@
+/**
+ * Open Badges - Verifies digital badges and verifiable credentials
+ *
+ * Accepts what a learner can paste or link: an Open Badges 2.0 assertion
+ * (hosted JSON or signed JWS), an Open Badges 3.0 / W3C verifiable
+ * credential (VC-JWT or JSON with a Data Integrity proof), or the URL of
+ * any of these. The format is detected, the matching verifier runs and the
+ * outcome is reduced to a certification status: verified, failed, expired,
+ * or unsupported when the credential is secured in a way we cannot check
+ * (those stay pending for manual review).
+ */
+
+const { decodeCompactJws } = require('./signatures');
+const { createDocumentLoader } = require('./documentLoader');
+const { verifyAssertion } = require('./openBadges2');
+const { verifyCredential: verifyVerifiableCredential } = require('./verifiableCredential');
+
+const COMPACT_JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+/**
+ * Verifies a badge or credential for a user
+ *
+ * @param {Object} source - { url } to fetch, and/or { credential } as a JWS string, JSON string or object
+ * @param {Object} options - { email, now, loader }
+ * @returns {Promise<Object>} { verified, status, message, format, checks, assertion, badge, issuer, issuedOn, expires, endpoint, proof, checkedAt }
+ */
+const verifyCredential = async ({ url, credential } = {}, { email, now = new Date(), loader = createDocumentLoader() } = {}) => {
+  let result;
+  try {
+    let input = credential;
+    let endpoint;
+    if (input === undefined || input === null || input === '') {
+      if (!url) throw new Error('Provide a badge URL or the badge assertion itself');
+      endpoint = String(url).trim();
+      input = await loader.loadText(endpoint);
+    } else if (typeof input === 'string' && /^https?:\/\//i.test(input.trim())) {
+      endpoint = input.trim();
+      input = await loader.loadText(endpoint);
+    }
+
+    const parsed = parseInput(input);
+    const context = { loader, email, now };
+    if (parsed.compactJws) {
+      const jws = decodeCompactJws(parsed.compactJws);
+      result = isVerifiableCredential(jws.payload?.vc || jws.payload)
+        ? await verifyVerifiableCredential({ compactJws: parsed.compactJws }, context)
+        : await verifyAssertion({ compactJws: parsed.compactJws }, context);
+    } else {
+      result = isVerifiableCredential(parsed.document)
+        ? await verifyVerifiableCredential({ credential: parsed.document }, context)
+        : await verifyAssertion({ assertion: parsed.document }, context);
+    }
+    if (!result.endpoint && endpoint) result.endpoint = endpoint;
+  } catch (error) {
+    result = { format: null, checks: [{ check: 'structure', passed: false, message: error.message }] };
+  }
+
+  const status = statusFrom(result);
+  return {
+    ...result,
+    verified: status === 'verified',
+    status,
+    message: messageFrom(status, result),
+    checkedAt: now
+  };
+};
+
+// Input helpers
+
+function parseInput(input) {
+  if (input && typeof input === 'object') return { document: input };
+
+  const text = String(input || '').trim();
+  if (COMPACT_JWS_PATTERN.test(text)) return { compactJws: text };
+  try {
+    const document = JSON.parse(text);
+    if (typeof document === 'string' && COMPACT_JWS_PATTERN.test(document.trim())) {
+      return { compactJws: document.trim() };
+    }
+    if (document && typeof document === 'object') return { document };
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new Error('Badge is neither JSON nor a signed JWS');
+}
+
+function isVerifiableCredential(document) {
+  return Boolean(document) && typeof document === 'object' &&
+    [].concat(document.type || []).includes('VerifiableCredential');
+}
+
+// Outcome helpers
+
+function statusFrom(result) {
+  if (result.unsupported) return 'unsupported';
+  const failed = result.checks.filter(check => !check.passed);
+  if (failed.length === 0) return 'verified';
+  if (failed.every(check => check.check === 'expiry')) return 'expired';
+  return 'failed';
+}
+
+function messageFrom(status, result) {
+  const failed = result.checks.find(check => !check.passed);
+  if (status === 'verified') {
+    const name = result.badge?.name ? `"${result.badge.name}"` : 'Badge';
+    return `${name} verified${result.issuer?.name ? ` as issued by ${result.issuer.name}` : ''}`;
+  }
+  if (status === 'unsupported') return `${failed.message}; left for manual review`;
+  return failed.message;
+}
+
+module.exports = {
+  verifyCredential
+};
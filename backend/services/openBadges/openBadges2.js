@@ -0,0 +1,256 @@
+/**
+ * Open Badges 2.0 - Hosted and signed assertion verification
+ *
+ * Hosted assertions are re-fetched from their id and must be served from
+ * the issuer's origin (or an origin the issuer's verification policy
+ * allows). Signed assertions are compact JWS whose key must be owned by the
+ * issuer; the issuer's revocation list is checked too. Either way the badge
+ * class and issuer profile are loaded, and the recipient identity is
+ * matched against the user's email.
+ */
+
+const { decodeCompactJws, verifyJws, publicKeyFrom } = require('./signatures');
+const { matchIdentity } = require('./recipient');
+
+// Issue dates this far in the future are tolerated as clock skew
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Verifies an Open Badges 2.0 assertion
+ *
+ * @param {Object} input - { assertion } for hosted badges, or { compactJws } for signed ones
+ * @param {Object} context - { loader, email, now }
+ * @returns {Promise<Object>} { format, checks, assertion, badge, issuer, issuedOn, expires, endpoint, proof }
+ */
+const verifyAssertion = async ({ assertion, compactJws }, { loader, email, now = new Date() }) => {
+  const checks = [];
+  const record = (check, passed, message) => {
+    checks.push({ check, passed, message });
+    return passed;
+  };
+  const result = { format: 'openbadges-2.0', checks };
+
+  let jws = null;
+  if (compactJws) {
+    jws = decodeCompactJws(compactJws);
+    if (!jws.payload) {
+      record('structure', false, 'Signed badge payload is not JSON');
+      return result;
+    }
+    assertion = jws.payload;
+  }
+
+  if (!assertion || typeof assertion !== 'object' || !hasType(assertion, 'Assertion')) {
+    record('structure', false, 'Not an Open Badges 2.0 assertion');
+    return result;
+  }
+
+  const verificationType = verificationKind(assertion.verification);
+  if (!verificationType) {
+    record('structure', false, 'Assertion has no hosted or signed verification');
+    return result;
+  }
+
+  // Hosted: the copy at the assertion's own URL is the one that counts
+  if (verificationType === 'hosted') {
+    result.format = 'openbadges-2.0-hosted';
+    if (!isHttpUrl(assertion.id)) {
+      record('hosted', false, 'Hosted assertion id is not an http(s) URL');
+      return result;
+    }
+
+    let hosted;
+    try {
+      hosted = await loader.loadJson(assertion.id);
+    } catch (error) {
+      // Issuers answer 410 Gone for revoked hosted assertions
+      record('hosted', false, /HTTP 410/.test(error.message) ? 'Assertion has been revoked by the issuer' : error.message);
+      return result;
+    }
+    if (hosted.id !== assertion.id) {
+      record('hosted', false, 'Hosted assertion id does not match its URL');
+      return result;
+    }
+    assertion = hosted;
+    result.endpoint = assertion.id;
+    record('hosted', true, `Assertion is hosted at ${assertion.id}`);
+  } else {
+    result.format = 'openbadges-2.0-signed';
+    if (!jws) {
+      record('signature', false, 'Signed assertions must be submitted as the signed JWS, not the decoded JSON');
+      return result;
+    }
+    result.proof = String(compactJws).trim();
+  }
+  result.assertion = assertion;
+
+  // Badge class and issuer profile, embedded or by URL
+  let badge;
+  let issuer;
+  try {
+    badge = typeof assertion.badge === 'string' ? await loader.loadJson(assertion.badge) : assertion.badge;
+    if (!badge || !hasType(badge, 'BadgeClass')) throw new Error('Assertion does not point to a BadgeClass');
+    issuer = typeof badge.issuer === 'string' ? await loader.loadJson(badge.issuer) : badge.issuer;
+    if (!issuer || !(hasType(issuer, 'Issuer') || hasType(issuer, 'Profile'))) {
+      throw new Error('Badge class does not point to an issuer profile');
+    }
+    if (typeof badge.issuer === 'string' && issuer.id !== badge.issuer) {
+      throw new Error('Issuer profile id does not match its URL');
+    }
+  } catch (error) {
+    record('issuer', false, error.message);
+    return result;
+  }
+  result.badge = summarizeBadge(badge);
+  result.issuer = summarizeIssuer(issuer);
+  record('issuer', true, `Issued by ${issuer.name || issuer.id}`);
+
+  if (verificationType === 'hosted') {
+    if (!record('origin', hostedOriginAllowed(assertion.id, issuer), 'Hosted assertion is served from an origin the issuer allows')) {
+      checks[checks.length - 1].message = 'Hosted assertion is not served from the issuer\'s origin';
+      return result;
+    }
+    if (assertion.revoked === true || assertion.revoked === 'true') {
+      record('revocation', false, `Assertion has been revoked${assertion.revocationReason ? `: ${assertion.revocationReason}` : ''}`);
+      return result;
+    }
+  } else {
+    const signed = await checkSignature(jws, assertion, issuer, loader);
+    record('signature', signed.passed, signed.message);
+    if (!signed.passed) return result;
+
+    const revocation = await checkRevocationList(assertion, issuer, loader);
+    record('revocation', revocation.passed, revocation.message);
+    if (!revocation.passed) return result;
+  }
+
+  const issuedOn = new Date(assertion.issuedOn);
+  if (!record('issued', !Number.isNaN(issuedOn.getTime()) && issuedOn.getTime() <= now.getTime() + CLOCK_SKEW_MS,
+    'Issue date is valid')) {
+    checks[checks.length - 1].message = 'Issue date is missing or in the future';
+    return result;
+  }
+  result.issuedOn = issuedOn;
+
+  if (assertion.expires) {
+    result.expires = new Date(assertion.expires);
+    record('expiry', !(result.expires < now), result.expires < now
+      ? `Badge expired on ${result.expires.toISOString().slice(0, 10)}`
+      : `Valid until ${result.expires.toISOString().slice(0, 10)}`);
+  }
+
+  const recipient = matchIdentity(assertion.recipient, email);
+  record('recipient', recipient.matched, recipient.message);
+
+  return result;
+};
+
+// Verification helpers
+
+function verificationKind(verification) {
+  const type = String(verification?.type || '').toLowerCase();
+  if (type === 'hosted' || type === 'hostedbadge') return 'hosted';
+  if (type === 'signed' || type === 'signedbadge') return 'signed';
+  return null;
+}
+
+// Same origin as the issuer id, unless the issuer's verification policy says otherwise
+function hostedOriginAllowed(assertionId, issuer) {
+  if (!isHttpUrl(assertionId)) return false;
+  const assertionUrl = new URL(assertionId);
+  const policy = issuer.verification || {};
+
+  const startsWith = toArray(policy.startsWith);
+  if (startsWith.length > 0) return startsWith.some(prefix => assertionId.startsWith(prefix));
+
+  const allowedOrigins = toArray(policy.allowedOrigins);
+  if (allowedOrigins.length > 0) {
+    return allowedOrigins.some(origin => origin === assertionUrl.host || origin === assertionUrl.hostname);
+  }
+
+  return isHttpUrl(issuer.id) && new URL(issuer.id).origin === assertionUrl.origin;
+}
+
+async function checkSignature(jws, assertion, issuer, loader) {
+  const issuerKeys = toArray(issuer.publicKey).map(key => (typeof key === 'string' ? key : key?.id)).filter(Boolean);
+  const keyUrl = assertion.verification.creator || issuerKeys[0];
+  if (!keyUrl) return { passed: false, message: 'Neither the assertion nor the issuer names a signing key' };
+
+  let keyDocument;
+  try {
+    keyDocument = await loader.resolveKey(keyUrl);
+  } catch (error) {
+    return { passed: false, message: `Could not load the signing key: ${error.message}` };
+  }
+
+  const owner = keyDocument.owner || keyDocument.controller;
+  if (owner !== issuer.id) {
+    return { passed: false, message: 'Signing key does not belong to the badge issuer' };
+  }
+  if (issuerKeys.length > 0 && !issuerKeys.includes(keyUrl) && !issuerKeys.includes(keyDocument.id)) {
+    return { passed: false, message: 'Issuer profile does not list the signing key' };
+  }
+
+  let publicKey;
+  try {
+    publicKey = publicKeyFrom(keyDocument);
+  } catch (error) {
+    return { passed: false, message: error.message };
+  }
+  return verifyJws(jws, publicKey)
+    ? { passed: true, message: `Signature checks out against ${keyUrl}` }
+    : { passed: false, message: 'Signature does not match the issuer key' };
+}
+
+async function checkRevocationList(assertion, issuer, loader) {
+  if (!issuer.revocationList) return { passed: true, message: 'Issuer publishes no revocation list' };
+
+  let list;
+  try {
+    list = typeof issuer.revocationList === 'string' ? await loader.loadJson(issuer.revocationList) : issuer.revocationList;
+  } catch (error) {
+    return { passed: false, message: `Could not load the revocation list: ${error.message}` };
+  }
+
+  const revoked = toArray(list.revokedAssertions).find(entry =>
+    (typeof entry === 'string' ? entry : entry?.id || entry?.uid) === assertion.id ||
+    (assertion.uid && (typeof entry === 'string' ? entry : entry?.uid) === assertion.uid));
+  if (revoked) {
+    const reason = typeof revoked === 'object' && revoked.revocationReason;
+    return { passed: false, message: `Assertion has been revoked${reason ? `: ${reason}` : ''}` };
+  }
+  return { passed: true, message: 'Assertion is not on the issuer\'s revocation list' };
+}
+
+// Summary helpers
+
+function summarizeBadge(badge) {
+  return {
+    id: badge.id,
+    name: badge.name,
+    description: badge.description,
+    image: typeof badge.image === 'object' ? badge.image?.id : badge.image,
+    criteria: typeof badge.criteria === 'object' ? badge.criteria?.id || badge.criteria?.narrative : badge.criteria
+  };
+}
+
+function summarizeIssuer(issuer) {
+  return { id: issuer.id, name: issuer.name, url: issuer.url, email: issuer.email };
+}
+
+function hasType(document, type) {
+  return toArray(document.type).some(value => value === type || value === `obi:${type}`);
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  verifyAssertion
+};
@@ -0,0 +1,66 @@
+/**
+ * Recipient - Matches a badge's recipient identity against a user's email
+ *
+ * Open Badges 2.0 and 3.0 both identify the earner by an IdentityObject:
+ * either the plain email or a hash of it ("sha256$<hex>" or "md5$<hex>"),
+ * optionally salted as hash(email + salt). Emails are compared as given and
+ * lowercased, since issuers differ on whether they normalize case first.
+ */
+
+const crypto = require('crypto');
+
+const EMAIL_IDENTITY_TYPES = ['email', 'emailAddress'];
+
+/**
+ * Checks an identity object against an email address
+ *
+ * @param {Object} identity - { identityType | type, identity | identityHash, hashed, salt }
+ * @param {string} email - The user's email
+ * @returns {Object} { matched, message }
+ */
+const matchIdentity = (identity, email) => {
+  if (!identity || typeof identity !== 'object') {
+    return { matched: false, message: 'Credential names no recipient' };
+  }
+
+  // OB 3.0 puts the identity kind in identityType (type is always "IdentityObject")
+  const type = identity.identityType || identity.type;
+  if (!EMAIL_IDENTITY_TYPES.includes(type)) {
+    return { matched: false, message: `Recipient is identified by ${type || 'an unknown identity type'}, not an email address` };
+  }
+
+  const value = String(identity.identity || identity.identityHash || '');
+  const candidates = [...new Set([String(email), String(email).toLowerCase()])];
+
+  const hashed = identity.hashed === true || identity.hashed === 'true' || /^(sha256|md5)\$/i.test(value);
+  if (!hashed) {
+    const matched = candidates.some(candidate => candidate.toLowerCase() === value.trim().toLowerCase());
+    return { matched, message: matched ? 'Recipient email matches' : 'Credential was issued to a different email address' };
+  }
+
+  const [algorithm, digest] = value.includes('$') ? value.split('$') : ['sha256', value];
+  if (!['sha256', 'md5'].includes(algorithm.toLowerCase())) {
+    return { matched: false, message: `Unsupported recipient hash "${algorithm}"` };
+  }
+
+  const salt = identity.salt || '';
+  const matched = candidates.some(candidate => crypto.createHash(algorithm.toLowerCase())
+    .update(candidate + salt)
+    .digest('hex') === digest.toLowerCase());
+  return { matched, message: matched ? 'Recipient email hash matches' : 'Credential was issued to a different email address' };
+};
+
+/**
+ * Hashes an email the way issuers do, for building test credentials
+ *
+ * @param {string} email - Recipient email
+ * @param {string} salt - Optional salt
+ * @returns {string} "sha256$<hex>"
+ */
+const hashIdentity = (email, salt = '') =>
+  `sha256$${crypto.createHash('sha256').update(String(email) + salt).digest('hex')}`;
+
+module.exports = {
+  matchIdentity,
+  hashIdentity
+};
@@ -0,0 +1,230 @@
+/**
+ * Signatures - Key decoding and signature checks for badge verification
+ *
+ * Everything here uses Node's crypto module: compact JWS (RS*, PS*, ES*,
+ * EdDSA), public keys given as PEM, JWK or Ed25519 multikeys (including
+ * did:key), base58btc, and JSON canonicalization (RFC 8785) for the
+ * eddsa-jcs-2022 Data Integrity cryptosuite.
+ */
+
+const crypto = require('crypto');
+
+const JWS_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// Multicodec prefix of an Ed25519 public key inside a multikey
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+/**
+ * Splits a compact JWS into its parts without checking the signature
+ *
+ * @param {string} compact - header.payload.signature
+ * @returns {Object} { header, payload, payloadText, signingInput, signature }
+ */
+const decodeCompactJws = (compact) => {
+  const parts = String(compact).trim().split('.');
+  if (parts.length !== 3) throw new Error('Not a compact JWS (expected three dot-separated parts)');
+
+  let header;
+  let payloadText;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payloadText = base64UrlDecode(parts[1]).toString('utf8');
+  } catch (error) {
+    throw new Error('JWS header or payload is not valid base64url JSON');
+  }
+
+  let payload = null;
+  try {
+    payload = JSON.parse(payloadText);
+  } catch (error) {
+    // Left as text; callers decide whether a non-JSON payload is acceptable
+  }
+
+  return {
+    header,
+    payload,
+    payloadText,
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: base64UrlDecode(parts[2])
+  };
+};
+
+/**
+ * Checks a decoded JWS signature against a public key
+ *
+ * @param {Object} jws - Result of decodeCompactJws
+ * @param {KeyObject} publicKey - Key to verify with
+ * @returns {boolean}
+ */
+const verifyJws = (jws, publicKey) => {
+  const algorithm = JWS_ALGORITHMS[jws.header.alg];
+  if (!algorithm) throw new Error(`Unsupported JWS algorithm "${jws.header.alg}"`);
+
+  const key = { key: publicKey };
+  if (algorithm.padding) {
+    key.padding = algorithm.padding;
+    key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (algorithm.dsaEncoding) key.dsaEncoding = algorithm.dsaEncoding;
+
+  try {
+    return crypto.verify(algorithm.hash, Buffer.from(jws.signingInput), key, jws.signature);
+  } catch (error) {
+    // Wrong key type for the algorithm, malformed signature, ...
+    return false;
+  }
+};
+
+/**
+ * Builds a public key from a key document or verification method
+ *
+ * @param {Object} keyDocument - { publicKeyPem | publicKeyJwk | publicKeyMultibase }
+ * @returns {KeyObject}
+ */
+const publicKeyFrom = (keyDocument) => {
+  if (!keyDocument || typeof keyDocument !== 'object') throw new Error('Key document is missing');
+
+  if (keyDocument.publicKeyPem) {
+    return crypto.createPublicKey(keyDocument.publicKeyPem);
+  }
+  if (keyDocument.publicKeyJwk) {
+    const { d, ...publicJwk } = keyDocument.publicKeyJwk;
+    return crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+  }
+  if (keyDocument.publicKeyMultibase) {
+    return ed25519FromMultikey(keyDocument.publicKeyMultibase);
+  }
+  throw new Error('Key document has no publicKeyPem, publicKeyJwk or publicKeyMultibase');
+};
+
+/**
+ * Expands a did:key (Ed25519 only) into its verification method
+ *
+ * @param {string} didUrl - did:key:z6Mk... optionally with a #fragment
+ * @returns {Object} { id, type, controller, publicKeyMultibase }
+ */
+const resolveDidKey = (didUrl) => {
+  const did = String(didUrl).split('#')[0];
+  const multibase = did.slice('did:key:'.length);
+  // Decoding checks the key is Ed25519 before it is handed out
+  ed25519FromMultikey(multibase);
+  return { id: `${did}#${multibase}`, type: 'Multikey', controller: did, publicKeyMultibase: multibase };
+};
+
+/**
+ * Encodes a raw Ed25519 public key as a multikey (z6Mk...)
+ *
+ * @param {KeyObject} publicKey - Ed25519 public key
+ * @returns {string}
+ */
+const ed25519Multikey = (publicKey) => {
+  const raw = base64UrlDecode(publicKey.export({ format: 'jwk' }).x);
+  return `z${base58Encode(Buffer.concat([ED25519_MULTICODEC, raw]))}`;
+};
+
+/**
+ * Serializes JSON canonically (RFC 8785): sorted keys, no whitespace
+ *
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error('Cannot canonicalize a non-finite number');
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+/**
+ * Decodes base64url (padding optional)
+ *
+ * @param {string} text - base64url text
+ * @returns {Buffer}
+ */
+const base64UrlDecode = (text) => Buffer.from(String(text), 'base64url');
+
+/**
+ * Decodes base58btc (the Bitcoin alphabet)
+ *
+ * @param {string} text - base58 text
+ * @returns {Buffer}
+ */
+const base58Decode = (text) => {
+  let value = 0n;
+  for (const char of String(text)) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid base58 character "${char}"`);
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  // Each leading '1' stands for a leading zero byte
+  const leadingZeros = String(text).match(/^1*/)[0].length;
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...bytes]);
+};
+
+/**
+ * Encodes bytes as base58btc
+ *
+ * @param {Buffer} bytes - Data to encode
+ * @returns {string}
+ */
+const base58Encode = (bytes) => {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  const leadingZeros = Buffer.from(bytes).findIndex(byte => byte !== 0);
+  return '1'.repeat(leadingZeros === -1 ? bytes.length : leadingZeros) + text;
+};
+
+// Key helpers
+
+function ed25519FromMultikey(multibase) {
+  if (!String(multibase).startsWith('z')) throw new Error('Only base58btc (z...) multikeys are supported');
+  const bytes = base58Decode(String(multibase).slice(1));
+  if (bytes.length !== 34 || !bytes.subarray(0, 2).equals(ED25519_MULTICODEC)) {
+    throw new Error('Only Ed25519 multikeys are supported');
+  }
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+module.exports = {
+  decodeCompactJws,
+  verifyJws,
+  publicKeyFrom,
+  resolveDidKey,
+  ed25519Multikey,
+  canonicalize,
+  base64UrlDecode,
+  base58Decode,
+  base58Encode
+};
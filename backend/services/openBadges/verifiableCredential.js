@@ -0,0 +1,291 @@
+/**
+ * Verifiable Credential - Open Badges 3.0 / W3C VC verification
+ *
+ * Two securing mechanisms are checked: VC-JWT (a compact JWS whose kid
+ * resolves to a key controlled by the issuer) and Data Integrity proofs
+ * using the eddsa-jcs-2022 cryptosuite. Cryptosuites that need RDF dataset
+ * canonicalization are reported as unsupported so the certification can go
+ * to manual review instead of failing. Validity dates, the recipient
+ * identifier and any revocation or bitstring status list are checked after
+ * the signature.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {
+  decodeCompactJws,
+  verifyJws,
+  publicKeyFrom,
+  canonicalize,
+  base58Decode
+} = require('./signatures');
+const { matchIdentity } = require('./recipient');
+
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SUPPORTED_CRYPTOSUITES = ['eddsa-jcs-2022'];
+const STATUS_LIST_TYPES = ['BitstringStatusListEntry', 'StatusList2021Entry'];
+
+/**
+ * Verifies a verifiable credential secured as a VC-JWT or with a Data Integrity proof
+ *
+ * @param {Object} input - { credential } for JSON credentials, or { compactJws } for VC-JWTs
+ * @param {Object} context - { loader, email, now }
+ * @returns {Promise<Object>} { format, checks, unsupported, assertion, badge, issuer, issuedOn, expires, proof }
+ */
+const verifyCredential = async ({ credential, compactJws }, { loader, email, now = new Date() }) => {
+  const checks = [];
+  const record = (check, passed, message) => {
+    checks.push({ check, passed, message });
+    return passed;
+  };
+  const result = { format: 'verifiable-credential', checks, unsupported: false };
+
+  let jws = null;
+  let claims = {};
+  if (compactJws) {
+    jws = decodeCompactJws(compactJws);
+    if (!jws.payload) {
+      record('structure', false, 'VC-JWT payload is not JSON');
+      return result;
+    }
+    claims = jws.payload;
+    credential = claims.vc || claims;
+  }
+
+  if (!credential || typeof credential !== 'object' || !toArray(credential.type).includes('VerifiableCredential')) {
+    record('structure', false, 'Not a verifiable credential');
+    return result;
+  }
+
+  const issuerId = typeof credential.issuer === 'string' ? credential.issuer : credential.issuer?.id || claims.iss;
+  if (!issuerId) {
+    record('structure', false, 'Credential names no issuer');
+    return result;
+  }
+
+  result.format = `${isOpenBadge(credential) ? 'openbadges-3.0' : 'verifiable-credential'}-${jws ? 'jwt' : 'data-integrity'}`;
+  result.assertion = credential;
+  result.issuer = summarizeIssuer(credential.issuer, issuerId);
+  result.badge = summarizeAchievement(firstSubject(credential)?.achievement);
+
+  const signed = jws
+    ? await checkJwt(jws, claims, issuerId, loader)
+    : await checkDataIntegrity(credential, issuerId, loader);
+  record('signature', signed.passed, signed.message);
+  if (signed.unsupported) result.unsupported = true;
+  if (!signed.passed) return result;
+  if (jws) result.proof = String(compactJws).trim();
+
+  // JWT claims win over the credential's own dates when both are present
+  const validFrom = claims.nbf ? new Date(claims.nbf * 1000) : parseDate(credential.validFrom || credential.issuanceDate);
+  const validUntil = claims.exp ? new Date(claims.exp * 1000) : parseDate(credential.validUntil || credential.expirationDate);
+
+  if (!record('issued', Boolean(validFrom) && validFrom.getTime() <= now.getTime() + CLOCK_SKEW_MS, 'Issue date is valid')) {
+    checks[checks.length - 1].message = 'Issue date is missing or in the future';
+    return result;
+  }
+  result.issuedOn = validFrom;
+
+  const status = await checkStatus(credential, issuerId, loader);
+  record('revocation', status.passed, status.message);
+  if (!status.passed) return result;
+
+  if (validUntil) {
+    result.expires = validUntil;
+    record('expiry', !(validUntil < now), validUntil < now
+      ? `Credential expired on ${validUntil.toISOString().slice(0, 10)}`
+      : `Valid until ${validUntil.toISOString().slice(0, 10)}`);
+  }
+
+  const recipient = matchSubject(firstSubject(credential), email);
+  record('recipient', recipient.matched, recipient.message);
+
+  return result;
+};
+
+// Proof helpers
+
+async function checkJwt(jws, claims, issuerId, loader) {
+  if (claims.iss && claims.iss !== issuerId) {
+    return { passed: false, message: 'JWT iss does not match the credential issuer' };
+  }
+
+  let kid = jws.header.kid;
+  if (!kid && issuerId.startsWith('did:key:')) kid = issuerId;
+  if (!kid) return { passed: false, message: 'VC-JWT header has no kid to find the issuer key' };
+  if (kid.startsWith('#')) kid = `${issuerId}${kid}`;
+
+  return checkKeyAndSignature(kid, issuerId, loader, publicKey => verifyJws(jws, publicKey));
+}
+
+async function checkDataIntegrity(credential, issuerId, loader) {
+  const proofs = toArray(credential.proof);
+  if (proofs.length === 0) return { passed: false, message: 'Credential carries no proof' };
+
+  const proof = proofs.find(entry => entry?.type === 'DataIntegrityProof' && SUPPORTED_CRYPTOSUITES.includes(entry.cryptosuite));
+  if (!proof) {
+    const described = proofs.map(entry => entry?.cryptosuite || entry?.type).filter(Boolean).join(', ');
+    return {
+      passed: false,
+      unsupported: true,
+      message: `Proof type ${described || 'unknown'} cannot be checked automatically`
+    };
+  }
+  if (proof.proofPurpose !== 'assertionMethod') {
+    return { passed: false, message: 'Proof purpose must be assertionMethod' };
+  }
+  if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+    return { passed: false, message: 'Proof value must be base58btc multibase' };
+  }
+
+  // eddsa-jcs-2022: sign sha256(JCS(proof options)) || sha256(JCS(document))
+  const { proof: ignoredProof, ...unsecured } = credential;
+  const { proofValue, ...proofOptions } = proof;
+  if (unsecured['@context']) proofOptions['@context'] = unsecured['@context'];
+  const hashData = Buffer.concat([sha256(canonicalize(proofOptions)), sha256(canonicalize(unsecured))]);
+
+  return checkKeyAndSignature(proof.verificationMethod, issuerId, loader, publicKey => {
+    try {
+      return crypto.verify(null, hashData, publicKey, base58Decode(proofValue.slice(1)));
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+async function checkKeyAndSignature(keyId, issuerId, loader, verify) {
+  if (!keyId) return { passed: false, message: 'Proof names no verification method' };
+
+  let keyDocument;
+  let publicKey;
+  try {
+    keyDocument = await loader.resolveKey(keyId);
+    publicKey = publicKeyFrom(keyDocument);
+  } catch (error) {
+    return { passed: false, message: `Could not load the signing key: ${error.message}` };
+  }
+
+  const controller = keyDocument.controller || keyDocument.owner;
+  if (controller !== issuerId && String(keyId).split('#')[0] !== issuerId) {
+    return { passed: false, message: 'Signing key is not controlled by the credential issuer' };
+  }
+
+  return verify(publicKey)
+    ? { passed: true, message: `Signature checks out against ${keyId}` }
+    : { passed: false, message: 'Signature does not match the issuer key' };
+}
+
+// Status helpers
+
+async function checkStatus(credential, issuerId, loader) {
+  const entries = toArray(credential.credentialStatus);
+  if (entries.length === 0) return { passed: true, message: 'Credential has no status list' };
+
+  const notes = [];
+  for (const entry of entries) {
+    try {
+      if (entry.type === '1EdTechRevocationList') {
+        const list = await loader.loadJson(entry.id);
+        const revoked = [...toArray(list.revokedCredentials), ...toArray(list.revokedAssertions)]
+          .find(item => (typeof item === 'string' ? item : item?.id) === credential.id);
+        if (revoked) {
+          const reason = typeof revoked === 'object' && revoked.revocationReason;
+          return { passed: false, message: `Credential has been revoked${reason ? `: ${reason}` : ''}` };
+        }
+        notes.push('not on the issuer\'s revocation list');
+      } else if (STATUS_LIST_TYPES.includes(entry.type)) {
+        const set = await statusBitIsSet(entry, issuerId, loader);
+        const purpose = entry.statusPurpose || 'revocation';
+        if (set && (purpose === 'revocation' || purpose === 'suspension')) {
+          return { passed: false, message: `Credential has been ${purpose === 'revocation' ? 'revoked' : 'suspended'}` };
+        }
+        notes.push(`${purpose} status is clear`);
+      } else {
+        notes.push(`status type ${entry.type} was not checked`);
+      }
+    } catch (error) {
+      return { passed: false, message: `Could not check credential status: ${error.message}` };
+    }
+  }
+  return { passed: true, message: `Credential ${notes.join('; ')}` };
+}
+
+// Status lists are gzipped bitstrings, most significant bit first
+async function statusBitIsSet(entry, issuerId, loader) {
+  const listCredential = await loader.loadJson(entry.statusListCredential);
+  const listIssuer = typeof listCredential.issuer === 'string' ? listCredential.issuer : listCredential.issuer?.id;
+  if (listIssuer !== issuerId) throw new Error('status list was not published by the credential issuer');
+
+  const encoded = String(firstSubject(listCredential)?.encodedList || '');
+  // BitstringStatusList uses multibase base64url ("u" prefix); StatusList2021 plain base64url
+  const compressed = Buffer.from(encoded.startsWith('u') ? encoded.slice(1) : encoded, 'base64url');
+  const bits = zlib.gunzipSync(compressed);
+
+  const index = parseInt(entry.statusListIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= bits.length * 8) {
+    throw new Error('status list index is out of range');
+  }
+  return (bits[index >> 3] & (0x80 >> (index % 8))) !== 0;
+}
+
+// Recipient helpers
+
+function matchSubject(subject, email) {
+  const identities = [...toArray(subject?.identifier)];
+  if (typeof subject?.id === 'string' && subject.id.startsWith('mailto:')) {
+    identities.push({ type: 'email', identity: subject.id.slice('mailto:'.length) });
+  }
+  if (identities.length === 0) {
+    return { matched: false, message: 'Credential subject has no email identifier' };
+  }
+
+  const results = identities.map(identity => matchIdentity(identity, email));
+  return results.find(outcome => outcome.matched) || results[0];
+}
+
+// Summary helpers
+
+function summarizeIssuer(issuer, issuerId) {
+  if (!issuer || typeof issuer !== 'object') return { id: issuerId };
+  return { id: issuerId, name: issuer.name, url: issuer.url, email: issuer.email };
+}
+
+function summarizeAchievement(achievement) {
+  if (!achievement || typeof achievement !== 'object') return null;
+  return {
+    id: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    image: typeof achievement.image === 'object' ? achievement.image?.id : achievement.image,
+    criteria: achievement.criteria?.id || achievement.criteria?.narrative
+  };
+}
+
+function isOpenBadge(credential) {
+  const types = toArray(credential.type);
+  return types.includes('OpenBadgeCredential') || types.includes('AchievementCredential') ||
+    toArray(credential['@context']).some(context => typeof context === 'string' && context.includes('openbadges'));
+}
+
+function firstSubject(credential) {
+  return toArray(credential.credentialSubject)[0];
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  verifyCredential
+};
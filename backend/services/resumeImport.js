@@ -0,0 +1,319 @@
+/**
+ * Resume Import - Review-and-merge support for parsed resume data
+ *
+ * Compares a parsed resume (see resumeParser) against the user's current
+ * profile field by field, and applies only the changes the user accepts,
+ * so details entered by hand in the profile form are never overwritten blindly.
+ */
+
+const skillTaxonomy = require('./skillTaxonomy');
+
+const REQUIRED_FIELDS = {
+  experience: ['company', 'position', 'startDate'],
+  education: ['institution', 'degree', 'field', 'startDate'],
+  skills: ['name', 'category', 'proficiencyLevel']
+};
+
+// Below this confidence a change is listed but not pre-selected for the user
+const RECOMMEND_THRESHOLD = 0.6;
+
+/**
+ * Builds a field-by-field diff between parsed resume data and the profile
+ *
+ * @param {Object} user - Mongoose User document
+ * @param {Object} parsedData - Output of resumeParser.parseResumeFile
+ * @returns {Object} { changes, summary }
+ */
+const buildImportDiff = (user, parsedData) => {
+  const provenance = parsedData.provenance || {};
+  const changes = [
+    ...diffPersonalInfo(user, parsedData, provenance),
+    ...diffSkills(user, parsedData.skills || [], provenance),
+    ...diffEntries('experience', user.experience, parsedData.experience || [], provenance),
+    ...diffEntries('education', user.education, parsedData.education || [], provenance)
+  ];
+
+  const summary = changes.reduce((acc, change) => {
+    acc[change.action] = (acc[change.action] || 0) + 1;
+    if (change.missingFields.length > 0) acc.incomplete += 1;
+    return acc;
+  }, { add: 0, update: 0, unchanged: 0, incomplete: 0 });
+
+  return { changes, summary };
+};
+
+/**
+ * Applies the accepted parts of a parsed resume to the user document
+ * The document is modified in place; the caller is responsible for saving it.
+ *
+ * @param {Object} user - Mongoose User document
+ * @param {Object} parsedData - Output of resumeParser.parseResumeFile
+ * @param {Object} options - { accept: [paths], edits: { [path]: value } }
+ * @returns {Object} { applied: [paths], skipped: [{ path, reason }] }
+ */
+const applyImportChanges = (user, parsedData, { accept = [], edits = {} } = {}) => {
+  const { changes } = buildImportDiff(user, parsedData);
+  const applied = [];
+  const skipped = [];
+
+  accept.forEach(path => {
+    const change = changes.find(c => c.path === path);
+    if (!change) {
+      skipped.push({ path, reason: 'Unknown field' });
+      return;
+    }
+    if (change.action === 'unchanged') {
+      skipped.push({ path, reason: 'Already matches the profile' });
+      return;
+    }
+
+    const value = mergeEdits(change.proposed, edits[path]);
+    const missing = findMissingFields(change.section, value);
+    if (missing.length > 0) {
+      skipped.push({ path, reason: `Missing required fields: ${missing.join(', ')}` });
+      return;
+    }
+
+    const editedFields = edits[path] && typeof edits[path] === 'object' ? Object.keys(edits[path]) : [];
+    applyChange(user, change, value, [...new Set([...change.changedFields, ...editedFields])]);
+    applied.push(path);
+  });
+
+  return { applied, skipped };
+};
+
+// Diff helpers
+
+function diffPersonalInfo(user, parsedData, provenance) {
+  const changes = [];
+  const personalInfo = parsedData.personalInfo || {};
+  const nameParts = (personalInfo.name || '').split(' ').filter(Boolean);
+
+  const scalar = (path, label, current, proposed, provenanceKey) => {
+    if (!proposed) return;
+    const meta = provenance[provenanceKey] || {};
+    changes.push(buildChange({
+      path,
+      section: 'personalInfo',
+      label,
+      action: normalize(current) === normalize(proposed) ? 'unchanged' : (current ? 'update' : 'add'),
+      current: current || null,
+      proposed,
+      meta
+    }));
+  };
+
+  scalar('firstName', 'First name', user.firstName, nameParts[0], 'personalInfo.name');
+  scalar('lastName', 'Last name', user.lastName, nameParts.slice(1).join(' '), 'personalInfo.name');
+  scalar('phone', 'Phone', user.phone, personalInfo.phone, 'personalInfo.phone');
+  scalar('summary', 'Professional summary', user.summary, parsedData.summary, 'summary');
+
+  if (personalInfo.location) {
+    const [city, state] = personalInfo.location.split(',').map(part => part.trim());
+    const current = user.location?.city
+      ? [user.location.city, user.location.state].filter(Boolean).join(', ')
+      : '';
+    const meta = provenance['personalInfo.location'] || {};
+    changes.push(buildChange({
+      path: 'location',
+      section: 'personalInfo',
+      label: 'Location',
+      action: normalize(current) === normalize(personalInfo.location) ? 'unchanged' : (current ? 'update' : 'add'),
+      current: current ? user.location : null,
+      proposed: { city, state, country: user.location?.country || 'USA' },
+      meta
+    }));
+  }
+
+  return changes;
+}
+
+function diffSkills(user, parsedSkills, provenance) {
+  // Same skill identity as POST /api/profile/:userId/skills, so aliases count as already listed
+  const existing = new Map(user.skills.map(skill => [skillTaxonomy.skillKey(skill.name), skill]));
+
+  return parsedSkills.map((skill, index) => {
+    const current = existing.get(skillTaxonomy.skillKey(skill.name));
+    return buildChange({
+      path: `skills.${index}`,
+      section: 'skills',
+      label: skill.name,
+      action: current ? 'unchanged' : 'add',
+      current: current || null,
+      proposed: {
+        name: skill.name,
+        category: skill.category,
+        proficiencyLevel: skill.level,
+        verificationStatus: 'unverified'
+      },
+      meta: provenance[`skills.${index}.name`] || {}
+    });
+  });
+}
+
+function diffEntries(section, currentEntries, parsedEntries, provenance) {
+  return parsedEntries.map((entry, index) => {
+    const proposed = section === 'experience'
+      ? {
+          company: entry.company,
+          position: entry.position,
+          description: entry.description,
+          startDate: toDate(entry.startDate),
+          endDate: toDate(entry.endDate),
+          isCurrentJob: !entry.endDate,
+          technologies: entry.technologies || [],
+          achievements: entry.achievements || []
+        }
+      : {
+          institution: entry.institution,
+          degree: entry.degree,
+          field: entry.field,
+          startDate: toDate(entry.startDate),
+          endDate: toDate(entry.endDate),
+          isCurrentlyEnrolled: !entry.endDate
+        };
+
+    const current = currentEntries.find(existing => isSameEntry(section, existing, proposed));
+    const changedFields = current ? findChangedFields(current, proposed) : [];
+    const label = section === 'experience'
+      ? [entry.position, entry.company].filter(Boolean).join(' at ')
+      : [entry.degree, entry.institution].filter(Boolean).join(', ');
+
+    return buildChange({
+      path: `${section}.${index}`,
+      section,
+      label: label || `${section} entry ${index + 1}`,
+      action: !current ? 'add' : (changedFields.length > 0 ? 'update' : 'unchanged'),
+      current: current ? (current.toObject ? current.toObject() : current) : null,
+      currentId: current?._id,
+      proposed,
+      changedFields,
+      meta: entryMeta(`${section}.${index}.`, provenance)
+    });
+  });
+}
+
+function buildChange({ path, section, label, action, current, currentId, proposed, changedFields = [], meta }) {
+  const missingFields = findMissingFields(section, proposed);
+  const confidence = typeof meta.confidence === 'number' ? meta.confidence : null;
+
+  return {
+    path,
+    section,
+    label,
+    action,
+    current,
+    currentId: currentId || null,
+    proposed,
+    changedFields,
+    missingFields,
+    confidence,
+    source: { page: meta.page ?? null, line: meta.line ?? null },
+    recommended: action !== 'unchanged' &&
+      missingFields.length === 0 &&
+      (confidence === null || confidence >= RECOMMEND_THRESHOLD)
+  };
+}
+
+function entryMeta(prefix, provenance) {
+  const keys = Object.keys(provenance).filter(key => key.startsWith(prefix));
+  if (keys.length === 0) return {};
+
+  // An entry is only as reliable as its weakest field
+  const confidence = Math.min(...keys.map(key => provenance[key].confidence));
+  const first = provenance[keys[0]];
+  return { confidence, page: first.page, line: first.line };
+}
+
+function isSameEntry(section, existing, proposed) {
+  if (section === 'experience') {
+    return normalize(existing.company) === normalize(proposed.company) &&
+      normalize(existing.position) === normalize(proposed.position);
+  }
+  return normalize(existing.institution) === normalize(proposed.institution) &&
+    normalize(existing.degree) === normalize(proposed.degree);
+}
+
+function findChangedFields(current, proposed) {
+  return Object.keys(proposed).filter(field => {
+    const value = proposed[field];
+    if (value === null || value === undefined || value === '') return false;
+    if (Array.isArray(value)) {
+      const existing = (current[field] || []).map(normalize);
+      return value.some(item => !existing.includes(normalize(item)));
+    }
+    if (value instanceof Date) {
+      return !current[field] || new Date(current[field]).getTime() !== value.getTime();
+    }
+    if (typeof value === 'boolean') return false;
+    return normalize(current[field]) !== normalize(value);
+  });
+}
+
+// Apply helpers
+
+function applyChange(user, change, value, fields) {
+  switch (change.section) {
+    case 'personalInfo':
+      user[change.path] = value;
+      break;
+    case 'skills':
+      user.skills.push(value);
+      break;
+    case 'experience':
+    case 'education': {
+      const entries = user[change.section];
+      const existing = change.currentId ? entries.id(change.currentId) : null;
+      if (!existing) {
+        entries.push(value);
+        break;
+      }
+      fields.forEach(field => {
+        if (Array.isArray(value[field])) {
+          const merged = [...(existing[field] || [])];
+          value[field].forEach(item => {
+            if (!merged.map(normalize).includes(normalize(item))) merged.push(item);
+          });
+          existing[field] = merged;
+        } else {
+          existing[field] = value[field];
+        }
+      });
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function mergeEdits(proposed, edit) {
+  if (edit === undefined || edit === null) return proposed;
+  if (typeof proposed !== 'object' || proposed === null) return edit;
+
+  const merged = { ...proposed, ...edit };
+  ['startDate', 'endDate'].forEach(field => {
+    if (field in edit) merged[field] = toDate(edit[field]);
+  });
+  return merged;
+}
+
+function findMissingFields(section, value) {
+  const required = REQUIRED_FIELDS[section];
+  if (!required) return value ? [] : ['value'];
+  return required.filter(field => !value || value[field] === null || value[field] === undefined || value[field] === '');
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function normalize(value) {
+  return (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+module.exports = {
+  buildImportDiff,
+  applyImportChanges
+};
@@ -0,0 +1,637 @@
+/**
+ * Resume Parser - Local text extraction and section parsing for uploaded resumes
+ *
+ * Reads the stored PDF/DOC/DOCX file, splits the text into contact info,
+ * summary, experience, education and skills, and records a confidence score
+ * and source location (page/line) for every extracted field.
+ * Everything runs in-process; no OCR or external AI services are used.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+
+const SECTION_HEADERS = {
+  summary: [
+    'summary', 'professional summary', 'career summary', 'profile', 'professional profile',
+    'objective', 'career objective', 'about', 'about me'
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment',
+    'employment history', 'work history', 'career history', 'relevant experience'
+  ],
+  education: [
+    'education', 'academic background', 'education and training', 'academic qualifications',
+    'qualifications', 'education & training'
+  ],
+  skills: [
+    'skills', 'technical skills', 'core competencies', 'key skills', 'skills & abilities',
+    'skills and abilities', 'technologies', 'areas of expertise', 'competencies', 'languages'
+  ],
+  other: [
+    'certifications', 'certificates', 'projects', 'personal projects', 'awards', 'honors',
+    'publications', 'interests', 'hobbies', 'references', 'volunteer experience', 'volunteering',
+    'activities', 'achievements'
+  ]
+};
+
+const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'C++', 'Go', 'Ruby', 'PHP', 'Swift', 'Kotlin',
+  'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring', '.NET',
+  'HTML', 'CSS', 'SQL', 'MongoDB', 'PostgreSQL', 'MySQL', 'Redis', 'GraphQL', 'REST',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Git', 'CI/CD', 'Linux',
+  'Machine Learning', 'Data Analysis', 'Pandas', 'NumPy', 'TensorFlow', 'Excel', 'Tableau',
+  'Agile', 'Scrum', 'Leadership', 'Communication', 'Project Management'
+];
+
+const SOFT_SKILLS = [
+  'leadership', 'communication', 'teamwork', 'collaboration', 'problem solving', 'time management',
+  'mentoring', 'presentation', 'negotiation', 'critical thinking', 'adaptability', 'public speaking'
+];
+
+const SPOKEN_LANGUAGES = [
+  'english', 'spanish', 'french', 'german', 'hindi', 'mandarin', 'chinese', 'japanese', 'arabic',
+  'portuguese', 'russian', 'italian', 'bengali', 'marathi', 'tamil', 'telugu', 'korean'
+];
+
+const TITLE_KEYWORDS = [
+  'engineer', 'developer', 'manager', 'analyst', 'intern', 'designer', 'consultant', 'lead',
+  'director', 'specialist', 'architect', 'scientist', 'administrator', 'officer', 'coordinator',
+  'assistant', 'associate', 'programmer', 'head', 'president', 'founder', 'technician', 'teacher'
+];
+
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const DEGREE_PATTERN = /\b(bachelor(?:'s)?|master(?:'s)?|doctor(?:ate)?|ph\.?d\.?|mba|associate(?:'s)? degree|diploma|b\.?\s?tech|m\.?\s?tech|b\.?\s?sc\.?|m\.?\s?sc\.?|b\.?s\.?|m\.?s\.?|b\.?a\.?|m\.?a\.?|b\.?e\.?|m\.?e\.?)(?=[\s,.|]|$)/i;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_PATTERN = /(\+?\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d{1,3}[\s.-]?\d{5}[\s.-]?\d{5}\b/;
+const URL_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|behance\.net|dribbble\.com)\/[^\s|,]+/gi;
+const LOCATION_PATTERN = /\b([A-Z][a-zA-Z.]+(?:\s[A-Z][a-zA-Z.]+)*,\s*(?:[A-Z]{2}|[A-Z][a-z]+(?:\s[A-Z][a-z]+)*))\b/;
+const BULLET_PATTERN = /^\s*[•●▪■◦‣∙·*\-–]\s+/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_TOKEN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}-\\d{2}|\\d{4})';
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until)\\s*(${DATE_TOKEN}|present|current|now|today)`, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`(${DATE_TOKEN})`, 'i');
+
+/**
+ * Extracts text lines from a stored resume file
+ *
+ * @param {String} filePath - Path to the uploaded file (e.g. uploads/resumes/resume-123.pdf)
+ * @param {String} [format] - One of 'pdf', 'docx', 'doc'; inferred from the extension if omitted
+ * @returns {Promise<Object>} { format, pageCount, lines: [{ text, page, line }] }
+ */
+const extractText = async (filePath, format) => {
+  const type = (format || path.extname(filePath).slice(1)).toLowerCase();
+
+  if (type === 'pdf') {
+    const buffer = await fs.readFile(filePath);
+    const pages = [];
+    // pdf.js reads the backing ArrayBuffer directly, so hand it an unpooled copy
+    const result = await pdfParse(new Uint8Array(buffer), {
+      version: 'v2.0.550',
+      pagerender: pageData => renderPdfPage(pageData).then(text => {
+        pages.push(text);
+        return text;
+      })
+    });
+
+    const lines = [];
+    pages.forEach((pageText, pageIndex) => {
+      toLines(pageText).forEach((text, lineIndex) => {
+        lines.push({ text, page: pageIndex + 1, line: lineIndex + 1 });
+      });
+    });
+
+    return { format: 'pdf', pageCount: result.numpages, lines };
+  }
+
+  let text;
+  if (type === 'docx') {
+    const result = await mammoth.extractRawText({ path: filePath });
+    text = result.value;
+  } else if (type === 'doc') {
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(filePath);
+    text = document.getBody();
+  } else {
+    throw new Error(`Unsupported resume format: ${type}`);
+  }
+
+  // Word documents have no fixed pagination, so only line numbers are reported
+  const lines = toLines(text).map((lineText, index) => ({ text: lineText, page: null, line: index + 1 }));
+  return { format: type, pageCount: null, lines };
+};
+
+/**
+ * Parses a stored resume file into structured profile data
+ *
+ * @param {String} filePath - Path to the uploaded file
+ * @param {Object} options - { format, originalName }
+ * @returns {Promise<Object>} Parsed resume data with per-field provenance
+ */
+const parseResumeFile = async (filePath, options = {}) => {
+  const extracted = await extractText(filePath, options.format);
+  const parsed = parseResumeLines(extracted.lines);
+
+  parsed.metadata = {
+    fileName: options.originalName || path.basename(filePath),
+    format: extracted.format,
+    pageCount: extracted.pageCount,
+    lineCount: extracted.lines.length,
+    parsedAt: new Date().toISOString()
+  };
+
+  return parsed;
+};
+
+/**
+ * Splits extracted lines into sections and parses each one
+ *
+ * @param {Array} lines - [{ text, page, line }]
+ * @returns {Object} Parsed resume data
+ */
+const parseResumeLines = (lines) => {
+  const provenance = {};
+  const warnings = [];
+
+  const record = (field, confidence, source) => {
+    provenance[field] = {
+      confidence: parseFloat(confidence.toFixed(2)),
+      page: source ? source.page : null,
+      line: source ? source.line : null
+    };
+  };
+
+  if (lines.length === 0) {
+    return {
+      personalInfo: { name: '', email: '', phone: '', location: '', links: [] },
+      summary: '',
+      skills: [],
+      experience: [],
+      education: [],
+      provenance,
+      confidence: 0,
+      warnings: ['No text could be extracted from the file. Scanned or image-only resumes are not supported.']
+    };
+  }
+
+  const sections = splitSections(lines);
+
+  const personalInfo = parseContactInfo(sections.contact, record);
+  const summary = parseSummary(sections.summary, sections.contact, record);
+  const experience = parseExperience(sections.experience, record);
+  const education = parseEducation(sections.education, record);
+  const skills = parseSkills(sections.skills, lines, record);
+
+  if (!sections.experience.length) warnings.push('No experience section was detected');
+  if (!sections.education.length) warnings.push('No education section was detected');
+  if (!sections.skills.length) warnings.push('No skills section was detected; skills were inferred from the full text');
+
+  const lowConfidence = Object.keys(provenance).filter(field => provenance[field].confidence < 0.6);
+  if (lowConfidence.length > 0) {
+    warnings.push(`${lowConfidence.length} fields have low confidence and should be reviewed: ${lowConfidence.slice(0, 5).join(', ')}${lowConfidence.length > 5 ? ', ...' : ''}`);
+  }
+
+  const scores = Object.values(provenance).map(p => p.confidence);
+  const confidence = scores.length
+    ? parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2))
+    : 0;
+
+  return {
+    personalInfo,
+    summary,
+    skills,
+    experience,
+    education,
+    provenance,
+    confidence,
+    warnings
+  };
+};
+
+// Text extraction helpers
+
+function renderPdfPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === undefined || lastY === item.transform[5]) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+function toLines(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Section splitting
+
+function detectSectionHeader(text) {
+  const normalized = text.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+  if (normalized.split(' ').length > 5) return null;
+
+  for (const [section, headers] of Object.entries(SECTION_HEADERS)) {
+    if (headers.includes(normalized)) return section;
+  }
+  return null;
+}
+
+function splitSections(lines) {
+  const sections = { contact: [], summary: [], experience: [], education: [], skills: [], other: [] };
+  let current = 'contact';
+  let seenHeader = false;
+
+  lines.forEach(line => {
+    const header = detectSectionHeader(line.text);
+    if (header) {
+      current = header;
+      seenHeader = true;
+      // Keep the "languages" header so skills can be categorised as spoken languages
+      if (header === 'skills' && /^languages/i.test(line.text)) {
+        sections.skills.push({ ...line, text: 'Languages:' });
+      }
+      return;
+    }
+
+    // Unknown all-caps headings after the first real section start an ignored block
+    if (seenHeader && isLikelyHeading(line.text)) {
+      current = 'other';
+      return;
+    }
+
+    sections[current].push(line);
+  });
+
+  return sections;
+}
+
+function isLikelyHeading(text) {
+  return text.length <= 30 &&
+    /^[A-Z][A-Z &/]+:?$/.test(text) &&
+    text.split(' ').length <= 4;
+}
+
+// Contact info and summary
+
+function parseContactInfo(contactLines, record) {
+  const info = { name: '', email: '', phone: '', location: '', links: [] };
+
+  contactLines.forEach(line => {
+    const email = line.text.match(EMAIL_PATTERN);
+    if (email && !info.email) {
+      info.email = email[0].toLowerCase();
+      record('personalInfo.email', 0.98, line);
+    }
+
+    const phone = line.text.replace(EMAIL_PATTERN, '').match(PHONE_PATTERN);
+    if (phone && !info.phone) {
+      info.phone = phone[0].trim();
+      record('personalInfo.phone', 0.9, line);
+    }
+
+    const links = line.text.match(URL_PATTERN);
+    if (links) {
+      links.forEach(link => {
+        if (!info.links.includes(link)) info.links.push(link);
+      });
+      record('personalInfo.links', 0.95, line);
+    }
+
+    if (!info.location) {
+      const remainder = line.text.replace(URL_PATTERN, '').replace(EMAIL_PATTERN, '').replace(PHONE_PATTERN, '');
+      const location = remainder.match(LOCATION_PATTERN);
+      if (location) {
+        info.location = location[1].trim();
+        record('personalInfo.location', 0.7, line);
+      }
+    }
+  });
+
+  const nameLine = contactLines.slice(0, 3).find(line => isLikelyName(line.text));
+  if (nameLine) {
+    info.name = toDisplayCase(nameLine.text);
+    record('personalInfo.name', contactLines.indexOf(nameLine) === 0 ? 0.9 : 0.75, nameLine);
+  } else if (contactLines.length > 0 && !/[@\d]/.test(contactLines[0].text)) {
+    info.name = contactLines[0].text.split(/[|,]/)[0].trim();
+    record('personalInfo.name', 0.4, contactLines[0]);
+  }
+
+  return info;
+}
+
+function isLikelyName(text) {
+  if (text.length > 40 || /[@\d/:]/.test(text)) return false;
+  const words = text.split(' ');
+  return words.length >= 2 && words.length <= 4 &&
+    words.every(word => /^[A-Z][a-zA-Z'.-]*$/.test(word)) &&
+    !detectSectionHeader(text);
+}
+
+function toDisplayCase(text) {
+  if (text !== text.toUpperCase()) return text;
+  return text.toLowerCase().replace(/\b[a-z]/g, char => char.toUpperCase());
+}
+
+function parseSummary(summaryLines, contactLines, record) {
+  if (summaryLines.length > 0) {
+    record('summary', 0.9, summaryLines[0]);
+    return summaryLines.map(line => line.text.replace(BULLET_PATTERN, '')).join(' ');
+  }
+
+  // Fall back to a prose paragraph in the header block
+  const prose = contactLines.filter(line =>
+    line.text.length > 60 && !EMAIL_PATTERN.test(line.text) && !PHONE_PATTERN.test(line.text)
+  );
+  if (prose.length > 0) {
+    record('summary', 0.45, prose[0]);
+    return prose.map(line => line.text).join(' ');
+  }
+
+  return '';
+}
+
+// Experience
+
+function parseExperience(experienceLines, record) {
+  const entries = [];
+  let current = null;
+  let pending = [];
+
+  const flushPending = () => {
+    if (current && pending.length) {
+      current.descriptionLines.push(...pending.map(line => line.text));
+    }
+    pending = [];
+  };
+
+  experienceLines.forEach(line => {
+    const range = line.text.match(DATE_RANGE_PATTERN);
+
+    if (range) {
+      const headerText = line.text.replace(range[0], '').replace(/[|,–—-]\s*$/, '').replace(/^\s*[|,–—-]/, '').trim();
+      const headerLines = [...pending];
+      if (headerText) headerLines.push({ ...line, text: headerText });
+      pending = [];
+
+      current = {
+        source: headerLines[0] || line,
+        dateSource: line,
+        headerLines,
+        range,
+        descriptionLines: [],
+        bullets: []
+      };
+      entries.push(current);
+      return;
+    }
+
+    if (BULLET_PATTERN.test(line.text)) {
+      flushPending();
+      if (current) current.bullets.push(line.text.replace(BULLET_PATTERN, '').trim());
+      return;
+    }
+
+    pending.push(line);
+  });
+  flushPending();
+
+  return entries.map((entry, index) => {
+    const { position, company, confidence } = splitPositionAndCompany(entry.headerLines);
+    const startDate = parseDateToken(entry.range[1]);
+    const endDate = /present|current|now|today/i.test(entry.range[2]) ? null : parseDateToken(entry.range[2]);
+    const description = [...entry.descriptionLines, ...entry.bullets].join(' ');
+    const dateConfidence = /\d{4}/.test(entry.range[1]) && /[a-z]|\//i.test(entry.range[1]) ? 0.9 : 0.7;
+
+    record(`experience.${index}.position`, position ? confidence : 0.2, entry.source);
+    record(`experience.${index}.company`, company ? confidence : 0.2, entry.source);
+    record(`experience.${index}.startDate`, startDate ? dateConfidence : 0.2, entry.dateSource);
+    record(`experience.${index}.endDate`, dateConfidence, entry.dateSource);
+    if (description) record(`experience.${index}.description`, entry.bullets.length ? 0.85 : 0.65, entry.dateSource);
+
+    return {
+      company,
+      position,
+      startDate,
+      endDate,
+      description,
+      achievements: entry.bullets,
+      technologies: findKnownSkills(`${entry.headerLines.map(l => l.text).join(' ')} ${description}`)
+    };
+  });
+}
+
+function splitPositionAndCompany(headerLines) {
+  const text = headerLines.map(line => line.text).join(' | ').replace(LOCATION_PATTERN, '').replace(/\bremote\b/i, '');
+
+  const atMatch = text.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (atMatch) {
+    return { position: cleanPiece(atMatch[1]), company: cleanPiece(atMatch[2]), confidence: 0.85 };
+  }
+
+  const pieces = text.split(/\s*\|\s*|\s+[–—-]\s+|,\s+/).map(cleanPiece).filter(Boolean);
+  if (pieces.length === 0) return { position: '', company: '', confidence: 0 };
+  if (pieces.length === 1) {
+    return isJobTitle(pieces[0])
+      ? { position: pieces[0], company: '', confidence: 0.6 }
+      : { position: '', company: pieces[0], confidence: 0.5 };
+  }
+
+  const titleIndex = pieces.findIndex(isJobTitle);
+  if (titleIndex !== -1) {
+    const company = pieces.find((piece, index) => index !== titleIndex);
+    return { position: pieces[titleIndex], company, confidence: 0.75 };
+  }
+
+  return { position: pieces[0], company: pieces[1], confidence: 0.5 };
+}
+
+function cleanPiece(piece) {
+  return (piece || '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '').trim();
+}
+
+function isJobTitle(text) {
+  const lower = text.toLowerCase();
+  return TITLE_KEYWORDS.some(keyword => new RegExp(`\\b${keyword}`).test(lower));
+}
+
+// Education
+
+function parseEducation(educationLines, record) {
+  const entries = [];
+  let current = null;
+
+  const startEntry = (line) => {
+    current = { source: line, lines: [] };
+    entries.push(current);
+  };
+
+  educationLines.forEach(line => {
+    const text = line.text.replace(BULLET_PATTERN, '');
+    const hasInstitution = INSTITUTION_PATTERN.test(text);
+    const hasDegree = DEGREE_PATTERN.test(text);
+
+    if (!current ||
+        (hasInstitution && current.lines.some(l => INSTITUTION_PATTERN.test(l.text))) ||
+        (hasDegree && !hasInstitution && current.lines.some(l => DEGREE_PATTERN.test(l.text)))) {
+      if (!hasInstitution && !hasDegree && current) {
+        current.lines.push({ ...line, text });
+        return;
+      }
+      startEntry(line);
+    }
+    current.lines.push({ ...line, text });
+  });
+
+  return entries.map((entry, index) => {
+    const institutionLine = entry.lines.find(l => INSTITUTION_PATTERN.test(l.text));
+    const degreeLine = entry.lines.find(l => DEGREE_PATTERN.test(l.text));
+    const dateLine = entry.lines.find(l => SINGLE_DATE_PATTERN.test(l.text));
+
+    let institution = '';
+    if (institutionLine) {
+      const piece = institutionLine.text.split(/\s*\|\s*|\s+[–—-]\s+|,\s+/).find(p => INSTITUTION_PATTERN.test(p));
+      institution = cleanPiece(piece.replace(DATE_RANGE_PATTERN, '').replace(SINGLE_DATE_PATTERN, ''));
+      record(`education.${index}.institution`, 0.85, institutionLine);
+    }
+
+    let degree = '';
+    let field = '';
+    if (degreeLine) {
+      const degreeText = degreeLine.text.slice(degreeLine.text.search(DEGREE_PATTERN))
+        .replace(DATE_RANGE_PATTERN, '')
+        .split(/\s*\|\s*|,\s+|\s+[–—-]\s+/)[0];
+      // "Bachelor of Science in Computer Science" -> degree / field
+      const fieldMatch = degreeText.match(/^(.+?)\s+in\s+(.+)$/i);
+      degree = cleanPiece((fieldMatch ? fieldMatch[1] : degreeText).replace(SINGLE_DATE_PATTERN, ''));
+      field = fieldMatch ? cleanPiece(fieldMatch[2].replace(SINGLE_DATE_PATTERN, '')) : '';
+      record(`education.${index}.degree`, 0.8, degreeLine);
+      record(`education.${index}.field`, field ? 0.7 : 0.2, degreeLine);
+    }
+
+    let startDate = null;
+    let endDate = null;
+    if (dateLine) {
+      const range = dateLine.text.match(DATE_RANGE_PATTERN);
+      if (range) {
+        startDate = parseDateToken(range[1]);
+        endDate = /present|current|now|today/i.test(range[2]) ? null : parseDateToken(range[2]);
+        record(`education.${index}.startDate`, 0.85, dateLine);
+      } else {
+        const dates = dateLine.text.match(new RegExp(DATE_TOKEN, 'gi')) || [];
+        endDate = parseDateToken(dates[dates.length - 1]);
+        record(`education.${index}.startDate`, 0.2, dateLine);
+      }
+      record(`education.${index}.endDate`, endDate ? 0.8 : 0.5, dateLine);
+    }
+
+    return { institution, degree, field, startDate, endDate };
+  }).filter(entry => entry.institution || entry.degree);
+}
+
+// Skills
+
+function parseSkills(skillLines, allLines, record) {
+  const skills = [];
+  const seen = new Set();
+
+  const addSkill = (name, category, confidence, line) => {
+    const cleaned = name.replace(/\(.*?\)/g, '').replace(/[.;]+$/, '').trim();
+    if (!cleaned || cleaned.length > 40 || seen.has(cleaned.toLowerCase())) return;
+    seen.add(cleaned.toLowerCase());
+    record(`skills.${skills.length}.name`, confidence, line);
+    skills.push({ name: cleaned, level: 'intermediate', category });
+  };
+
+  if (skillLines.length > 0) {
+    let languageBlock = false;
+    skillLines.forEach(line => {
+      let text = line.text.replace(BULLET_PATTERN, '');
+      const label = text.match(/^([A-Za-z &/]{2,30}):\s*(.*)$/);
+      if (label) {
+        languageBlock = /language/i.test(label[1]) && !/programming/i.test(label[1]);
+        text = label[2];
+      }
+      text.split(/\s*[,|;•·]\s*|\s{2,}/).forEach(name => {
+        if (!name) return;
+        addSkill(name, categorizeSkill(name, languageBlock), 0.9, line);
+      });
+    });
+    return skills;
+  }
+
+  // No explicit section: fall back to known skill names found anywhere in the text
+  allLines.forEach(line => {
+    findKnownSkills(line.text).forEach(name => addSkill(name, categorizeSkill(name, false), 0.5, line));
+  });
+  return skills;
+}
+
+function categorizeSkill(name, inLanguageBlock) {
+  const lower = name.toLowerCase();
+  if (SPOKEN_LANGUAGES.includes(lower.split(' ')[0])) return 'language';
+  // "Languages:" often lists programming languages, so only unknown names count as spoken
+  if (inLanguageBlock && findKnownSkills(name).length === 0) return 'language';
+  if (SOFT_SKILLS.includes(lower)) return 'soft';
+  return 'technical';
+}
+
+function findKnownSkills(text) {
+  return KNOWN_SKILLS.filter(skill => {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return new RegExp(`(^|[^a-zA-Z0-9+#])${escaped}(?=$|[^a-zA-Z0-9+#])`, 'i').test(text);
+  });
+}
+
+// Dates
+
+function parseDateToken(token) {
+  if (!token) return null;
+  const value = token.toLowerCase().trim();
+
+  let match = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3));
+    return formatDate(parseInt(match[2]), month === -1 ? 0 : month);
+  }
+
+  match = value.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match) return formatDate(parseInt(match[2]), parseInt(match[1]) - 1);
+
+  match = value.match(/^(\d{4})-(\d{2})$/);
+  if (match) return formatDate(parseInt(match[1]), parseInt(match[2]) - 1);
+
+  match = value.match(/^(\d{4})$/);
+  if (match) return formatDate(parseInt(match[1]), 0);
+
+  return null;
+}
+
+function formatDate(year, month) {
+  const safeMonth = Math.min(Math.max(month, 0), 11);
+  return `${year}-${String(safeMonth + 1).padStart(2, '0')}-01`;
+}
+
+module.exports = {
+  SECTION_HEADERS,
+  KNOWN_SKILLS,
+  SOFT_SKILLS,
+  extractText,
+  parseResumeFile,
+  parseResumeLines,
+  detectSectionHeader
+};
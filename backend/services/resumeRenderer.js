@@ -0,0 +1,549 @@
+/**
+ * Resume Renderer - Turns built resume data into downloadable PDF, DOCX and HTML files
+ *
+ * All three formats share one document model (header, contact line and titled
+ * sections) so every template renders the same content. Templates differ in
+ * header treatment, heading style and default colors/fonts; the colors, fonts
+ * and layout saved in resumeVersions.customizations take precedence.
+ */
+
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+
+const SUPPORTED_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const TEMPLATE_STYLES = {
+  modern: {
+    colors: { primary: '#2563eb', secondary: '#64748b' },
+    fonts: { heading: 'Inter', body: 'Inter' },
+    headerAlign: 'left',
+    headerBand: false,
+    headingCase: 'upper',
+    headingRule: true
+  },
+  classic: {
+    colors: { primary: '#1f2937', secondary: '#6b7280' },
+    fonts: { heading: 'Georgia', body: 'Georgia' },
+    headerAlign: 'center',
+    headerBand: false,
+    headingCase: 'upper',
+    headingRule: true
+  },
+  minimal: {
+    colors: { primary: '#000000', secondary: '#666666' },
+    fonts: { heading: 'Helvetica', body: 'Helvetica' },
+    headerAlign: 'left',
+    headerBand: false,
+    headingCase: 'title',
+    headingRule: false
+  },
+  creative: {
+    colors: { primary: '#7c3aed', secondary: '#a855f7' },
+    fonts: { heading: 'Poppins', body: 'Inter' },
+    headerAlign: 'left',
+    headerBand: true,
+    headingCase: 'title',
+    headingRule: true
+  },
+  executive: {
+    colors: { primary: '#dc2626', secondary: '#991b1b' },
+    fonts: { heading: 'Garamond', body: 'Georgia' },
+    headerAlign: 'center',
+    headerBand: false,
+    headingCase: 'upper',
+    headingRule: true
+  }
+};
+
+// Section order per layout; two-column puts the short sections in a sidebar
+const LAYOUTS = {
+  'single-column': {
+    main: ['summary', 'experience', 'education', 'skills', 'certifications', 'achievements'],
+    side: []
+  },
+  'two-column': {
+    main: ['summary', 'experience', 'achievements'],
+    side: ['skills', 'education', 'certifications']
+  }
+};
+
+const SERIF_FONTS = ['georgia', 'times', 'times new roman', 'garamond', 'cambria', 'merriweather', 'playfair display', 'lora', 'book antiqua'];
+const MONO_FONTS = ['courier', 'courier new', 'consolas', 'roboto mono', 'fira code', 'source code pro'];
+
+/**
+ * Renders resume data to a file buffer
+ *
+ * @param {Object} resumeData - Resume data as built by GET /api/resume/:userId
+ * @param {Object} options - { format: 'pdf'|'docx'|'html', template }
+ * @returns {Promise<Object>} { buffer, contentType, extension, template, layout }
+ */
+const renderResume = async (resumeData, { format = 'pdf', template } = {}) => {
+  const target = SUPPORTED_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const style = resolveStyle(template || resumeData.metadata?.template, resumeData.customizations);
+  const model = buildDocumentModel(resumeData, style);
+
+  let buffer;
+  if (format === 'pdf') {
+    buffer = await renderPdf(model, style);
+  } else if (format === 'docx') {
+    buffer = await renderDocx(model, style);
+  } else {
+    buffer = Buffer.from(renderHtml(model, style), 'utf8');
+  }
+
+  return {
+    buffer,
+    contentType: target.contentType,
+    extension: target.extension,
+    template: style.template,
+    layout: style.layout
+  };
+};
+
+// Model helpers
+
+function resolveStyle(template, customizations = {}) {
+  const templateId = TEMPLATE_STYLES[template] ? template : 'modern';
+  const base = TEMPLATE_STYLES[templateId];
+  const colors = customizations?.colors || {};
+  const fonts = customizations?.fonts || {};
+
+  return {
+    ...base,
+    template: templateId,
+    colors: {
+      primary: normalizeColor(colors.primary) || base.colors.primary,
+      secondary: normalizeColor(colors.secondary) || base.colors.secondary
+    },
+    fonts: {
+      heading: fonts.heading || base.fonts.heading,
+      body: fonts.body || base.fonts.body
+    },
+    layout: LAYOUTS[customizations?.layout] ? customizations.layout : 'single-column'
+  };
+}
+
+function buildDocumentModel(resumeData, style) {
+  const info = resumeData.personalInfo || {};
+  const skills = resumeData.skills || {};
+  const summary = info.summary || resumeData.professionalSummary;
+
+  const sections = {
+    summary: {
+      title: 'Professional Summary',
+      entries: summary ? [{ text: summary }] : []
+    },
+    experience: {
+      title: 'Experience',
+      entries: (resumeData.experience || []).map(exp => ({
+        title: exp.position,
+        subtitle: exp.company,
+        meta: formatPeriod(exp.startDate, exp.endDate, exp.isCurrentJob),
+        text: exp.description,
+        bullets: exp.achievements || [],
+        note: exp.technologies?.length ? `Technologies: ${exp.technologies.join(', ')}` : ''
+      }))
+    },
+    education: {
+      title: 'Education',
+      entries: (resumeData.education || []).map(edu => ({
+        title: [edu.degree, edu.field].filter(Boolean).join(' in '),
+        subtitle: edu.institution,
+        meta: formatPeriod(edu.startDate, edu.endDate, edu.isCurrentlyEnrolled),
+        note: edu.gpa ? `GPA: ${edu.gpa}` : ''
+      }))
+    },
+    skills: {
+      title: 'Skills',
+      entries: [
+        ['Technical', skills.technical],
+        ['Soft Skills', skills.soft],
+        ['Languages', skills.languages]
+      ]
+        .filter(([, list]) => list && list.length > 0)
+        .map(([label, list]) => ({ title: label, text: list.map(skill => skill.name).join(', ') }))
+    },
+    certifications: {
+      title: 'Certifications',
+      entries: (resumeData.certifications || []).map(cert => ({
+        title: cert.name,
+        subtitle: cert.provider,
+        meta: cert.issueDate ? formatDate(cert.issueDate) : ''
+      }))
+    },
+    achievements: {
+      title: 'Achievements',
+      entries: resumeData.achievements?.length ? [{ bullets: resumeData.achievements }] : []
+    }
+  };
+
+  const layout = LAYOUTS[style.layout];
+  const pick = ids => ids
+    .map(id => ({ id, ...sections[id] }))
+    .filter(section => section.entries.length > 0)
+    .map(section => ({ ...section, title: formatHeading(section.title, style) }));
+
+  return {
+    name: info.fullName || [info.firstName, info.lastName].filter(Boolean).join(' '),
+    headline: info.headline || '',
+    contact: [info.email, info.phone, formatLocation(info.location)].filter(Boolean),
+    main: pick(layout.main),
+    side: pick(layout.side)
+  };
+}
+
+// PDF rendering
+
+function renderPdf(model, style) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fonts = {
+      heading: pdfFont(style.fonts.heading),
+      body: pdfFont(style.fonts.body)
+    };
+    const margins = doc.page.margins;
+    const contentWidth = doc.page.width - margins.left - margins.right;
+
+    // Header
+    if (style.headerBand) {
+      doc.rect(0, 0, doc.page.width, 110).fill(style.colors.primary);
+    }
+    const headerColor = style.headerBand ? '#ffffff' : style.colors.primary;
+    doc.font(fonts.heading.bold).fontSize(24).fillColor(headerColor)
+      .text(model.name, margins.left, style.headerBand ? 30 : margins.top, { width: contentWidth, align: style.headerAlign });
+    if (model.headline) {
+      doc.font(fonts.body.regular).fontSize(12).fillColor(style.headerBand ? '#ffffff' : style.colors.secondary)
+        .text(model.headline, { width: contentWidth, align: style.headerAlign });
+    }
+    doc.font(fonts.body.regular).fontSize(10).fillColor(style.headerBand ? '#ffffff' : '#374151')
+      .text(model.contact.join('  |  '), { width: contentWidth, align: style.headerAlign });
+
+    const startY = Math.max(doc.y, style.headerBand ? 110 : 0) + 18;
+    const gap = 24;
+    const sideWidth = model.side.length > 0 ? Math.round(contentWidth * 0.32) : 0;
+
+    const mainColumn = {
+      x: margins.left + (sideWidth ? sideWidth + gap : 0),
+      width: contentWidth - (sideWidth ? sideWidth + gap : 0),
+      y: startY,
+      page: 0
+    };
+    model.main.forEach(section => writePdfSection(doc, mainColumn, section, style, fonts));
+
+    if (sideWidth) {
+      const sideColumn = { x: margins.left, width: sideWidth, y: startY, page: 0 };
+      model.side.forEach(section => writePdfSection(doc, sideColumn, section, style, fonts));
+    }
+
+    doc.flushPages();
+    doc.end();
+  });
+}
+
+function writePdfSection(doc, column, section, style, fonts) {
+  writePdfBlock(doc, column, section.title, {
+    font: fonts.heading.bold,
+    size: 12,
+    color: style.colors.primary,
+    spaceBefore: column.y > doc.page.margins.top ? 10 : 0,
+    keepWith: 40
+  });
+  if (style.headingRule) {
+    doc.moveTo(column.x, column.y + 1).lineTo(column.x + column.width, column.y + 1)
+      .lineWidth(0.75).strokeColor(style.colors.secondary).stroke();
+    column.y += 5;
+  }
+
+  section.entries.forEach(entry => {
+    if (entry.title) {
+      const title = section.id === 'skills' ? `${entry.title}:` : entry.title;
+      writePdfBlock(doc, column, title, { font: fonts.body.bold, size: 11, color: '#111827', spaceBefore: 4, keepWith: 24 });
+    }
+    const subtitle = [entry.subtitle, entry.meta].filter(Boolean).join('  |  ');
+    if (subtitle) {
+      writePdfBlock(doc, column, subtitle, { font: fonts.body.italic, size: 10, color: style.colors.secondary });
+    }
+    if (entry.text) {
+      writePdfBlock(doc, column, entry.text, { font: fonts.body.regular, size: 10, color: '#374151', spaceBefore: 2 });
+    }
+    (entry.bullets || []).forEach(bullet => {
+      writePdfBlock(doc, column, bullet, { font: fonts.body.regular, size: 10, color: '#374151', indent: 12, bullet: true });
+    });
+    if (entry.note) {
+      writePdfBlock(doc, column, entry.note, { font: fonts.body.italic, size: 9, color: style.colors.secondary, spaceBefore: 2 });
+    }
+  });
+}
+
+// Writes one paragraph into a column, moving to the column's next page when it does not fit
+function writePdfBlock(doc, column, text, { font, size, color, spaceBefore = 0, indent = 0, bullet = false, keepWith = 0 }) {
+  const width = column.width - indent;
+  doc.font(font).fontSize(size);
+  const height = doc.heightOfString(text, { width });
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.switchToPage(column.page);
+  let y = column.y + spaceBefore;
+  if (y + height + keepWith > bottom && y > doc.page.margins.top + spaceBefore) {
+    column.page += 1;
+    if (column.page >= doc.bufferedPageRange().count) {
+      doc.addPage();
+    } else {
+      doc.switchToPage(column.page);
+    }
+    y = doc.page.margins.top;
+  }
+
+  if (bullet) {
+    doc.fillColor(color).text('•', column.x + 2, y, { lineBreak: false });
+  }
+  doc.fillColor(color).text(text, column.x + indent, y, { width });
+  column.y = doc.y;
+}
+
+function pdfFont(family) {
+  const name = (family || '').toLowerCase();
+  if (SERIF_FONTS.includes(name)) {
+    return { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' };
+  }
+  if (MONO_FONTS.includes(name)) {
+    return { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique' };
+  }
+  // PDF output uses the built-in standard fonts; sans-serif families map to Helvetica
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+}
+
+// DOCX rendering
+
+function renderDocx(model, style) {
+  const { Document, Packer, Paragraph, TextRun, AlignmentType, BorderStyle, Table, TableRow, TableCell, WidthType, ShadingType } = docx;
+  const primary = style.colors.primary.replace('#', '');
+  const secondary = style.colors.secondary.replace('#', '');
+  const alignment = style.headerAlign === 'center' ? AlignmentType.CENTER : AlignmentType.LEFT;
+  const noBorder = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' };
+
+  const headerShading = style.headerBand
+    ? { type: ShadingType.CLEAR, color: 'auto', fill: primary }
+    : undefined;
+  const headerColor = style.headerBand ? 'FFFFFF' : primary;
+
+  const header = [
+    new Paragraph({
+      alignment,
+      shading: headerShading,
+      children: [new TextRun({ text: model.name, bold: true, size: 48, color: headerColor, font: style.fonts.heading })]
+    }),
+    model.headline && new Paragraph({
+      alignment,
+      shading: headerShading,
+      children: [new TextRun({ text: model.headline, size: 24, color: style.headerBand ? 'FFFFFF' : secondary, font: style.fonts.body })]
+    }),
+    new Paragraph({
+      alignment,
+      shading: headerShading,
+      spacing: { after: 240 },
+      children: [new TextRun({ text: model.contact.join('  |  '), size: 20, color: style.headerBand ? 'FFFFFF' : '374151', font: style.fonts.body })]
+    })
+  ].filter(Boolean);
+
+  const sectionParagraphs = section => [
+    new Paragraph({
+      spacing: { before: 240, after: 80 },
+      border: style.headingRule
+        ? { bottom: { style: BorderStyle.SINGLE, size: 6, color: secondary, space: 1 } }
+        : undefined,
+      children: [new TextRun({ text: section.title, bold: true, size: 24, color: primary, font: style.fonts.heading })]
+    }),
+    ...section.entries.flatMap(entry => {
+      const paragraphs = [];
+      if (entry.title) {
+        paragraphs.push(new Paragraph({
+          spacing: { before: 80 },
+          children: [new TextRun({ text: section.id === 'skills' ? `${entry.title}:` : entry.title, bold: true, size: 22, font: style.fonts.body })]
+        }));
+      }
+      const subtitle = [entry.subtitle, entry.meta].filter(Boolean).join('  |  ');
+      if (subtitle) {
+        paragraphs.push(new Paragraph({
+          children: [new TextRun({ text: subtitle, italics: true, size: 20, color: secondary, font: style.fonts.body })]
+        }));
+      }
+      if (entry.text) {
+        paragraphs.push(new Paragraph({
+          spacing: { before: 40 },
+          children: [new TextRun({ text: entry.text, size: 20, font: style.fonts.body })]
+        }));
+      }
+      (entry.bullets || []).forEach(bullet => {
+        paragraphs.push(new Paragraph({
+          bullet: { level: 0 },
+          children: [new TextRun({ text: bullet, size: 20, font: style.fonts.body })]
+        }));
+      });
+      if (entry.note) {
+        paragraphs.push(new Paragraph({
+          spacing: { before: 40 },
+          children: [new TextRun({ text: entry.note, italics: true, size: 18, color: secondary, font: style.fonts.body })]
+        }));
+      }
+      return paragraphs;
+    })
+  ];
+
+  let body;
+  if (model.side.length > 0) {
+    // Two-column layout as a borderless table: sidebar left, main content right
+    const cell = (sections, width) => new TableCell({
+      width: { size: width, type: WidthType.PERCENTAGE },
+      borders: { top: noBorder, bottom: noBorder, left: noBorder, right: noBorder },
+      margins: { right: 240 },
+      children: sections.flatMap(sectionParagraphs)
+    });
+    body = [
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        borders: { top: noBorder, bottom: noBorder, left: noBorder, right: noBorder, insideHorizontal: noBorder, insideVertical: noBorder },
+        rows: [new TableRow({ children: [cell(model.side, 32), cell(model.main, 68)] })]
+      })
+    ];
+  } else {
+    body = model.main.flatMap(sectionParagraphs);
+  }
+
+  const document = new Document({
+    creator: 'Disha AI',
+    title: `${model.name} - Resume`,
+    styles: {
+      default: { document: { run: { font: style.fonts.body } } }
+    },
+    sections: [{
+      properties: { page: { margin: { top: 720, bottom: 720, left: 720, right: 720 } } },
+      children: [...header, ...body]
+    }]
+  });
+
+  return Packer.toBuffer(document);
+}
+
+// HTML rendering
+
+function renderHtml(model, style) {
+  const headingFont = cssFont(style.fonts.heading);
+  const bodyFont = cssFont(style.fonts.body);
+  const twoColumn = model.side.length > 0;
+
+  const renderSection = section => `
+      <section class="section section-${section.id}">
+        <h2>${escapeHtml(section.title)}</h2>
+        ${section.entries.map(entry => `
+        <div class="entry">
+          ${entry.title ? `<h3>${escapeHtml(section.id === 'skills' ? `${entry.title}:` : entry.title)}</h3>` : ''}
+          ${entry.subtitle || entry.meta ? `<p class="meta">${[entry.subtitle, entry.meta].filter(Boolean).map(escapeHtml).join(' &middot; ')}</p>` : ''}
+          ${entry.text ? `<p>${escapeHtml(entry.text)}</p>` : ''}
+          ${entry.bullets?.length ? `<ul>${entry.bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>` : ''}
+          ${entry.note ? `<p class="note">${escapeHtml(entry.note)}</p>` : ''}
+        </div>`).join('')}
+      </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(model.name)} - Resume</title>
+  <style>
+    body { margin: 0; font-family: ${bodyFont}; color: #374151; font-size: 14px; line-height: 1.5; }
+    .resume { max-width: 816px; margin: 0 auto; padding: 48px; }
+    header { text-align: ${style.headerAlign}; margin-bottom: 24px; ${style.headerBand ? `background: ${style.colors.primary}; color: #ffffff; margin: -48px -48px 24px; padding: 32px 48px;` : ''} }
+    header h1 { margin: 0; font-family: ${headingFont}; font-size: 32px; color: ${style.headerBand ? '#ffffff' : style.colors.primary}; }
+    header .headline { margin: 4px 0; font-size: 16px; color: ${style.headerBand ? '#ffffff' : style.colors.secondary}; }
+    header .contact { margin: 0; }
+    .columns { ${twoColumn ? 'display: grid; grid-template-columns: 32% 1fr; gap: 24px;' : ''} }
+    h2 { font-family: ${headingFont}; font-size: 16px; color: ${style.colors.primary}; margin: 20px 0 8px; ${style.headingRule ? `border-bottom: 1px solid ${style.colors.secondary}; padding-bottom: 2px;` : ''} }
+    h3 { font-size: 14px; color: #111827; margin: 8px 0 0; }
+    .meta, .note { color: ${style.colors.secondary}; font-style: italic; margin: 0; }
+    .note { font-size: 12px; }
+    p { margin: 4px 0; }
+    ul { margin: 4px 0; padding-left: 20px; }
+    @media print { .resume { padding: 0; } }
+  </style>
+</head>
+<body>
+  <div class="resume template-${style.template} layout-${style.layout}">
+    <header>
+      <h1>${escapeHtml(model.name)}</h1>
+      ${model.headline ? `<p class="headline">${escapeHtml(model.headline)}</p>` : ''}
+      <p class="contact">${model.contact.map(escapeHtml).join(' &middot; ')}</p>
+    </header>
+    <div class="columns">
+      ${twoColumn ? `<aside>${model.side.map(renderSection).join('')}
+      </aside>` : ''}
+      <main>${model.main.map(renderSection).join('')}
+      </main>
+    </div>
+  </div>
+</body>
+</html>
+`;
+}
+
+function cssFont(family) {
+  const name = (family || '').toLowerCase();
+  const generic = SERIF_FONTS.includes(name) ? 'serif' : (MONO_FONTS.includes(name) ? 'monospace' : 'sans-serif');
+  return family ? `'${family.replace(/'/g, '')}', ${generic}` : generic;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Formatting helpers
+
+function formatHeading(title, style) {
+  return style.headingCase === 'upper' ? title.toUpperCase() : title;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function formatPeriod(start, end, isCurrent) {
+  if (!start) return '';
+  const to = end && !isCurrent ? formatDate(end) : 'Present';
+  return `${formatDate(start)} - ${to}`;
+}
+
+function formatLocation(location) {
+  if (!location) return '';
+  if (typeof location === 'string') return location;
+  return [location.city, location.state].filter(Boolean).join(', ');
+}
+
+function normalizeColor(value) {
+  return /^#[0-9a-f]{6}$/i.test(value || '') ? value : null;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  TEMPLATE_STYLES,
+  renderResume
+};
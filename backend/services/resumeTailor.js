@@ -0,0 +1,144 @@
+/**
+ * Resume Tailor - Builds job-specific resume variants
+ *
+ * Ranks the user's skills and experience bullets by relevance to a Job's
+ * requiredSkills, preferredSkills and description, then picks and reorders
+ * them. The result is stored on a resumeVersions entry as `tailoring` and is
+ * applied whenever that version is rendered or exported.
+ */
+
+const atsScorer = require('./atsScorer');
+
+const PRIORITY_WEIGHTS = { high: 5, medium: 3, low: 2 };
+const PREFERRED_WEIGHT = 1.5;
+const OPTIONAL_REQUIRED_FACTOR = 0.7;
+
+const MAX_SKILLS = 12;
+const MAX_BULLETS = 5;
+// Entries with no relevant bullets still keep their first few so the role is not left empty
+const FALLBACK_BULLETS = 2;
+
+/**
+ * Ranks a user's skills and experience bullets against a job
+ *
+ * @param {Object} user - Mongoose User document
+ * @param {Object} job - Mongoose Job document
+ * @returns {Object} Tailoring: { jobTitle, company, skills, experience, matchedKeywords, missingKeywords }
+ */
+const tailorResumeToJob = (user, job) => {
+  const keywords = buildJobKeywords(job);
+
+  const rankedSkills = user.skills
+    .map((skill, index) => ({ name: skill.name, index, score: scoreText(skill.name, keywords) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  const skills = [
+    ...rankedSkills.filter(skill => skill.score > 0),
+    ...rankedSkills.filter(skill => skill.score === 0)
+  ]
+    .slice(0, Math.max(MAX_SKILLS, rankedSkills.filter(skill => skill.score > 0).length))
+    .map(skill => skill.name);
+
+  const experience = user.experience.map(exp => {
+    const bullets = (exp.achievements || [])
+      .map((text, index) => ({ text, index, score: scoreText(text, keywords) }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+    const relevant = bullets.filter(bullet => bullet.score > 0);
+    const picked = relevant.length > 0
+      ? relevant.slice(0, MAX_BULLETS)
+      : bullets.slice(0, FALLBACK_BULLETS);
+
+    const entryText = [exp.position, exp.description, ...(exp.technologies || [])].filter(Boolean).join(' ');
+    const relevance = scoreText(entryText, keywords) +
+      relevant.reduce((sum, bullet) => sum + bullet.score, 0);
+
+    return {
+      experienceId: exp._id,
+      achievements: picked.map(bullet => bullet.text),
+      relevance: Math.round(relevance * 100) / 100
+    };
+  });
+
+  const profileText = [
+    user.headline,
+    user.summary,
+    ...user.skills.map(skill => skill.name),
+    ...user.experience.flatMap(exp => [exp.position, exp.description, ...(exp.achievements || []), ...(exp.technologies || [])])
+  ].filter(Boolean);
+  const matchedKeywords = keywords
+    .filter(keyword => profileText.some(text => atsScorer.containsPhrase(text, keyword.keyword)))
+    .map(keyword => keyword.keyword);
+
+  return {
+    jobTitle: job.title,
+    company: job.company,
+    skills,
+    experience,
+    matchedKeywords,
+    missingKeywords: keywords
+      .filter(keyword => !matchedKeywords.includes(keyword.keyword))
+      .map(keyword => keyword.keyword)
+  };
+};
+
+/**
+ * Applies a variant's tailoring to resume sections
+ * Skills and bullets are picked and reordered; experience entries keep their order.
+ *
+ * @param {Object} sections - { skills, experience } as stored on the user
+ * @param {Object} tailoring - resumeVersions[].tailoring
+ * @returns {Object} { skills, experience } with tailoring applied
+ */
+const applyTailoring = ({ skills, experience }, tailoring) => {
+  if (!tailoring || !tailoring.skills?.length && !tailoring.experience?.length) {
+    return { skills, experience };
+  }
+
+  const skillOrder = tailoring.skills.map(name => name.toLowerCase());
+  const tailoredSkills = skills
+    .filter(skill => skillOrder.includes(skill.name.toLowerCase()))
+    .sort((a, b) => skillOrder.indexOf(a.name.toLowerCase()) - skillOrder.indexOf(b.name.toLowerCase()));
+
+  const tailoredExperience = experience.map(exp => {
+    const plain = exp.toObject ? exp.toObject() : { ...exp };
+    const picked = tailoring.experience.find(entry =>
+      entry.experienceId && exp._id && entry.experienceId.toString() === exp._id.toString()
+    );
+    return picked ? { ...plain, achievements: picked.achievements } : plain;
+  });
+
+  return { skills: tailoredSkills, experience: tailoredExperience };
+};
+
+// Helper functions
+
+function buildJobKeywords(job) {
+  const keywords = new Map();
+  const add = (keyword, weight) => {
+    const key = keyword.toLowerCase();
+    const existing = keywords.get(key);
+    keywords.set(key, { keyword: existing ? existing.keyword : keyword, weight: Math.max(existing ? existing.weight : 0, weight) });
+  };
+
+  (job.requiredSkills || []).forEach(skill => {
+    const weight = PRIORITY_WEIGHTS[skill.priority] || PRIORITY_WEIGHTS.medium;
+    add(skill.name, skill.isRequired === false ? weight * OPTIONAL_REQUIRED_FACTOR : weight);
+  });
+  (job.preferredSkills || []).forEach(skill => add(skill.name, PREFERRED_WEIGHT));
+
+  // Description keywords are scaled down so explicit skill lists dominate
+  const extracted = atsScorer.extractJobKeywords([job.title, job.description].filter(Boolean).join('\n'));
+  const topWeight = extracted.length > 0 ? extracted[0].weight : 1;
+  extracted.forEach(keyword => add(keyword.keyword, (keyword.weight / topWeight) * 2));
+
+  return [...keywords.values()].sort((a, b) => b.weight - a.weight || a.keyword.localeCompare(b.keyword));
+}
+
+function scoreText(text, keywords) {
+  return keywords.reduce((sum, keyword) =>
+    sum + (atsScorer.containsPhrase(text, keyword.keyword) ? keyword.weight : 0), 0);
+}
+
+module.exports = {
+  tailorResumeToJob,
+  applyTailoring
+};
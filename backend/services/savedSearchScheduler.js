@@ -0,0 +1,108 @@
+/**
+ * Saved Search Scheduler - Re-runs saved job searches in the background
+ *
+ * Every tick picks the saved searches whose alerts are due, looks for Jobs
+ * posted or added since each search last ran, records the matches in the
+ * notification feed and then sends any pending email digests.
+ */
+
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const jobSearch = require('./jobSearch');
+const notificationService = require('./notificationService');
+const { createBackgroundTask } = require('./backgroundTask');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const MATCHES_PER_PAGE = 50;
+const SEARCHES_PER_TICK = 100;
+
+/**
+ * Runs one saved search and records jobs that are new since its last run
+ *
+ * @param {Object} search - SavedSearch document
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { matches, notification }
+ */
+const runSavedSearch = async (search, { now = new Date() } = {}) => {
+  const since = search.lastRunAt || search.createdAt || now;
+  const criteria = jobSearch.buildSearchCriteria(search.toObject().params, { since });
+
+  // Page through every match by _id, since the run marks all of them as seen
+  const jobs = [];
+  let page;
+  do {
+    const after = jobs.length > 0 ? { _id: { $gt: jobs[jobs.length - 1]._id } } : null;
+    page = await Job.find(after ? { $and: [criteria, after] } : criteria)
+      .sort({ _id: 1 })
+      .limit(MATCHES_PER_PAGE);
+    jobs.push(...page);
+  } while (page.length === MATCHES_PER_PAGE);
+  jobs.sort((a, b) => (b.postedDate || 0) - (a.postedDate || 0));
+
+  const notification = await notificationService.notifySavedSearchMatches(search, jobs);
+
+  search.recordRun(jobs.length, now);
+  await search.save();
+
+  return { matches: jobs, notification };
+};
+
+/**
+ * Runs every saved search whose alerts are due, then sends email digests
+ *
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { searches, matches, errors, digests }
+ */
+const runDueSearches = async ({ now = new Date() } = {}) => {
+  const due = await SavedSearch.find({ 'alerts.enabled': true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(SEARCHES_PER_TICK);
+
+  const summary = { searches: 0, matches: 0, errors: 0, digests: null };
+
+  for (const search of due) {
+    try {
+      const { matches } = await runSavedSearch(search, { now });
+      summary.searches += 1;
+      summary.matches += matches.length;
+    } catch (error) {
+      console.error(`[Saved Search Scheduler] Search ${search._id} failed:`, error.message);
+      summary.errors += 1;
+      search.lastError = error.message;
+      search.scheduleNextRun(now);
+      await search.save().catch(() => {});
+    }
+  }
+
+  summary.digests = await notificationService.sendEmailDigests();
+  return summary;
+};
+
+const task = createBackgroundTask('Saved Search Scheduler', () => runDueSearches(), {
+  logSummary: (summary) => (summary.searches > 0 || summary.errors > 0
+    ? `Ran ${summary.searches} searches, ${summary.matches} new matches, ${summary.errors} errors`
+    : null)
+});
+
+/**
+ * Starts running due searches on an interval
+ *
+ * @param {Object} options - { intervalMinutes }
+ */
+const startScheduler = ({ intervalMinutes } = {}) => {
+  task.start(intervalMinutes ||
+    parseFloat(process.env.JOB_ALERTS_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES);
+};
+
+/**
+ * Stops the background scheduler
+ */
+const stopScheduler = () => task.stop();
+
+module.exports = {
+  runSavedSearch,
+  runDueSearches,
+  startScheduler,
+  stopScheduler
+};
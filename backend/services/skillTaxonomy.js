@@ -0,0 +1,351 @@
+/**
+ * Skill Taxonomy - Canonical skill IDs, aliases and parent/child relations
+ *
+ * Every skill name written to a profile, job, course or certification is
+ * resolved here, so "JS", "Javascript" and "JavaScript" all become the
+ * `javascript` skill. Matching goes through the same lookup and also follows
+ * the hierarchy: a skill satisfies a requirement for itself or for any of its
+ * ancestors (React satisfies "JavaScript Frameworks").
+ *
+ * The taxonomy is loaded from data/skillTaxonomy.json, or the file named by
+ * SKILL_TAXONOMY_FILE, the first time it's needed. Names that aren't in it
+ * still match each other by their normalized spelling.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '..', 'data', 'skillTaxonomy.json');
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+let taxonomy = null;
+
+/**
+ * Loads a taxonomy, replacing the one in use
+ *
+ * @param {string|Object} source - Path to a JSON file, or already-parsed { skills: [...] }
+ * @returns {Object} { version, skillCount }
+ */
+const loadTaxonomy = (source = process.env.SKILL_TAXONOMY_FILE || DEFAULT_TAXONOMY_FILE) => {
+  const data = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+
+  const errors = validateTaxonomy(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid skill taxonomy: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  taxonomy = buildIndex(data);
+  return { version: taxonomy.version, skillCount: taxonomy.byId.size };
+};
+
+/**
+ * Checks a taxonomy for missing fields, clashing names and broken hierarchy
+ *
+ * @param {Object} data - { version, skills: [{ id, name, aliases, parent, isCategory }] }
+ * @returns {Array<string>} Problems found; empty when the taxonomy is usable
+ */
+const validateTaxonomy = (data) => {
+  if (!data || !Array.isArray(data.skills)) return ['Expected an object with a "skills" array'];
+
+  const errors = [];
+  const ids = new Set();
+  const lookups = new Map();
+
+  data.skills.forEach((skill, index) => {
+    const label = skill?.id || `#${index}`;
+    if (!skill || typeof skill.id !== 'string' || !ID_PATTERN.test(skill.id)) {
+      errors.push(`Skill ${label} needs a lowercase kebab-case id`);
+      return;
+    }
+    if (ids.has(skill.id)) errors.push(`Duplicate id "${skill.id}"`);
+    ids.add(skill.id);
+    if (typeof skill.name !== 'string' || !skill.name.trim()) errors.push(`Skill ${label} has no name`);
+    if (skill.aliases !== undefined && !Array.isArray(skill.aliases)) errors.push(`Skill ${label} aliases must be an array`);
+
+    [skill.id, skill.name, ...(skill.aliases || [])].filter(Boolean).forEach(spelling => {
+      const key = lookupKey(spelling);
+      const owner = lookups.get(key);
+      if (owner && owner !== skill.id) errors.push(`"${spelling}" is used by both ${owner} and ${skill.id}`);
+      lookups.set(key, skill.id);
+    });
+  });
+
+  const parents = new Map(data.skills.filter(skill => skill?.id).map(skill => [skill.id, skill.parent]));
+  parents.forEach((parent, id) => {
+    if (parent && !parents.has(parent)) errors.push(`Skill ${id} has unknown parent "${parent}"`);
+
+    const seen = new Set([id]);
+    for (let current = parent; current; current = parents.get(current)) {
+      if (seen.has(current)) {
+        errors.push(`Skill ${id} is part of a parent cycle`);
+        break;
+      }
+      seen.add(current);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Finds the taxonomy entry for a skill name or alias
+ *
+ * @param {string} name - Any spelling, e.g. "node js"
+ * @returns {Object|null} { id, name, parent, aliases, isCategory }
+ */
+const resolveSkill = (name) => {
+  if (!name) return null;
+  const { byLookup, byId } = getTaxonomy();
+  const id = byLookup.get(lookupKey(name));
+  return id ? byId.get(id) : null;
+};
+
+/**
+ * Returns the canonical spelling for a skill, or the cleaned-up input if it's unknown
+ *
+ * @param {string} name - Skill name
+ * @returns {string} Canonical name
+ */
+const canonicalSkillName = (name) => {
+  const skill = resolveSkill(name);
+  return skill ? skill.name : String(name || '').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Returns a key two spellings of the same skill share
+ *
+ * @param {string} name - Skill name
+ * @returns {string} Taxonomy id, or the normalized spelling for unknown skills
+ */
+const skillKey = (name) => {
+  const skill = resolveSkill(name);
+  return skill ? skill.id : lookupKey(name);
+};
+
+/**
+ * Lists the ids above a skill, nearest first
+ *
+ * @param {string} name - Skill name or id
+ * @returns {Array<string>} Ancestor ids
+ */
+const getAncestors = (name) => {
+  const { byId } = getTaxonomy();
+  const ancestors = [];
+  let current = byId.get(skillKey(name));
+  while (current && current.parent) {
+    ancestors.push(current.parent);
+    current = byId.get(current.parent);
+  }
+  return ancestors;
+};
+
+/**
+ * Lists every id below a skill
+ *
+ * @param {string} name - Skill name or id
+ * @returns {Array<string>} Descendant ids
+ */
+const getDescendants = (name) => {
+  const { children } = getTaxonomy();
+  const descendants = [];
+  const queue = [...(children.get(skillKey(name)) || [])];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    descendants.push(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return descendants;
+};
+
+/**
+ * Checks whether having one skill covers a requirement for another
+ *
+ * @param {string} have - Skill the user has
+ * @param {string} required - Skill asked for
+ * @returns {boolean} True for the same skill or when `have` sits below `required`
+ */
+const skillSatisfies = (have, required) => {
+  const requiredKey = skillKey(required);
+  return skillKey(have) === requiredKey || getAncestors(have).includes(requiredKey);
+};
+
+/**
+ * Picks the skill from a list that covers a requirement, preferring an exact match
+ *
+ * @param {Array} skills - Skill names or { name } objects
+ * @param {string} required - Skill asked for
+ * @returns {string|Object|null} The matching list item
+ */
+const findMatchingSkill = (skills, required) => {
+  const list = skills || [];
+  const nameOf = (skill) => (typeof skill === 'string' ? skill : skill?.name);
+  const requiredKey = skillKey(required);
+  return list.find(skill => skillKey(nameOf(skill)) === requiredKey) ||
+    list.find(skill => nameOf(skill) && skillSatisfies(nameOf(skill), required)) ||
+    null;
+};
+
+/**
+ * Rewrites skill subdocuments to their canonical name and id, in place
+ *
+ * @param {Array} entries - Subdocuments or plain objects with a name
+ * @returns {Array} The same entries
+ */
+const normalizeSkillEntries = (entries) => {
+  (entries || []).forEach(entry => {
+    if (!entry || !entry.name) return;
+    const skill = resolveSkill(entry.name);
+    entry.name = skill ? skill.name : canonicalSkillName(entry.name);
+    entry.skillId = skill ? skill.id : undefined;
+  });
+  return entries;
+};
+
+/**
+ * Lists taxonomy entries
+ *
+ * @param {Object} options - { includeCategories }
+ * @returns {Array<Object>} { id, name, parent, aliases, isCategory }
+ */
+const listSkills = ({ includeCategories = true } = {}) => {
+  const skills = [...getTaxonomy().byId.values()];
+  return includeCategories ? skills : skills.filter(skill => !skill.isCategory);
+};
+
+/**
+ * Suggests taxonomy skills for a partly typed or misspelled name
+ *
+ * Exact and prefix matches on the name or an alias rank first, then word
+ * prefixes and substrings, then near-misses within a small edit distance.
+ *
+ * @param {string} query - What the user has typed so far
+ * @param {Object} options - { limit, includeCategories }
+ * @returns {Array<Object>} { id, name, category, profileCategory, matchedAlias }
+ */
+const suggestSkills = (query, { limit = 10, includeCategories = false } = {}) => {
+  const text = String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!text) return [];
+
+  const { byId } = getTaxonomy();
+  const matches = [];
+
+  listSkills({ includeCategories }).forEach(skill => {
+    let best = null;
+    [skill.name, ...skill.aliases].forEach((spelling, index) => {
+      const score = scoreSpelling(text, spelling, index === 0);
+      if (score > 0 && (!best || score > best.score)) best = { score, spelling, isAlias: index > 0 };
+    });
+    if (best) matches.push({ skill, ...best });
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.skill.name.length - b.skill.name.length || a.skill.name.localeCompare(b.skill.name))
+    .slice(0, limit)
+    .map(({ skill, spelling, isAlias }) => {
+      const category = nearestCategory(skill, byId);
+      return {
+        id: skill.id,
+        name: skill.name,
+        category: category ? { id: category.id, name: category.name } : null,
+        profileCategory: getAncestors(skill.id).includes('soft-skills') ? 'soft' : 'technical',
+        matchedAlias: isAlias ? spelling : null,
+        isCategory: skill.isCategory
+      };
+    });
+};
+
+// Suggestion helpers
+
+function scoreSpelling(text, spelling, isName) {
+  const candidate = spelling.toLowerCase();
+  if (lookupKey(candidate) === lookupKey(text)) return isName ? 100 : 95;
+  if (candidate.startsWith(text)) return isName ? 90 : 80;
+  if (candidate.split(/[\s/.-]+/).some(word => word.startsWith(text))) return 70;
+  if (text.length >= 3 && candidate.includes(text)) return 60;
+
+  // Typos: compare against the same-length start of the spelling too, so "javasc" still finds JavaScript
+  const allowed = text.length <= 3 ? 0 : text.length <= 6 ? 1 : 2;
+  if (allowed === 0) return 0;
+  const distance = Math.min(
+    editDistance(text, candidate),
+    editDistance(text, candidate.slice(0, text.length))
+  );
+  return distance <= allowed ? 50 - distance * 10 : 0;
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function nearestCategory(skill, byId) {
+  let current = skill.parent ? byId.get(skill.parent) : null;
+  while (current && !current.isCategory) {
+    current = current.parent ? byId.get(current.parent) : null;
+  }
+  return current || null;
+}
+
+// Index helpers
+
+function getTaxonomy() {
+  if (!taxonomy) loadTaxonomy();
+  return taxonomy;
+}
+
+function buildIndex(data) {
+  const byId = new Map();
+  const byLookup = new Map();
+  const children = new Map();
+
+  data.skills.forEach(skill => {
+    const entry = {
+      id: skill.id,
+      name: skill.name.trim(),
+      parent: skill.parent || null,
+      aliases: skill.aliases || [],
+      isCategory: !!skill.isCategory
+    };
+    byId.set(entry.id, entry);
+    [entry.id, entry.name, ...entry.aliases].forEach(spelling => byLookup.set(lookupKey(spelling), entry.id));
+    if (entry.parent) {
+      if (!children.has(entry.parent)) children.set(entry.parent, []);
+      children.get(entry.parent).push(entry.id);
+    }
+  });
+
+  return { version: data.version || 1, byId, byLookup, children };
+}
+
+// Case, spacing, dots, dashes and underscores don't distinguish skills; + and # do (C, C++, C#)
+function lookupKey(name) {
+  return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+module.exports = {
+  DEFAULT_TAXONOMY_FILE,
+  loadTaxonomy,
+  validateTaxonomy,
+  resolveSkill,
+  canonicalSkillName,
+  skillKey,
+  getAncestors,
+  getDescendants,
+  skillSatisfies,
+  findMatchingSkill,
+  normalizeSkillEntries,
+  listSkills,
+  suggestSkills
+};
@@ -0,0 +1,498 @@
+/**
+ * Study Scheduler - Lays a user's course modules and goal milestones onto their weekly study slots
+ *
+ * Work comes from two places: the modules of every course the user is
+ * enrolled in and hasn't finished (sized by `Course.modules[].duration`, less
+ * what their module progress, or failing that their course percentage, says
+ * is already done), and the milestones of their open career goals. Items are
+ * placed earliest-deadline-first into the recurring availability windows the
+ * user set (in their own time zone), split across windows when they don't fit
+ * in one. Course deadlines come from the active learning plan; goal deadlines
+ * from `targetDate`.
+ *
+ * Past sessions are kept as history. A scheduled session whose time has passed
+ * is marked missed and its work goes back into the pool, so every rebuild
+ * rebalances what's left over the slots still ahead.
+ */
+
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const LearningPlan = require('../models/LearningPlan');
+const StudySchedule = require('../models/StudySchedule');
+
+const DEFAULT_WEEKLY_HOURS = 6;
+const DEFAULT_HORIZON_WEEKS = 8;
+// Pieces shorter than this aren't worth sitting down for
+const MIN_SESSION_MINUTES = 15;
+const MILESTONE_MINUTES = 60;
+// Weekdays used when the user hasn't set any availability
+const DEFAULT_STUDY_DAYS = [1, 2, 3, 4, 5];
+const DEFAULT_STUDY_START = 19 * 60;
+// Missed sessions older than this are dropped from the history
+const MISSED_HISTORY_DAYS = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Rebuilds a schedule: marks past sessions missed and re-places all remaining work
+ *
+ * @param {Object} schedule - StudySchedule document
+ * @param {Object} user - User document
+ * @param {Object} options - { now, horizonWeeks }
+ * @returns {Promise<Object>} The updated (saved) schedule
+ */
+const rebuildSchedule = async (schedule, user, { now = new Date(), horizonWeeks } = {}) => {
+  if (horizonWeeks) schedule.horizonWeeks = horizonWeeks;
+  schedule.timezone = resolveTimeZone(user.learningPreferences?.timezone);
+  schedule.markMissedSessions(now);
+
+  const plan = await LearningPlan.findOne({ userId: user._id, status: 'active' });
+  const items = await collectWorkItems(user, schedule, plan, now);
+
+  // Sessions that are over, underway or already dealt with stay as they are
+  const previous = schedule.sessions;
+  const missedCutoff = new Date(now.getTime() - MISSED_HISTORY_DAYS * DAY_MS);
+  const kept = previous.filter(session => {
+    if (session.status === 'missed') return session.end > missedCutoff;
+    return session.status !== 'scheduled' || session.start <= now;
+  });
+
+  const slots = subtractBusy(
+    expandAvailability(user, { from: now, weeks: schedule.horizonWeeks, timeZone: schedule.timezone }),
+    kept.filter(session => session.end > now)
+  );
+  const placement = placeItems(items, slots);
+
+  const reused = new Map(previous
+    .filter(session => session.status === 'scheduled' && session.start > now)
+    .map(session => [`${session.itemKey}#${session.part}`, session]));
+
+  const sessions = placement.sessions.map(session => {
+    const before = reused.get(`${session.itemKey}#${session.part}`);
+    if (!before) return session;
+    const moved = before.start.getTime() !== session.start.getTime() ||
+      before.end.getTime() !== session.end.getTime() ||
+      before.parts !== session.parts;
+    return { ...session, _id: before._id, sequence: (before.sequence || 0) + (moved ? 1 : 0) };
+  });
+
+  schedule.sessions = [...kept, ...sessions].sort((a, b) => new Date(a.start) - new Date(b.start));
+  schedule.unscheduled = placement.unscheduled;
+  schedule.atRisk = placement.atRisk;
+  schedule.generatedAt = now;
+  schedule.inputSignature = inputSignature(user, plan);
+  await schedule.save();
+  return schedule;
+};
+
+/**
+ * Gets the user's schedule, creating it on first use and rebuilding it when
+ * sessions were missed or their courses, goals or availability changed
+ *
+ * @param {string} userId - User id
+ * @param {Object} options - { user } to reuse an already-loaded document, { now }
+ * @returns {Promise<Object|null>} The schedule, or null when the user doesn't exist
+ */
+const syncSchedule = async (userId, { user, now = new Date() } = {}) => {
+  const current = user || await User.findById(userId);
+  if (!current) return null;
+
+  let schedule = await StudySchedule.findOne({ userId });
+  if (!schedule) {
+    schedule = new StudySchedule({ userId, horizonWeeks: DEFAULT_HORIZON_WEEKS });
+    return rebuildSchedule(schedule, current, { now });
+  }
+
+  const hasMissed = schedule.sessions.some(session => session.status === 'scheduled' && session.end <= now);
+  const plan = await LearningPlan.findOne({ userId, status: 'active' }).select('_id revision');
+  if (hasMissed || schedule.inputSignature !== inputSignature(current, plan)) {
+    return rebuildSchedule(schedule, current, { now });
+  }
+  return schedule;
+};
+
+/**
+ * Turns availability windows into concrete time slots
+ *
+ * @param {Object} user - User document (availability, timezone and weekly hours are read)
+ * @param {Object} options - { from, weeks, timeZone }
+ * @returns {Array<Object>} [{ start: Date, end: Date }] sorted, none before `from`
+ */
+const expandAvailability = (user, { from = new Date(), weeks = DEFAULT_HORIZON_WEEKS, timeZone } = {}) => {
+  const zone = timeZone || resolveTimeZone(user.learningPreferences?.timezone);
+  const windows = availabilityWindows(user);
+  const today = zonedParts(from, zone);
+  const slots = [];
+
+  for (let offset = 0; offset < weeks * 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    windows
+      .filter(window => window.day === day.getUTCDay())
+      .forEach(window => {
+        const start = zonedTimeToUtc(day, window.startMinutes, zone);
+        const end = zonedTimeToUtc(day, window.endMinutes, zone);
+        const clipped = start < from ? from : start;
+        if ((end - clipped) / MINUTE_MS >= MIN_SESSION_MINUTES) {
+          slots.push({ start: clipped, end });
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Checks a list of availability windows from a request
+ *
+ * @param {Array<Object>} slots - [{ day, start: 'HH:MM', end: 'HH:MM' }]
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateAvailability = (slots) => {
+  if (!Array.isArray(slots)) return 'slots must be an array';
+  if (slots.length > 50) return 'At most 50 availability slots are allowed';
+
+  for (const slot of slots) {
+    const day = Number(slot?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return 'Each slot needs a day from 0 (Sunday) to 6 (Saturday)';
+    }
+    const start = parseClock(slot.start);
+    const end = parseClock(slot.end);
+    if (start === null || end === null) return 'Slot times must be in HH:MM format';
+    if (end - start < MIN_SESSION_MINUTES) {
+      return `Each slot must end at least ${MIN_SESSION_MINUTES} minutes after it starts`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks a time zone name against the runtime's IANA database
+ *
+ * @param {string} timeZone - e.g. 'Europe/Berlin'
+ * @returns {boolean} Whether the zone is known
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Work item helpers
+
+async function collectWorkItems(user, schedule, plan, now) {
+  const doneByItem = new Map();
+  schedule.sessions.forEach(session => {
+    // Skipped work is dropped on purpose; a session underway counts as already placed
+    const counts = session.status === 'completed' || session.status === 'skipped' ||
+      (session.status === 'scheduled' && session.start <= now && session.end > now);
+    if (counts) {
+      doneByItem.set(session.itemKey, (doneByItem.get(session.itemKey) || 0) + session.durationMinutes);
+    }
+  });
+
+  const courseItems = await collectCourseItems(user, plan, doneByItem);
+  const goalItems = collectGoalItems(user, doneByItem, now);
+
+  // Earliest deadline first; items without one go last, each source keeping its own order
+  return [...courseItems, ...goalItems]
+    .map((item, order) => ({ ...item, order }))
+    .sort((a, b) => {
+      const aDeadline = a.deadline ? a.deadline.getTime() : Infinity;
+      const bDeadline = b.deadline ? b.deadline.getTime() : Infinity;
+      if (aDeadline !== bDeadline) return aDeadline - bDeadline;
+      return a.order - b.order;
+    });
+}
+
+async function collectCourseItems(user, plan, doneByItem) {
+  const enrolled = (user.learningProgress || [])
+    .filter(entry => entry.status === 'not_started' || entry.status === 'in_progress');
+  if (enrolled.length === 0) return [];
+
+  const courses = await Course.find({ _id: { $in: enrolled.map(entry => entry.courseId) } });
+  const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+  const planDeadlines = new Map((plan?.steps || [])
+    .filter(step => step.scheduledEnd)
+    .map(step => [step.courseId.toString(), step.scheduledEnd]));
+
+  const items = [];
+  enrolled.forEach(entry => {
+    const course = coursesById.get(entry.courseId.toString());
+    if (!course) return;
+
+    const modules = moduleMinutes(course);
+    const total = modules.reduce((sum, module) => sum + module.minutes, 0);
+    let alreadyDone = total * (entry.progress || 0) / 100;
+    // Tracked modules say exactly what's done; otherwise the course percentage fills modules in order
+    const tracked = (entry.modules || []).length > 0;
+
+    modules.forEach((module, index) => {
+      const itemKey = `course:${course._id}:${index}`;
+      const moduleEntry = tracked ? entry.modules.find(item => item.index === module.index) : null;
+      const fromProgress = tracked
+        ? module.minutes * (moduleEntry ? moduleEntry.progress || 0 : 0) / 100
+        : Math.min(module.minutes, Math.max(0, alreadyDone));
+      alreadyDone -= module.minutes;
+      const done = Math.max(fromProgress, doneByItem.get(itemKey) || 0);
+      const minutes = roundToQuarterHour(module.minutes - done);
+      if (minutes < MIN_SESSION_MINUTES) return;
+
+      items.push({
+        kind: 'course_module',
+        itemKey,
+        title: modules.length > 1 ? `${course.title}: ${module.title}` : course.title,
+        courseId: course._id,
+        moduleIndex: module.index,
+        url: course.url,
+        minutes,
+        deadline: planDeadlines.get(course._id.toString()) || null
+      });
+    });
+  });
+  return items;
+}
+
+// A course without modules is one piece of work
+function moduleMinutes(course) {
+  const hours = course.getModuleHours();
+  if (hours.length === 0) {
+    return [{ index: undefined, title: course.title, minutes: (course.duration?.hours || 0) * 60 }];
+  }
+
+  return course.modules.map((module, index) => ({
+    index,
+    title: module.title,
+    minutes: hours[index] * 60
+  }));
+}
+
+function collectGoalItems(user, doneByItem, now) {
+  const items = [];
+  (user.careerGoals || [])
+    .filter(goal => goal.status !== 'completed' && goal.status !== 'paused')
+    .forEach(goal => {
+      const milestones = goal.milestones || [];
+      // Progress is read as the share of milestones already reached, in order
+      const reached = Math.floor(milestones.length * (goal.progress || 0) / 100);
+      const deadline = goal.targetDate && goal.targetDate > now ? goal.targetDate : null;
+
+      milestones.forEach((milestone, index) => {
+        if (index < reached) return;
+        const itemKey = `goal:${goal.id}:${index}`;
+        const minutes = MILESTONE_MINUTES - (doneByItem.get(itemKey) || 0);
+        if (minutes < MIN_SESSION_MINUTES) return;
+
+        items.push({
+          kind: 'goal_milestone',
+          itemKey,
+          title: `${goal.title}: ${milestone}`,
+          goalId: goal.id,
+          milestoneIndex: index,
+          minutes,
+          deadline
+        });
+      });
+    });
+  return items;
+}
+
+// Placement helpers
+
+function placeItems(items, slots) {
+  const sessions = [];
+  const unscheduled = [];
+  const atRisk = [];
+  let slotIndex = 0;
+  let cursor = slots[0] ? slots[0].start : null;
+
+  items.forEach(item => {
+    let remaining = item.minutes;
+    const pieces = [];
+
+    while (remaining > 0 && slotIndex < slots.length) {
+      const slot = slots[slotIndex];
+      const free = (slot.end - cursor) / MINUTE_MS;
+      const minutes = Math.min(remaining, Math.floor(free));
+
+      // Leave a sliver at the end of a slot unused rather than book a tiny piece
+      if (minutes < MIN_SESSION_MINUTES && minutes < remaining) {
+        slotIndex += 1;
+        cursor = slots[slotIndex] ? slots[slotIndex].start : null;
+        continue;
+      }
+
+      const start = cursor;
+      const end = new Date(start.getTime() + minutes * MINUTE_MS);
+      pieces.push({ start, end, minutes });
+      remaining -= minutes;
+      cursor = end;
+      if ((slot.end - cursor) / MINUTE_MS < MIN_SESSION_MINUTES) {
+        slotIndex += 1;
+        cursor = slots[slotIndex] ? slots[slotIndex].start : null;
+      }
+    }
+
+    pieces.forEach((piece, index) => {
+      sessions.push({
+        kind: item.kind,
+        itemKey: item.itemKey,
+        title: item.title,
+        courseId: item.courseId,
+        moduleIndex: item.moduleIndex,
+        goalId: item.goalId,
+        milestoneIndex: item.milestoneIndex,
+        url: item.url,
+        part: index + 1,
+        parts: pieces.length,
+        start: piece.start,
+        end: piece.end,
+        durationMinutes: piece.minutes,
+        deadline: item.deadline || undefined,
+        status: 'scheduled'
+      });
+    });
+
+    if (remaining > 0) {
+      unscheduled.push({
+        itemKey: item.itemKey,
+        title: item.title,
+        minutes: remaining,
+        reason: slots.length === 0
+          ? 'No study time is available; add availability slots'
+          : 'Does not fit in the scheduled weeks; add study time or extend the horizon'
+      });
+    }
+
+    const lastEnd = pieces.length > 0 ? pieces[pieces.length - 1].end : null;
+    if (item.deadline && (remaining > 0 || lastEnd > item.deadline)) {
+      atRisk.push({
+        itemKey: item.itemKey,
+        title: item.title,
+        deadline: item.deadline,
+        scheduledEnd: remaining > 0 ? undefined : lastEnd
+      });
+    }
+  });
+
+  return { sessions, unscheduled, atRisk };
+}
+
+// Cuts the time taken by kept sessions out of the free slots
+function subtractBusy(slots, busy) {
+  const intervals = busy
+    .map(session => ({ start: new Date(session.start), end: new Date(session.end) }))
+    .sort((a, b) => a.start - b.start);
+
+  return slots.flatMap(slot => {
+    const free = [];
+    let cursor = slot.start;
+    intervals
+      .filter(interval => interval.start < slot.end && interval.end > slot.start)
+      .forEach(interval => {
+        if (interval.start > cursor) free.push({ start: cursor, end: interval.start });
+        if (interval.end > cursor) cursor = interval.end;
+      });
+    if (cursor < slot.end) free.push({ start: cursor, end: slot.end });
+    return free.filter(part => (part.end - part.start) / MINUTE_MS >= MIN_SESSION_MINUTES);
+  });
+}
+
+// Time zone helpers
+
+function availabilityWindows(user) {
+  const availability = user.learningPreferences?.availability || [];
+  if (availability.length > 0) {
+    return availability
+      .map(slot => ({ day: slot.day, startMinutes: parseClock(slot.start), endMinutes: parseClock(slot.end) }))
+      .filter(window => window.startMinutes !== null && window.endMinutes > window.startMinutes);
+  }
+
+  // Spread the weekly study hours over weekday evenings
+  const weeklyHours = user.learningPreferences?.weeklyStudyHours || DEFAULT_WEEKLY_HOURS;
+  const perDay = Math.min(24 * 60, roundToQuarterHour(weeklyHours * 60 / DEFAULT_STUDY_DAYS.length));
+  const startMinutes = Math.max(0, Math.min(DEFAULT_STUDY_START, 24 * 60 - perDay));
+  return DEFAULT_STUDY_DAYS.map(day => ({ day, startMinutes, endMinutes: startMinutes + perDay }));
+}
+
+function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'), month: value('month'), day: value('day'),
+    hour: value('hour'), minute: value('minute'), second: value('second')
+  };
+}
+
+function zoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock minutes on a calendar day in a zone -> the matching instant.
+// `minutes` may be 1440 (midnight at the end of the day).
+function zonedTimeToUtc(day, minutes, timeZone) {
+  const wallClock = day.getTime() + minutes * MINUTE_MS;
+  let instant = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  // Re-check once in case the guess landed on the other side of a DST change
+  const corrected = wallClock - zoneOffset(new Date(instant), timeZone);
+  if (corrected !== instant) instant = corrected;
+  return new Date(instant);
+}
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function roundToQuarterHour(minutes) {
+  return Math.round(minutes / 15) * 15;
+}
+
+// Changes whenever anything the schedule is built from changes
+function inputSignature(user, plan) {
+  const progress = (user.learningProgress || [])
+    .map(entry => [
+      entry.courseId, entry.status, entry.progress || 0,
+      (entry.modules || []).map(module => `${module.index}-${module.progress || 0}`).join('/')
+    ].join(':'))
+    .sort();
+  const goals = (user.careerGoals || [])
+    .map(goal => [
+      goal.id, goal.status, goal.progress || 0,
+      goal.targetDate ? new Date(goal.targetDate).getTime() : '',
+      (goal.milestones || []).join('/')
+    ].join(':'))
+    .sort();
+  const preferences = user.learningPreferences || {};
+  const availability = (preferences.availability || []).map(slot => `${slot.day}:${slot.start}-${slot.end}`);
+  const parts = [
+    ...progress, '|', ...goals, '|', ...availability, '|',
+    preferences.weeklyStudyHours || '', preferences.timezone || '',
+    plan ? `${plan._id}:${plan.revision}` : ''
+  ];
+  return crypto.createHash('sha1').update(parts.join(',')).digest('hex');
+}
+
+module.exports = {
+  rebuildSchedule,
+  syncSchedule,
+  expandAvailability,
+  validateAvailability,
+  isValidTimeZone
+};
@@ -0,0 +1,406 @@
+/**
+ * xAPI - A small Learning Record Store subset that turns statements into course progress
+ *
+ * Learning tools post xAPI (Tin Can) statements here the same way they would
+ * to any LRS. Every valid statement is stored; `completed`, `passed` and
+ * `progressed` statements about a known learner and course also update that
+ * learner's `learningProgress`, module by module where the activity is a
+ * module (including time spent from `result.duration`). Course progress is then
+ * derived from the modules, weighted by module hours.
+ *
+ * Learners are matched by `mbox` (mailto: their account email) or by an
+ * `account` whose name is their user id or email. Activities are matched by
+ * IRIs ending in `/courses/<courseId>` or `/courses/<courseId>/modules/<index>`,
+ * by the course `url`, or by a parent/grouping course activity plus a module
+ * title. Progress never moves backwards, so statements arriving out of order
+ * are harmless.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const XapiStatement = require('../models/XapiStatement');
+const learningPathPlanner = require('./learningPathPlanner');
+
+const XAPI_VERSION = '1.0.3';
+const VERBS = {
+  'http://adlnet.gov/expapi/verbs/completed': 'completed',
+  'http://adlnet.gov/expapi/verbs/passed': 'passed',
+  'http://adlnet.gov/expapi/verbs/progressed': 'progressed'
+};
+// cmi5's progress extension: an integer percentage
+const PROGRESS_EXTENSION = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+const COURSE_IRI_PATTERN = /\/courses\/([a-f0-9]{24})(?:\/modules\/(\d+))?\/?$/i;
+const MODULE_SUFFIX_PATTERN = /\/modules\/(\d+)\/?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\S+$/i;
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+const MAX_QUERY_LIMIT = 200;
+
+/**
+ * Checks a statement against the subset of the xAPI spec this LRS accepts
+ *
+ * @param {Object} statement - Statement as posted
+ * @returns {Array<string>} Problems found; empty when the statement is valid
+ */
+const validateStatement = (statement) => {
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    return ['Statement must be a JSON object'];
+  }
+
+  const errors = [];
+  const { id, actor, verb, object, result, timestamp, version } = statement;
+
+  if (id !== undefined && !UUID_PATTERN.test(String(id))) errors.push('id must be a UUID');
+  if (version !== undefined && !/^1\.0(\.\d+)?$/.test(String(version))) errors.push('version must be 1.0.x');
+  if (timestamp !== undefined && Number.isNaN(new Date(timestamp).getTime())) {
+    errors.push('timestamp must be an ISO 8601 date');
+  }
+
+  errors.push(...validateActor(actor));
+
+  if (!verb || !IRI_PATTERN.test(String(verb.id || ''))) errors.push('verb.id must be an IRI');
+
+  if (!object || typeof object !== 'object') {
+    errors.push('object is required');
+  } else {
+    if (object.objectType && object.objectType !== 'Activity') {
+      errors.push('Only Activity objects are supported');
+    }
+    if (!IRI_PATTERN.test(String(object.id || ''))) errors.push('object.id must be an IRI');
+  }
+
+  if (result !== undefined) {
+    const scaled = result?.score?.scaled;
+    if (scaled !== undefined && (typeof scaled !== 'number' || scaled < -1 || scaled > 1)) {
+      errors.push('result.score.scaled must be a number between -1 and 1');
+    }
+    if (result?.duration !== undefined && !DURATION_PATTERN.test(String(result.duration))) {
+      errors.push('result.duration must be an ISO 8601 duration');
+    }
+    const progress = result?.extensions?.[PROGRESS_EXTENSION];
+    if (progress !== undefined && (!Number.isInteger(progress) || progress < 0 || progress > 100)) {
+      errors.push('The progress extension must be an integer from 0 to 100');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Stores a batch of statements and applies the ones that report progress
+ *
+ * @param {Array<Object>} statements - Validated statements
+ * @param {Object} authority - { key, homePage, userId } userId limits the batch to that learner
+ * @returns {Promise<Object>} { statementIds, results } or { conflicts } / { forbidden } when nothing was stored
+ */
+const storeStatements = async (statements, authority) => {
+  const stored = new Date();
+  const prepared = statements.map(statement => prepareStatement(statement, authority, stored));
+
+  const existing = await XapiStatement.find({ statementId: { $in: prepared.map(statement => statement.id) } });
+  const existingById = new Map(existing.map(doc => [doc.statementId, doc]));
+  const conflicts = prepared
+    .filter(statement => existingById.has(statement.id) &&
+      statementFingerprint(existingById.get(statement.id).statement) !== statementFingerprint(statement))
+    .map(statement => statement.id);
+  if (conflicts.length > 0) return { conflicts };
+
+  // Resubmitting an identical statement is a no-op
+  const fresh = prepared.filter(statement => !existingById.has(statement.id));
+
+  const learners = new Map();
+  for (const statement of fresh) {
+    const key = actorKey(statement.actor);
+    if (!learners.has(key)) learners.set(key, await findLearner(statement.actor));
+  }
+  if (authority.userId) {
+    const foreign = fresh.some(statement => {
+      const learner = learners.get(actorKey(statement.actor));
+      return !learner || learner._id.toString() !== authority.userId;
+    });
+    if (foreign) return { forbidden: true };
+  }
+
+  const results = [];
+  for (const statement of fresh) {
+    const learner = learners.get(actorKey(statement.actor));
+    const applied = await applyStatement(statement, learner);
+    await XapiStatement.create({
+      statementId: statement.id,
+      statement,
+      verbId: statement.verb.id,
+      activityId: statement.object.id,
+      actorKey: actorKey(statement.actor),
+      timestamp: statement.timestamp,
+      stored,
+      authority: authorityKey(authority),
+      userId: learner?._id,
+      courseId: applied.courseId,
+      moduleIndex: applied.moduleIndex,
+      outcome: applied.outcome,
+      progressAfter: applied.progress
+    });
+    results.push({ id: statement.id, outcome: applied.outcome, progress: applied.progress });
+  }
+
+  return { statementIds: prepared.map(statement => statement.id), results };
+};
+
+/**
+ * Looks up stored statements visible to a credential
+ *
+ * @param {Object} authority - { key, userId }
+ * @param {Object} filters - { statementId, verb, activity, since, until, limit }
+ * @returns {Promise<Object>} { statement } for a statementId lookup, otherwise { statements }
+ */
+const queryStatements = async (authority, { statementId, verb, activity, since, until, limit } = {}) => {
+  const scope = authority.userId
+    ? { userId: new mongoose.Types.ObjectId(authority.userId) }
+    : { authority: authorityKey(authority) };
+
+  if (statementId) {
+    const doc = await XapiStatement.findOne({ ...scope, statementId });
+    return { statement: doc ? doc.statement : null };
+  }
+
+  const query = { ...scope };
+  if (verb) query.verbId = verb;
+  if (activity) query.activityId = activity;
+  if (since || until) {
+    query.stored = {};
+    if (since) query.stored.$gt = new Date(since);
+    if (until) query.stored.$lte = new Date(until);
+  }
+
+  const docs = await XapiStatement.find(query)
+    .sort({ stored: -1 })
+    .limit(Math.min(parseInt(limit) || 50, MAX_QUERY_LIMIT));
+  return { statements: docs.map(doc => doc.statement) };
+};
+
+// Statement helpers
+
+function validateActor(actor) {
+  if (!actor || typeof actor !== 'object') return ['actor is required'];
+  if (actor.objectType && actor.objectType !== 'Agent') return ['Only Agent actors are supported'];
+
+  const identifiers = ['mbox', 'mbox_sha1sum', 'openid', 'account'].filter(key => actor[key] !== undefined);
+  if (identifiers.length !== 1) return ['actor must have exactly one of mbox, mbox_sha1sum, openid or account'];
+  if (actor.mbox !== undefined && !/^mailto:\S+@\S+$/i.test(String(actor.mbox))) {
+    return ['actor.mbox must be a mailto: IRI'];
+  }
+  if (actor.account !== undefined && (!actor.account.homePage || !actor.account.name)) {
+    return ['actor.account needs a homePage and a name'];
+  }
+  return [];
+}
+
+function prepareStatement(statement, authority, stored) {
+  return {
+    ...statement,
+    id: statement.id ? String(statement.id).toLowerCase() : crypto.randomUUID(),
+    timestamp: new Date(statement.timestamp || stored).toISOString(),
+    stored: stored.toISOString(),
+    authority: {
+      objectType: 'Agent',
+      account: { homePage: authority.homePage, name: authority.key }
+    },
+    version: statement.version || '1.0.0'
+  };
+}
+
+// What makes two statements with the same id the same statement
+function statementFingerprint(statement) {
+  const { actor, verb, object, result, context } = statement;
+  return stableStringify({ actor, verb, object, result, context });
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function actorKey(actor) {
+  if (actor.mbox) return String(actor.mbox).toLowerCase();
+  if (actor.account) return `${actor.account.homePage}|${actor.account.name}`;
+  return actor.openid || actor.mbox_sha1sum;
+}
+
+function authorityKey(authority) {
+  return authority.userId ? `user:${authority.userId}` : `client:${authority.key}`;
+}
+
+async function findLearner(actor) {
+  if (actor.mbox) {
+    return User.findOne({ email: String(actor.mbox).replace(/^mailto:/i, '').toLowerCase() });
+  }
+  if (actor.account) {
+    const name = String(actor.account.name);
+    if (mongoose.Types.ObjectId.isValid(name) && /^[a-f0-9]{24}$/i.test(name)) return User.findById(name);
+    if (name.includes('@')) return User.findOne({ email: name.toLowerCase() });
+  }
+  return null;
+}
+
+// Progress helpers
+
+async function applyStatement(statement, learner) {
+  const verb = VERBS[statement.verb.id];
+  if (!verb) return { outcome: 'unsupported_verb' };
+  if (!learner) return { outcome: 'unknown_actor' };
+
+  const target = await findActivityTarget(statement);
+  if (!target) return { outcome: 'unknown_activity' };
+
+  const { course, moduleIndex } = target;
+  const at = new Date(statement.timestamp);
+  const { entry, enrolledNow } = learner.ensureEnrollment(course, { at });
+  const before = progressSnapshot(entry);
+
+  const reported = statement.result?.extensions?.[PROGRESS_EXTENSION];
+  const finished = verb === 'completed' || verb === 'passed';
+  const scaled = statement.result?.score?.scaled;
+
+  let completedNow = false;
+  if (moduleIndex !== null) {
+    // Module progress only moves forward, so statements arriving out of order are harmless
+    const current = entry.modules.find(module => module.index === moduleIndex);
+    const update = {
+      at,
+      timeSpentMinutes: parseDurationMinutes(statement.result?.duration),
+      score: verb === 'passed' && scaled !== undefined ? Math.round(scaled * 100) : undefined
+    };
+    if (finished) {
+      update.status = 'completed';
+    } else if (current?.status !== 'completed' && reported !== undefined && reported > (current?.progress || 0)) {
+      update.progress = reported;
+    }
+    ({ completedNow } = learner.recordModuleProgress(course, moduleIndex, update));
+  } else if (finished && course.modules.length > 0) {
+    // Finishing the whole course finishes every module in it
+    course.modules.forEach((_, index) => entry.updateModule(course, index, { status: 'completed', at }));
+    ({ completedNow } = entry.syncFromModules(course, { at }));
+    if (completedNow) learner.analytics.courseCompletions += 1;
+  } else if (entry.modules.length === 0) {
+    // Course-level progress only counts until modules are tracked; then it's derived from them
+    completedNow = applyCourseProgress(learner, entry, course, { progress: finished ? 100 : reported, at });
+  }
+
+  const changed = enrolledNow || before !== progressSnapshot(entry);
+  await learner.save();
+
+  if (enrolledNow || completedNow) {
+    await Course.findByIdAndUpdate(course._id, {
+      $inc: { enrollmentCount: enrolledNow ? 1 : 0, completions: completedNow ? 1 : 0 }
+    });
+  }
+  if (changed) {
+    try {
+      await learningPathPlanner.syncActivePlan(learner._id, { user: learner });
+    } catch (error) {
+      console.error('Learning plan sync error:', error);
+    }
+  }
+
+  return {
+    outcome: changed ? 'applied' : 'no_change',
+    courseId: course._id,
+    moduleIndex: moduleIndex === null ? undefined : moduleIndex,
+    progress: entry.progress
+  };
+}
+
+function applyCourseProgress(learner, entry, course, { progress, at }) {
+  if (entry.status === 'not_started' || entry.status === 'paused') entry.status = 'in_progress';
+  if (!entry.lastActivityAt || at > entry.lastActivityAt) entry.lastActivityAt = at;
+  if (progress === undefined || progress <= (entry.progress || 0)) return false;
+
+  entry.progress = progress;
+  if (progress < 100 || entry.status === 'completed') return false;
+
+  // Without modules there are no topics to draw on, so the course's own skills are used
+  entry.status = 'completed';
+  entry.completionDate = at;
+  if (!entry.skillsGained || entry.skillsGained.length === 0) {
+    entry.skillsGained = course.skillsTaught.map(skill => skill.name);
+  }
+  learner.analytics.courseCompletions += 1;
+  return true;
+}
+
+function progressSnapshot(entry) {
+  return JSON.stringify({ progress: entry.progress, status: entry.status, modules: entry.modules });
+}
+
+// ISO 8601 durations as xAPI uses them, e.g. PT1H30M or P1DT2H
+function parseDurationMinutes(value) {
+  const match = DURATION_PATTERN.exec(String(value || ''));
+  if (!match) return 0;
+  const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+async function findActivityTarget(statement) {
+  const objectId = String(statement.object.id);
+  const direct = await resolveActivityIri(objectId);
+  if (direct) return direct;
+
+  // A module activity inside a course activity: the parent names the course, the title the module
+  const contextActivities = statement.context?.contextActivities || {};
+  const parents = [...asArray(contextActivities.parent), ...asArray(contextActivities.grouping)];
+  for (const parent of parents) {
+    const target = parent?.id ? await resolveActivityIri(String(parent.id)) : null;
+    if (!target || target.moduleIndex !== null) continue;
+
+    const names = Object.values(statement.object.definition?.name || {}).map(normalizeTitle);
+    const moduleIndex = target.course.modules.findIndex(module => names.includes(normalizeTitle(module.title)));
+    if (moduleIndex !== -1) return { course: target.course, moduleIndex };
+  }
+  return null;
+}
+
+async function resolveActivityIri(iri) {
+  let course = null;
+  let moduleIndex = null;
+
+  const ownIri = COURSE_IRI_PATTERN.exec(iri);
+  if (ownIri) {
+    course = await Course.findById(ownIri[1]);
+    moduleIndex = ownIri[2] !== undefined ? Number(ownIri[2]) : null;
+  } else {
+    const moduleSuffix = MODULE_SUFFIX_PATTERN.exec(iri);
+    const courseIri = moduleSuffix ? iri.slice(0, moduleSuffix.index) : iri;
+    const withoutSlash = courseIri.replace(/\/+$/, '');
+    course = await Course.findOne({ url: { $in: [withoutSlash, `${withoutSlash}/`] } });
+    moduleIndex = moduleSuffix ? Number(moduleSuffix[1]) : null;
+  }
+
+  if (!course) return null;
+  if (moduleIndex !== null && moduleIndex >= course.modules.length) return null;
+  return { course, moduleIndex };
+}
+
+function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeTitle(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+module.exports = {
+  XAPI_VERSION,
+  PROGRESS_EXTENSION,
+  validateStatement,
+  storeStatements,
+  queryStatements
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildApplication = (stage = 'applied') => new Application({
+  userId: new mongoose.Types.ObjectId(),
+  jobTitle: 'Backend Engineer',
+  company: 'Acme',
+  stage
+});
+
+describe('Application', () => {
+  describe('STAGE_TRANSITIONS', () => {
+    it('covers every stage and only leads to known stages', () => {
+      expect(Object.keys(Application.STAGE_TRANSITIONS).sort()).toEqual([...Application.STAGES].sort());
+      Object.entries(Application.STAGE_TRANSITIONS).forEach(([from, targets]) => {
+        targets.forEach(to => {
+          expect(Application.STAGES).toContain(to);
+          expect(to).not.toBe(from);
+        });
+      });
+    });
+
+    it('moves forward through the pipeline and ends at rejected', () => {
+      expect(buildApplication('saved').canMoveTo('applied')).toBe(true);
+      expect(buildApplication('applied').canMoveTo('interview')).toBe(true);
+      expect(buildApplication('interview').canMoveTo('screening')).toBe(false);
+      expect(buildApplication('offer').canMoveTo('applied')).toBe(false);
+      expect(Application.STAGE_TRANSITIONS.rejected).toEqual([]);
+    });
+
+    it('lets a withdrawn application be picked up again', () => {
+      expect(buildApplication('withdrawn').canMoveTo('applied')).toBe(true);
+      expect(buildApplication('withdrawn').canMoveTo('offer')).toBe(false);
+    });
+  });
+
+  describe('moveToStage', () => {
+    it('records the change in the history and stage timestamps', () => {
+      const application = buildApplication('applied');
+
+      application.moveToStage('interview', 'Phone screen went well');
+
+      expect(application.stage).toBe('interview');
+      expect(application.stageHistory[0]).toMatchObject({ from: 'applied', to: 'interview', note: 'Phone screen went well' });
+      expect(application.stageTimestamps.interview).toEqual(application.stageHistory[0].changedAt);
+      expect(application.daysInStage).toBe(0);
+    });
+
+    it('refuses moves the pipeline does not allow', () => {
+      const application = buildApplication('rejected');
+
+      expect(() => application.moveToStage('offer')).toThrow('Cannot move application from rejected to offer');
+      expect(application.stage).toBe('rejected');
+      expect(application.stageHistory).toHaveLength(0);
+    });
+  });
+
+  it('counts days in the current stage from when it was entered', () => {
+    const application = buildApplication('screening');
+    application.stageTimestamps.screening = new Date(Date.now() - 3 * DAY_MS - 1000);
+
+    expect(application.daysInStage).toBe(3);
+  });
+
+  it('requires a job title and company', () => {
+    const error = new Application({ userId: new mongoose.Types.ObjectId() }).validateSync();
+
+    expect(Object.keys(error.errors).sort()).toEqual(['company', 'jobTitle']);
+  });
+});
@@ -0,0 +1,78 @@
+const { extractJobKeywords, scoreResume, containsPhrase } = require('../services/atsScorer');
+
+const JOB_DESCRIPTION = `Backend Engineer
+Requirements:
+- 3+ years with Node.js and MongoDB
+- Experience with Docker and AWS
+Nice to have:
+- GraphQL
+We use Kafka for streaming. Our APIs serve millions of APIs calls.`;
+
+const RESUME = {
+  personalInfo: { name: 'Jane Doe' },
+  summary: 'Backend engineer building Node.js APIs',
+  skills: [{ name: 'Node.js' }, { name: 'MongoDB' }],
+  experience: [{ position: 'Backend Engineer', description: 'Ran services on AWS', achievements: [] }],
+  education: [{ institution: 'University of Texas' }]
+};
+
+describe('atsScorer', () => {
+  describe('containsPhrase', () => {
+    it('matches skills with symbols on word boundaries', () => {
+      expect(containsPhrase('I know C++ well', 'C++')).toBe(true);
+      expect(containsPhrase('Use Java.', 'Java')).toBe(true);
+      expect(containsPhrase('javascripting', 'JavaScript')).toBe(false);
+    });
+  });
+
+  describe('extractJobKeywords', () => {
+    const keywords = extractJobKeywords(JOB_DESCRIPTION);
+    const byName = Object.fromEntries(keywords.map(keyword => [keyword.keyword, keyword]));
+
+    it('weights required skills above preferred ones', () => {
+      expect(byName['Node.js']).toMatchObject({ type: 'skill', weight: 4.5, importance: 'high' });
+      expect(byName.GraphQL).toMatchObject({ type: 'skill', weight: 1.8, importance: 'medium' });
+    });
+
+    it('keeps repeated terms and capitalized tool names but drops filler', () => {
+      expect(byName.APIs).toMatchObject({ type: 'term', occurrences: 2 });
+      expect(byName.Kafka).toBeDefined();
+      expect(byName.experience).toBeUndefined();
+      expect(byName.streaming).toBeUndefined();
+    });
+
+    it('sorts by weight', () => {
+      const weights = keywords.map(keyword => keyword.weight);
+      expect(weights).toEqual([...weights].sort((a, b) => b - a));
+    });
+  });
+
+  describe('scoreResume', () => {
+    const report = scoreResume(RESUME, JOB_DESCRIPTION, { targetJob: 'Backend Engineer' });
+
+    it('reports where each keyword was found and which are missing', () => {
+      expect(report.matchedKeywords.find(keyword => keyword.keyword === 'Node.js').foundIn).toEqual(['skills', 'summary']);
+      expect(report.matchedKeywords.find(keyword => keyword.keyword === 'AWS').foundIn).toEqual(['experience']);
+      expect(report.missingKeywords.map(keyword => keyword.keyword)).toEqual(['Docker', 'GraphQL', 'Kafka']);
+      expect(report.keywordCoverage).toEqual({ matched: 5, total: 8, percentage: 63, weightedPercentage: 69 });
+    });
+
+    it('combines the weighted components into the score', () => {
+      expect(report.scoreBreakdown.skillsSection.score).toBe(40);
+      expect(report.scoreBreakdown.titleMatch.score).toBe(100);
+      const total = Object.values(report.scoreBreakdown).reduce((sum, part) => sum + part.contribution, 0);
+      expect(report.atsScore).toBe(Math.round(total));
+      expect(report.atsScore).toBe(71);
+    });
+
+    it('scores the same input the same way every time', () => {
+      expect(scoreResume(RESUME, JOB_DESCRIPTION, { targetJob: 'Backend Engineer' })).toEqual(report);
+    });
+
+    it('flags missing sections, with empty experience and skills as errors', () => {
+      const { sectionIssues } = scoreResume({}, JOB_DESCRIPTION);
+      const severities = Object.fromEntries(sectionIssues.map(issue => [issue.section, issue.severity]));
+      expect(severities).toMatchObject({ summary: 'warning', experience: 'error', education: 'warning', skills: 'error' });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const certificationVerifiers = require('../services/certificationVerifiers');
+const { createReplayFetch } = require('../services/certificationVerifiers/httpFixtures');
+
+const FIXTURES_DIR = path.join(__dirname, '../services/certificationVerifiers/fixtures');
+const ADAPTERS_DIR = path.join(__dirname, '../services/certificationVerifiers/adapters');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')) }));
+
+// Fixture users are plain objects, so the User model's fullName virtual is filled in here
+const withFullName = (user = {}) => ({ fullName: [user.firstName, user.lastName].filter(Boolean).join(' '), ...user });
+
+describe('certificationVerifiers', () => {
+  it('has recorded fixtures for every adapter', () => {
+    const covered = new Set(fixtures.map(fixture => fixture.provider));
+    const uncovered = fs.readdirSync(ADAPTERS_DIR)
+      .map(file => require(path.join(ADAPTERS_DIR, file)).provider)
+      .filter(provider => !covered.has(provider));
+    expect(uncovered).toEqual([]);
+  });
+
+  describe.each(fixtures.map(fixture => [fixture.provider, fixture]))('%s', (provider, fixture) => {
+    it.each(fixture.cases.map(testCase => [testCase.name, testCase]))('%s', async (name, testCase) => {
+      const result = await certificationVerifiers.verifyCertification(
+        { provider, ...testCase.certification },
+        {
+          user: withFullName(testCase.user),
+          fetchImpl: createReplayFetch(testCase.exchanges),
+          now: testCase.now ? new Date(testCase.now) : undefined
+        }
+      );
+      expect(result.status).toBe(testCase.expect);
+    });
+  });
+});
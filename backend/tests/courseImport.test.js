@@ -0,0 +1,118 @@
+const Course = require('../models/Course');
+const { runCourseImport, upsertCourse } = require('../services/courseImport');
+const { normalizeCourseEntry } = require('../services/courseImport/normalize');
+const { mapRecord } = require('../services/courseImport/recordMapper');
+
+const CSV = `Course ID,Title,Description,Skills,Level,Duration (hours),Rating,Price,URL,Modules
+c-1,Intro to Node.js,Learn Node,"nodejs, Express",Beginner,10,4.5,$49.99,https://example.com/c-1,Basics|Streams
+c-2,,No title,,,,,,,`;
+
+const ROW = {
+  'Course ID': 'c-1',
+  Title: 'Intro to Node.js',
+  Description: 'Learn Node',
+  Skills: 'nodejs, Express',
+  Level: 'Beginner',
+  'Duration (hours)': '10',
+  Rating: '4.5',
+  Price: '$49.99',
+  URL: 'https://example.com/c-1',
+  Modules: 'Basics|Streams'
+};
+
+describe('courseImport', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeCourseEntry', () => {
+    it('maps a catalog row onto the Course schema and keeps the rating as a metric', () => {
+      const { course, metrics, errors } = normalizeCourseEntry(mapRecord(ROW), { provider: 'Udemy', mode: 'full' });
+
+      expect(errors).toEqual([]);
+      expect(course).toMatchObject({
+        title: 'Intro to Node.js',
+        provider: 'Udemy',
+        providerCourseId: 'c-1',
+        difficulty: 'Beginner',
+        duration: { hours: 10 },
+        pricing: { type: 'paid', amount: 49.99, currency: 'USD' },
+        modules: [{ title: 'Basics' }, { title: 'Streams' }]
+      });
+      expect(course.skillsTaught.map(skill => skill.name)).toEqual(['Node.js', 'Express']);
+      expect(metrics).toEqual({ 'rating.providerAverage': 4.5 });
+    });
+  });
+
+  describe('runCourseImport', () => {
+    it('creates valid courses and lists what is missing from the rest', async () => {
+      jest.spyOn(Course, 'findOne').mockResolvedValue(null);
+      const run = await runCourseImport({ adapter: 'csv', content: CSV, provider: 'Udemy', dryRun: true });
+
+      expect(run.status).toBe('completed');
+      expect(run.counts.toObject()).toMatchObject({ received: 2, created: 1, rejected: 1 });
+      expect(run.rejections[0]).toMatchObject({
+        index: 1,
+        providerCourseId: 'c-2',
+        reasons: ['Missing title', 'Missing URL', 'Missing difficulty', 'Missing duration', 'Missing price or pricing type']
+      });
+    });
+
+    it('never creates courses in a metrics run', async () => {
+      jest.spyOn(Course, 'findOne').mockResolvedValue(null);
+      const run = await runCourseImport({ adapter: 'csv', content: CSV, provider: 'Udemy', mode: 'metrics', dryRun: true });
+
+      expect(run.counts.created).toBe(0);
+      expect(run.rejections.map(rejection => rejection.reasons)).toEqual([
+        ['Course is not in the catalog yet; import it with a full run first'],
+        ['Course is not in the catalog yet; import it with a full run first']
+      ]);
+    });
+
+    it('refuses unknown providers and modes', async () => {
+      await expect(runCourseImport({ adapter: 'csv', content: CSV, provider: 'Nowhere' })).rejects.toThrow('Invalid provider "Nowhere"');
+      await expect(runCourseImport({ adapter: 'csv', content: CSV, mode: 'partial' })).rejects.toThrow('Invalid mode "partial"');
+    });
+  });
+
+  describe('upsertCourse', () => {
+    const normalized = () => normalizeCourseEntry(mapRecord(ROW), { provider: 'Udemy', mode: 'full' });
+    const stored = () => {
+      const { course, metrics } = normalized();
+      const doc = new Course(course);
+      Object.entries(metrics).forEach(([path, value]) => doc.set(path, value));
+      return doc;
+    };
+
+    it('leaves an identical course alone', async () => {
+      jest.spyOn(Course, 'findOne').mockResolvedValue(stored());
+      expect((await upsertCourse(normalized(), { dryRun: true })).outcome).toBe('unchanged');
+    });
+
+    it('updates catalog fields that changed', async () => {
+      const existing = stored();
+      existing.description = 'An older description';
+      jest.spyOn(Course, 'findOne').mockResolvedValue(existing);
+
+      const { outcome, course } = await upsertCourse(normalized(), { dryRun: true });
+      expect(outcome).toBe('updated');
+      expect(course.description).toBe('Learn Node');
+    });
+
+    it('only refreshes metrics in a metrics run', async () => {
+      const existing = stored();
+      existing.description = 'An older description';
+      existing.set('rating.providerAverage', 4.1);
+      jest.spyOn(Course, 'findOne').mockResolvedValue(existing);
+
+      const { course: fields } = normalized();
+      const { outcome, course } = await upsertCourse(
+        { course: fields, metrics: { 'rating.providerAverage': 4.5 } },
+        { mode: 'metrics', dryRun: true }
+      );
+      expect(outcome).toBe('refreshed');
+      expect(course.rating.providerAverage).toBe(4.5);
+      expect(course.description).toBe('An older description');
+    });
+  });
+});
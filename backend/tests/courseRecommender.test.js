@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const aiService = require('../services/aiService');
+const courseRecommender = require('../services/courseRecommender');
+
+const buildCourse = (title, { difficulty = 'Beginner', teaches = [], prerequisites = [] } = {}) => new Course({
+  title,
+  description: `${title} course`,
+  provider: 'Coursera',
+  providerCourseId: title.toLowerCase().replace(/\W+/g, '-'),
+  url: `https://example.com/${encodeURIComponent(title)}`,
+  category: 'Technology',
+  difficulty,
+  duration: { hours: 10 },
+  skillsTaught: teaches.map(name => ({ name })),
+  prerequisites,
+  pricing: { type: 'free' }
+});
+
+const buildUser = () => new User({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: 'secret123',
+  experienceLevel: 'entry',
+  skills: [{ name: 'JavaScript', category: 'technical', proficiencyLevel: 'intermediate' }]
+});
+
+// Four open Frontend Developer jobs: React in all, TypeScript in half, Jest in one
+const JOBS = [
+  ['JavaScript', 'React', 'TypeScript', 'Jest'],
+  ['JavaScript', 'React', 'TypeScript'],
+  ['JavaScript', 'React'],
+  ['JavaScript', 'React']
+].map(names => ({ requiredSkills: names.map(name => ({ name })) }));
+
+const mockJobFind = (jobs) => jest.spyOn(Job, 'find').mockReturnValue({
+  select: () => ({ sort: () => ({ limit: () => Promise.resolve(jobs) }) })
+});
+
+const mockCourseFind = (courses) => jest.spyOn(Course, 'find').mockReturnValue({
+  sort: () => ({ limit: () => Promise.resolve(courses) })
+});
+
+describe('courseRecommender', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('findSkillGaps', () => {
+    it('weights the skills open jobs ask for by how often they appear, leaving out skills the user has', async () => {
+      mockJobFind(JOBS);
+
+      const { source, gaps } = await courseRecommender.findSkillGaps(buildUser(), 'Frontend Developer');
+
+      expect(source).toBe('jobs');
+      expect(gaps.map(gap => [gap.name, gap.weight])).toEqual([['React', 3], ['TypeScript', 3], ['Jest', 2]]);
+      expect(gaps[1].reason).toBe('asked for in 50% of open Frontend Developer jobs');
+    });
+
+    it('falls back to the role template when no jobs match', async () => {
+      mockJobFind([]);
+      jest.spyOn(aiService, 'analyzeSkillGaps').mockResolvedValue({
+        skillGaps: [{ name: 'Docker', level: 'intermediate', priority: 'low' }],
+        existingStrengths: [{ name: 'JavaScript', level: 'advanced', priority: 'high' }]
+      });
+
+      const { source, gaps } = await courseRecommender.findSkillGaps(buildUser(), 'DevOps Engineer');
+
+      expect(source).toBe('role');
+      expect(gaps).toEqual([
+        expect.objectContaining({ name: 'Docker', weight: 1, reason: 'a low-priority skill for DevOps Engineer' }),
+        expect.objectContaining({ name: 'JavaScript', weight: 3 })
+      ]);
+    });
+  });
+
+  describe('recommendCourses', () => {
+    it('ranks courses by the share of the gap weight they cover, penalizing unsuitable ones', async () => {
+      mockJobFind(JOBS);
+      mockCourseFind([
+        buildCourse('React Fundamentals', { teaches: ['React'] }),
+        buildCourse('Advanced React Patterns', { difficulty: 'Advanced', teaches: ['React'], prerequisites: ['Redux'] }),
+        buildCourse('Testing TypeScript', { teaches: ['TypeScript', 'Jest'] })
+      ]);
+
+      const { recommendations, gapSource } = await courseRecommender.recommendCourses(buildUser(), {
+        careerPath: 'Frontend Developer'
+      });
+
+      expect(gapSource).toBe('jobs');
+      expect(recommendations.map(course => course.title))
+        .toEqual(['Testing TypeScript', 'React Fundamentals', 'Advanced React Patterns']);
+      expect(recommendations[0]).toMatchObject({
+        gapsFilled: ['TypeScript', 'Jest'],
+        scoreBreakdown: { gapCoverage: 0.63, suitable: true },
+        reason: "Teaches TypeScript and Jest, skills you're missing for Frontend Developer"
+      });
+      expect(recommendations[1].relevanceScore).toBeGreaterThan(recommendations[2].relevanceScore);
+      expect(recommendations[2].isSuitable).toBe(false);
+      expect(recommendations[2].reasons).toContain('Check the prerequisites first: Redux');
+    });
+
+    it('leaves out courses the user has taken and applies the filters', async () => {
+      mockJobFind(JOBS);
+      const find = mockCourseFind([]);
+      const user = buildUser();
+      const takenId = new mongoose.Types.ObjectId();
+      user.learningProgress.push({ courseId: takenId });
+
+      await courseRecommender.recommendCourses(user, { careerPath: 'Frontend Developer', difficulty: 'advanced', freeOnly: true });
+
+      expect(find).toHaveBeenCalledWith({
+        isActive: true,
+        difficulty: 'Advanced',
+        'pricing.type': 'free',
+        _id: { $nin: [takenId] }
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseReview = require('../models/CourseReview');
+const { checkEligibility, summarizeReviews, refreshCourseRating } = require('../services/courseReviews');
+
+const courseId = new mongoose.Types.ObjectId();
+
+describe('courseReviews', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.REVIEW_MIN_PROGRESS;
+  });
+
+  describe('checkEligibility', () => {
+    const user = (entry) => ({ learningProgress: entry ? [{ courseId, ...entry }] : [] });
+
+    it('needs an enrollment', () => {
+      expect(checkEligibility(user(), courseId)).toMatchObject({ eligible: false, progress: 0 });
+    });
+
+    it('opens reviews halfway through the course by default', () => {
+      expect(checkEligibility(user({ progress: 40 }), courseId)).toEqual({
+        eligible: false,
+        reason: 'Reviews open once you are 50% through the course (you are at 40%)',
+        progress: 40,
+        completed: false,
+        minProgress: 50
+      });
+      expect(checkEligibility(user({ progress: 50 }), courseId).eligible).toBe(true);
+    });
+
+    it('always lets learners who finished review, whatever the threshold', () => {
+      process.env.REVIEW_MIN_PROGRESS = '150';
+      expect(checkEligibility(user({ progress: 90 }), courseId)).toMatchObject({ eligible: false, minProgress: 100 });
+      expect(checkEligibility(user({ progress: 90, status: 'completed' }), String(courseId)).eligible).toBe(true);
+    });
+  });
+
+  describe('summarizeReviews', () => {
+    it('counts published reviews per star', async () => {
+      const aggregate = jest.spyOn(CourseReview, 'aggregate').mockResolvedValue([
+        { _id: 5, count: 3 },
+        { _id: 2, count: 1 }
+      ]);
+
+      expect(await summarizeReviews(courseId)).toEqual({
+        average: 4.25,
+        count: 4,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 3 }
+      });
+      expect(aggregate.mock.calls[0][0][0].$match).toEqual({ courseId, status: 'published' });
+    });
+
+    it('has no average without reviews', async () => {
+      jest.spyOn(CourseReview, 'aggregate').mockResolvedValue([]);
+      expect(await summarizeReviews(courseId)).toMatchObject({ average: null, count: 0 });
+    });
+  });
+
+  describe('refreshCourseRating', () => {
+    const refresh = async (course, groups) => {
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      jest.spyOn(Course.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(CourseReview, 'aggregate').mockResolvedValue(groups);
+      return refreshCourseRating(courseId);
+    };
+
+    it('blends reviews with a legacy provider rating', async () => {
+      const course = new Course({ title: 'Node.js Fundamentals', rating: { average: 4.6, count: 200 } });
+      const { rating, qualityScore } = await refresh(course, [{ _id: 3, count: 50 }]);
+
+      expect(rating.toObject()).toEqual({
+        average: 4.28,
+        count: 250,
+        providerAverage: 4.6,
+        providerCount: 200,
+        reviewAverage: 3,
+        reviewCount: 50
+      });
+      expect(qualityScore).toBe(8.5);
+    });
+
+    it('keeps a single review from dominating the quality score', async () => {
+      const course = new Course({ title: 'Node.js Fundamentals' });
+      const { rating, qualityScore } = await refresh(course, [{ _id: 5, count: 1 }]);
+
+      expect(rating.average).toBe(5);
+      expect(qualityScore).toBe(7.3);
+    });
+
+    it('clears the rating when the last review is removed', async () => {
+      const course = new Course({ title: 'Node.js Fundamentals', rating: { reviewAverage: 4, reviewCount: 1, average: 4, count: 1 } });
+      const { rating, qualityScore } = await refresh(course, []);
+
+      expect(rating.average).toBeUndefined();
+      expect(rating.count).toBe(0);
+      expect(qualityScore).toBeUndefined();
+    });
+
+    it('returns null for a deleted course', async () => {
+      expect(await refresh(null, [])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { buildCalendar } = require('../services/icalendar');
+
+const EVENT = {
+  uid: 'session-1@disha.ai',
+  start: new Date('2026-03-23T17:00:00Z'),
+  end: new Date('2026-03-23T18:30:00Z'),
+  summary: 'Study: React; hooks, state',
+  description: 'Module 2\nBring notes',
+  url: 'https://disha.ai/courses/1',
+  categories: ['Course', 'React'],
+  status: 'CONFIRMED',
+  sequence: 2
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('icalendar', () => {
+  it('writes a calendar with CRLF line endings', () => {
+    const ics = buildCalendar({ name: 'My study plan', refreshHours: 6, events: [] });
+    const lines = ics.split('\r\n');
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    expect(lines.slice(0, 5)).toEqual(['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Disha AI//Career Builder//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH']);
+    expect(lines).toEqual(expect.arrayContaining([
+      'X-WR-CALNAME:My study plan',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+      'X-PUBLISHED-TTL:PT6H'
+    ]));
+    expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+  });
+
+  it('writes events in UTC with escaped text', () => {
+    const lines = buildCalendar({ events: [EVENT] }).split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VEVENT',
+      'UID:session-1@disha.ai',
+      'DTSTART:20260323T170000Z',
+      'DTEND:20260323T183000Z',
+      'SUMMARY:Study: React\\; hooks\\, state',
+      'DESCRIPTION:Module 2\\nBring notes',
+      'URL:https://disha.ai/courses/1',
+      'CATEGORIES:Course,React',
+      'STATUS:CONFIRMED',
+      'SEQUENCE:2',
+      'END:VEVENT'
+    ]));
+    expect(lines.find(line => line.startsWith('DTSTAMP:'))).toMatch(/^DTSTAMP:\d{8}T\d{6}Z$/);
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const summary = 'Ünïcödé '.repeat(20).trim();
+    const ics = buildCalendar({ events: [{ ...EVENT, summary }] });
+    ics.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(ics)).toContain(`SUMMARY:${summary}`);
+  });
+});
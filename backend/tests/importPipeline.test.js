@@ -0,0 +1,108 @@
+const { createImportPipeline, changedFields } = require('../services/importPipeline');
+const { cleanText, normalizeList, normalizeSkills, parseNumber, parseDate, parseBoolean, isBlank } = require('../services/importPipeline/fields');
+const { pickFields } = require('../services/importPipeline/recordMapper');
+const { findJsonLdNodes, identifierOf } = require('../services/importPipeline/jsonLd');
+const { createCsvAdapter } = require('../services/importPipeline/adapters/csvAdapter');
+const Course = require('../models/Course');
+
+describe('importPipeline', () => {
+  describe('fields', () => {
+    it('strips markup and entities', () => {
+      expect(cleanText('<p>Build APIs &amp; services</p><ul><li>Node</li></ul>')).toBe('Build APIs & services • Node');
+      expect(cleanText('<p>One</p><p>Two</p>', { keepParagraphs: true })).toBe('One\nTwo');
+      expect(cleanText(null)).toBe('');
+    });
+
+    it('reads lists from strings and arrays', () => {
+      expect(normalizeList('a, b; c | d')).toEqual(['a', 'b', 'c', 'd']);
+      expect(normalizeList([{ name: 'React' }, ' Vue ', ''])).toEqual(['React', 'Vue']);
+      expect(normalizeSkills('nodejs, Node.js, MongoDB')).toEqual(['Node.js', 'MongoDB']);
+    });
+
+    it('parses loosely formatted numbers, dates and flags', () => {
+      expect(parseNumber('$1,299.00')).toBe(1299);
+      expect(parseNumber('n/a')).toBeUndefined();
+      expect(parseDate('2026-01-02')).toEqual(new Date('2026-01-02'));
+      expect(parseDate('soon')).toBeNull();
+      expect(['Yes', 'true', '1', true].map(parseBoolean)).toEqual([true, true, true, true]);
+      expect(parseBoolean('no')).toBe(false);
+      expect([undefined, '  ', []].every(isBlank)).toBe(true);
+    });
+  });
+
+  describe('record mapping', () => {
+    it('matches column aliases whatever their spelling, with overrides', () => {
+      const aliases = { title: ['title', 'jobtitle'], company: ['company'] };
+      expect(pickFields({ 'Job Title': 'Engineer', company: ' ' }, aliases)).toEqual({ title: 'Engineer' });
+      expect(pickFields({ Role: 'Engineer' }, aliases, { title: 'Role' })).toEqual({ title: 'Engineer' });
+    });
+  });
+
+  describe('JSON-LD', () => {
+    it('finds typed nodes across script blocks, skipping malformed ones', () => {
+      const page = [
+        '<script type="application/ld+json">{ broken</script>',
+        '<script type="application/ld+json">{"@type":"ItemList","itemListElement":[{"item":{"@type":"Course","name":"A"}}]}</script>'
+      ].join('');
+      expect(findJsonLdNodes(page, 'Course')).toEqual([{ '@type': 'Course', name: 'A' }]);
+      expect(identifierOf([{ '@type': 'PropertyValue', value: 42 }])).toBe('42');
+    });
+  });
+
+  describe('run', () => {
+    class FakeRun {
+      constructor(fields) {
+        Object.assign(this, fields, { counts: { received: 0, created: 0, rejected: 0 }, rejections: [] });
+      }
+
+      reject(index, record, reasons) {
+        this.counts.rejected += 1;
+        this.rejections.push({ index, ...record, reasons });
+      }
+    }
+
+    const pipeline = createImportPipeline({
+      label: 'Test',
+      userAgent: 'Test/1.0',
+      idLabel: 'id',
+      Run: FakeRun,
+      adapters: [createCsvAdapter({ description: 'CSV', mapRecord: record => record })]
+    });
+
+    const hooks = {
+      normalize: (record) => ({ value: record, id: record.id, errors: record.name ? [] : ['Missing name'] }),
+      rejection: (record) => ({ id: record.id }),
+      validate: () => null,
+      upsert: async (value) => (value.name === 'taken' ? { rejected: ['Name is taken'] } : 'created')
+    };
+
+    it('normalizes, de-duplicates and upserts every record', async () => {
+      const run = await pipeline.run({ adapter: 'csv', content: 'id,name\n1,a\n1,b\n2,\n3,taken\n4,d', dryRun: true }, hooks);
+
+      expect(run.status).toBe('completed');
+      expect(run.counts).toEqual({ received: 5, created: 2, rejected: 3 });
+      expect(run.rejections).toEqual([
+        { index: 1, id: '1', reasons: ['Duplicate id "1" in this input'] },
+        { index: 2, id: '2', reasons: ['Missing name'] },
+        { index: 3, id: '3', reasons: ['Name is taken'] }
+      ]);
+    });
+
+    it('needs an input and a known adapter', async () => {
+      await expect(pipeline.run({ adapter: 'csv', dryRun: true }, hooks)).rejects.toThrow('Provide a url, file or content to import');
+      await expect(pipeline.run({ adapter: 'xml', content: '' }, hooks)).rejects.toThrow('Unknown adapter "xml". Available: csv');
+      expect(() => pipeline.registerAdapter({ name: 'broken' })).toThrow('Adapters need a name');
+    });
+  });
+
+  describe('changedFields', () => {
+    it('compares documents without ids or key order getting in the way', () => {
+      const existing = new Course({ title: 'Node', modules: [{ title: 'Basics', duration: 2 }] });
+      const same = new Course({ modules: [{ duration: 2, title: 'Basics' }], title: 'Node' });
+      const longer = new Course({ title: 'Node', modules: [{ title: 'Basics', duration: 3 }] });
+
+      expect(changedFields(existing, same, ['title', 'modules'])).toEqual([]);
+      expect(changedFields(existing, longer, ['title', 'modules'])).toEqual(['modules']);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const Job = require('../models/Job');
+const { runIngestion, listAdapters } = require('../services/ingestion');
+const { normalizeJobPosting } = require('../services/ingestion/normalize');
+const { mapRecord } = require('../services/ingestion/recordMapper');
+const jsonLdAdapter = require('../services/ingestion/adapters/jsonLdAdapter');
+const rssAdapter = require('../services/ingestion/adapters/rssAdapter');
+
+const DEFAULTS = { country: 'US', industry: 'Technology' };
+
+const CSV = `Job Title,Company,Location,Job ID,Description,Skills,Salary Min,Type
+Backend Engineer,Acme,"Austin, TX",a-1,<p>Build APIs &amp; services</p>,"nodejs; MongoDB","$120,000",Full-time
+Backend Engineer,Acme,"Austin, TX",a-1,Same posting again,,,
+,Acme,"Austin, TX",a-3,No title,,,`;
+
+const JSON_LD_PAGE = `<html><head><script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@graph': [{
+    '@type': 'JobPosting',
+    title: 'Data Analyst',
+    hiringOrganization: { name: 'Globex' },
+    identifier: { '@type': 'PropertyValue', value: 'g-7' },
+    description: 'Analyze data',
+    datePosted: '2026-01-02',
+    employmentType: 'PART_TIME',
+    jobLocation: { address: { addressLocality: 'Denver', addressRegion: 'CO', addressCountry: 'US' } }
+  }]
+})}</script></head></html>`;
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel><item>
+  <title>QA Engineer at Initech</title>
+  <link>https://example.com/jobs/1</link>
+  <guid>rss-1</guid>
+  <description>Test things</description>
+  <pubDate>Mon, 05 Jan 2026 10:00:00 GMT</pubDate>
+</item></channel></rss>`;
+
+describe('ingestion', () => {
+  describe('adapters', () => {
+    it('lists the built-in formats', () => {
+      expect(listAdapters().map(adapter => adapter.name)).toEqual(['jsonld', 'rss', 'csv', 'json']);
+    });
+
+    it('reads JobPosting markup nested in a page', () => {
+      expect(jsonLdAdapter.parse(JSON_LD_PAGE)).toEqual([expect.objectContaining({
+        externalId: 'g-7',
+        title: 'Data Analyst',
+        company: 'Globex',
+        location: { city: 'Denver', state: 'CO', country: 'US' },
+        employmentType: 'PART_TIME'
+      })]);
+    });
+
+    it('splits "Title at Company" feed titles', () => {
+      expect(rssAdapter.parse(RSS)[0]).toMatchObject({ externalId: 'rss-1', title: 'QA Engineer', company: 'Initech' });
+      expect(() => rssAdapter.parse('<html></html>')).toThrow('Input is not an RSS or Atom feed');
+    });
+  });
+
+  describe('normalizeJobPosting', () => {
+    it('maps aliased columns onto the Job schema', () => {
+      const posting = mapRecord({
+        'Job Title': 'Backend Engineer',
+        Company: 'Acme',
+        Location: 'Austin, TX',
+        'Job ID': 'a-1',
+        Description: '<p>Build APIs &amp; services</p>',
+        Skills: 'nodejs; MongoDB',
+        'Salary Min': '$120,000',
+        Type: 'Full-time'
+      });
+      const { job, errors } = normalizeJobPosting(posting, { platform: 'Other', defaults: DEFAULTS });
+
+      expect(errors).toEqual([]);
+      expect(job).toMatchObject({
+        title: 'Backend Engineer',
+        description: 'Build APIs & services',
+        location: { city: 'Austin', state: 'TX', country: 'US' },
+        employmentType: 'full-time',
+        industry: 'Technology',
+        salary: { min: 120000, currency: 'USD', period: 'yearly' },
+        source: { platform: 'Other', externalId: 'a-1' }
+      });
+      expect(job.requiredSkills.map(skill => skill.name)).toEqual(['Node.js', 'MongoDB']);
+    });
+  });
+
+  describe('runIngestion', () => {
+    beforeEach(() => {
+      jest.spyOn(Job, 'findOne').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('counts what a dry run would create and why records were rejected', async () => {
+      const run = await runIngestion({ adapter: 'csv', content: CSV, dryRun: true, defaults: DEFAULTS });
+
+      expect(run.status).toBe('completed');
+      expect(run.counts.toObject()).toMatchObject({ received: 3, created: 1, rejected: 2 });
+      expect(run.rejections.map(({ index, externalId, reasons }) => ({ index, externalId, reasons }))).toEqual([
+        { index: 1, externalId: 'a-1', reasons: ['Duplicate externalId "a-1" in this input'] },
+        { index: 2, externalId: 'a-3', reasons: ['Missing title'] }
+      ]);
+    });
+
+    it.each([
+      ['jsonld', JSON_LD_PAGE],
+      ['rss', RSS],
+      ['json', JSON.stringify({ jobs: [{ id: 'h-1', title: 'Product Manager', company: 'Hooli', description: 'Plan', location: 'Remote' }] })]
+    ])('imports %s input', async (adapter, content) => {
+      const run = await runIngestion({ adapter, content, dryRun: true, defaults: DEFAULTS });
+      expect(run.status).toBe('completed');
+      expect(run.counts.created).toBe(1);
+    });
+
+    it('fails the run on unreadable input', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const run = await runIngestion({ adapter: 'json', content: '{ not json', dryRun: true });
+      expect(run.status).toBe('failed');
+      expect(run.error).toMatch(/JSON/);
+    });
+
+    it('refuses unknown adapters and platforms', async () => {
+      await expect(runIngestion({ adapter: 'xml', content: '' })).rejects.toThrow('Unknown adapter "xml"');
+      await expect(runIngestion({ adapter: 'csv', content: '', platform: 'Craigslist' })).rejects.toThrow('Invalid platform "Craigslist"');
+    });
+  });
+});
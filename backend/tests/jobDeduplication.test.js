@@ -0,0 +1,109 @@
+const Job = require('../models/Job');
+const { buildDedupeKey, compareJobs, mergeJobs } = require('../services/jobDeduplication');
+
+const DESCRIPTION = 'We are hiring a senior backend engineer to design and build scalable APIs in Node.js, ' +
+  'own our MongoDB data model and mentor other engineers on the platform team.';
+
+const buildJob = (overrides = {}) => new Job({
+  title: 'Senior Backend Engineer',
+  company: 'Acme, Inc.',
+  description: DESCRIPTION,
+  location: { city: 'Austin', state: 'TX', country: 'US' },
+  employmentType: 'full-time',
+  experienceLevel: 'senior',
+  industry: 'Technology',
+  experienceRequirements: { minimumYears: 5 },
+  source: { platform: 'LinkedIn', externalId: 'li-1' },
+  sources: [{ platform: 'LinkedIn', externalId: 'li-1' }],
+  postedDate: new Date('2026-01-05'),
+  ...overrides
+});
+
+describe('jobDeduplication', () => {
+  describe('buildDedupeKey', () => {
+    it('ignores company suffixes, punctuation and case', () => {
+      expect(buildDedupeKey(buildJob({ company: 'ACME Corp' }))).toBe(buildDedupeKey(buildJob({ company: 'Acme, Inc.' })));
+    });
+
+    it('keeps different locations apart', () => {
+      const austin = buildJob();
+      const denver = buildJob({ location: { city: 'Denver', state: 'CO', country: 'US' } });
+      expect(buildDedupeKey(austin)).not.toBe(buildDedupeKey(denver));
+    });
+  });
+
+  describe('compareJobs', () => {
+    it('treats abbreviated titles with the same description as duplicates', () => {
+      const comparison = compareJobs(
+        buildJob({ title: 'Sr. Backend Engineer' }),
+        buildJob({ company: 'ACME Corp', description: `${DESCRIPTION} Apply today.` })
+      );
+      expect(comparison).toEqual({ isDuplicate: true, titleSimilarity: 1, descriptionSimilarity: 0.93 });
+    });
+
+    it('keeps different roles at the same company apart', () => {
+      const comparison = compareJobs(buildJob(), buildJob({ title: 'Product Designer' }));
+      expect(comparison.isDuplicate).toBe(false);
+      expect(comparison.descriptionSimilarity).toBe(1);
+    });
+
+    it('does not compare postings from different companies', () => {
+      expect(compareJobs(buildJob(), buildJob({ company: 'Globex' }))).toEqual({
+        isDuplicate: false,
+        titleSimilarity: 0,
+        descriptionSimilarity: 0
+      });
+    });
+  });
+
+  describe('mergeJobs', () => {
+    let updateMany;
+    let save;
+
+    beforeEach(() => {
+      updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      save = jest.spyOn(Job.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('moves sources and missing fields onto the canonical listing', async () => {
+      const canonical = buildJob({ views: 10 });
+      const duplicate = buildJob({
+        source: { platform: 'Indeed', externalId: 'in-9' },
+        sources: [{ platform: 'Indeed', externalId: 'in-9' }],
+        salary: { min: 150000, max: 180000 },
+        requiredSkills: [{ name: 'Node.js', level: 'advanced', priority: 'high' }],
+        applicationUrl: 'https://jobs.example.com/9',
+        views: 4
+      });
+
+      await mergeJobs(canonical, duplicate);
+
+      expect(canonical.sources.map(entry => entry.platform)).toEqual(['LinkedIn', 'Indeed']);
+      expect(canonical.sources[1].jobId).toEqual(duplicate._id);
+      expect(canonical.salary.min).toBe(150000);
+      expect(canonical.requiredSkills[0]).toMatchObject({ name: 'Node.js', level: 'advanced', priority: 'high' });
+      expect(canonical.applicationUrl).toBe('https://jobs.example.com/9');
+      expect(canonical.views).toBe(14);
+      expect(duplicate.duplicateOf).toEqual(canonical._id);
+      expect(updateMany).toHaveBeenCalledWith({ duplicateOf: duplicate._id }, { $set: { duplicateOf: canonical._id } });
+      expect(save).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not list a source twice or overwrite what the canonical listing has', async () => {
+      const canonical = buildJob({ salary: { min: 120000 } });
+      const duplicate = buildJob({ salary: { min: 150000, max: 180000 } });
+
+      await mergeJobs(canonical, duplicate);
+
+      expect(canonical.sources).toHaveLength(1);
+      expect(canonical.sources[0].jobId).toEqual(duplicate._id);
+      expect(canonical.salary.min).toBe(120000);
+    });
+  });
+});
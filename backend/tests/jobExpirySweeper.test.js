@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Application = require('../models/Application');
+const notificationService = require('../services/notificationService');
+const { sweepExpiredJobs, flagStaleJobs } = require('../services/jobExpirySweeper');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildJob = (title, dates = {}) => new Job({ title, company: 'Acme', status: 'active', ...dates });
+
+describe('jobExpirySweeper', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('sweepExpiredJobs', () => {
+    let notifyJobsExpired;
+
+    beforeEach(() => {
+      jest.spyOn(Job.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+      jest.spyOn(Application, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+      notifyJobsExpired = jest.spyOn(notificationService, 'notifyJobsExpired').mockResolvedValue({});
+    });
+
+    it('expires postings past their expiry date or deadline, recording why', async () => {
+      const pastExpiry = buildJob('Backend Engineer', { expiryDate: new Date(NOW.getTime() - DAY_MS) });
+      const pastDeadline = buildJob('Data Engineer', { applicationDeadline: new Date(NOW.getTime() - DAY_MS) });
+      const find = jest.spyOn(Job, 'find').mockReturnValue({ limit: () => Promise.resolve([pastExpiry, pastDeadline]) });
+
+      const summary = await sweepExpiredJobs({ now: NOW });
+
+      expect(summary).toEqual({ expired: 2, notified: 0 });
+      expect(find).toHaveBeenCalledWith({
+        status: 'active',
+        $or: [{ expiryDate: { $lte: NOW } }, { applicationDeadline: { $lte: NOW } }]
+      });
+      expect(pastExpiry.status).toBe('expired');
+      expect(pastExpiry.statusHistory[0]).toMatchObject({
+        from: 'active', to: 'expired', reason: 'Expiry date passed', changedBy: 'expiry-sweeper'
+      });
+      expect(pastDeadline.statusHistory[0].reason).toBe('Application deadline passed');
+    });
+
+    it('notifies each saver and applicant once, linking applicants to their applications', async () => {
+      const first = buildJob('Backend Engineer', { expiryDate: new Date(NOW.getTime() - DAY_MS) });
+      const second = buildJob('Data Engineer', { expiryDate: new Date(NOW.getTime() - DAY_MS) });
+      jest.spyOn(Job, 'find').mockReturnValue({ limit: () => Promise.resolve([first, second]) });
+      const saver = { _id: new mongoose.Types.ObjectId(), savedJobs: [{ jobId: first._id }, { jobId: second._id }] };
+      const applicantId = new mongoose.Types.ObjectId();
+      User.find.mockReturnValue({ select: () => Promise.resolve([saver]) });
+      Application.find.mockReturnValue({ select: () => Promise.resolve([{ userId: applicantId, jobId: second._id }]) });
+
+      const summary = await sweepExpiredJobs({ now: NOW });
+
+      expect(summary.notified).toBe(2);
+      expect(notifyJobsExpired).toHaveBeenCalledWith(saver._id.toString(), [first, second], { link: '/jobs' });
+      expect(notifyJobsExpired).toHaveBeenCalledWith(applicantId.toString(), [second], { link: '/applications' });
+    });
+
+    it('keeps notifying other users when one notification fails', async () => {
+      const job = buildJob('Backend Engineer', { expiryDate: new Date(NOW.getTime() - DAY_MS) });
+      jest.spyOn(Job, 'find').mockReturnValue({ limit: () => Promise.resolve([job]) });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const applications = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+        .map(userId => ({ userId, jobId: job._id }));
+      Application.find.mockReturnValue({ select: () => Promise.resolve(applications) });
+      notifyJobsExpired.mockRejectedValueOnce(new Error('mail down'));
+
+      const summary = await sweepExpiredJobs({ now: NOW });
+
+      expect(summary.notified).toBe(1);
+      expect(notifyJobsExpired).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('flagStaleJobs', () => {
+    it('flags postings no source refreshed within the window and clears refreshed ones', async () => {
+      const updateMany = jest.spyOn(Job, 'updateMany')
+        .mockResolvedValueOnce({ modifiedCount: 3 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      const cutoff = new Date(NOW.getTime() - 7 * DAY_MS);
+
+      const summary = await flagStaleJobs({ now: NOW, windowDays: 7 });
+
+      expect(summary).toEqual({ flagged: 3, cleared: 1 });
+      expect(updateMany).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        status: 'active',
+        duplicateOf: null,
+        'sources.lastUpdated': { $exists: true },
+        sources: { $not: { $elemMatch: { lastUpdated: { $gte: cutoff } } } }
+      }), { $set: { isStale: true, staleSince: NOW } });
+      expect(updateMany).toHaveBeenNthCalledWith(2,
+        { isStale: true, sources: { $elemMatch: { lastUpdated: { $gte: cutoff } } } },
+        { $set: { isStale: false }, $unset: { staleSince: 1 } });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const Job = require('../models/Job');
+
+const buildJob = (overrides = {}) => new Job({
+  title: 'Backend Engineer',
+  company: 'Acme',
+  description: 'Build APIs',
+  location: { city: 'Austin', country: 'US' },
+  employmentType: 'full-time',
+  experienceLevel: 'mid',
+  industry: 'Technology',
+  experienceRequirements: { minimumYears: 4 },
+  salary: { min: 100000 },
+  educationRequirements: { minimumDegree: 'bachelor' },
+  requiredSkills: [
+    { name: 'Node.js', level: 'advanced', priority: 'high' },
+    { name: 'MongoDB', level: 'intermediate' },
+    { name: 'Docker', priority: 'low' }
+  ],
+  preferredSkills: [{ name: 'GraphQL' }],
+  source: { platform: 'Other' },
+  postedDate: new Date('2026-01-05'),
+  ...overrides
+});
+
+const USER = {
+  skills: [
+    { name: 'Node.js', proficiencyLevel: 'intermediate' },
+    { name: 'MongoDB', proficiencyLevel: 'expert' },
+    { name: 'GraphQL' }
+  ],
+  experience: [{ startDate: '2020-01-01', endDate: '2022-01-01' }],
+  location: { city: 'Denver' },
+  desiredSalaryRange: { min: 125000 },
+  education: [{ degree: 'Bachelor of Science' }]
+};
+
+describe('Job match score', () => {
+  describe('getMatchBreakdown', () => {
+    const breakdown = buildJob().getMatchBreakdown(USER);
+    const factor = (name) => breakdown.factors.find(item => item.factor === name);
+
+    it('lists every factor with its weight', () => {
+      expect(breakdown.factors.map(item => [item.factor, item.weight, item.maxContribution])).toEqual([
+        ['skills', 0.35, 35],
+        ['experience', 0.25, 25],
+        ['location', 0.15, 15],
+        ['salary', 0.15, 15],
+        ['education', 0.1, 10]
+      ]);
+    });
+
+    it('adds the contributions up to the score', () => {
+      const total = breakdown.factors.reduce((sum, item) => sum + item.contribution, 0);
+      expect(breakdown.score).toBe(68);
+      expect(Math.abs(total - breakdown.score)).toBeLessThan(1);
+      expect(buildJob().calculateMatchScore(USER)).toBe(breakdown.score);
+    });
+
+    it('explains each factor', () => {
+      expect(factor('experience')).toMatchObject({
+        value: 0.5,
+        summary: 'You have 2 of the 4 years required',
+        details: { userYears: 2, requiredYears: 4 }
+      });
+      expect(factor('location')).toMatchObject({ value: 0.3, summary: 'Located in Austin, not Denver' });
+      expect(factor('salary')).toMatchObject({ value: 0.8, summary: 'Starts 20% below your expected minimum' });
+      expect(factor('education')).toMatchObject({ value: 1, summary: 'Meets the education requirement' });
+    });
+
+    it('scores remote roles and unknown salaries neutrally', () => {
+      const remote = buildJob({ location: { country: 'US', isRemote: true }, salary: {} }).getMatchBreakdown(USER);
+      expect(remote.factors.find(item => item.factor === 'location')).toMatchObject({ value: 1, summary: 'Remote role' });
+      expect(remote.factors.find(item => item.factor === 'salary')).toMatchObject({ value: 0.8, summary: 'Salary not listed' });
+    });
+  });
+  describe('skill proficiency', () => {
+    const skills = buildJob().getMatchBreakdown(USER).factors.find(item => item.factor === 'skills');
+
+    it('gives partial credit for skills held below the level asked', () => {
+      // Node.js 2/3 of high (3) + MongoDB full medium (2) + Docker none of low (1) = 4/6, plus the full preferred bonus
+      expect(skills.value).toBe(0.82);
+      expect(skills.summary).toBe('You meet 1 of 3 required skills, 1 below the level asked (plus 1 preferred)');
+      expect(skills.details).toEqual({
+        matched: ['MongoDB'],
+        missing: ['Docker'],
+        underqualified: [{ name: 'Node.js', requiredLevel: 'advanced', userLevel: 'intermediate' }],
+        preferredMatched: ['GraphQL']
+      });
+    });
+
+    it('matches skills through taxonomy aliases', () => {
+      const user = { ...USER, skills: [{ name: 'NodeJS', proficiencyLevel: 'expert' }] };
+      expect(buildJob().getSkillGaps(user).missing.map(skill => skill.name)).toEqual(['MongoDB', 'Docker']);
+    });
+
+    it('splits gaps into missing, underqualified and preferred skills', () => {
+      const gaps = buildJob().getSkillGaps({ ...USER, skills: [{ name: 'Node.js', proficiencyLevel: 'beginner' }] });
+      expect(gaps).toEqual({
+        missing: [
+          { name: 'MongoDB', requiredLevel: 'intermediate', userLevel: null, priority: 'medium' },
+          { name: 'Docker', requiredLevel: null, userLevel: null, priority: 'low' }
+        ],
+        underqualified: [{ name: 'Node.js', requiredLevel: 'advanced', userLevel: 'beginner', priority: 'high' }],
+        preferredMissing: [{ name: 'GraphQL', requiredLevel: null, userLevel: null, priority: 'low' }]
+      });
+    });
+
+    it('counts required skills flagged optional as preferred', () => {
+      const job = buildJob({ requiredSkills: [{ name: 'Docker', isRequired: false }], preferredSkills: [] });
+      const factor = job.getMatchBreakdown({ ...USER, skills: [] }).factors.find(item => item.factor === 'skills');
+      expect(factor).toMatchObject({ value: 1, summary: 'No specific skills required' });
+      expect(job.getSkillGaps({ skills: [] }).preferredMissing.map(skill => skill.name)).toEqual(['Docker']);
+    });
+  });
+});
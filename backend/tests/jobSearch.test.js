@@ -0,0 +1,59 @@
+const { buildSearchCriteria, normalizeSearchParams } = require('../services/jobSearch');
+
+describe('jobSearch', () => {
+  describe('buildSearchCriteria', () => {
+    it('only matches open, canonical postings', () => {
+      const criteria = buildSearchCriteria({});
+
+      expect(criteria).toMatchObject({ status: 'active', duplicateOf: null });
+      expect(criteria.$and).toEqual(expect.arrayContaining([
+        { $or: [{ expiryDate: null }, { expiryDate: { $gt: expect.any(Date) } }] }
+      ]));
+    });
+
+    it('matches jobs posted or added after the since date', () => {
+      const since = new Date('2026-03-01T00:00:00Z');
+
+      const criteria = buildSearchCriteria({ query: 'node' }, { since });
+
+      expect(criteria.$text).toEqual({ $search: 'node' });
+      expect(criteria.$and).toContainEqual({
+        $or: [{ createdAt: { $gt: since } }, { postedDate: { $gt: since } }]
+      });
+    });
+
+    it('keeps the location and since conditions side by side', () => {
+      const since = new Date('2026-03-01T00:00:00Z');
+
+      const { $and: conditions } = buildSearchCriteria({ location: 'San Francisco (CA)' }, { since });
+      const location = conditions.find(condition => condition.$or?.some(option => option['location.city']));
+
+      expect(location.$or[0]['location.city'].test('san francisco (ca)')).toBe(true);
+      expect(location.$or[0]['location.city'].test('San Francisco CA')).toBe(false);
+      expect(conditions).toContainEqual({ $or: [{ createdAt: { $gt: since } }, { postedDate: { $gt: since } }] });
+    });
+
+    it('leaves out the since condition without a previous run', () => {
+      const { $and: conditions } = buildSearchCriteria({ remote: 'true', salaryMin: '90000' });
+      const sinceCondition = conditions.find(condition => condition.$or?.some(option => option.createdAt));
+
+      expect(sinceCondition).toBeUndefined();
+    });
+  });
+
+  describe('normalizeSearchParams', () => {
+    it('keeps only search parameters, parsed and trimmed', () => {
+      const params = normalizeSearchParams({
+        query: '  node ',
+        remote: 'true',
+        skills: 'Node.js, MongoDB,',
+        salaryMin: '90000',
+        postedSince: 'soon',
+        location: '',
+        sortBy: 'salary'
+      });
+
+      expect(params).toEqual({ query: 'node', remote: true, skills: ['Node.js', 'MongoDB'], salaryMin: 90000 });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const LearningList = require('../models/LearningList');
+const learningLists = require('../services/learningLists');
+
+const buildCourse = (title, fields = {}) => new Course({
+  title,
+  description: `${title} course`,
+  provider: 'Coursera',
+  providerCourseId: title.toLowerCase().replace(/\W+/g, '-'),
+  url: `https://example.com/${encodeURIComponent(title)}`,
+  category: 'Technology',
+  difficulty: 'Beginner',
+  duration: { hours: 12 },
+  pricing: { type: 'free' },
+  ...fields
+});
+
+const buildList = () => new LearningList({ userId: new mongoose.Types.ObjectId(), name: 'Cloud cert prep' });
+
+describe('learning lists', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('reorderCourses', () => {
+    const first = buildCourse('AWS Basics');
+    const second = buildCourse('GCP Basics');
+    const third = buildCourse('Azure Basics');
+
+    const buildFullList = () => {
+      const list = buildList();
+      [first, second, third].forEach(course => list.addCourse(course, `Note on ${course.title}`));
+      return list;
+    };
+
+    it('puts the courses in the given order, keeping their notes', () => {
+      const list = buildFullList();
+
+      expect(list.reorderCourses([third._id, first._id.toString(), second._id])).toBe(true);
+      expect(list.items.map(item => item.title)).toEqual(['Azure Basics', 'AWS Basics', 'GCP Basics']);
+      expect(list.items[0].note).toBe('Note on Azure Basics');
+    });
+
+    it.each([
+      ['a course is missing', () => [first._id, second._id]],
+      ['a course is repeated', () => [first._id, second._id, second._id]],
+      ['a course is not in the list', () => [first._id, second._id, new mongoose.Types.ObjectId()]]
+    ])('refuses the order when %s', (description, ids) => {
+      const list = buildFullList();
+
+      expect(list.reorderCourses(ids())).toBe(false);
+      expect(list.items.map(item => item.title)).toEqual(['AWS Basics', 'GCP Basics', 'Azure Basics']);
+    });
+  });
+
+  describe('exportList', () => {
+    const addedAt = new Date('2026-03-01T09:00:00Z');
+    let list;
+    let removed;
+
+    beforeEach(() => {
+      const course = buildCourse('Kubernetes, the "hard" way', { rating: { average: 4.7, count: 120 } });
+      removed = buildCourse('Retired course');
+      list = buildList();
+      list.addCourse(course, '=HYPERLINK("https://evil.example")');
+      list.addCourse(removed, 'Was great');
+      list.items.forEach(item => { item.addedAt = addedAt; });
+      jest.spyOn(Course, 'find').mockReturnValue({ select: () => Promise.resolve([course]) });
+    });
+
+    it('renders CSV in list order, quoting and defusing cells', async () => {
+      const { contentType, extension, body } = await learningLists.exportList(list, 'csv');
+      const [header, first, second] = body.split('\r\n');
+
+      expect(contentType).toBe('text/csv; charset=utf-8');
+      expect(extension).toBe('csv');
+      expect(header).toBe('position,title,provider,url,difficulty,durationHours,rating,note,addedAt');
+      expect(first).toBe([
+        '1',
+        '"Kubernetes, the ""hard"" way"',
+        'Coursera',
+        'https://example.com/Kubernetes%2C%20the%20%22hard%22%20way',
+        'Beginner',
+        '12',
+        '4.7',
+        '"\'=HYPERLINK(""https://evil.example"")"',
+        '2026-03-01T09:00:00.000Z'
+      ].join(','));
+      expect(second).toBe(`2,Retired course,Coursera,${removed.url},,,,Was great,2026-03-01T09:00:00.000Z`);
+      expect(body.endsWith('\r\n')).toBe(true);
+    });
+
+    it('renders JSON with the catalog details', async () => {
+      const { contentType, body } = await learningLists.exportList(list, 'json');
+      const exported = JSON.parse(body);
+
+      expect(contentType).toBe('application/json');
+      expect(exported.name).toBe('Cloud cert prep');
+      expect(exported.courses.map(course => course.title)).toEqual(['Kubernetes, the "hard" way', 'Retired course']);
+      expect(exported.courses[0]).not.toHaveProperty('available');
+    });
+  });
+});
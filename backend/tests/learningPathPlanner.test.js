@@ -0,0 +1,130 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const LearningPlan = require('../models/LearningPlan');
+const courseRecommender = require('../services/courseRecommender');
+const learningPathPlanner = require('../services/learningPathPlanner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildCourse = (title, { difficulty = 'Beginner', teaches = [], prerequisites = [], hours = 10 } = {}) => new Course({
+  title,
+  description: `${title} course`,
+  provider: 'Coursera',
+  providerCourseId: title.toLowerCase().replace(/\W+/g, '-'),
+  url: `https://example.com/${encodeURIComponent(title)}`,
+  category: 'Technology',
+  difficulty,
+  duration: { hours },
+  skillsTaught: teaches.map(name => ({ name })),
+  prerequisites,
+  pricing: { type: 'free' }
+});
+
+// Course.find is awaited directly for the user's own courses and chained for candidates
+const mockCourseFind = (candidates) => jest.spyOn(Course, 'find').mockImplementation(() => ({
+  sort: () => ({ limit: () => Promise.resolve(candidates) }),
+  then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+}));
+
+describe('learningPathPlanner', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('orderCourses', () => {
+    const javascript = buildCourse('JavaScript Basics', { teaches: ['JavaScript'] });
+    const react = buildCourse('React in Depth', { difficulty: 'Intermediate', teaches: ['React'], prerequisites: ['JavaScript'] });
+    const docker = buildCourse('Docker Essentials', { difficulty: 'Intermediate', teaches: ['Docker'] });
+    const sql = buildCourse('Advanced SQL', { difficulty: 'Advanced', teaches: ['SQL'] });
+
+    it('puts courses after the courses teaching their prerequisites, easier ones first', () => {
+      const { ordered, dependencies, cycles } = learningPathPlanner.orderCourses([sql, react, docker, javascript]);
+
+      expect(ordered.map(course => course.title)).toEqual(['JavaScript Basics', 'React in Depth', 'Docker Essentials', 'Advanced SQL']);
+      expect(dependencies.get(react._id.toString())).toEqual([javascript._id.toString()]);
+      expect(cycles).toBe(0);
+    });
+
+    it('drops dependencies on skills the user already has', () => {
+      const { ordered, dependencies } = learningPathPlanner.orderCourses([react, javascript], {
+        knownSkills: ['JavaScript'],
+        rank: course => (course === react ? 0 : 1)
+      });
+
+      expect(dependencies.get(react._id.toString())).toEqual([]);
+      expect(ordered.map(course => course.title)).toEqual(['React in Depth', 'JavaScript Basics']);
+    });
+
+    it('breaks prerequisite cycles at the easiest course', () => {
+      const first = buildCourse('Chicken', { teaches: ['Chickens'], prerequisites: ['Eggs'] });
+      const second = buildCourse('Egg', { difficulty: 'Advanced', teaches: ['Eggs'], prerequisites: ['Chickens'] });
+
+      const { ordered, cycles } = learningPathPlanner.orderCourses([second, first]);
+
+      expect(ordered.map(course => course.title)).toEqual(['Chicken', 'Egg']);
+      expect(cycles).toBe(1);
+    });
+  });
+
+  describe('syncActivePlan', () => {
+    const user = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'secret123' });
+    let plan;
+
+    beforeEach(() => {
+      plan = new LearningPlan({
+        userId: user._id,
+        targetRole: 'DevOps Engineer',
+        status: 'completed',
+        weeklyHours: 5,
+        startDate: new Date(Date.now() - 60 * DAY_MS),
+        plannedAt: new Date(Date.now() - 8 * DAY_MS)
+      });
+      jest.spyOn(LearningPlan, 'findOne').mockReturnValue({ sort: () => Promise.resolve(plan) });
+      jest.spyOn(LearningPlan.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    });
+
+    it('returns null when the user has no plan', async () => {
+      LearningPlan.findOne.mockReturnValue({ sort: () => Promise.resolve(null) });
+
+      await expect(learningPathPlanner.syncActivePlan(user._id, { user })).resolves.toBeNull();
+    });
+
+    it('looks up the active plan first, then the latest completed one', async () => {
+      mockCourseFind([]);
+      jest.spyOn(courseRecommender, 'findSkillGaps').mockResolvedValue({ source: 'role', gaps: [] });
+
+      await learningPathPlanner.syncActivePlan(user._id, { user });
+
+      expect(LearningPlan.findOne).toHaveBeenCalledWith({ userId: user._id, status: { $in: ['active', 'completed'] } });
+    });
+
+    it('re-checks a completed plan weekly and re-opens it when new gaps appear', async () => {
+      const docker = buildCourse('Docker Essentials', { teaches: ['Docker'], hours: 5 });
+      mockCourseFind([docker]);
+      const findSkillGaps = jest.spyOn(courseRecommender, 'findSkillGaps').mockResolvedValue({ source: 'market', gaps: [] });
+      await learningPathPlanner.syncActivePlan(user._id, { user });
+      findSkillGaps.mockResolvedValue({ source: 'market', gaps: [{ name: 'Docker', skillId: 'docker', weight: 3 }] });
+
+      const unchanged = await learningPathPlanner.syncActivePlan(user._id, { user, now: new Date(Date.now() + DAY_MS) });
+      expect(unchanged.status).toBe('completed');
+
+      const synced = await learningPathPlanner.syncActivePlan(user._id, { user, now: new Date(Date.now() + 8 * DAY_MS) });
+
+      expect(synced.status).toBe('active');
+      expect(synced.revision).toBe(3);
+      expect(synced.steps.map(step => step.title)).toEqual(['Docker Essentials']);
+      expect(synced.steps[0].reason).toBe('Closes Docker');
+    });
+
+    it('keeps a recently re-checked completed plan as it is', async () => {
+      const find = mockCourseFind([]);
+      jest.spyOn(courseRecommender, 'findSkillGaps').mockResolvedValue({ source: 'role', gaps: [] });
+      await learningPathPlanner.syncActivePlan(user._id, { user });
+      find.mockClear();
+
+      const synced = await learningPathPlanner.syncActivePlan(user._id, { user });
+
+      expect(synced.status).toBe('completed');
+      expect(synced.revision).toBe(2);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+
+const START = new Date('2026-03-01T09:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ten hours: Basics declares two, the other two modules share the remaining eight
+const buildCourse = () => new Course({
+  title: 'Git in Practice',
+  description: 'Version control for teams',
+  provider: 'Udemy',
+  providerCourseId: 'git-in-practice',
+  url: 'https://example.com/git',
+  category: 'Technology',
+  difficulty: 'Beginner',
+  duration: { hours: 10 },
+  modules: [
+    { title: 'Basics', duration: 2, topics: ['Git'] },
+    { title: 'Branching', topics: ['Git Branching', 'git'] },
+    { title: 'Rebasing', topics: ['Rebasing'] }
+  ],
+  pricing: { type: 'paid', amount: 20 }
+});
+
+const enroll = (course) => {
+  const user = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'secret123' });
+  user.ensureEnrollment(course, { at: START });
+  return user;
+};
+
+const at = (hours) => new Date(START.getTime() + hours * HOUR_MS);
+
+describe('User learning progress', () => {
+  describe('updateModule', () => {
+    it('starts a module on first update and adds up study time', () => {
+      const course = buildCourse();
+      const entry = enroll(course).learningProgress[0];
+
+      entry.updateModule(course, 1, { progress: 40, timeSpentMinutes: 30, at: at(1) });
+      const module = entry.updateModule(course, 1, { timeSpentMinutes: 15, at: at(2) });
+
+      expect(module).toMatchObject({ index: 1, title: 'Branching', status: 'in_progress', progress: 40, timeSpentMinutes: 45 });
+      expect(module.startedAt).toEqual(at(1));
+      expect(entry.lastActivityAt).toEqual(at(2));
+      expect(entry.timeSpentMinutes).toBe(45);
+    });
+
+    it('completes a module at 100% and starts it over when re-opened', () => {
+      const course = buildCourse();
+      const entry = enroll(course).learningProgress[0];
+
+      const module = entry.updateModule(course, 0, { progress: 100, score: 90, at: at(1) });
+      expect(module).toMatchObject({ status: 'completed', progress: 100, score: 90 });
+      expect(module.completedAt).toEqual(at(1));
+
+      entry.updateModule(course, 0, { status: 'in_progress', at: at(2) });
+      expect(module).toMatchObject({ status: 'in_progress', progress: 0, completedAt: undefined });
+    });
+
+    it('keeps the latest activity time when updates arrive out of order', () => {
+      const course = buildCourse();
+      const entry = enroll(course).learningProgress[0];
+
+      entry.updateModule(course, 0, { progress: 50, at: at(3) });
+      entry.updateModule(course, 1, { progress: 10, at: at(1) });
+
+      expect(entry.lastActivityAt).toEqual(at(3));
+    });
+  });
+
+  describe('syncFromModules', () => {
+    it('weights course progress by module hours', () => {
+      const course = buildCourse();
+      const entry = enroll(course).learningProgress[0];
+      entry.updateModule(course, 0, { status: 'completed', at: at(1) });
+      entry.updateModule(course, 1, { progress: 50, at: at(2) });
+
+      const { completedNow } = entry.syncFromModules(course, { at: at(2) });
+
+      expect(completedNow).toBe(false);
+      expect(entry.progress).toBe(40);
+      expect(entry.status).toBe('in_progress');
+      expect(entry.skillsGained).toEqual(['Git']);
+    });
+
+    it('completes the course once every module is done, collecting topics once', () => {
+      const course = buildCourse();
+      const user = enroll(course);
+
+      [0, 1, 2].forEach(index => user.recordModuleProgress(course, index, { status: 'completed', at: at(index + 1) }));
+      const entry = user.learningProgress[0];
+
+      expect(entry).toMatchObject({ status: 'completed', progress: 100 });
+      expect(entry.completionDate).toEqual(at(3));
+      expect(entry.skillsGained).toEqual(['Git', 'Git Branching', 'Rebasing']);
+      expect(user.analytics.courseCompletions).toBe(1);
+    });
+
+    it('re-opens a completed course when a module is started over', () => {
+      const course = buildCourse();
+      const user = enroll(course);
+      [0, 1, 2].forEach(index => user.recordModuleProgress(course, index, { status: 'completed', at: at(1) }));
+
+      const { completedNow } = user.recordModuleProgress(course, 2, { progress: 20, at: at(2) });
+      const entry = user.learningProgress[0];
+
+      expect(completedNow).toBe(false);
+      expect(entry.status).toBe('in_progress');
+      expect(entry.completionDate).toBeUndefined();
+      expect(entry.progress).toBe(68);
+      expect(user.analytics.courseCompletions).toBe(1);
+    });
+
+    it('leaves progress alone for courses without modules', () => {
+      const course = buildCourse();
+      course.modules = [];
+      const entry = enroll(course).learningProgress[0];
+      entry.progress = 30;
+
+      expect(entry.syncFromModules(course)).toEqual({ completedNow: false });
+      expect(entry.progress).toBe(30);
+    });
+  });
+
+  it('ignores progress on courses the user is not enrolled in', () => {
+    const user = enroll(buildCourse());
+
+    expect(user.recordModuleProgress(buildCourse(), 0, { progress: 50 })).toBeNull();
+  });
+});
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const openBadges = require('../services/openBadges');
+const certificationVerifiers = require('../services/certificationVerifiers');
+const { createDocumentLoader } = require('../services/openBadges/documentLoader');
+const { createReplayFetch } = require('../services/certificationVerifiers/httpFixtures');
+const { canonicalize, base58Encode, ed25519Multikey } = require('../services/openBadges/signatures');
+const { hashIdentity } = require('../services/openBadges/recipient');
+
+const BASE = 'https://badges.example.org';
+const EMAIL = 'learner@example.com';
+const NOW = new Date('2026-03-01T00:00:00Z');
+const ISSUED_ON = '2026-01-15T00:00:00Z';
+const OB2_CONTEXT = 'https://w3id.org/openbadges/v2';
+const OB3_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+const REVOKED_STATUS_INDEX = 7;
+
+// Issuer documents are answered from these exchanges instead of the network
+const exchanges = [];
+const fixtures = buildFixtures();
+const fixtureFetch = createReplayFetch(exchanges);
+const verify = (source, email = EMAIL) =>
+  openBadges.verifyCredential(source, { email, now: NOW, loader: createDocumentLoader({ fetchImpl: fixtureFetch }) });
+
+describe('openBadges.verifyCredential', () => {
+  it('verifies a hosted Open Badges 2.0 assertion by URL', async () => {
+    const result = await verify({ url: `${BASE}/ob2/assertions/hosted` });
+
+    expect(result.status).toBe('verified');
+    expect(result.format).toMatch(/2\.0/);
+    expect(result.badge.name).toBe('Associate Cloud Engineer');
+    expect(result.issuer.name).toBe('Google Cloud');
+    expect(result.endpoint).toBe(`${BASE}/ob2/assertions/hosted`);
+  });
+
+  it('verifies a signed Open Badges 2.0 assertion', async () => {
+    const result = await verify({ credential: fixtures.signedAssertion });
+
+    expect(result.status).toBe('verified');
+    expect(result.proof).toBe(fixtures.signedAssertion);
+  });
+
+  it('rejects a signed assertion whose payload was changed', async () => {
+    const result = await verify({ credential: fixtures.tamperedSignedAssertion });
+
+    expect(result.status).toBe('failed');
+  });
+
+  it('verifies an Open Badges 3.0 credential with a Data Integrity proof', async () => {
+    const result = await verify({ credential: fixtures.dataIntegrityCredential });
+
+    expect(result.status).toBe('verified');
+    expect(result.badge.name).toBe('Fixture Data Engineer');
+    expect(result.issuer.name).toBe('Fixture Institute');
+  });
+
+  it('verifies an Open Badges 3.0 credential sent as a VC-JWT', async () => {
+    const result = await verify({ credential: fixtures.jwtCredential });
+
+    expect(result.status).toBe('verified');
+  });
+
+  it('fails a badge issued to another recipient', async () => {
+    const hosted = await verify({ url: `${BASE}/ob2/assertions/hosted` }, 'someone.else@example.com');
+    const credential = await verify({ credential: fixtures.dataIntegrityCredential }, 'someone.else@example.com');
+
+    expect(hosted.status).toBe('failed');
+    expect(credential.status).toBe('failed');
+  });
+
+  it('fails a revoked assertion and a credential revoked in its status list', async () => {
+    const assertion = await verify({ url: `${BASE}/ob2/assertions/revoked` });
+    const credential = await verify({ credential: fixtures.revokedJwtCredential });
+
+    expect(assertion.status).toBe('failed');
+    expect(credential.status).toBe('failed');
+  });
+
+  it('marks an assertion past its expiry date as expired', async () => {
+    const result = await verify({ url: `${BASE}/ob2/assertions/expired` });
+
+    expect(result.status).toBe('expired');
+  });
+});
+
+describe('certificationVerifiers open_badge method', () => {
+  const user = { email: EMAIL };
+  const certification = (overrides = {}) => ({
+    provider: 'Google',
+    name: 'Associate Cloud Engineer',
+    verificationMethod: 'open_badge',
+    credentialUrl: `${BASE}/ob2/assertions/hosted`,
+    ...overrides
+  });
+
+  it('verifies a badge issued by the provider for the certification', async () => {
+    const result = await certificationVerifiers.verifyCertification(certification(), { user, fetchImpl: fixtureFetch, now: NOW });
+
+    expect(result.status).toBe('verified');
+    expect(result.verifier).toBe('open_badge');
+  });
+
+  it('sends a badge from an issuer that is not the provider to manual review', async () => {
+    const result = await certificationVerifiers.verifyCertification(certification({ provider: 'Microsoft' }),
+      { user, fetchImpl: fixtureFetch, now: NOW });
+
+    expect(result.status).toBe('pending');
+    expect(result.verifier).toBe('manual');
+    expect(result.manualReviewReason).toBe('Badge was issued by Google Cloud, not Microsoft');
+    expect(result.endpoint).toBe(`${BASE}/ob2/assertions/hosted`);
+  });
+
+  it('sends a badge for a different achievement to manual review', async () => {
+    const result = await certificationVerifiers.verifyCertification(certification({ name: 'Professional Cloud Architect' }),
+      { user, fetchImpl: fixtureFetch, now: NOW });
+
+    expect(result.status).toBe('pending');
+    expect(result.manualReviewReason).toBe('Badge is for Associate Cloud Engineer, not Professional Cloud Architect');
+  });
+});
+
+function buildFixtures() {
+  const salt = 'f1x7ur3';
+  const recipient = { type: 'email', hashed: true, salt, identity: hashIdentity(EMAIL, salt) };
+  const built = {};
+
+  // Open Badges 2.0: RSA-signed issuer with a hosted key
+  const ob2Keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ob2Issuer = `${BASE}/ob2/issuer`;
+  const badgeClass = `${BASE}/ob2/badges/1`;
+  serve('/ob2/issuer', {
+    '@context': OB2_CONTEXT,
+    type: 'Issuer',
+    id: ob2Issuer,
+    name: 'Google Cloud',
+    url: BASE,
+    email: 'badges@example.org',
+    publicKey: `${BASE}/ob2/keys/1`
+  });
+  serve('/ob2/keys/1', {
+    '@context': OB2_CONTEXT,
+    type: 'CryptographicKey',
+    id: `${BASE}/ob2/keys/1`,
+    owner: ob2Issuer,
+    publicKeyPem: ob2Keys.publicKey.export({ type: 'spki', format: 'pem' })
+  });
+  serve('/ob2/badges/1', {
+    '@context': OB2_CONTEXT,
+    type: 'BadgeClass',
+    id: badgeClass,
+    name: 'Associate Cloud Engineer',
+    description: 'Awarded for passing the Associate Cloud Engineer exam',
+    image: `${BASE}/ob2/badges/1/image.png`,
+    criteria: { narrative: 'Pass the exam' },
+    issuer: ob2Issuer
+  });
+
+  const assertion = (id, extra = {}) => ({
+    '@context': OB2_CONTEXT,
+    type: 'Assertion',
+    id,
+    recipient,
+    badge: badgeClass,
+    issuedOn: ISSUED_ON,
+    verification: { type: 'hosted' },
+    ...extra
+  });
+  serve('/ob2/assertions/hosted', assertion(`${BASE}/ob2/assertions/hosted`));
+  serve('/ob2/assertions/revoked', assertion(`${BASE}/ob2/assertions/revoked`, { revoked: true, revocationReason: 'Issued in error' }));
+  serve('/ob2/assertions/expired', assertion(`${BASE}/ob2/assertions/expired`, { expires: '2026-02-01T00:00:00Z' }));
+
+  const signed = assertion('urn:uuid:6f1c1a52-8d0e-4c57-9a43-0c2f3c1f0b11', {
+    verification: { type: 'signed', creator: `${BASE}/ob2/keys/1` }
+  });
+  built.signedAssertion = signJws({ alg: 'RS256' }, signed, ob2Keys.privateKey);
+  const [header, , signature] = built.signedAssertion.split('.');
+  built.tamperedSignedAssertion = `${header}.${base64Url(JSON.stringify({ ...signed, issuedOn: NOW.toISOString() }))}.${signature}`;
+
+  // Open Badges 3.0: Ed25519 key listed in the issuer profile, plus a bitstring status list
+  const ob3Keys = crypto.generateKeyPairSync('ed25519');
+  const ob3Issuer = `${BASE}/ob3/issuer`;
+  const ob3KeyId = `${ob3Issuer}#key-1`;
+  serve('/ob3/issuer', {
+    '@context': OB3_CONTEXT,
+    type: ['Profile'],
+    id: ob3Issuer,
+    name: 'Fixture Institute',
+    verificationMethod: [{
+      id: ob3KeyId,
+      type: 'Multikey',
+      controller: ob3Issuer,
+      publicKeyMultibase: ed25519Multikey(ob3Keys.publicKey)
+    }]
+  });
+
+  const statusBits = Buffer.alloc(16);
+  statusBits[REVOKED_STATUS_INDEX >> 3] |= 0x80 >> (REVOKED_STATUS_INDEX % 8);
+  serve('/ob3/status/1', {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    id: `${BASE}/ob3/status/1`,
+    issuer: ob3Issuer,
+    validFrom: ISSUED_ON,
+    credentialSubject: {
+      id: `${BASE}/ob3/status/1#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: 'revocation',
+      encodedList: `u${zlib.gzipSync(statusBits).toString('base64url')}`
+    }
+  });
+
+  const credential = (statusIndex) => ({
+    '@context': OB3_CONTEXT,
+    type: ['VerifiableCredential', 'OpenBadgeCredential'],
+    id: `urn:uuid:0d5b8a3e-2f4c-4e1a-8b7d-${String(statusIndex).padStart(12, '0')}`,
+    issuer: { id: ob3Issuer, type: ['Profile'], name: 'Fixture Institute' },
+    validFrom: ISSUED_ON,
+    name: 'Fixture Data Engineer',
+    credentialSubject: {
+      type: ['AchievementSubject'],
+      identifier: [{ type: 'IdentityObject', identityType: 'emailAddress', hashed: true, salt, identityHash: hashIdentity(EMAIL, salt) }],
+      achievement: {
+        id: `${BASE}/ob3/achievements/1`,
+        type: ['Achievement'],
+        name: 'Fixture Data Engineer',
+        description: 'Built and shipped a fixture data pipeline',
+        criteria: { narrative: 'Complete the capstone' }
+      }
+    },
+    credentialStatus: {
+      id: `${BASE}/ob3/status/1#${statusIndex}`,
+      type: 'BitstringStatusListEntry',
+      statusPurpose: 'revocation',
+      statusListIndex: String(statusIndex),
+      statusListCredential: `${BASE}/ob3/status/1`
+    }
+  });
+
+  built.dataIntegrityCredential = addDataIntegrityProof(credential(3), ob3KeyId, ob3Keys.privateKey);
+  const signVcJwt = (vc) => signJws({ alg: 'EdDSA', typ: 'JWT', kid: ob3KeyId }, {
+    iss: vc.issuer.id,
+    jti: vc.id,
+    nbf: Math.floor(Date.parse(vc.validFrom) / 1000),
+    vc
+  }, ob3Keys.privateKey);
+  built.jwtCredential = signVcJwt(credential(4));
+  built.revokedJwtCredential = signVcJwt(credential(REVOKED_STATUS_INDEX));
+
+  return built;
+}
+
+function serve(path, document) {
+  exchanges.push({ request: { method: 'GET', url: `${BASE}${path}` }, response: { status: 200, headers: { 'content-type': 'application/ld+json' }, body: document } });
+}
+
+function signJws(header, payload, privateKey) {
+  const signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const hash = header.alg === 'EdDSA' ? null : 'sha256';
+  return `${signingInput}.${crypto.sign(hash, Buffer.from(signingInput), privateKey).toString('base64url')}`;
+}
+
+// eddsa-jcs-2022, as the verifier expects it
+function addDataIntegrityProof(document, verificationMethod, privateKey) {
+  const proofOptions = {
+    type: 'DataIntegrityProof',
+    cryptosuite: 'eddsa-jcs-2022',
+    created: ISSUED_ON,
+    verificationMethod,
+    proofPurpose: 'assertionMethod'
+  };
+  const hashData = Buffer.concat([
+    sha256(canonicalize({ ...proofOptions, '@context': document['@context'] })),
+    sha256(canonicalize(document))
+  ]);
+  return { ...document, proof: { ...proofOptions, proofValue: `z${base58Encode(crypto.sign(null, hashData, privateKey))}` } };
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function base64Url(text) {
+  return Buffer.from(text).toString('base64url');
+}
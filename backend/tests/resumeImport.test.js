@@ -0,0 +1,100 @@
+const User = require('../models/User');
+const { buildImportDiff, applyImportChanges } = require('../services/resumeImport');
+
+const buildUser = () => new User({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: 'secret123',
+  summary: 'Backend engineer',
+  skills: [{ name: 'Node.js', category: 'technical', proficiencyLevel: 'advanced' }],
+  experience: [{
+    company: 'Acme',
+    position: 'Engineer',
+    startDate: new Date('2020-01-01'),
+    achievements: ['Shipped the billing API']
+  }]
+});
+
+const PARSED = {
+  personalInfo: { name: 'Ada King', phone: '555-0100' },
+  summary: 'Backend engineer',
+  skills: [
+    { name: 'NodeJS', category: 'technical', level: 'advanced' },
+    { name: 'GraphQL', category: 'technical', level: 'intermediate' }
+  ],
+  experience: [
+    { company: 'Acme', position: 'Engineer', startDate: '2020-01-01', achievements: ['Shipped the billing API', 'Cut p95 latency in half'] },
+    { company: 'Globex', position: 'Intern', startDate: '2019-06-01', endDate: '2019-09-01' }
+  ],
+  education: [{ institution: 'University of London', degree: 'BSc' }],
+  provenance: {
+    'personalInfo.phone': { confidence: 0.4, page: 1, line: 2 },
+    'skills.1.name': { confidence: 0.9, page: 1, line: 12 }
+  }
+};
+
+describe('resumeImport', () => {
+  describe('buildImportDiff', () => {
+    it('lists each parsed field against the profile', () => {
+      const { changes, summary } = buildImportDiff(buildUser(), PARSED);
+      const byPath = Object.fromEntries(changes.map(change => [change.path, change]));
+
+      expect(byPath.firstName.action).toBe('unchanged');
+      expect(byPath.lastName).toMatchObject({ action: 'update', current: 'Lovelace', proposed: 'King' });
+      expect(byPath.phone).toMatchObject({ action: 'add', confidence: 0.4, recommended: false, source: { page: 1, line: 2 } });
+      expect(byPath.summary.action).toBe('unchanged');
+      expect(summary).toEqual({ add: 4, update: 2, unchanged: 3, incomplete: 1 });
+    });
+
+    it('treats a skill listed under another name for the same taxonomy skill as unchanged', () => {
+      const { changes } = buildImportDiff(buildUser(), PARSED);
+
+      expect(changes.find(change => change.path === 'skills.0')).toMatchObject({ action: 'unchanged', current: expect.objectContaining({ name: 'Node.js' }) });
+      expect(changes.find(change => change.path === 'skills.1')).toMatchObject({ action: 'add', recommended: true });
+    });
+
+    it('matches entries by company and position and lists only the changed fields', () => {
+      const { changes } = buildImportDiff(buildUser(), PARSED);
+
+      expect(changes.find(change => change.path === 'experience.0')).toMatchObject({ action: 'update', changedFields: ['achievements'] });
+      expect(changes.find(change => change.path === 'experience.1').action).toBe('add');
+      expect(changes.find(change => change.path === 'education.0')).toMatchObject({ missingFields: ['field', 'startDate'], recommended: false });
+    });
+  });
+
+  describe('applyImportChanges', () => {
+    it('applies only the accepted changes, merging list fields into existing entries', () => {
+      const user = buildUser();
+
+      const { applied, skipped } = applyImportChanges(user, PARSED, {
+        accept: ['lastName', 'skills.1', 'experience.0', 'skills.0', 'nope']
+      });
+
+      expect(applied).toEqual(['lastName', 'skills.1', 'experience.0']);
+      expect(skipped).toEqual([
+        { path: 'skills.0', reason: 'Already matches the profile' },
+        { path: 'nope', reason: 'Unknown field' }
+      ]);
+      expect(user.lastName).toBe('King');
+      expect(user.phone).toBeUndefined();
+      expect(user.skills.map(skill => skill.name)).toEqual(['Node.js', 'GraphQL']);
+      expect(user.experience).toHaveLength(1);
+      expect(user.experience[0].achievements).toEqual(['Shipped the billing API', 'Cut p95 latency in half']);
+    });
+
+    it('uses edits to fill in what the resume left out', () => {
+      const user = buildUser();
+
+      const missing = applyImportChanges(user, PARSED, { accept: ['education.0'] });
+      const edited = applyImportChanges(user, PARSED, {
+        accept: ['education.0'],
+        edits: { 'education.0': { field: 'Mathematics', startDate: '2012-09-01' } }
+      });
+
+      expect(missing.skipped).toEqual([{ path: 'education.0', reason: 'Missing required fields: field, startDate' }]);
+      expect(edited.applied).toEqual(['education.0']);
+      expect(user.education[0]).toMatchObject({ institution: 'University of London', field: 'Mathematics', startDate: new Date('2012-09-01') });
+    });
+  });
+});
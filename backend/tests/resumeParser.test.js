@@ -0,0 +1,133 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Document, Packer, Paragraph } = require('docx');
+const { extractText, parseResumeLines, detectSectionHeader } = require('../services/resumeParser');
+
+const RESUME = `Jane Doe
+Senior Software Engineer
+jane.doe@example.com | (555) 123-4567 | Austin, TX
+linkedin.com/in/janedoe
+Summary
+Backend engineer with 8 years building APIs.
+Experience
+Senior Software Engineer
+Acme Corp | Jan 2019 - Present
+• Built Node.js services handling 1M requests a day
+• Led migration to AWS
+Software Engineer
+Globex | Jun 2015 - Dec 2018
+• Wrote React dashboards
+Education
+Bachelor of Science in Computer Science
+University of Texas | 2011 - 2015
+Skills
+JavaScript, Node.js, React, MongoDB, AWS, Leadership`;
+
+const toLines = (text) => text.split('\n').map((line, index) => ({ text: line, page: 1, line: index + 1 }));
+
+describe('resumeParser', () => {
+  describe('detectSectionHeader', () => {
+    it('recognizes headers regardless of case and trailing colons', () => {
+      expect(detectSectionHeader('Work Experience:')).toBe('experience');
+      expect(detectSectionHeader('SKILLS')).toBe('skills');
+    });
+
+    it('ignores sentences that mention a header', () => {
+      expect(detectSectionHeader('I gained a lot of work experience there')).toBeNull();
+    });
+  });
+
+  describe('parseResumeLines', () => {
+    const parsed = parseResumeLines(toLines(RESUME));
+
+    it('reads contact details from the top of the resume', () => {
+      expect(parsed.personalInfo).toEqual({
+        name: 'Jane Doe',
+        email: 'jane.doe@example.com',
+        phone: '(555) 123-4567',
+        location: 'Austin, TX',
+        links: ['linkedin.com/in/janedoe']
+      });
+      expect(parsed.summary).toBe('Backend engineer with 8 years building APIs.');
+    });
+
+    it('splits experience into positions with dates and bullets', () => {
+      expect(parsed.experience).toHaveLength(2);
+      expect(parsed.experience[0]).toMatchObject({
+        company: 'Acme Corp',
+        position: 'Senior Software Engineer',
+        startDate: '2019-01-01',
+        endDate: null,
+        achievements: ['Built Node.js services handling 1M requests a day', 'Led migration to AWS'],
+        technologies: ['Node.js', 'AWS']
+      });
+      expect(parsed.experience[1]).toMatchObject({
+        company: 'Globex',
+        startDate: '2015-06-01',
+        endDate: '2018-12-01'
+      });
+    });
+
+    it('separates the degree from the field of study', () => {
+      expect(parsed.education).toEqual([{
+        institution: 'University of Texas',
+        degree: 'Bachelor of Science',
+        field: 'Computer Science',
+        startDate: '2011-01-01',
+        endDate: '2015-01-01'
+      }]);
+    });
+
+    it('categorizes skills as technical or soft', () => {
+      expect(parsed.skills.map(skill => skill.name)).toEqual(['JavaScript', 'Node.js', 'React', 'MongoDB', 'AWS', 'Leadership']);
+      expect(parsed.skills.find(skill => skill.name === 'Leadership').category).toBe('soft');
+    });
+
+    it('records where each field came from', () => {
+      expect(parsed.provenance['personalInfo.email']).toEqual({ confidence: 0.98, page: 1, line: 3 });
+      expect(parsed.provenance['experience.1.startDate'].line).toBe(13);
+      expect(parsed.confidence).toBeGreaterThan(0.6);
+      expect(parsed.warnings).toEqual([]);
+    });
+
+    it('warns about missing sections', () => {
+      const result = parseResumeLines(toLines('Jane Doe\njane.doe@example.com'));
+      expect(result.warnings).toEqual(expect.arrayContaining([
+        'No experience section was detected',
+        'No education section was detected'
+      ]));
+    });
+
+    it('explains an empty extraction', () => {
+      const result = parseResumeLines([]);
+      expect(result.confidence).toBe(0);
+      expect(result.warnings[0]).toMatch(/No text could be extracted/);
+    });
+  });
+
+  describe('extractText', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-parser-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('reads DOCX paragraphs as numbered lines without pages', async () => {
+      const document = new Document({
+        sections: [{ children: ['Jane Doe', '', 'Skills', 'JavaScript, React'].map(text => new Paragraph(text)) }]
+      });
+      const file = path.join(dir, 'resume.docx');
+      await fs.writeFile(file, await Packer.toBuffer(document));
+
+      const result = await extractText(file);
+      expect(result.format).toBe('docx');
+      expect(result.lines.map(line => line.text)).toEqual(['Jane Doe', 'Skills', 'JavaScript, React']);
+      expect(result.lines[2]).toMatchObject({ page: null, line: 3 });
+    });
+  });
+});
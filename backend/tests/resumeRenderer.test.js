@@ -0,0 +1,99 @@
+const { renderResume, TEMPLATE_STYLES } = require('../services/resumeRenderer');
+
+const RESUME = {
+  personalInfo: {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    phone: '555-0100',
+    location: { city: 'London', state: 'UK' },
+    headline: 'Backend engineer'
+  },
+  professionalSummary: 'Builds reliable APIs & data pipelines.',
+  experience: [{
+    position: 'Senior Engineer',
+    company: 'Acme',
+    startDate: '2021-03-01',
+    isCurrentJob: true,
+    achievements: ['Cut p95 latency in half'],
+    technologies: ['Node.js', 'MongoDB']
+  }],
+  education: [{ degree: 'BSc', field: 'Mathematics', institution: 'University of London', startDate: '2012-09-01', endDate: '2015-06-01' }],
+  skills: { technical: [{ name: 'Node.js' }, { name: 'MongoDB' }], soft: [{ name: 'Mentoring' }] },
+  certifications: [{ name: 'AWS Developer', provider: 'Amazon', issueDate: '2022-05-10' }]
+};
+
+const renderHtml = async (resumeData, options = {}) =>
+  (await renderResume(resumeData, { format: 'html', ...options })).buffer.toString('utf8');
+
+describe('resumeRenderer', () => {
+  describe('templates', () => {
+    it.each(Object.keys(TEMPLATE_STYLES))('renders the %s template with its own colors, fonts and headings', async (template) => {
+      const style = TEMPLATE_STYLES[template];
+
+      const result = await renderResume(RESUME, { format: 'html', template });
+      const html = result.buffer.toString('utf8');
+
+      expect(result).toMatchObject({ template, layout: 'single-column', contentType: 'text/html; charset=utf-8', extension: 'html' });
+      expect(html).toContain(`class="resume template-${template} layout-single-column"`);
+      expect(html).toContain(`color: ${style.colors.primary}`);
+      expect(html).toContain(`'${style.fonts.heading}'`);
+      expect(html).toContain(`text-align: ${style.headerAlign}`);
+      expect(html).toContain(style.headingCase === 'upper' ? '<h2>EXPERIENCE</h2>' : '<h2>Experience</h2>');
+      expect(html.includes(`background: ${style.colors.primary}`)).toBe(style.headerBand);
+    });
+
+    it('falls back to the modern template for unknown names', async () => {
+      const result = await renderResume(RESUME, { format: 'html', template: 'neon' });
+
+      expect(result.template).toBe('modern');
+    });
+  });
+
+  describe('content', () => {
+    it('renders every section, escaping text', async () => {
+      const html = await renderHtml(RESUME, { template: 'minimal' });
+
+      expect(html).toContain('<h1>Ada Lovelace</h1>');
+      expect(html).toContain('ada@example.com &middot; 555-0100 &middot; London, UK');
+      expect(html).toContain('Builds reliable APIs &amp; data pipelines.');
+      expect(html).toContain('Acme &middot; Mar 2021 - Present');
+      expect(html).toContain('<li>Cut p95 latency in half</li>');
+      expect(html).toContain('Technologies: Node.js, MongoDB');
+      expect(html).toContain('<h3>BSc in Mathematics</h3>');
+      expect(html).toContain('<h3>Technical:</h3>');
+      expect(html).toContain('Amazon &middot; May 2022');
+      expect(html).not.toContain('section-achievements');
+    });
+
+    it('applies saved customizations over the template defaults', async () => {
+      const html = await renderHtml({
+        ...RESUME,
+        customizations: { colors: { primary: '#0f766e', secondary: 'teal' }, fonts: { heading: 'Georgia' }, layout: 'two-column' }
+      }, { template: 'creative' });
+
+      expect(html).toContain('color: #0f766e');
+      expect(html).toContain(`border-bottom: 1px solid ${TEMPLATE_STYLES.creative.colors.secondary}`);
+      expect(html).toContain("font-family: 'Georgia', serif");
+      expect(html).toContain('layout-two-column');
+      expect(html).toMatch(/<aside>[\s\S]*section-skills[\s\S]*<\/aside>/);
+      expect(html).toMatch(/<main>[\s\S]*section-experience[\s\S]*<\/main>/);
+    });
+  });
+
+  describe('formats', () => {
+    it('renders PDF and DOCX files', async () => {
+      const pdf = await renderResume(RESUME, { format: 'pdf', template: 'classic' });
+      const docx = await renderResume(RESUME, { format: 'docx', template: 'executive' });
+
+      expect(pdf.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(pdf.contentType).toBe('application/pdf');
+      expect(docx.buffer.subarray(0, 2).toString()).toBe('PK');
+      expect(docx.extension).toBe('docx');
+    });
+
+    it('rejects formats it cannot render', async () => {
+      await expect(renderResume(RESUME, { format: 'odt' })).rejects.toThrow('Unsupported export format: odt');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const { tailorResumeToJob, applyTailoring } = require('../services/resumeTailor');
+
+const buildUser = () => new User({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: 'secret123',
+  skills: ['Excel', 'GraphQL', 'Node.js', 'Kubernetes', 'Photoshop']
+    .map(name => ({ name, category: 'technical', proficiencyLevel: 'advanced' })),
+  experience: [
+    {
+      company: 'Acme',
+      position: 'Software Engineer',
+      startDate: new Date('2021-01-01'),
+      achievements: ['Organized team offsites', 'Built Node.js APIs', 'Migrated services to Kubernetes', 'Wrote onboarding docs']
+    },
+    {
+      company: 'Cars Inc',
+      position: 'Sales Associate',
+      startDate: new Date('2018-01-01'),
+      achievements: ['Sold cars', 'Won sales awards', 'Trained new staff']
+    }
+  ]
+});
+
+const JOB = {
+  title: 'Platform Engineer',
+  company: 'Globex',
+  description: '',
+  requiredSkills: [
+    { name: 'Kubernetes', priority: 'high' },
+    { name: 'Node.js', priority: 'medium' },
+    { name: 'Terraform', priority: 'low' }
+  ],
+  preferredSkills: [{ name: 'GraphQL' }]
+};
+
+describe('resumeTailor', () => {
+  describe('tailorResumeToJob', () => {
+    it('ranks skills by the weight the job gives them, keeping the rest in profile order', () => {
+      const tailoring = tailorResumeToJob(buildUser(), JOB);
+
+      expect(tailoring.skills).toEqual(['Kubernetes', 'Node.js', 'GraphQL', 'Excel', 'Photoshop']);
+      expect(tailoring).toMatchObject({ jobTitle: 'Platform Engineer', company: 'Globex' });
+    });
+
+    it('picks the most relevant bullets per role, falling back to the first ones', () => {
+      const user = buildUser();
+
+      const { experience } = tailorResumeToJob(user, JOB);
+
+      expect(experience[0]).toMatchObject({
+        experienceId: user.experience[0]._id,
+        achievements: ['Migrated services to Kubernetes', 'Built Node.js APIs']
+      });
+      expect(experience[1].achievements).toEqual(['Sold cars', 'Won sales awards']);
+      expect(experience[0].relevance).toBeGreaterThan(experience[1].relevance);
+      expect(experience[1].relevance).toBe(0);
+    });
+
+    it('lists the job keywords the profile covers and misses', () => {
+      const tailoring = tailorResumeToJob(buildUser(), JOB);
+
+      expect(tailoring.matchedKeywords).toEqual(expect.arrayContaining(['Kubernetes', 'Node.js', 'GraphQL']));
+      expect(tailoring.missingKeywords).toContain('Terraform');
+    });
+  });
+
+  describe('applyTailoring', () => {
+    it('picks and reorders skills and swaps in the tailored bullets', () => {
+      const user = buildUser();
+      const tailoring = tailorResumeToJob(user, JOB);
+
+      const { skills, experience } = applyTailoring({ skills: user.skills, experience: user.experience }, {
+        ...tailoring,
+        skills: ['node.js', 'Kubernetes']
+      });
+
+      expect(skills.map(skill => skill.name)).toEqual(['Node.js', 'Kubernetes']);
+      expect(experience.map(exp => exp.company)).toEqual(['Acme', 'Cars Inc']);
+      expect(experience[0].achievements).toEqual(['Migrated services to Kubernetes', 'Built Node.js APIs']);
+    });
+
+    it('leaves the sections alone without tailoring', () => {
+      const sections = { skills: [{ name: 'Excel' }], experience: [] };
+
+      expect(applyTailoring(sections, null)).toEqual(sections);
+      expect(applyTailoring(sections, { skills: [], experience: [] })).toEqual(sections);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const buildUser = () => new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'secret123' });
+const buildJob = (title) => ({ _id: new mongoose.Types.ObjectId(), title, company: 'Acme' });
+
+describe('User saved jobs', () => {
+  describe('saveJob', () => {
+    it('adds a job with a snapshot of its title and company', () => {
+      const user = buildUser();
+      const job = buildJob('Backend Engineer');
+
+      const { entry, added } = user.saveJob(job, 'Apply before Friday');
+
+      expect(added).toBe(true);
+      expect(entry).toMatchObject({ title: 'Backend Engineer', company: 'Acme', notes: 'Apply before Friday' });
+      expect(entry.jobId.toString()).toBe(job._id.toString());
+      expect(entry.savedAt).toBeInstanceOf(Date);
+    });
+
+    it('keeps the first entry when a job is saved twice', () => {
+      const user = buildUser();
+      const job = buildJob('Backend Engineer');
+      user.saveJob(job, 'First note');
+
+      const { entry, added } = user.saveJob({ ...job, _id: job._id.toString() }, 'Second note');
+
+      expect(added).toBe(false);
+      expect(entry.notes).toBe('First note');
+      expect(user.savedJobs).toHaveLength(1);
+    });
+  });
+
+  describe('unsaveJob', () => {
+    it('removes only the matching job', () => {
+      const user = buildUser();
+      const kept = buildJob('Data Engineer');
+      const removed = buildJob('Backend Engineer');
+      user.saveJob(kept);
+      user.saveJob(removed);
+
+      expect(user.unsaveJob(removed._id.toString())).toBe(true);
+      expect(user.savedJobs.map(entry => entry.title)).toEqual(['Data Engineer']);
+    });
+
+    it('reports when the job was not saved', () => {
+      const user = buildUser();
+      user.saveJob(buildJob('Data Engineer'));
+
+      expect(user.unsaveJob(new mongoose.Types.ObjectId())).toBe(false);
+      expect(user.savedJobs).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const notificationService = require('../services/notificationService');
+const { runSavedSearch } = require('../services/savedSearchScheduler');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// Job.find(...).sort(...).limit(...) answered from an in-memory list ordered by _id
+const mockJobFind = (jobs) => jest.spyOn(Job, 'find').mockImplementation(criteria => {
+  const after = criteria.$and?.find(condition => condition._id)?._id.$gt;
+  return {
+    sort: () => ({
+      limit: (limit) => Promise.resolve(jobs.filter(job => !after || job._id.toString() > after.toString()).slice(0, limit))
+    })
+  };
+});
+
+const buildJobs = (count) => Array.from({ length: count }, (unused, index) => ({
+  _id: new mongoose.Types.ObjectId(index.toString(16).padStart(24, '0')),
+  title: `Job ${index}`,
+  company: 'Acme',
+  postedDate: new Date(NOW.getTime() - (count - index) * 60 * 1000)
+}));
+
+describe('savedSearchScheduler.runSavedSearch', () => {
+  let search;
+
+  beforeEach(() => {
+    search = new SavedSearch({
+      userId: new mongoose.Types.ObjectId(),
+      name: 'Node jobs',
+      params: { query: 'node' },
+      lastRunAt: new Date('2026-03-01T00:00:00Z')
+    });
+    jest.spyOn(search, 'save').mockResolvedValue(search);
+    jest.spyOn(notificationService, 'notifySavedSearchMatches').mockResolvedValue({ _id: 'notification' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('looks for jobs new since the last run', async () => {
+    const find = mockJobFind([]);
+
+    await runSavedSearch(search, { now: NOW });
+
+    expect(JSON.stringify(find.mock.calls[0][0])).toContain('2026-03-01T00:00:00.000Z');
+  });
+
+  it('alerts on every match when there are more than one page of them', async () => {
+    const jobs = buildJobs(120);
+    const find = mockJobFind(jobs);
+
+    const { matches } = await runSavedSearch(search, { now: NOW });
+
+    expect(find).toHaveBeenCalledTimes(3);
+    expect(matches).toHaveLength(120);
+    expect(matches[0].title).toBe('Job 119');
+    expect(notificationService.notifySavedSearchMatches).toHaveBeenCalledWith(search, matches);
+    expect(search.lastMatchCount).toBe(120);
+    expect(search.lastRunAt).toEqual(NOW);
+  });
+
+  it('records an empty run and schedules the next one', async () => {
+    mockJobFind([]);
+
+    const { matches } = await runSavedSearch(search, { now: NOW });
+
+    expect(matches).toEqual([]);
+    expect(search.lastMatchCount).toBe(0);
+    expect(search.nextRunAt.getTime()).toBe(NOW.getTime() + 24 * 60 * 60 * 1000);
+  });
+});
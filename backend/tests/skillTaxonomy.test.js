@@ -0,0 +1,125 @@
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+const TAXONOMY = {
+  version: 2,
+  skills: [
+    { id: 'programming-languages', name: 'Programming Languages', isCategory: true },
+    { id: 'javascript', name: 'JavaScript', aliases: ['js', 'ecmascript'], parent: 'programming-languages' },
+    { id: 'typescript', name: 'TypeScript', aliases: ['ts'], parent: 'javascript' },
+    { id: 'nodejs', name: 'Node.js', aliases: ['node', 'nodejs'], parent: 'javascript' },
+    { id: 'soft-skills', name: 'Soft Skills', isCategory: true },
+    { id: 'leadership', name: 'Leadership', aliases: ['team leadership'], parent: 'soft-skills' }
+  ]
+};
+
+describe('skillTaxonomy', () => {
+  beforeAll(() => {
+    skillTaxonomy.loadTaxonomy(TAXONOMY);
+  });
+
+  afterAll(() => {
+    skillTaxonomy.loadTaxonomy(skillTaxonomy.DEFAULT_TAXONOMY_FILE);
+  });
+
+  describe('validateTaxonomy', () => {
+    it('accepts the shipped taxonomy', () => {
+      const data = JSON.parse(require('fs').readFileSync(skillTaxonomy.DEFAULT_TAXONOMY_FILE, 'utf8'));
+      expect(skillTaxonomy.validateTaxonomy(data)).toEqual([]);
+    });
+
+    it('reports bad ids, clashing aliases, unknown parents and cycles', () => {
+      const errors = skillTaxonomy.validateTaxonomy({
+        skills: [
+          { id: 'A', name: 'Upper' },
+          { id: 'b', name: 'B', parent: 'c' },
+          { id: 'd', name: 'js' },
+          { id: 'e', name: 'E', aliases: ['js'] },
+          { id: 'f', name: 'F', parent: 'g' },
+          { id: 'g', name: 'G', parent: 'f' }
+        ]
+      });
+      expect(errors).toEqual([
+        'Skill A needs a lowercase kebab-case id',
+        '"js" is used by both d and e',
+        'Skill b has unknown parent "c"',
+        'Skill f is part of a parent cycle',
+        'Skill g is part of a parent cycle'
+      ]);
+    });
+
+    it('refuses to load an invalid taxonomy', () => {
+      expect(() => skillTaxonomy.loadTaxonomy({ skills: [{ id: 'x' }] })).toThrow('Invalid skill taxonomy: Skill x has no name');
+    });
+  });
+
+  describe('names', () => {
+    it('resolves aliases and spacing variants to one entry', () => {
+      expect(skillTaxonomy.resolveSkill('Node JS')).toMatchObject({ id: 'nodejs', name: 'Node.js' });
+      expect(skillTaxonomy.canonicalSkillName('ecmascript')).toBe('JavaScript');
+      expect(skillTaxonomy.skillKey('JS')).toBe('javascript');
+    });
+
+    it('keeps unknown skills, tidied', () => {
+      expect(skillTaxonomy.resolveSkill('Rust')).toBeNull();
+      expect(skillTaxonomy.canonicalSkillName('  rust  lang ')).toBe('rust lang');
+      expect(skillTaxonomy.skillKey('Rust Lang')).toBe('rustlang');
+    });
+
+    it('rewrites skill entries to canonical names and ids', () => {
+      expect(skillTaxonomy.normalizeSkillEntries([{ name: 'node' }, { name: 'rust' }])).toEqual([
+        { name: 'Node.js', skillId: 'nodejs' },
+        { name: 'rust', skillId: undefined }
+      ]);
+    });
+  });
+
+  describe('hierarchy', () => {
+    it('walks ancestors and descendants', () => {
+      expect(skillTaxonomy.getAncestors('TypeScript')).toEqual(['javascript', 'programming-languages']);
+      expect(skillTaxonomy.getDescendants('programming-languages')).toEqual(['javascript', 'typescript', 'nodejs']);
+    });
+
+    it('lets a more specific skill satisfy a broader requirement but not the reverse', () => {
+      expect(skillTaxonomy.skillSatisfies('ts', 'JavaScript')).toBe(true);
+      expect(skillTaxonomy.skillSatisfies('JavaScript', 'ts')).toBe(false);
+    });
+
+    it('prefers an exact match over a more specific skill', () => {
+      expect(skillTaxonomy.findMatchingSkill(['TypeScript', { name: 'js' }], 'JavaScript')).toEqual({ name: 'js' });
+      expect(skillTaxonomy.findMatchingSkill(['TypeScript'], 'JavaScript')).toBe('TypeScript');
+      expect(skillTaxonomy.findMatchingSkill(['Leadership'], 'JavaScript')).toBeNull();
+    });
+  });
+  describe('suggestSkills', () => {
+    it('completes a typed prefix with the skill category', () => {
+      expect(skillTaxonomy.suggestSkills('typ')).toEqual([{
+        id: 'typescript',
+        name: 'TypeScript',
+        category: { id: 'programming-languages', name: 'Programming Languages' },
+        profileCategory: 'technical',
+        matchedAlias: null,
+        isCategory: false
+      }]);
+    });
+
+    it('ranks an alias match first and says which alias matched', () => {
+      const suggestions = skillTaxonomy.suggestSkills('js');
+      expect(suggestions.map(skill => skill.name)).toEqual(['JavaScript', 'Node.js']);
+      expect(suggestions[0].matchedAlias).toBe('js');
+    });
+
+    it('finds near-misses and marks soft skills', () => {
+      expect(skillTaxonomy.suggestSkills('leadrship')).toEqual([
+        expect.objectContaining({ id: 'leadership', profileCategory: 'soft' })
+      ]);
+    });
+
+    it('leaves categories out unless asked', () => {
+      expect(skillTaxonomy.suggestSkills('programming')).toEqual([]);
+      expect(skillTaxonomy.suggestSkills('programming', { includeCategories: true })[0]).toMatchObject({
+        id: 'programming-languages',
+        isCategory: true
+      });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { expandAvailability, validateAvailability, isValidTimeZone } = require('../services/studyScheduler');
+
+describe('studyScheduler', () => {
+  describe('expandAvailability', () => {
+    const user = {
+      learningPreferences: { timezone: 'Europe/Berlin', availability: [{ day: 1, start: '18:00', end: '20:00' }] }
+    };
+
+    it('places weekly windows in the user\'s time zone across daylight saving changes', () => {
+      const slots = expandAvailability(user, { from: new Date('2026-03-23T10:00:00Z'), weeks: 2 });
+      expect(slots).toEqual([
+        { start: new Date('2026-03-23T17:00:00Z'), end: new Date('2026-03-23T19:00:00Z') },
+        { start: new Date('2026-03-30T16:00:00Z'), end: new Date('2026-03-30T18:00:00Z') }
+      ]);
+    });
+
+    it('clips a window already underway', () => {
+      const slots = expandAvailability(user, { from: new Date('2026-03-30T17:00:00Z'), weeks: 1 });
+      expect(slots).toEqual([{ start: new Date('2026-03-30T17:00:00Z'), end: new Date('2026-03-30T18:00:00Z') }]);
+    });
+
+    it('spreads the weekly hours over weekdays when no availability is set', () => {
+      const slots = expandAvailability(
+        { learningPreferences: { weeklyStudyHours: 5 } },
+        { from: new Date('2026-03-22T00:00:00Z'), weeks: 1 }
+      );
+      expect(slots.map(slot => slot.start.getUTCDay())).toEqual([1, 2, 3, 4, 5]);
+      slots.forEach(slot => expect(slot.end - slot.start).toBe(60 * 60 * 1000));
+    });
+  });
+
+  describe('validateAvailability', () => {
+    it('accepts well-formed windows', () => {
+      expect(validateAvailability([{ day: 0, start: '09:00', end: '10:30' }])).toBeNull();
+    });
+
+    it('rejects bad days, times and windows too short to study in', () => {
+      expect(validateAvailability('mondays')).toBe('slots must be an array');
+      expect(validateAvailability([{ day: 7, start: '09:00', end: '10:00' }])).toMatch(/day from 0/);
+      expect(validateAvailability([{ day: 1, start: '9am', end: '10:00' }])).toBe('Slot times must be in HH:MM format');
+      expect(validateAvailability([{ day: 1, start: '09:00', end: '09:10' }])).toMatch(/at least 15 minutes/);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('checks names against the IANA database', () => {
+      expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+    });
+  });
+});
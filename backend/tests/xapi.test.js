@@ -0,0 +1,157 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const XapiStatement = require('../models/XapiStatement');
+const learningPathPlanner = require('../services/learningPathPlanner');
+const { validateStatement, storeStatements, PROGRESS_EXTENSION } = require('../services/xapi');
+
+const VERBS = {
+  progressed: 'http://adlnet.gov/expapi/verbs/progressed',
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed'
+};
+const AUTHORITY = { key: 'lms', homePage: 'https://lms.example.com' };
+
+const statement = (verb, objectId, extra = {}) => ({
+  actor: { objectType: 'Agent', mbox: 'mailto:jane@example.com' },
+  verb: { id: VERBS[verb] },
+  object: { objectType: 'Activity', id: objectId },
+  timestamp: '2026-03-02T10:00:00.000Z',
+  ...extra
+});
+
+describe('xapi', () => {
+  describe('validateStatement', () => {
+    it('accepts a minimal statement', () => {
+      expect(validateStatement(statement('completed', 'https://disha.ai/courses/1'))).toEqual([]);
+    });
+
+    it('lists every problem it finds', () => {
+      expect(validateStatement({
+        id: 'not-a-uuid',
+        actor: { mbox: 'jane@example.com' },
+        verb: { id: 'completed' },
+        object: { objectType: 'Agent', id: 'x' },
+        result: { score: { scaled: 2 }, duration: '90 minutes', extensions: { [PROGRESS_EXTENSION]: 50.5 } }
+      })).toEqual([
+        'id must be a UUID',
+        'actor.mbox must be a mailto: IRI',
+        'verb.id must be an IRI',
+        'Only Activity objects are supported',
+        'object.id must be an IRI',
+        'result.score.scaled must be a number between -1 and 1',
+        'result.duration must be an ISO 8601 duration',
+        'The progress extension must be an integer from 0 to 100'
+      ]);
+    });
+
+    it('requires exactly one actor identifier', () => {
+      const actor = { mbox: 'mailto:jane@example.com', account: { homePage: 'https://lms.example.com', name: 'jane' } };
+      expect(validateStatement({ ...statement('completed', 'https://disha.ai/courses/1'), actor }))
+        .toEqual(['actor must have exactly one of mbox, mbox_sha1sum, openid or account']);
+    });
+  });
+
+  describe('storeStatements', () => {
+    let learner;
+    let course;
+    let created;
+
+    beforeEach(() => {
+      course = new Course({
+        title: 'Node.js Fundamentals',
+        url: 'https://provider.example.com/node',
+        modules: [{ title: 'Basics', duration: 1 }, { title: 'Streams', duration: 3 }]
+      });
+      learner = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', password: 'secret123' });
+      created = [];
+
+      jest.spyOn(XapiStatement, 'find').mockResolvedValue([]);
+      jest.spyOn(XapiStatement, 'create').mockImplementation(async doc => created.push(doc));
+      jest.spyOn(User, 'findOne').mockResolvedValue(learner);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Course, 'findById').mockImplementation(async id => (String(id) === String(course._id) ? course : null));
+      jest.spyOn(Course, 'findOne').mockImplementation(async ({ url }) => (url.$in.includes(course.url) ? course : null));
+      jest.spyOn(Course, 'findByIdAndUpdate').mockResolvedValue(null);
+      jest.spyOn(learningPathPlanner, 'syncActivePlan').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('turns module statements into duration-weighted course progress', async () => {
+      const courseIri = `https://disha.ai/courses/${course._id}`;
+      const { results } = await storeStatements([
+        statement('progressed', `${courseIri}/modules/1`, { result: { extensions: { [PROGRESS_EXTENSION]: 50 } } }),
+        statement('completed', `${courseIri}/modules/0`, { result: { duration: 'PT45M' } })
+      ], AUTHORITY);
+
+      // Streams is 3 of 4 hours: half of it is 37.5%, plus all of Basics at 25%
+      expect(results.map(result => result.outcome)).toEqual(['applied', 'applied']);
+      expect(results[1].progress).toBe(63);
+
+      const entry = learner.learningProgress[0];
+      expect(entry.modules.find(module => module.index === 0)).toMatchObject({ status: 'completed', timeSpentMinutes: 45 });
+      expect(Course.findByIdAndUpdate).toHaveBeenCalledWith(course._id, { $inc: { enrollmentCount: 1, completions: 0 } });
+      expect(created.map(doc => doc.moduleIndex)).toEqual([1, 0]);
+    });
+
+    it('matches a module by title under the course url', async () => {
+      const { results } = await storeStatements([statement('completed', 'https://provider.example.com/node/lesson-7', {
+        object: { objectType: 'Activity', id: 'https://provider.example.com/node/lesson-7', definition: { name: { 'en-US': 'streams' } } },
+        context: { contextActivities: { parent: [{ id: 'https://provider.example.com/node/' }] } }
+      })], AUTHORITY);
+
+      expect(results[0]).toMatchObject({ outcome: 'applied', progress: 75 });
+    });
+
+    it('completes every module when the whole course is passed', async () => {
+      const { results } = await storeStatements([
+        statement('passed', `https://disha.ai/courses/${course._id}`, { result: { score: { scaled: 0.9 } } })
+      ], AUTHORITY);
+
+      expect(results[0].progress).toBe(100);
+      expect(learner.learningProgress[0].status).toBe('completed');
+      expect(learner.analytics.courseCompletions).toBe(1);
+    });
+
+    it('never moves progress backwards', async () => {
+      const moduleIri = `https://disha.ai/courses/${course._id}/modules/1`;
+      await storeStatements([statement('progressed', moduleIri, { result: { extensions: { [PROGRESS_EXTENSION]: 80 } } })], AUTHORITY);
+      const { results } = await storeStatements([
+        statement('progressed', moduleIri, { result: { extensions: { [PROGRESS_EXTENSION]: 40 } } })
+      ], AUTHORITY);
+
+      expect(results[0]).toMatchObject({ outcome: 'no_change', progress: 60 });
+    });
+
+    it('stores statements it cannot apply with the reason', async () => {
+      User.findOne.mockResolvedValue(null);
+      const { results } = await storeStatements([
+        statement('completed', `https://disha.ai/courses/${course._id}`),
+        statement('completed', `https://disha.ai/courses/${course._id}`, { verb: { id: 'http://adlnet.gov/expapi/verbs/launched' } })
+      ], AUTHORITY);
+
+      expect(results.map(result => result.outcome)).toEqual(['unknown_actor', 'unsupported_verb']);
+      expect(created).toHaveLength(2);
+    });
+
+    it('rejects a reused id with different content and ignores an identical resend', async () => {
+      const original = { ...statement('completed', `https://disha.ai/courses/${course._id}`), id: '6d0c8f5e-2a6b-4a57-9f0e-8f7d2c1b0a99' };
+      XapiStatement.find.mockResolvedValue([{ statementId: original.id, statement: original }]);
+
+      expect(await storeStatements([original], AUTHORITY)).toEqual({ statementIds: [original.id], results: [] });
+      expect(await storeStatements([{ ...original, verb: { id: VERBS.passed } }], AUTHORITY)).toEqual({ conflicts: [original.id] });
+    });
+
+    it('keeps a learner\'s own token to their own statements', async () => {
+      const result = await storeStatements(
+        [statement('completed', `https://disha.ai/courses/${course._id}`)],
+        { ...AUTHORITY, userId: '507f1f77bcf86cd799439011' }
+      );
+      expect(result).toEqual({ forbidden: true });
+    });
+  });
+});
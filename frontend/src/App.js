@@ -8,11 +8,14 @@ import Dashboard from './components/Dashboard';
 import ProfileForm from './components/ProfileForm';
 import ResumeBuilder from './components/ResumeBuilder';
 import JobListing from './components/JobListing';
+import ApplicationBoard from './components/ApplicationBoard';
 import CertificationForm from './components/CertificationForm';
 import Landing from './components/Landing';
 import Login from './components/Login';
 import Register from './components/Register';
 import CareerGuide from './components/CareerGuide';
+import StudySchedule from './components/StudySchedule';
+import SharedLearningList from './components/SharedLearningList';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -40,8 +43,11 @@ function App() {
                 <Route path="/profile" element={<ProfileForm />} />
                 <Route path="/resume" element={<ResumeBuilder />} />
                 <Route path="/jobs" element={<JobListing />} />
+                <Route path="/applications" element={<ApplicationBoard />} />
                 <Route path="/certifications" element={<CertificationForm />} />
                 <Route path="/career-guide" element={<CareerGuide />} />
+                <Route path="/study-schedule" element={<StudySchedule />} />
+                <Route path="/lists/shared/:token" element={<SharedLearningList />} />
               </Routes>
             </main>
             <Toaster position="top-right" />
@@ -0,0 +1,405 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { toast } from 'react-hot-toast';
+import {
+  Briefcase,
+  Building2,
+  Clock,
+  FileText,
+  MessageSquare,
+  Plus,
+  Trash2,
+  User,
+  X
+} from 'lucide-react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+const STAGE_LABELS = {
+  saved: 'Saved',
+  applied: 'Applied',
+  screening: 'Screening',
+  interview: 'Interview',
+  offer: 'Offer',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn'
+};
+
+const STAGE_COLORS = {
+  saved: 'border-gray-300',
+  applied: 'border-blue-400',
+  screening: 'border-indigo-400',
+  interview: 'border-purple-400',
+  offer: 'border-green-500',
+  rejected: 'border-red-400',
+  withdrawn: 'border-yellow-400'
+};
+
+const ApplicationBoard = () => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [newNote, setNewNote] = useState('');
+  const [newContact, setNewContact] = useState({ name: '', email: '' });
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [newApplication, setNewApplication] = useState({ jobTitle: '', company: '', stage: 'applied' });
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+
+  const userId = user?._id || localStorage.getItem('userId');
+
+  // Fetch applications grouped by stage
+  const { data, isLoading } = useQuery(
+    ['applications', userId],
+    () => axios.get(`/api/jobs/applications/${userId}`).then(res => res.data.data),
+    {
+      enabled: !!userId
+    }
+  );
+
+  const moveStageMutation = useMutation(
+    ({ applicationId, stage }) => axios.post(`/api/jobs/applications/${userId}/${applicationId}/stage`, { stage }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['applications', userId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to move application');
+      }
+    }
+  );
+
+  const addApplicationMutation = useMutation(
+    (application) => axios.post(`/api/jobs/applications/${userId}`, application),
+    {
+      onSuccess: () => {
+        toast.success('Application added');
+        setShowAddForm(false);
+        setNewApplication({ jobTitle: '', company: '', stage: 'applied' });
+        queryClient.invalidateQueries(['applications', userId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to add application');
+      }
+    }
+  );
+
+  const addNoteMutation = useMutation(
+    ({ applicationId, text }) => axios.post(`/api/jobs/applications/${userId}/${applicationId}/notes`, { text }),
+    {
+      onSuccess: () => {
+        setNewNote('');
+        queryClient.invalidateQueries(['applications', userId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to add note');
+      }
+    }
+  );
+
+  const updateApplicationMutation = useMutation(
+    ({ applicationId, updates }) => axios.put(`/api/jobs/applications/${userId}/${applicationId}`, updates),
+    {
+      onSuccess: () => {
+        setNewContact({ name: '', email: '' });
+        queryClient.invalidateQueries(['applications', userId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to update application');
+      }
+    }
+  );
+
+  const deleteApplicationMutation = useMutation(
+    (applicationId) => axios.delete(`/api/jobs/applications/${userId}/${applicationId}`),
+    {
+      onSuccess: () => {
+        toast.success('Application removed');
+        setSelectedId(null);
+        queryClient.invalidateQueries(['applications', userId]);
+      }
+    }
+  );
+
+  const handleDragEnd = (result) => {
+    const { destination, source, draggableId } = result;
+    if (!destination || destination.droppableId === source.droppableId) return;
+
+    const allowed = data.transitions[source.droppableId] || [];
+    if (!allowed.includes(destination.droppableId)) {
+      toast.error(`Can't move from ${STAGE_LABELS[source.droppableId]} to ${STAGE_LABELS[destination.droppableId]}`);
+      return;
+    }
+    moveStageMutation.mutate({ applicationId: draggableId, stage: destination.droppableId });
+  };
+
+  const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '';
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const stages = data?.stages || Object.keys(STAGE_LABELS);
+  const board = data?.board || {};
+  const selected = data?.applications.find(application => application._id === selectedId);
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Applications</h1>
+          <p className="text-gray-600 mt-2">
+            Track every application from saved to offer. Drag cards to update their stage.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowAddForm(!showAddForm)}
+          className="btn-primary mt-4 lg:mt-0 flex items-center"
+        >
+          <Plus size={16} className="mr-2" />
+          Add Application
+        </button>
+      </div>
+
+      {showAddForm && (
+        <div className="card">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="label">Job Title</label>
+              <input
+                className="input-field"
+                value={newApplication.jobTitle}
+                onChange={(e) => setNewApplication({ ...newApplication, jobTitle: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="label">Company</label>
+              <input
+                className="input-field"
+                value={newApplication.company}
+                onChange={(e) => setNewApplication({ ...newApplication, company: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="label">Stage</label>
+              <select
+                className="input-field"
+                value={newApplication.stage}
+                onChange={(e) => setNewApplication({ ...newApplication, stage: e.target.value })}
+              >
+                <option value="saved">Saved</option>
+                <option value="applied">Applied</option>
+              </select>
+            </div>
+            <button
+              onClick={() => addApplicationMutation.mutate(newApplication)}
+              disabled={!newApplication.jobTitle || !newApplication.company || addApplicationMutation.isLoading}
+              className="btn-primary"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Kanban Board */}
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {stages.map((stage) => (
+            <Droppable droppableId={stage} key={stage}>
+              {(provided, snapshot) => (
+                <div
+                  ref={provided.innerRef}
+                  {...provided.droppableProps}
+                  className={`flex-shrink-0 w-64 rounded-lg p-3 border-t-4 ${STAGE_COLORS[stage]} ${
+                    snapshot.isDraggingOver ? 'bg-primary-50' : 'bg-gray-100'
+                  }`}
+                >
+                  <div className="flex items-center justify-between mb-3">
+                    <h2 className="font-semibold text-gray-900">{STAGE_LABELS[stage]}</h2>
+                    <span className="text-sm text-gray-500">{(board[stage] || []).length}</span>
+                  </div>
+
+                  <div className="space-y-3 min-h-[4rem]">
+                    {(board[stage] || []).map((application, index) => (
+                      <Draggable key={application._id} draggableId={application._id} index={index}>
+                        {(provided) => (
+                          <div
+                            ref={provided.innerRef}
+                            {...provided.draggableProps}
+                            {...provided.dragHandleProps}
+                            onClick={() => setSelectedId(application._id)}
+                            className="bg-white rounded-lg shadow-sm p-3 cursor-pointer hover:shadow-md transition-shadow duration-200"
+                          >
+                            <h3 className="font-medium text-gray-900 text-sm">{application.jobTitle}</h3>
+                            <p className="text-sm text-gray-600 flex items-center mt-1">
+                              <Building2 size={12} className="mr-1" />
+                              {application.company}
+                            </p>
+                            <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                              <span className="flex items-center">
+                                <Clock size={12} className="mr-1" />
+                                {application.daysInStage}d in stage
+                              </span>
+                              {application.resumeVersion && (
+                                <span className="flex items-center">
+                                  <FileText size={12} className="mr-1" />
+                                  {application.resumeVersion}
+                                </span>
+                              )}
+                              {application.notes.length > 0 && (
+                                <span className="flex items-center">
+                                  <MessageSquare size={12} className="mr-1" />
+                                  {application.notes.length}
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                        )}
+                      </Draggable>
+                    ))}
+                    {provided.placeholder}
+                  </div>
+                </div>
+              )}
+            </Droppable>
+          ))}
+        </div>
+      </DragDropContext>
+
+      {/* Application Details */}
+      {selected && (
+        <div className="card">
+          <div className="flex items-start justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+                <Briefcase className="mr-2" size={20} />
+                {selected.jobTitle}
+              </h2>
+              <p className="text-gray-600">{selected.company} &middot; {STAGE_LABELS[selected.stage]}</p>
+              {selected.resumeVersion && (
+                <p className="text-sm text-gray-500 mt-1">Resume version: {selected.resumeVersion}</p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => deleteApplicationMutation.mutate(selected._id)}
+                className="btn-secondary"
+                title="Remove application"
+              >
+                <Trash2 size={16} />
+              </button>
+              <button onClick={() => setSelectedId(null)} className="btn-secondary">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+            <div>
+              <h3 className="font-medium text-gray-900 mb-2">Timeline</h3>
+              <ul className="space-y-1 text-sm">
+                {selected.stageHistory.map((entry, index) => (
+                  <li key={index} className="text-gray-600">
+                    <span className="font-medium">{STAGE_LABELS[entry.to]}</span> &middot; {formatDate(entry.changedAt)}
+                    {entry.note && <span className="block text-xs text-gray-500">{entry.note}</span>}
+                  </li>
+                ))}
+              </ul>
+              {(data.transitions[selected.stage] || []).length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {data.transitions[selected.stage].map((stage) => (
+                    <button
+                      key={stage}
+                      onClick={() => moveStageMutation.mutate({ applicationId: selected._id, stage })}
+                      className="px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200 text-gray-700"
+                    >
+                      Move to {STAGE_LABELS[stage]}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-medium text-gray-900 mb-2">Notes</h3>
+              <ul className="space-y-2 text-sm mb-3">
+                {selected.notes.map((note) => (
+                  <li key={note._id} className="text-gray-700">
+                    {note.text}
+                    <span className="block text-xs text-gray-400">{formatDate(note.createdAt)}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex gap-2">
+                <input
+                  className="input-field"
+                  placeholder="Add a note"
+                  value={newNote}
+                  onChange={(e) => setNewNote(e.target.value)}
+                />
+                <button
+                  onClick={() => addNoteMutation.mutate({ applicationId: selected._id, text: newNote })}
+                  disabled={!newNote.trim()}
+                  className="btn-primary"
+                >
+                  <Plus size={16} />
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="font-medium text-gray-900 mb-2">Contacts</h3>
+              {selected.contacts.length === 0 ? (
+                <p className="text-sm text-gray-500">No contacts yet</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {selected.contacts.map((contact) => (
+                    <li key={contact._id} className="flex items-start">
+                      <User size={14} className="mr-2 mt-0.5 text-gray-400" />
+                      <div>
+                        <p className="text-gray-900">{contact.name}{contact.title ? `, ${contact.title}` : ''}</p>
+                        {contact.email && <p className="text-gray-500">{contact.email}</p>}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2 mt-3">
+                <input
+                  className="input-field"
+                  placeholder="Name"
+                  value={newContact.name}
+                  onChange={(e) => setNewContact({ ...newContact, name: e.target.value })}
+                />
+                <input
+                  className="input-field"
+                  placeholder="Email"
+                  value={newContact.email}
+                  onChange={(e) => setNewContact({ ...newContact, email: e.target.value })}
+                />
+                <button
+                  onClick={() => updateApplicationMutation.mutate({
+                    applicationId: selected._id,
+                    updates: { contacts: [...selected.contacts, newContact] }
+                  })}
+                  disabled={!newContact.name.trim()}
+                  className="btn-primary"
+                >
+                  <Plus size={16} />
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationBoard;
@@ -1,7 +1,7 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { careerGuideAPI } from '../services/api';
-import { Loader2, PlayCircle } from 'lucide-react';
+import { careerGuideAPI, learningPlanAPI } from '../services/api';
+import { Loader2, PlayCircle, ExternalLink } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Section = ({ title, children }) => (
@@ -11,27 +11,76 @@ const Section = ({ title, children }) => (
   </section>
 );
 
+const STEP_STATUS_STYLES = {
+  planned: 'bg-gray-100 text-gray-700',
+  in_progress: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  skipped: 'bg-gray-100 text-gray-400 line-through',
+};
+
+const STEP_STATUS_LABELS = {
+  planned: 'Planned',
+  in_progress: 'In progress',
+  completed: 'Completed',
+  skipped: 'Skipped',
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
 const CareerGuide = () => {
   const { isAuthenticated } = useAuth();
   const userId = localStorage.getItem('userId');
   const [loading, setLoading] = useState(true);
   const [guide, setGuide] = useState(null);
   const [saving, setSaving] = useState(false);
+  const [planBusy, setPlanBusy] = useState(false);
+  const [weeklyHours, setWeeklyHours] = useState('');
+
+  // Silent reloads keep the page on screen while the roadmap catches up with the plan
+  const fetchGuide = useCallback(async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setLoading(true);
+      const { data } = await careerGuideAPI.getGuide(userId);
+      setGuide(data.data);
+      setWeeklyHours(data.data.learningPlan?.weeklyHours || '');
+    } catch (err) {
+      toast.error('Failed to load career guide');
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [userId]);
 
   useEffect(() => {
-    const fetchGuide = async () => {
-      try {
-        setLoading(true);
-        const { data } = await careerGuideAPI.getGuide(userId);
-        setGuide(data.data);
-      } catch (err) {
-        toast.error('Failed to load career guide');
-      } finally {
-        setLoading(false);
-      }
-    };
     if (isAuthenticated && userId) fetchGuide();
-  }, [isAuthenticated, userId]);
+  }, [isAuthenticated, userId, fetchGuide]);
+
+  const runPlanAction = async (action, successMessage) => {
+    try {
+      setPlanBusy(true);
+      await action();
+      await fetchGuide({ silent: true });
+      toast.success(successMessage);
+    } catch (e) {
+      toast.error(e.response?.data?.error || 'Could not update your learning plan');
+    } finally {
+      setPlanBusy(false);
+    }
+  };
+
+  const createPlan = () => runPlanAction(
+    () => learningPlanAPI.create(userId, { careerPath: guide?.meta?.targetRole }),
+    'Learning plan created'
+  );
+
+  const replan = () => runPlanAction(
+    () => learningPlanAPI.replan(userId, weeklyHours ? { weeklyHours: Number(weeklyHours) } : {}),
+    'Learning plan updated'
+  );
+
+  const updateStep = (stepId, status) => runPlanAction(
+    () => learningPlanAPI.updateStep(userId, stepId, status),
+    status === 'skipped' ? 'Step skipped' : 'Step restored'
+  );
 
   const saveGoals = async () => {
     if (!guide?.recommendedGoals?.length) return;
@@ -110,6 +159,95 @@ const CareerGuide = () => {
         </div>
       </Section>
 
+      <Section title="Learning plan">
+        {guide.learningPlan ? (
+          <div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <div className="text-sm text-gray-600">
+                {guide.learningPlan.completionPercentage}% done • {guide.learningPlan.totalHours} hours to go
+                {guide.learningPlan.estimatedCompletion && ` • Finish by ${formatDate(guide.learningPlan.estimatedCompletion)}`}
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  max="80"
+                  value={weeklyHours}
+                  onChange={(e) => setWeeklyHours(e.target.value)}
+                  className="input-field w-20"
+                  aria-label="Study hours per week"
+                />
+                <span className="text-sm text-gray-600">hours/week</span>
+                <button onClick={replan} disabled={planBusy} className="btn-secondary disabled:opacity-50">
+                  {planBusy ? 'Updating...' : 'Re-plan'}
+                </button>
+              </div>
+            </div>
+
+            <ol className="space-y-3">
+              {guide.learningPlan.steps?.map((step) => (
+                <li key={step._id} className="border rounded-lg p-4 flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="font-medium flex items-center gap-1">
+                      {step.order}. {step.title}
+                      {step.url && (
+                        <a href={step.url} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-primary-600">
+                          <ExternalLink size={14} />
+                        </a>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      {step.provider} • {step.status === 'in_progress' ? `${step.remainingHours} of ${step.hours}` : step.hours} hours
+                      {step.scheduledStart && ` • ${formatDate(step.scheduledStart)} – ${formatDate(step.scheduledEnd)}`}
+                    </div>
+                    {step.reason && <div className="text-sm text-gray-700 mt-1">{step.reason}</div>}
+                  </div>
+                  <div className="flex flex-col items-end gap-2 shrink-0">
+                    <span className={`text-xs px-2 py-1 rounded ${STEP_STATUS_STYLES[step.status]}`}>
+                      {STEP_STATUS_LABELS[step.status]}
+                    </span>
+                    {step.status === 'planned' && (
+                      <button onClick={() => updateStep(step._id, 'skipped')} disabled={planBusy} className="text-xs text-gray-500 hover:text-gray-700">
+                        Skip
+                      </button>
+                    )}
+                    {step.status === 'skipped' && (
+                      <button onClick={() => updateStep(step._id, 'planned')} disabled={planBusy} className="text-xs text-primary-600 hover:text-primary-700">
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+
+            {guide.learningPlan.uncoveredSkills?.length > 0 && (
+              <p className="text-sm text-gray-600 mt-4">
+                No course in the catalog teaches {guide.learningPlan.uncoveredSkills.join(', ')} yet; cover these with a starter project.
+              </p>
+            )}
+            {guide.learningPlan.unmetPrerequisites?.length > 0 && (
+              <p className="text-sm text-yellow-700 mt-2">
+                Prerequisites to pick up on your own: {guide.learningPlan.unmetPrerequisites.map((p) => p.skill).join(', ')}
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-gray-600">
+              Turn your skill gaps into an ordered list of courses, scheduled around your weekly study hours.
+            </p>
+            <button
+              onClick={createPlan}
+              disabled={planBusy}
+              className="bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {planBusy ? 'Planning...' : 'Build my learning plan'}
+            </button>
+          </div>
+        )}
+      </Section>
+
       <Section title="Recommended courses">
         <div className="grid md:grid-cols-3 gap-4">
           {guide.recommendedCourses?.map((c) => (
@@ -11,14 +11,17 @@ import {
   Loader,
   Plus,
   Trash2,
-  Eye
+  Eye,
+  X
 } from 'lucide-react';
 import axios from 'axios';
+import SkillAutocomplete from './SkillAutocomplete';
 
 const CertificationForm = () => {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [verificationResults, setVerificationResults] = useState({});
   const [isVerifying, setIsVerifying] = useState({});
+  const [skillQuery, setSkillQuery] = useState('');
   const queryClient = useQueryClient();
 
   // Mock user ID
@@ -328,14 +331,32 @@ const CertificationForm = () => {
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Related Skills
                       </label>
-                      <input
-                        value={Array.isArray(value) ? value.join(', ') : value || ''}
-                        onChange={(e) => {
-                          const skills = e.target.value.split(',').map(skill => skill.trim()).filter(skill => skill);
-                          onChange(skills);
+                      {value.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-2">
+                          {value.map(skill => (
+                            <span key={skill} className="inline-flex items-center px-2 py-1 bg-primary-50 text-primary-700 rounded text-sm">
+                              {skill}
+                              <button
+                                type="button"
+                                onClick={() => onChange(value.filter(s => s !== skill))}
+                                className="ml-1 text-primary-500 hover:text-primary-700"
+                              >
+                                <X size={12} />
+                              </button>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <SkillAutocomplete
+                        value={skillQuery}
+                        onChange={setSkillQuery}
+                        onSelect={(suggestion) => {
+                          if (!value.some(s => s.toLowerCase() === suggestion.name.toLowerCase())) {
+                            onChange([...value, suggestion.name]);
+                          }
+                          setSkillQuery('');
                         }}
-                        className="input-field"
-                        placeholder="Enter skills separated by commas (e.g., Cloud Architecture, AWS, DevOps)"
+                        placeholder="Start typing a skill (e.g., AWS, Kubernetes) and press Enter"
                       />
                     </div>
                   )}
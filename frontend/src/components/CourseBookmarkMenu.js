@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Bookmark, BookmarkCheck, Check, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { learningListAPI } from '../services/api';
+
+// Bookmark button with a menu for sorting the course into the user's learning lists.
+// Every card shares the ['learningLists', userId] query, so the lists are fetched once.
+const CourseBookmarkMenu = ({ courseId, size = 16 }) => {
+  const [open, setOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+
+  const userId = user?._id || localStorage.getItem('userId');
+
+  const { data } = useQuery(
+    ['learningLists', userId],
+    () => learningListAPI.getLists(userId).then(res => res.data.data),
+    {
+      enabled: !!userId
+    }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['learningLists', userId]);
+  const showError = (fallback) => (error) => toast.error(error.response?.data?.error || fallback);
+
+  const bookmarkMutation = useMutation(
+    (listId) => learningListAPI.bookmark(userId, courseId, listId),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refresh();
+      },
+      onError: showError('Failed to bookmark course')
+    }
+  );
+
+  const removeFromListMutation = useMutation(
+    (listId) => learningListAPI.removeFromList(userId, listId, courseId),
+    { onSuccess: refresh, onError: showError('Failed to remove course from list') }
+  );
+
+  const removeBookmarkMutation = useMutation(
+    () => learningListAPI.removeBookmark(userId, courseId),
+    {
+      onSuccess: () => {
+        toast.success('Bookmark removed');
+        setOpen(false);
+        refresh();
+      },
+      onError: showError('Failed to remove bookmark')
+    }
+  );
+
+  const createListMutation = useMutation(
+    async (name) => {
+      const { data: created } = await learningListAPI.createList(userId, { name });
+      return learningListAPI.bookmark(userId, courseId, created.data._id);
+    },
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setNewListName('');
+        refresh();
+      },
+      onError: showError('Failed to create list')
+    }
+  );
+
+  if (!userId || !courseId) return null;
+
+  const lists = data?.lists || [];
+  const inLists = data?.bookmarks?.[courseId] || [];
+  const isBookmarked = inLists.length > 0;
+
+  const toggleList = (listId) => {
+    if (inLists.includes(listId)) removeFromListMutation.mutate(listId);
+    else bookmarkMutation.mutate(listId);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newListName.trim()) createListMutation.mutate(newListName.trim());
+  };
+
+  return (
+    <div className="relative" onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => (isBookmarked || lists.length > 1 ? setOpen(!open) : bookmarkMutation.mutate(undefined))}
+        className={`p-1 rounded ${isBookmarked ? 'text-primary-600' : 'text-gray-400 hover:text-primary-600'}`}
+        title={isBookmarked ? 'Saved — choose lists' : 'Bookmark course'}
+      >
+        {isBookmarked ? <BookmarkCheck size={size} /> : <Bookmark size={size} />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-60 bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="px-3 py-2 border-b border-gray-200 text-xs font-semibold text-gray-500 uppercase">
+            Save to
+          </div>
+          <div className="max-h-60 overflow-y-auto py-1">
+            {lists.length === 0 && (
+              <button
+                onClick={() => bookmarkMutation.mutate(undefined)}
+                className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                Saved courses
+              </button>
+            )}
+            {lists.map((list) => (
+              <button
+                key={list._id}
+                onClick={() => toggleList(list._id)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <span className="truncate">{list.name}</span>
+                {inLists.includes(list._id) && <Check size={14} className="text-primary-600 flex-shrink-0" />}
+              </button>
+            ))}
+          </div>
+
+          <form onSubmit={handleCreate} className="flex items-center border-t border-gray-200 px-3 py-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New list"
+              maxLength={80}
+              className="flex-1 min-w-0 text-sm border-0 focus:ring-0 p-0"
+            />
+            <button type="submit" className="ml-2 text-primary-600 hover:text-primary-700" title="Create list">
+              <Plus size={16} />
+            </button>
+          </form>
+
+          {isBookmarked && (
+            <button
+              onClick={() => removeBookmarkMutation.mutate()}
+              className="w-full flex items-center px-3 py-2 text-sm text-red-600 hover:bg-red-50 border-t border-gray-200"
+            >
+              <Trash2 size={14} className="mr-2" />
+              Remove from all lists
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CourseBookmarkMenu;
@@ -11,6 +11,7 @@ import {
   CheckCircle,
   ExternalLink
 } from 'lucide-react';
+import CourseBookmarkMenu from './CourseBookmarkMenu';
 
 const CourseCard = ({ course, compact = false, showProgress = false, onEnroll, onViewDetails }) => {
   if (!course) return null;
@@ -35,8 +36,10 @@ const CourseCard = ({ course, compact = false, showProgress = false, onEnroll, o
     provider,
     certificateAvailable,
     matchScore,
+    reason,
     url
   } = course;
+  const courseId = course._id || course.id;
 
   const getDifficultyColor = (level) => {
     const colors = {
@@ -75,10 +78,16 @@ const CourseCard = ({ course, compact = false, showProgress = false, onEnroll, o
             />
           )}
           <div className="flex-1 min-w-0">
-            <h3 className="font-medium text-gray-900 text-sm mb-1 truncate">
-              {title}
-            </h3>
-            <p className="text-xs text-gray-600 mb-2">{instructor}</p>
+            <div className="flex items-start justify-between">
+              <h3 className="font-medium text-gray-900 text-sm mb-1 truncate">
+                {title}
+              </h3>
+              <CourseBookmarkMenu courseId={courseId} size={14} />
+            </div>
+            <p className="text-xs text-gray-600 mb-2">{instructor || provider}</p>
+            {reason && (
+              <p className="text-xs text-gray-500 mb-2 line-clamp-2">{reason}</p>
+            )}
             
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-2 text-xs text-gray-500">
@@ -173,16 +182,19 @@ const CourseCard = ({ course, compact = false, showProgress = false, onEnroll, o
             <h3 className="text-lg font-semibold text-gray-900 line-clamp-2 leading-tight">
               {title}
             </h3>
-            {url && (
-              <a
-                href={url}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-400 hover:text-primary-600 ml-2"
-              >
-                <ExternalLink size={16} />
-              </a>
-            )}
+            <div className="flex items-center ml-2">
+              <CourseBookmarkMenu courseId={courseId} />
+              {url && (
+                <a
+                  href={url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-gray-400 hover:text-primary-600 ml-1"
+                >
+                  <ExternalLink size={16} />
+                </a>
+              )}
+            </div>
           </div>
           
           {provider && (
@@ -192,6 +204,13 @@ const CourseCard = ({ course, compact = false, showProgress = false, onEnroll, o
           <p className="text-gray-600 text-sm">{instructor}</p>
         </div>
 
+        {/* Why it was recommended */}
+        {reason && (
+          <p className="text-xs text-primary-700 bg-primary-50 rounded px-2 py-1 mb-3">
+            {reason}
+          </p>
+        )}
+
         {/* Description */}
         {description && (
           <p className="text-gray-700 text-sm mb-4 line-clamp-3">
@@ -30,6 +30,7 @@ import { Line, Doughnut } from 'react-chartjs-2';
 import { format } from 'date-fns';
 import axios from 'axios';
 import CourseCard from './CourseCard';
+import LearningListsWidget from './LearningListsWidget';
 
 ChartJS.register(
   CategoryScale,
@@ -393,6 +394,9 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {/* Learning Lists */}
+          <LearningListsWidget />
+
           {/* Quick Actions */}
           <div className="card">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Quick Actions</h2>
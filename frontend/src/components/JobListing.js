@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import { 
   Search, 
   MapPin, 
@@ -13,23 +13,67 @@ import {
   Heart,
   MoreHorizontal,
   Briefcase,
-  Target
+  Target,
+  FileText,
+  Bell,
+  BellOff,
+  Bookmark,
+  Trash2,
+  ChevronDown,
+  ChevronUp
 } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
 import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+const SALARY_RANGES = ['0-50000', '50000-75000', '75000-100000', '100000-150000', '150000+'];
+
+const MATCH_FACTOR_LABELS = {
+  skills: 'Skills',
+  experience: 'Experience',
+  location: 'Location',
+  salary: 'Salary',
+  education: 'Education'
+};
+
+// Maps the filter state to the parameter names saved searches use
+const buildSearchParams = ({ searchTerm, location, jobType, experienceLevel, salaryRange }) => {
+  const [salaryMin, salaryMax] = salaryRange.replace('+', '').split('-');
+  return {
+    query: searchTerm || undefined,
+    location: location || undefined,
+    employmentType: jobType || undefined,
+    experienceLevel: experienceLevel || undefined,
+    salaryMin: salaryRange && salaryMin !== '0' ? salaryMin : undefined,
+    salaryMax: salaryMax || undefined
+  };
+};
+
+const toSalaryRange = (min, max) => {
+  if (!min && !max) return '';
+  const range = max ? `${min || 0}-${max}` : `${min}+`;
+  return SALARY_RANGES.includes(range) ? range : '';
+};
 
 const JobListing = () => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [location, setLocation] = useState('');
-  const [jobType, setJobType] = useState('');
-  const [experienceLevel, setExperienceLevel] = useState('');
-  const [salaryRange, setSalaryRange] = useState('');
+  const [urlParams] = useSearchParams();
+  const [searchTerm, setSearchTerm] = useState(urlParams.get('query') || '');
+  const [location, setLocation] = useState(urlParams.get('location') || '');
+  const [jobType, setJobType] = useState(urlParams.get('employmentType') || '');
+  const [experienceLevel, setExperienceLevel] = useState(urlParams.get('experienceLevel') || '');
+  const [salaryRange, setSalaryRange] = useState(toSalaryRange(urlParams.get('salaryMin'), urlParams.get('salaryMax')));
+  const [searchName, setSearchName] = useState('');
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
   const [sortBy, setSortBy] = useState('relevance');
   const [savedJobs, setSavedJobs] = useState(new Set());
   const [currentPage, setCurrentPage] = useState(1);
   const [filtersVisible, setFiltersVisible] = useState(false);
+  const [expandedMatchId, setExpandedMatchId] = useState(null);
 
-  // Mock user ID
-  const userId = '64a7b2c8e4b0123456789abc';
+  const { user } = useAuth();
+  const userId = user?._id || localStorage.getItem('userId');
+  const queryClient = useQueryClient();
 
   // Fetch jobs with filters
   const { data: jobsData, isLoading, refetch } = useQuery(
@@ -63,14 +107,13 @@ const JobListing = () => {
   // Fetch job recommendations
   const { data: recommendations } = useQuery(
     ['jobRecommendations', userId],
-    () => axios.get(`/api/jobs/recommendations/${userId}?limit=5`).then(res => res.data.data.recommendations),
+    () => axios.get(`/api/jobs/recommendations/${userId}?limit=5`).then(res => res.data.data.jobs),
     {
       enabled: !!userId
     }
   );
 
   // Fetch saved jobs
-  // eslint-disable-next-line no-unused-vars
   const { data: savedJobsData } = useQuery(
     ['savedJobs', userId],
     () => axios.get(`/api/jobs/saved/${userId}`).then(res => res.data.data),
@@ -82,6 +125,15 @@ const JobListing = () => {
     }
   );
 
+  // Fetch saved searches
+  const { data: savedSearchesData } = useQuery(
+    ['savedSearches', userId],
+    () => axios.get(`/api/jobs/searches/${userId}`).then(res => res.data.data.searches),
+    {
+      enabled: !!userId
+    }
+  );
+
   const jobs = jobsData?.jobs || [];
   const totalPages = jobsData?.totalPages || 1;
   const totalJobs = jobsData?.total || 0;
@@ -110,20 +162,83 @@ const JobListing = () => {
         await axios.post(`/api/jobs/saved/${userId}`, { jobId });
         setSavedJobs(prev => new Set([...prev, jobId]));
       }
+      queryClient.invalidateQueries(['savedJobs', userId]);
     } catch (error) {
       console.error('Error saving job:', error);
+      toast.error(error.response?.data?.error || 'Failed to update saved jobs');
+    }
+  };
+
+  const handleSaveSearch = async () => {
+    try {
+      await axios.post(`/api/jobs/searches/${userId}`, {
+        name: searchName,
+        params: buildSearchParams({ searchTerm, location, jobType, experienceLevel, salaryRange }),
+        alerts: { enabled: true, frequency: 'daily' }
+      });
+      toast.success('Search saved. We\'ll let you know about new matches');
+      setSearchName('');
+      setShowSaveSearch(false);
+      queryClient.invalidateQueries(['savedSearches', userId]);
+    } catch (error) {
+      console.error('Error saving search:', error);
+      toast.error(error.response?.data?.error || 'Failed to save search');
+    }
+  };
+
+  const handleLoadSearch = (search) => {
+    const params = search.params || {};
+    setSearchTerm(params.query || '');
+    setLocation(params.location || '');
+    setJobType(params.employmentType || '');
+    setExperienceLevel(params.experienceLevel || '');
+    setSalaryRange(toSalaryRange(params.salaryMin, params.salaryMax));
+    setCurrentPage(1);
+  };
+
+  const handleUpdateSearchAlerts = async (search, alerts) => {
+    try {
+      await axios.put(`/api/jobs/searches/${userId}/${search._id}`, { alerts });
+      queryClient.invalidateQueries(['savedSearches', userId]);
+    } catch (error) {
+      console.error('Error updating search alerts:', error);
+      toast.error(error.response?.data?.error || 'Failed to update alerts');
+    }
+  };
+
+  const handleDeleteSearch = async (searchId) => {
+    try {
+      await axios.delete(`/api/jobs/searches/${userId}/${searchId}`);
+      queryClient.invalidateQueries(['savedSearches', userId]);
+    } catch (error) {
+      console.error('Error deleting search:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete search');
     }
   };
 
   const handleApplyJob = async (jobId) => {
     try {
-      await axios.post(`/api/jobs/${jobId}/apply`, { userId });
-      // Could show a success message or redirect
+      const response = await axios.post(`/api/jobs/${jobId}/apply/${userId}`);
+      const { applicationRecord } = response.data.data;
+      toast.success(applicationRecord.resumeVersion
+        ? `Application tracked with resume ${applicationRecord.resumeVersion}`
+        : 'Application tracked');
     } catch (error) {
       console.error('Error applying to job:', error);
     }
   };
 
+  const handleTailorResume = async (jobId) => {
+    try {
+      const response = await axios.post(`/api/resume/${userId}/variants`, { jobId });
+      const { variant } = response.data.data;
+      toast.success(`Tailored resume ${variant.version} created for this job`);
+    } catch (error) {
+      console.error('Error tailoring resume:', error);
+      toast.error(error.response?.data?.error || 'Failed to tailor resume');
+    }
+  };
+
   const formatSalary = (min, max, currency = 'USD') => {
     if (!min && !max) return 'Salary not disclosed';
     if (!max) return `${currency} ${min?.toLocaleString()}+`;
@@ -142,6 +257,24 @@ const JobListing = () => {
     return colors[type] || 'bg-gray-100 text-gray-800';
   };
 
+  const getAvailabilityBadge = (availability) => {
+    if (!availability) return null;
+    const badges = {
+      'expired': { label: 'Expired', className: 'bg-gray-100 text-gray-600' },
+      'filled': { label: 'Filled', className: 'bg-red-100 text-red-700' },
+      'paused': { label: 'Paused', className: 'bg-yellow-100 text-yellow-800' },
+      'removed': { label: 'No longer listed', className: 'bg-gray-100 text-gray-600' }
+    };
+    if (badges[availability.state]) return badges[availability.state];
+    if (availability.daysUntilClose !== null && availability.daysUntilClose <= 7) {
+      return {
+        label: availability.daysUntilClose <= 1 ? 'Closes today' : `Closes in ${availability.daysUntilClose} days`,
+        className: 'bg-orange-100 text-orange-800'
+      };
+    }
+    return null;
+  };
+
   const getExperienceLevelColor = (level) => {
     const colors = {
       'entry': 'bg-green-100 text-green-800',
@@ -206,14 +339,42 @@ const JobListing = () => {
               className="input-field pl-10"
             />
           </div>
-          <button
-            onClick={() => refetch()}
-            className="btn-primary"
-          >
-            Search Jobs
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => refetch()}
+              className="btn-primary flex-1"
+            >
+              Search Jobs
+            </button>
+            <button
+              onClick={() => setShowSaveSearch(!showSaveSearch)}
+              className="btn-secondary"
+              title="Save this search and get alerts for new matches"
+            >
+              <Bookmark size={16} />
+            </button>
+          </div>
         </div>
 
+        {showSaveSearch && (
+          <div className="mt-4 flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              placeholder="Name this search, e.g. Remote React roles"
+              value={searchName}
+              onChange={(e) => setSearchName(e.target.value)}
+              className="input-field flex-1"
+            />
+            <button
+              onClick={handleSaveSearch}
+              disabled={!searchName.trim()}
+              className="btn-primary disabled:opacity-50"
+            >
+              Save Search
+            </button>
+          </div>
+        )}
+
         {/* Advanced Filters */}
         {filtersVisible && (
           <div className="mt-6 pt-6 border-t border-gray-200">
@@ -298,20 +459,72 @@ const JobListing = () => {
             {recommendations && recommendations.length > 0 ? (
               <div className="space-y-4">
                 {recommendations.slice(0, 3).map((job, index) => (
-                  <div key={job._id || index} className="p-3 border border-gray-200 rounded-lg hover:border-primary-300 transition-colors">
+                  <div key={job.id || index} className="p-3 border border-gray-200 rounded-lg hover:border-primary-300 transition-colors">
                     <h3 className="font-medium text-gray-900 text-sm mb-1">
                       {job.title}
                     </h3>
                     <p className="text-xs text-gray-600 mb-2">{job.company}</p>
                     <div className="flex items-center justify-between">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getJobTypeColor(job.type)}`}>
-                        {job.type}
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${getJobTypeColor(job.employmentType)}`}>
+                        {job.employmentType}
                       </span>
                       <div className="flex items-center text-xs text-gray-500">
                         <Star className="text-yellow-500 mr-1" size={12} />
-                        {job.matchScore || 85}%
+                        {job.matchScore}%
                       </div>
                     </div>
+                    {job.matchBreakdown && (
+                      <>
+                        <button
+                          onClick={() => setExpandedMatchId(expandedMatchId === job.id ? null : job.id)}
+                          className="mt-2 flex items-center text-xs text-primary-600 hover:text-primary-700"
+                        >
+                          Why this match
+                          {expandedMatchId === job.id ? <ChevronUp size={12} className="ml-1" /> : <ChevronDown size={12} className="ml-1" />}
+                        </button>
+                        {expandedMatchId === job.id && (
+                          <div className="mt-2 space-y-2">
+                            {job.matchBreakdown.map((factor) => (
+                              <div key={factor.factor}>
+                                <div className="flex items-center justify-between text-xs">
+                                  <span className="font-medium text-gray-700">{MATCH_FACTOR_LABELS[factor.factor] || factor.factor}</span>
+                                  <span className="text-gray-500">{factor.contribution} / {factor.maxContribution} pts</span>
+                                </div>
+                                <div className="w-full bg-gray-200 rounded-full h-1.5 my-1">
+                                  <div
+                                    className="bg-primary-600 h-1.5 rounded-full"
+                                    style={{ width: `${Math.round(factor.value * 100)}%` }}
+                                  />
+                                </div>
+                                <p className="text-xs text-gray-500">{factor.summary}</p>
+                                {factor.factor === 'skills' && factor.details && (
+                                  <div className="flex flex-wrap gap-1 mt-1">
+                                    {factor.details.matched.map(skill => (
+                                      <span key={skill} className="px-1.5 py-0.5 bg-green-100 text-green-800 rounded text-xs">{skill}</span>
+                                    ))}
+                                    {factor.details.missing.map(skill => (
+                                      <span key={skill} className="px-1.5 py-0.5 bg-red-100 text-red-800 rounded text-xs">{skill}</span>
+                                    ))}
+                                    {(factor.details.underqualified || []).map(skill => (
+                                      <span
+                                        key={skill.name}
+                                        className="px-1.5 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs"
+                                        title={`You're ${skill.userLevel}; this role asks for ${skill.requiredLevel}`}
+                                      >
+                                        {skill.name} ({skill.userLevel} → {skill.requiredLevel})
+                                      </span>
+                                    ))}
+                                    {(factor.details.preferredMatched || []).map(skill => (
+                                      <span key={skill} className="px-1.5 py-0.5 bg-blue-100 text-blue-800 rounded text-xs">+ {skill}</span>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </>
+                    )}
                   </div>
                 ))}
                 <button className="w-full text-center py-2 text-primary-600 hover:text-primary-700 text-sm font-medium">
@@ -327,6 +540,124 @@ const JobListing = () => {
             )}
           </div>
 
+          {/* Saved Searches */}
+          {savedSearchesData && savedSearchesData.length > 0 && (
+            <div className="card mt-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                <Bookmark className="text-primary-600 mr-2" size={20} />
+                Saved Searches
+              </h2>
+              <div className="space-y-3">
+                {savedSearchesData.map((search) => (
+                  <div key={search._id} className="p-3 border border-gray-200 rounded-lg">
+                    <div className="flex items-start justify-between">
+                      <button
+                        onClick={() => handleLoadSearch(search)}
+                        className="text-left font-medium text-gray-900 text-sm hover:text-primary-600"
+                      >
+                        {search.name}
+                      </button>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => handleUpdateSearchAlerts(search, { enabled: !search.alerts.enabled })}
+                          className={search.alerts.enabled ? 'text-primary-600' : 'text-gray-400'}
+                          title={search.alerts.enabled ? 'Turn off alerts' : 'Turn on alerts'}
+                        >
+                          {search.alerts.enabled ? <Bell size={14} /> : <BellOff size={14} />}
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSearch(search._id)}
+                          className="text-gray-400 hover:text-red-500"
+                          title="Delete saved search"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                    {search.alerts.enabled && (
+                      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                        <select
+                          value={search.alerts.frequency}
+                          onChange={(e) => handleUpdateSearchAlerts(search, { frequency: e.target.value })}
+                          className="border border-gray-200 rounded px-1 py-0.5"
+                        >
+                          <option value="hourly">Hourly</option>
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly</option>
+                        </select>
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={search.alerts.emailDigest}
+                            onChange={(e) => handleUpdateSearchAlerts(search, { emailDigest: e.target.checked })}
+                            className="mr-1"
+                          />
+                          Email digest
+                        </label>
+                      </div>
+                    )}
+                    {search.lastRunAt && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        {search.lastMatchCount} new on last check ({new Date(search.lastRunAt).toLocaleDateString()})
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Saved Jobs */}
+          <div className="card mt-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Heart className="text-red-500 mr-2" size={20} />
+              Saved Jobs
+            </h2>
+            {savedJobsData && savedJobsData.length > 0 ? (
+              <div className="space-y-3">
+                {savedJobsData.map((job) => {
+                  const badge = getAvailabilityBadge(job.availability);
+                  return (
+                    <div
+                      key={job._id}
+                      className={`p-3 border border-gray-200 rounded-lg ${job.availability?.isOpen ? '' : 'opacity-75'}`}
+                    >
+                      <div className="flex items-start justify-between">
+                        <div className="min-w-0">
+                          <h3 className="font-medium text-gray-900 text-sm truncate">{job.title}</h3>
+                          <p className="text-xs text-gray-600">{job.company}</p>
+                        </div>
+                        <button
+                          onClick={() => handleSaveJob(job._id)}
+                          className="text-red-500 hover:text-gray-400 transition-colors"
+                          title="Remove from saved jobs"
+                        >
+                          <Heart size={14} className="fill-current" />
+                        </button>
+                      </div>
+                      <div className="flex items-center justify-between mt-2">
+                        <span className="text-xs text-gray-400">
+                          Saved {new Date(job.savedAt).toLocaleDateString()}
+                        </span>
+                        {badge && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                            {badge.label}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <div className="text-center py-6">
+                <Heart className="mx-auto h-8 w-8 text-gray-300 mb-2" />
+                <p className="text-sm text-gray-500">No saved jobs yet</p>
+                <p className="text-xs text-gray-400">Tap the heart on a job to keep it here</p>
+              </div>
+            )}
+          </div>
+
           {/* Quick Stats */}
           <div className="card mt-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Job Market Insights</h2>
@@ -446,12 +777,26 @@ const JobListing = () => {
                               {job.matchScore}% match
                             </span>
                           )}
+                          {job.isStale && (
+                            <span
+                              className="px-3 py-1 rounded-full text-sm font-medium bg-yellow-100 text-yellow-800"
+                              title="The source hasn't refreshed this posting recently; it may already be filled"
+                            >
+                              May be outdated
+                            </span>
+                          )}
                         </div>
 
                         <p className="text-gray-700 text-sm mb-4 line-clamp-3">
                           {job.description}
                         </p>
 
+                        {job.sources && job.sources.length > 1 && (
+                          <p className="text-xs text-gray-500 mb-4">
+                            Posted on {[...new Set(job.sources.map(source => source.platform))].join(', ')}
+                          </p>
+                        )}
+
                         {job.skills && job.skills.length > 0 && (
                           <div className="mb-4">
                             <h4 className="text-sm font-medium text-gray-900 mb-2">Required Skills:</h4>
@@ -478,6 +823,13 @@ const JobListing = () => {
                         >
                           Apply Now
                         </button>
+                        <button
+                          onClick={() => handleTailorResume(job._id)}
+                          className="btn-secondary flex-1 lg:flex-none flex items-center justify-center"
+                        >
+                          <FileText size={16} className="mr-2" />
+                          Tailor Resume
+                        </button>
                         <a
                           href={job.url}
                           target="_blank"
@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { toast } from 'react-hot-toast';
+import { Bookmark, Download, ExternalLink, GripVertical, Link2, Plus, Trash2, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { learningListAPI, apiUtils } from '../services/api';
+
+// Dashboard card for the user's learning lists: drag the lists and their courses
+// into order, share a list by link or download it
+const LearningListsWidget = () => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [newListName, setNewListName] = useState('');
+  const [showAddForm, setShowAddForm] = useState(false);
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+
+  const userId = user?._id || localStorage.getItem('userId');
+
+  const { data } = useQuery(
+    ['learningLists', userId],
+    () => learningListAPI.getLists(userId).then(res => res.data.data),
+    {
+      enabled: !!userId
+    }
+  );
+
+  const lists = data?.lists || [];
+  const selected = lists.find(list => list._id === selectedId) || lists[0];
+
+  const { data: listDetail } = useQuery(
+    ['learningList', userId, selected?._id, selected?.updatedAt],
+    () => learningListAPI.getList(userId, selected._id).then(res => res.data.data),
+    {
+      enabled: !!userId && !!selected,
+      keepPreviousData: true
+    }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['learningLists', userId]);
+  const showError = (fallback) => (error) => toast.error(error.response?.data?.error || fallback);
+
+  const reorderListsMutation = useMutation(
+    (listIds) => learningListAPI.reorderLists(userId, listIds),
+    { onSuccess: refresh, onError: showError('Failed to reorder lists') }
+  );
+
+  const reorderMutation = useMutation(
+    (courseIds) => learningListAPI.reorderCourses(userId, selected._id, courseIds),
+    { onSuccess: refresh, onError: showError('Failed to reorder list') }
+  );
+
+  const removeCourseMutation = useMutation(
+    (courseId) => learningListAPI.removeFromList(userId, selected._id, courseId),
+    { onSuccess: refresh, onError: showError('Failed to remove course') }
+  );
+
+  const createListMutation = useMutation(
+    (name) => learningListAPI.createList(userId, { name }),
+    {
+      onSuccess: (response) => {
+        setNewListName('');
+        setShowAddForm(false);
+        setSelectedId(response.data.data._id);
+        refresh();
+      },
+      onError: showError('Failed to create list')
+    }
+  );
+
+  const deleteListMutation = useMutation(
+    (listId) => learningListAPI.deleteList(userId, listId),
+    {
+      onSuccess: () => {
+        toast.success('List deleted');
+        setSelectedId(null);
+        refresh();
+      },
+      onError: showError('Failed to delete list')
+    }
+  );
+
+  const shareMutation = useMutation(
+    ({ listId, enable }) => (enable ? learningListAPI.share(userId, listId) : learningListAPI.unshare(userId, listId)),
+    {
+      onSuccess: async (response) => {
+        const { sharePath } = response.data.data;
+        if (sharePath) await copyShareLink(sharePath);
+        else toast.success(response.data.message);
+        refresh();
+      },
+      onError: showError('Failed to update sharing')
+    }
+  );
+
+  const copyShareLink = async (sharePath) => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${sharePath}`);
+      toast.success('Share link copied');
+    } catch (e) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const downloadList = async (format) => {
+    try {
+      const response = await learningListAPI.exportList(userId, selected._id, format);
+      const slug = selected.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'learning-list';
+      apiUtils.downloadFile(response.data, `${slug}.${format}`);
+    } catch (e) {
+      toast.error('Could not download list');
+    }
+  };
+
+  const courses = listDetail?._id === selected?._id ? listDetail?.courses || [] : [];
+
+  const handleDragEnd = (result) => {
+    const { destination, source, type } = result;
+    if (!destination || destination.index === source.index) return;
+
+    if (type === 'list') {
+      const listIds = lists.map(list => list._id);
+      const [movedList] = listIds.splice(source.index, 1);
+      listIds.splice(destination.index, 0, movedList);
+      reorderListsMutation.mutate(listIds);
+      return;
+    }
+
+    const courseIds = courses.map(course => String(course.courseId));
+    const [moved] = courseIds.splice(source.index, 1);
+    courseIds.splice(destination.index, 0, moved);
+    reorderMutation.mutate(courseIds);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newListName.trim()) createListMutation.mutate(newListName.trim());
+  };
+
+  if (!userId) return null;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Learning Lists</h2>
+        <button
+          onClick={() => setShowAddForm(!showAddForm)}
+          className="text-primary-600 hover:text-primary-700"
+          title="New list"
+        >
+          {showAddForm ? <X size={20} /> : <Plus size={20} />}
+        </button>
+      </div>
+
+      {showAddForm && (
+        <form onSubmit={handleCreate} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="e.g. Cloud cert prep"
+            maxLength={80}
+            className="input-field flex-1"
+          />
+          <button type="submit" className="btn-primary text-sm" disabled={createListMutation.isLoading}>
+            Add
+          </button>
+        </form>
+      )}
+
+      {lists.length === 0 ? (
+        <div className="text-center py-6">
+          <Bookmark className="mx-auto h-8 w-8 text-gray-300 mb-2" />
+          <p className="text-sm text-gray-500">No saved courses yet</p>
+          <p className="text-xs text-gray-400">Bookmark a course to start a list</p>
+        </div>
+      ) : (
+        <DragDropContext onDragEnd={handleDragEnd}>
+          {/* Lists are dragged sideways to reorder them */}
+          <Droppable droppableId="lists" type="list" direction="horizontal">
+            {(provided) => (
+              <div ref={provided.innerRef} {...provided.droppableProps} className="flex gap-2 mb-4 overflow-x-auto pb-1">
+                {lists.map((list, index) => (
+                  <Draggable key={list._id} draggableId={list._id} index={index}>
+                    {(provided) => (
+                      <button
+                        ref={provided.innerRef}
+                        {...provided.draggableProps}
+                        {...provided.dragHandleProps}
+                        onClick={() => setSelectedId(list._id)}
+                        className={`flex-shrink-0 px-3 py-1 rounded-full text-xs font-medium ${
+                          list._id === selected?._id
+                            ? 'bg-primary-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {list.name} ({list.courseCount})
+                      </button>
+                    )}
+                  </Draggable>
+                ))}
+                {provided.placeholder}
+              </div>
+            )}
+          </Droppable>
+
+          {selected && (
+            <>
+              <Droppable droppableId={selected._id} type="course">
+                {(provided) => (
+                  <div ref={provided.innerRef} {...provided.droppableProps} className="space-y-2 min-h-[2rem]">
+                    {courses.map((course, index) => (
+                      <Draggable key={String(course.courseId)} draggableId={String(course.courseId)} index={index}>
+                        {(provided) => (
+                          <div
+                            ref={provided.innerRef}
+                            {...provided.draggableProps}
+                            className="flex items-center p-2 border border-gray-200 rounded-lg bg-white"
+                          >
+                            <span {...provided.dragHandleProps} className="text-gray-300 mr-2">
+                              <GripVertical size={14} />
+                            </span>
+                            <div className="flex-1 min-w-0">
+                              <p className={`text-sm font-medium truncate ${course.available ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                                {course.title}
+                              </p>
+                              <p className="text-xs text-gray-500 truncate">
+                                {course.provider}{course.note ? ` · ${course.note}` : ''}
+                              </p>
+                            </div>
+                            {course.url && (
+                              <a
+                                href={course.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-gray-400 hover:text-primary-600 ml-2"
+                              >
+                                <ExternalLink size={14} />
+                              </a>
+                            )}
+                            <button
+                              onClick={() => removeCourseMutation.mutate(String(course.courseId))}
+                              className="text-gray-400 hover:text-red-600 ml-2"
+                              title="Remove from list"
+                            >
+                              <X size={14} />
+                            </button>
+                          </div>
+                        )}
+                      </Draggable>
+                    ))}
+                    {provided.placeholder}
+                    {selected.courseCount === 0 && (
+                      <p className="text-sm text-gray-500 text-center py-4">This list is empty</p>
+                    )}
+                  </div>
+                )}
+              </Droppable>
+
+              <div className="flex flex-wrap items-center gap-3 mt-4 pt-4 border-t border-gray-100 text-xs">
+                <button
+                  onClick={() => (selected.isShared
+                    ? copyShareLink(selected.sharePath)
+                    : shareMutation.mutate({ listId: selected._id, enable: true }))}
+                  className="flex items-center text-primary-600 hover:text-primary-700"
+                >
+                  <Link2 size={12} className="mr-1" />
+                  {selected.isShared ? 'Copy link' : 'Share'}
+                </button>
+                {selected.isShared && (
+                  <button
+                    onClick={() => shareMutation.mutate({ listId: selected._id, enable: false })}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    Stop sharing
+                  </button>
+                )}
+                <button onClick={() => downloadList('csv')} className="flex items-center text-gray-600 hover:text-gray-900">
+                  <Download size={12} className="mr-1" />
+                  CSV
+                </button>
+                <button onClick={() => downloadList('json')} className="flex items-center text-gray-600 hover:text-gray-900">
+                  <Download size={12} className="mr-1" />
+                  JSON
+                </button>
+                {!selected.isDefault && (
+                  <button
+                    onClick={() => deleteListMutation.mutate(selected._id)}
+                    className="flex items-center text-red-600 hover:text-red-700 ml-auto"
+                  >
+                    <Trash2 size={12} className="mr-1" />
+                    Delete list
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </DragDropContext>
+      )}
+    </div>
+  );
+};
+
+export default LearningListsWidget;
@@ -8,9 +8,12 @@ import {
   Award,
   BarChart3,
   LogOut,
-  LogIn
+  LogIn,
+  ClipboardList,
+  Calendar
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const location = useLocation();
@@ -28,8 +31,10 @@ const Navbar = () => {
     { path: '/profile', label: 'Profile', icon: User },
     { path: '/resume', label: 'Resume', icon: FileText },
     { path: '/jobs', label: 'Jobs', icon: Briefcase },
+    { path: '/applications', label: 'Applications', icon: ClipboardList },
     { path: '/certifications', label: 'Certifications', icon: Award },
     { path: '/career-guide', label: 'Career Guide', icon: BarChart3 },
+    { path: '/study-schedule', label: 'Schedule', icon: Calendar },
   ];
 
   return (
@@ -83,6 +88,7 @@ const Navbar = () => {
           <div className="flex items-center space-x-4">
             {isAuthenticated ? (
               <div className="flex items-center space-x-4">
+                <NotificationBell />
                 <span className="text-sm text-gray-700">
                   Welcome, {user?.firstName || 'User'}
                 </span>
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import { Bell, Check, X } from 'lucide-react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+
+  const userId = user?._id || localStorage.getItem('userId');
+
+  // Poll the feed so scheduler results show up without a reload
+  const { data } = useQuery(
+    ['notifications', userId],
+    () => axios.get(`/api/notifications/${userId}`).then(res => res.data.data),
+    {
+      enabled: !!userId,
+      refetchInterval: 5 * 60 * 1000
+    }
+  );
+
+  const markReadMutation = useMutation(
+    (ids) => axios.post(`/api/notifications/${userId}/read`, { ids }),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['notifications', userId])
+    }
+  );
+
+  const dismissMutation = useMutation(
+    (notificationId) => axios.delete(`/api/notifications/${userId}/${notificationId}`),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['notifications', userId])
+    }
+  );
+
+  const notifications = data?.notifications || [];
+  const unreadCount = data?.unreadCount || 0;
+
+  const formatTime = (date) => {
+    const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return new Date(date).toLocaleDateString();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-lg text-gray-600 hover:text-gray-900 hover:bg-gray-100"
+        title="Notifications"
+      >
+        <Bell size={18} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markReadMutation.mutate(undefined)}
+                className="text-xs text-primary-600 hover:text-primary-700 flex items-center"
+              >
+                <Check size={12} className="mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length > 0 ? (
+              notifications.map((notification) => (
+                <div
+                  key={notification._id}
+                  className={`px-4 py-3 border-b border-gray-100 last:border-b-0 ${notification.isRead ? '' : 'bg-primary-50'}`}
+                >
+                  <div className="flex items-start justify-between">
+                    <Link
+                      to={notification.link || '/jobs'}
+                      onClick={() => {
+                        if (!notification.isRead) markReadMutation.mutate([notification._id]);
+                        setOpen(false);
+                      }}
+                      className="flex-1 min-w-0"
+                    >
+                      <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                      {notification.message && (
+                        <p className="text-xs text-gray-600 mt-1">{notification.message}</p>
+                      )}
+                      <p className="text-xs text-gray-400 mt-1">{formatTime(notification.createdAt)}</p>
+                    </Link>
+                    <button
+                      onClick={() => dismissMutation.mutate(notification._id)}
+                      className="ml-2 text-gray-400 hover:text-gray-600"
+                      title="Dismiss"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="text-center py-8">
+                <Bell className="mx-auto h-8 w-8 text-gray-300 mb-2" />
+                <p className="text-sm text-gray-500">You're all caught up</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
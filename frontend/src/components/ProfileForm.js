@@ -12,18 +12,22 @@ import {
   Briefcase,
   Plus,
   X,
-  Save
+  Save,
+  Check,
+  AlertTriangle
 } from 'lucide-react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
+import SkillAutocomplete from './SkillAutocomplete';
 
 const ProfileForm = () => {
   const [activeSection, setActiveSection] = useState('basic');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [skills, setSkills] = useState([]);
   const [newSkill, setNewSkill] = useState({ name: '', category: 'technical', proficiencyLevel: 'intermediate' });
+  const [acceptedChanges, setAcceptedChanges] = useState([]);
   
   const queryClient = useQueryClient();
   const { register, handleSubmit, formState: { errors }, setValue } = useForm();
@@ -66,6 +70,24 @@ const ProfileForm = () => {
     }
   );
 
+  // Fetch the pending resume import awaiting review, if any
+  const { data: pendingImport } = useQuery(
+    ['resumeImport', userId],
+    () => axios.get(`/api/profile/${userId}/import`)
+      .then(res => res.data.data)
+      .catch(error => {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }),
+    {
+      enabled: !!userId && isAuthenticated,
+      refetchOnWindowFocus: false,
+      onSuccess: (data) => {
+        setAcceptedChanges(data ? data.changes.filter(change => change.recommended).map(change => change.path) : []);
+      }
+    }
+  );
+
   // Upload resume mutation
   const uploadResumeMutation = useMutation(
     (formData) => {
@@ -79,17 +101,9 @@ const ProfileForm = () => {
     },
     {
       onSuccess: (response) => {
-        toast.success('Resume uploaded and processed successfully!');
-        queryClient.invalidateQueries(['userProfile']);
-        // Auto-populate form with parsed data
-        const parsedData = response.data.data.parsedData;
-        setValue('firstName', parsedData.personalInfo.name.split(' ')[0]);
-        setValue('lastName', parsedData.personalInfo.name.split(' ').slice(1).join(' '));
-        setValue('email', parsedData.personalInfo.email);
-        setValue('phone', parsedData.personalInfo.phone);
-        setValue('summary', parsedData.summary);
-        setValue('location', parsedData.personalInfo.location);
-        setSkills(parsedData.skills || []);
+        toast.success('Resume processed. Review the detected changes below.');
+        queryClient.invalidateQueries(['resumeImport']);
+        (response.data.data.warnings || []).forEach(warning => toast(warning));
       },
       onError: (error) => {
         console.error('Upload error:', error);
@@ -98,6 +112,40 @@ const ProfileForm = () => {
     }
   );
 
+  // Apply the accepted resume changes
+  const applyImportMutation = useMutation(
+    (accept) => axios.post(`/api/profile/${userId}/import/apply`, { accept }),
+    {
+      onSuccess: (response) => {
+        const { applied, skipped } = response.data.data;
+        toast.success(`Applied ${applied.length} changes to your profile`);
+        skipped.forEach(item => toast(`Skipped ${item.path}: ${item.reason}`));
+        setUploadedFile(null);
+        queryClient.invalidateQueries(['userProfile']);
+        queryClient.invalidateQueries(['resumeImport']);
+      },
+      onError: (error) => {
+        console.error('Resume import error:', error);
+        toast.error(error.response?.data?.error || 'Failed to apply resume changes');
+      }
+    }
+  );
+
+  // Discard the pending resume import
+  const discardImportMutation = useMutation(
+    () => axios.delete(`/api/profile/${userId}/import`),
+    {
+      onSuccess: () => {
+        toast.success('Resume import discarded');
+        setUploadedFile(null);
+        queryClient.invalidateQueries(['resumeImport']);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to discard resume import');
+      }
+    }
+  );
+
   // Update profile mutation
   const updateProfileMutation = useMutation(
     (profileData) => axios.put(`/api/profile/${userId}`, { 
@@ -179,6 +227,12 @@ const ProfileForm = () => {
     setSkills(skills.filter(skill => (skill.id || skill.name) !== skillId));
   };
 
+  const toggleChange = (path) => {
+    setAcceptedChanges(acceptedChanges.includes(path)
+      ? acceptedChanges.filter(p => p !== path)
+      : [...acceptedChanges, path]);
+  };
+
   const sections = [
     { id: 'basic', label: 'Basic Info', icon: User },
     { id: 'professional', label: 'Professional', icon: Briefcase },
@@ -403,10 +457,14 @@ const ProfileForm = () => {
                   <h3 className="font-medium text-gray-900 mb-4">Add a New Skill</h3>
                   <div className="grid md:grid-cols-4 gap-4">
                     <div className="md:col-span-2">
-                      <input
+                      <SkillAutocomplete
                         value={newSkill.name}
-                        onChange={(e) => setNewSkill({ ...newSkill, name: e.target.value })}
-                        className="input-field"
+                        onChange={(name) => setNewSkill({ ...newSkill, name })}
+                        onSelect={(suggestion) => setNewSkill({
+                          ...newSkill,
+                          name: suggestion.name,
+                          category: suggestion.profileCategory || newSkill.category
+                        })}
                         placeholder="Skill name (e.g., React, Python)"
                       />
                     </div>
@@ -516,22 +574,99 @@ const ProfileForm = () => {
                   )}
                 </div>
 
-                {uploadedFile && (
+                {uploadedFile && !pendingImport && (
                   <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-                    <div className="flex items-center">
-                      <div className="flex-shrink-0">
-                        <svg className="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
-                          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                        </svg>
-                      </div>
-                      <div className="ml-3">
-                        <p className="text-sm font-medium text-green-800">
-                          Resume uploaded successfully: {uploadedFile.name}
-                        </p>
-                        <p className="text-sm text-green-600">
-                          Your profile has been automatically updated with the parsed information.
-                        </p>
-                      </div>
+                    <p className="text-sm font-medium text-green-800">
+                      Resume uploaded: {uploadedFile.name}
+                    </p>
+                  </div>
+                )}
+
+                {pendingImport && (
+                  <div className="border border-gray-200 rounded-lg">
+                    <div className="p-4 border-b border-gray-200 bg-gray-50 rounded-t-lg">
+                      <h3 className="font-medium text-gray-900">Review changes from {pendingImport.originalName}</h3>
+                      <p className="text-sm text-gray-600">
+                        {pendingImport.summary.add} new, {pendingImport.summary.update} updated, {pendingImport.summary.unchanged} already in your profile.
+                        Only the selected changes will be applied.
+                      </p>
+                    </div>
+
+                    <div className="divide-y divide-gray-200 max-h-[32rem] overflow-y-auto">
+                      {pendingImport.changes.map((change) => (
+                        <label
+                          key={change.path}
+                          className={`flex items-start p-4 ${change.action === 'unchanged' ? 'opacity-60' : 'cursor-pointer hover:bg-gray-50'}`}
+                        >
+                          <input
+                            type="checkbox"
+                            className="mt-1 mr-3"
+                            checked={acceptedChanges.includes(change.path)}
+                            disabled={change.action === 'unchanged'}
+                            onChange={() => toggleChange(change.path)}
+                          />
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center flex-wrap gap-2">
+                              <span className="font-medium text-gray-900">{change.label}</span>
+                              <span className={`px-2 py-0.5 rounded text-xs ${
+                                change.action === 'add' ? 'bg-green-100 text-green-800'
+                                  : change.action === 'update' ? 'bg-blue-100 text-blue-800'
+                                  : 'bg-gray-100 text-gray-600'
+                              }`}>
+                                {change.action}
+                              </span>
+                              <span className="text-xs text-gray-500 capitalize">{change.section === 'personalInfo' ? 'Personal info' : change.section}</span>
+                              {change.confidence !== null && (
+                                <span className={`text-xs ${change.confidence < 0.6 ? 'text-yellow-700' : 'text-gray-500'}`}>
+                                  {Math.round(change.confidence * 100)}% confidence
+                                </span>
+                              )}
+                              {change.source.line && (
+                                <span className="text-xs text-gray-400">
+                                  {change.source.page ? `page ${change.source.page}, ` : ''}line {change.source.line}
+                                </span>
+                              )}
+                            </div>
+
+                            <div className="mt-1 text-sm">
+                              {change.current && change.action === 'update' && (
+                                <p className="text-gray-500 line-through truncate">{formatImportValue(change.current)}</p>
+                              )}
+                              <p className="text-gray-800 truncate">{formatImportValue(change.proposed)}</p>
+                              {change.changedFields.length > 0 && (
+                                <p className="text-xs text-gray-500">Changes: {change.changedFields.join(', ')}</p>
+                              )}
+                            </div>
+
+                            {change.missingFields.length > 0 && (
+                              <p className="mt-1 text-xs text-yellow-700 flex items-center">
+                                <AlertTriangle size={12} className="mr-1" />
+                                Missing {change.missingFields.join(', ')} - complete this entry in your profile instead
+                              </p>
+                            )}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+
+                    <div className="flex justify-end gap-3 p-4 border-t border-gray-200">
+                      <button
+                        type="button"
+                        onClick={() => discardImportMutation.mutate()}
+                        disabled={discardImportMutation.isLoading}
+                        className="btn-secondary"
+                      >
+                        Discard
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => applyImportMutation.mutate(acceptedChanges)}
+                        disabled={acceptedChanges.length === 0 || applyImportMutation.isLoading}
+                        className="btn-primary flex items-center"
+                      >
+                        <Check size={16} className="mr-2" />
+                        Apply {acceptedChanges.length} selected
+                      </button>
                     </div>
                   </div>
                 )}
@@ -563,4 +698,24 @@ const ProfileForm = () => {
   );
 };
 
+// Render a parsed resume value as a one-line summary
+const formatImportValue = (value) => {
+  if (!value || typeof value !== 'object') return value || '';
+  if (value.company || value.position) {
+    return [value.position, value.company, formatImportDate(value.startDate, value.endDate)].filter(Boolean).join(' · ');
+  }
+  if (value.institution || value.degree) {
+    return [value.degree, value.field, value.institution, formatImportDate(value.startDate, value.endDate)].filter(Boolean).join(' · ');
+  }
+  if (value.city) return [value.city, value.state].filter(Boolean).join(', ');
+  if (value.name) return [value.name, value.category, value.proficiencyLevel].filter(Boolean).join(' · ');
+  return '';
+};
+
+const formatImportDate = (start, end) => {
+  if (!start) return '';
+  const format = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  return `${format(start)} - ${end ? format(end) : 'Present'}`;
+};
+
 export default ProfileForm;
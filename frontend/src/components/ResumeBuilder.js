@@ -104,14 +104,18 @@ const ResumeBuilder = () => {
 
   // Generate/download resume mutation
   const downloadResumeMutation = useMutation(
-    ({ format, template }) => 
-      axios.post(`/api/resume/${userId}/generate`, { format, template }, { responseType: 'blob' }),
+    async ({ format, template }) => {
+      const exported = await axios.get(`/api/resume/export/${userId}`, { params: { format, template } });
+      const { downloadUrl, fileName } = exported.data.data;
+      const response = await axios.get(downloadUrl, { responseType: 'blob' });
+      return { ...response, fileName };
+    },
     {
       onSuccess: (response, { format }) => {
         const url = window.URL.createObjectURL(new Blob([response.data]));
         const link = document.createElement('a');
         link.href = url;
-        link.setAttribute('download', `resume.${format}`);
+        link.setAttribute('download', response.fileName || `resume.${format}`);
         document.body.appendChild(link);
         link.click();
         link.remove();
@@ -266,8 +270,8 @@ const ResumeBuilder = () => {
       {/* Template Selection */}
       <div className="card">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Choose Template</h2>
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-          {['modern', 'classic', 'minimal', 'creative'].map((template) => (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {['modern', 'classic', 'minimal', 'creative', 'executive'].map((template) => (
             <button
               key={template}
               onClick={() => setActiveTemplate(template)}
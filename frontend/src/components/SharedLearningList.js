@@ -0,0 +1,93 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { BookOpen, Clock, ExternalLink, Star } from 'lucide-react';
+import { learningListAPI } from '../services/api';
+
+// Read-only page for a learning list someone shared by link; no sign-in needed
+const SharedLearningList = () => {
+  const { token } = useParams();
+
+  const { data: list, isLoading, isError } = useQuery(
+    ['sharedLearningList', token],
+    () => learningListAPI.getShared(token).then(res => res.data.data),
+    {
+      retry: false
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (isError || !list) {
+    return (
+      <div className="card text-center py-12 max-w-xl mx-auto">
+        <BookOpen className="mx-auto h-12 w-12 text-gray-300 mb-4" />
+        <p className="text-gray-700 font-medium">This list isn't available</p>
+        <p className="text-sm text-gray-500 mt-1">The link may have been turned off by its owner.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">{list.name}</h1>
+        {list.description && <p className="text-gray-600 mt-2">{list.description}</p>}
+        <p className="text-sm text-gray-500 mt-2">
+          {list.ownerName ? `Shared by ${list.ownerName} · ` : ''}
+          {list.courses.length} course{list.courses.length === 1 ? '' : 's'}
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        {list.courses.map((course) => (
+          <div key={String(course.courseId)} className="card flex items-start">
+            <span className="text-lg font-semibold text-gray-300 w-8 flex-shrink-0">{course.position}</span>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-start justify-between">
+                <h3 className={`font-medium ${course.available ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  {course.title}
+                </h3>
+                {course.url && (
+                  <a
+                    href={course.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-gray-400 hover:text-primary-600 ml-2"
+                  >
+                    <ExternalLink size={16} />
+                  </a>
+                )}
+              </div>
+              <p className="text-sm text-primary-600">{course.provider}</p>
+              <div className="flex items-center space-x-4 mt-2 text-xs text-gray-500">
+                {course.durationHours > 0 && (
+                  <span className="flex items-center">
+                    <Clock size={12} className="mr-1" />
+                    {course.durationHours}h
+                  </span>
+                )}
+                {course.rating && (
+                  <span className="flex items-center">
+                    <Star size={12} className="mr-1 text-yellow-500 fill-current" />
+                    {course.rating.toFixed(1)}
+                  </span>
+                )}
+                {course.difficulty && <span className="capitalize">{course.difficulty}</span>}
+                {course.pricing?.type === 'free' && <span className="text-green-600">Free</span>}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SharedLearningList;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { skillAPI } from '../services/api';
+
+// Wait for a pause in typing before asking the server
+const SUGGEST_DELAY_MS = 200;
+
+/**
+ * Text input that suggests canonical skill names as the user types.
+ * onSelect receives the chosen suggestion ({ id, name, category, profileCategory }),
+ * or { name } when Enter is pressed on text that matched nothing.
+ */
+const SkillAutocomplete = ({ value, onChange, onSelect, placeholder, className = 'input-field' }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    const query = value.trim();
+    if (!query) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      skillAPI.suggest(query, { limit: 8 })
+        .then(res => {
+          if (cancelled) return;
+          setSuggestions(res.data.data.suggestions);
+          setHighlighted(-1);
+        })
+        .catch(() => {
+          if (!cancelled) setSuggestions([]);
+        });
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  const choose = (suggestion) => {
+    onSelect(suggestion);
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted(highlighted <= 0 ? suggestions.length - 1 : highlighted - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (open && highlighted >= 0) {
+        choose(suggestions[highlighted]);
+      } else if (value.trim()) {
+        // An exact match on the top suggestion wins over the raw text
+        const exact = suggestions.find(s => s.name.toLowerCase() === value.trim().toLowerCase());
+        choose(exact || { name: value.trim() });
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open && suggestions.length > 0}
+        aria-autocomplete="list"
+      />
+      {open && suggestions.length > 0 && (
+        <ul
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto"
+          role="listbox"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.id}
+              role="option"
+              aria-selected={index === highlighted}
+              // Keep focus in the input so the list doesn't close before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(suggestion)}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-3 py-2 cursor-pointer flex items-center justify-between ${index === highlighted ? 'bg-primary-50' : ''}`}
+            >
+              <span className="text-sm text-gray-900">
+                {suggestion.name}
+                {suggestion.matchedAlias && (
+                  <span className="ml-1 text-xs text-gray-400">({suggestion.matchedAlias})</span>
+                )}
+              </span>
+              {suggestion.category && (
+                <span className="text-xs text-gray-500">{suggestion.category.name}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SkillAutocomplete;
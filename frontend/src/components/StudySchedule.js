@@ -0,0 +1,336 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { studyScheduleAPI, apiUtils } from '../services/api';
+import { Loader2, Calendar, Download, Copy, RefreshCw, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SESSION_STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  missed: 'bg-red-100 text-red-700',
+  skipped: 'bg-gray-100 text-gray-400 line-through',
+};
+
+const SESSION_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  completed: 'Done',
+  missed: 'Missed',
+  skipped: 'Skipped',
+};
+
+const formatDay = (date) => new Date(date).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+const formatTime = (date) => new Date(date).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+// Sessions grouped by the calendar day they start on, in order
+const groupByDay = (sessions) => sessions.reduce((groups, session) => {
+  const key = new Date(session.start).toDateString();
+  const last = groups[groups.length - 1];
+  if (last && last.key === key) last.sessions.push(session);
+  else groups.push({ key, date: session.start, sessions: [session] });
+  return groups;
+}, []);
+
+const StudySchedule = () => {
+  const { isAuthenticated } = useAuth();
+  const userId = localStorage.getItem('userId');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [data, setData] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [timezone, setTimezone] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const applyResponse = (payload) => {
+    setData(payload);
+    setSlots(payload.availability.map(({ day, start, end }) => ({ day, start, end })));
+    setTimezone(payload.timezone);
+  };
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data: response } = await studyScheduleAPI.get(userId);
+      applyResponse(response.data);
+    } catch (err) {
+      toast.error('Failed to load study schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (isAuthenticated && userId) fetchSchedule();
+  }, [isAuthenticated, userId, fetchSchedule]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      const { data: response } = await action();
+      if (response.data?.schedule) applyResponse(response.data);
+      toast.success(successMessage);
+      return response;
+    } catch (e) {
+      toast.error(e.response?.data?.error || 'Could not update your schedule');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateSession = (sessionId, status) => runAction(
+    () => studyScheduleAPI.updateSession(userId, sessionId, status),
+    status === 'completed' ? 'Nice work!' : 'Schedule rebalanced'
+  );
+
+  const saveAvailability = () => runAction(
+    () => studyScheduleAPI.updateAvailability(userId, { slots, timezone }),
+    'Availability saved'
+  );
+
+  const rebuild = () => runAction(() => studyScheduleAPI.rebuild(userId), 'Schedule rebuilt');
+
+  const resetFeed = async () => {
+    const response = await runAction(() => studyScheduleAPI.resetFeed(userId), 'Subscription link reset');
+    if (response) setData(current => ({ ...current, feedUrl: response.data.feedUrl }));
+  };
+
+  const downloadCalendar = async () => {
+    try {
+      const response = await studyScheduleAPI.downloadCalendar(userId);
+      apiUtils.downloadFile(response.data, 'study-schedule.ics');
+    } catch (e) {
+      toast.error('Could not download calendar');
+    }
+  };
+
+  const copyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(data.feedUrl);
+      toast.success('Subscription link copied');
+    } catch (e) {
+      toast.error('Could not copy link');
+    }
+  };
+
+  const updateSlot = (index, field, value) => {
+    setSlots(current => current.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const addSlot = () => setSlots(current => [...current, { day: 1, start: '19:00', end: '20:00' }]);
+  const removeSlot = (index) => setSlots(current => current.filter((_, i) => i !== index));
+
+  if (!isAuthenticated) {
+    return (
+      <div className="text-center text-gray-600">Please log in to view your study schedule.</div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64 text-gray-600">
+        <Loader2 className="animate-spin mr-2" /> Loading your schedule...
+      </div>
+    );
+  }
+
+  if (!data) {
+    return <div className="text-center text-gray-600">No schedule available.</div>;
+  }
+
+  const { schedule } = data;
+  const now = new Date();
+  const visible = schedule.sessions.filter(session => showHistory || new Date(session.end) > now || session.status === 'scheduled');
+  const days = groupByDay(visible);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Study Schedule</h1>
+          <p className="text-gray-600">
+            {Math.round((schedule.upcomingMinutes || 0) / 60 * 10) / 10} hours planned over the next {schedule.horizonWeeks} weeks • {data.timezone}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={rebuild} disabled={busy} className="btn-secondary flex items-center space-x-2">
+            <RefreshCw size={16} />
+            <span>Rebuild</span>
+          </button>
+          <button onClick={downloadCalendar} className="btn-primary flex items-center space-x-2">
+            <Download size={16} />
+            <span>Download .ics</span>
+          </button>
+        </div>
+      </div>
+
+      {(schedule.atRisk?.length > 0 || schedule.unscheduled?.length > 0) && (
+        <div className="card border-l-4 border-yellow-400">
+          <div className="flex items-center font-medium mb-2">
+            <AlertTriangle size={18} className="text-yellow-500 mr-2" /> Some work doesn't fit
+          </div>
+          <ul className="text-sm text-gray-700 space-y-1">
+            {schedule.atRisk?.map(item => (
+              <li key={`risk-${item.itemKey}`}>
+                {item.title}: due {new Date(item.deadline).toLocaleDateString()}
+                {item.scheduledEnd ? `, scheduled to finish ${new Date(item.scheduledEnd).toLocaleDateString()}` : ''}
+              </li>
+            ))}
+            {schedule.unscheduled?.map(item => (
+              <li key={`unscheduled-${item.itemKey}`}>{item.title}: {item.minutes} min unscheduled. {item.reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold">Sessions</h2>
+            <label className="text-sm text-gray-600 flex items-center gap-2">
+              <input type="checkbox" checked={showHistory} onChange={(e) => setShowHistory(e.target.checked)} />
+              Show past sessions
+            </label>
+          </div>
+
+          {days.length === 0 ? (
+            <p className="text-gray-600">
+              Nothing to schedule yet. Enroll in a course or add milestones to your career goals.
+            </p>
+          ) : (
+            <div className="space-y-5">
+              {days.map(day => (
+                <div key={day.key}>
+                  <div className="text-sm font-medium text-gray-500 mb-2">{formatDay(day.date)}</div>
+                  <ul className="space-y-2">
+                    {day.sessions.map(session => {
+                      const started = new Date(session.start) <= now;
+                      return (
+                        <li key={session._id} className="border rounded-lg p-3 flex flex-wrap items-center justify-between gap-2">
+                          <div>
+                            <div className="font-medium">
+                              {session.title}
+                              {session.parts > 1 && <span className="text-gray-500 text-sm"> (part {session.part} of {session.parts})</span>}
+                            </div>
+                            <div className="text-sm text-gray-600">
+                              {formatTime(session.start)}–{formatTime(session.end)} • {session.durationMinutes} min
+                              {session.deadline && ` • due ${new Date(session.deadline).toLocaleDateString()}`}
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <span className={`text-xs px-2 py-1 rounded ${SESSION_STATUS_STYLES[session.status]}`}>
+                              {SESSION_STATUS_LABELS[session.status]}
+                            </span>
+                            {session.status === 'scheduled' && (
+                              <>
+                                <button
+                                  onClick={() => updateSession(session._id, 'completed')}
+                                  disabled={busy}
+                                  className="text-sm text-green-700 hover:underline disabled:opacity-50"
+                                >
+                                  Done
+                                </button>
+                                {started && (
+                                  <button
+                                    onClick={() => updateSession(session._id, 'missed')}
+                                    disabled={busy}
+                                    className="text-sm text-red-600 hover:underline disabled:opacity-50"
+                                  >
+                                    Missed
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => updateSession(session._id, 'skipped')}
+                                  disabled={busy}
+                                  className="text-sm text-gray-500 hover:underline disabled:opacity-50"
+                                >
+                                  Skip
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-1">Weekly availability</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {slots.length === 0
+                ? `No windows set; sessions go on weekday evenings (${data.weeklyHours} hours a week).`
+                : 'Sessions are only booked inside these windows.'}
+            </p>
+            <div className="space-y-2 mb-3">
+              {slots.map((slot, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <select
+                    value={slot.day}
+                    onChange={(e) => updateSlot(index, 'day', Number(e.target.value))}
+                    className="input-field"
+                  >
+                    {DAY_LABELS.map((label, day) => <option key={day} value={day}>{label}</option>)}
+                  </select>
+                  <input type="time" value={slot.start} onChange={(e) => updateSlot(index, 'start', e.target.value)} className="input-field" />
+                  <input type="time" value={slot.end} onChange={(e) => updateSlot(index, 'end', e.target.value)} className="input-field" />
+                  <button onClick={() => removeSlot(index)} className="text-gray-400 hover:text-red-600" aria-label="Remove window">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={addSlot} className="text-sm text-primary-600 hover:underline flex items-center mb-4">
+              <Plus size={14} className="mr-1" /> Add window
+            </button>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Time zone</label>
+            <div className="flex items-center gap-2 mb-4">
+              <input
+                type="text"
+                value={timezone}
+                onChange={(e) => setTimezone(e.target.value)}
+                placeholder="e.g. Europe/Berlin"
+                className="input-field"
+              />
+              <button
+                onClick={() => setTimezone(Intl.DateTimeFormat().resolvedOptions().timeZone)}
+                className="text-sm text-primary-600 hover:underline whitespace-nowrap"
+              >
+                Use mine
+              </button>
+            </div>
+            <button onClick={saveAvailability} disabled={busy} className="btn-primary w-full">
+              {busy ? 'Saving...' : 'Save availability'}
+            </button>
+          </div>
+
+          <div className="card">
+            <h2 className="text-xl font-semibold mb-1 flex items-center">
+              <Calendar size={18} className="mr-2" /> Subscribe
+            </h2>
+            <p className="text-sm text-gray-600 mb-3">
+              Add this link to Google Calendar, Outlook or Apple Calendar to keep your schedule in sync. Anyone with the link can see your sessions.
+            </p>
+            <div className="flex items-center gap-2 mb-2">
+              <input type="text" readOnly value={data.feedUrl} className="input-field text-xs" onFocus={(e) => e.target.select()} />
+              <button onClick={copyFeedUrl} className="text-gray-500 hover:text-gray-800" aria-label="Copy link">
+                <Copy size={16} />
+              </button>
+            </div>
+            <button onClick={resetFeed} disabled={busy} className="text-sm text-red-600 hover:underline disabled:opacity-50">
+              Reset link
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudySchedule;
@@ -80,7 +80,17 @@ export const profileAPI = {
     return api.post(`/profile/${userId}/resume`, formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
-  }
+  },
+
+  // Get the pending resume import with its diff against the profile
+  getResumeImport: (userId) => api.get(`/profile/${userId}/import`),
+
+  // Apply the accepted resume import changes
+  applyResumeImport: (userId, accept, edits = {}) =>
+    api.post(`/profile/${userId}/import/apply`, { accept, edits }),
+
+  // Discard the pending resume import
+  discardResumeImport: (userId) => api.delete(`/profile/${userId}/import`)
 };
 
 // Course API
@@ -104,7 +114,53 @@ export const courseAPI = {
   
   // Update course progress
   updateProgress: (courseId, userId, progress) =>
-    api.put(`/courses/${courseId}/progress`, { userId, progress })
+    api.put(`/courses/${courseId}/progress`, { userId, progress }),
+  
+  // Get progress in a course, module by module
+  getModuleProgress: (courseId, userId) =>
+    api.get(`/courses/${courseId}/progress/${userId}`),
+  
+  // Update one module: { status, progress, timeSpentMinutes }
+  updateModuleProgress: (courseId, userId, moduleIndex, update) =>
+    api.put(`/courses/${courseId}/progress/${userId}/modules/${moduleIndex}`, update)
+};
+
+// Course Review API
+export const courseReviewAPI = {
+  // Published reviews with the star distribution: { sort, rating, page, limit }
+  getReviews: (courseId, params = {}) =>
+    api.get(`/courses/${courseId}/reviews`, { params }),
+
+  // Whether the user can review the course, plus their own review
+  getEligibility: (courseId, userId) =>
+    api.get(`/courses/${courseId}/reviews/eligibility/${userId}`),
+
+  // Post a review: { rating, title, text }
+  createReview: (courseId, review) =>
+    api.post(`/courses/${courseId}/reviews`, review),
+
+  // Edit your own review
+  updateReview: (courseId, reviewId, review) =>
+    api.put(`/courses/${courseId}/reviews/${reviewId}`, review),
+
+  // Delete your own review
+  deleteReview: (courseId, reviewId) =>
+    api.delete(`/courses/${courseId}/reviews/${reviewId}`),
+
+  // Toggle a helpful vote
+  toggleHelpful: (courseId, reviewId) =>
+    api.post(`/courses/${courseId}/reviews/${reviewId}/helpful`),
+
+  // Report a review: { reason, note }
+  flagReview: (courseId, reviewId, flag) =>
+    api.post(`/courses/${courseId}/reviews/${reviewId}/flags`, flag),
+
+  // Moderators: flagged reviews, and publish/hide/remove decisions
+  getModerationQueue: (courseId) =>
+    api.get(`/courses/${courseId}/reviews/moderation`),
+
+  moderateReview: (courseId, reviewId, decision) =>
+    api.patch(`/courses/${courseId}/reviews/${reviewId}/moderation`, decision)
 };
 
 // Certification API
@@ -154,9 +210,21 @@ export const resumeAPI = {
   // Update resume
   updateResume: (userId, resumeData) => api.put(`/resume/${userId}`, resumeData),
   
-  // Generate resume
-  generateResume: (userId, options = {}) => 
-    api.post(`/resume/${userId}/generate`, options, { responseType: 'blob' }),
+  // Prepare a resume export (format: pdf, docx or html)
+  exportResume: (userId, params = {}) =>
+    api.get(`/resume/export/${userId}`, { params }),
+  
+  // Download a rendered resume file
+  downloadResume: (userId, params = {}) =>
+    api.get(`/resume/download/${userId}`, { params, responseType: 'blob' }),
+  
+  // Create a resume variant tailored to a job
+  createVariant: (userId, jobId, options = {}) =>
+    api.post(`/resume/${userId}/variants`, { jobId, ...options }),
+  
+  // List job-tailored resume variants
+  getVariants: (userId, params = {}) =>
+    api.get(`/resume/${userId}/variants`, { params }),
   
   // Optimize resume
   optimizeResume: (userId, resumeData) =>
@@ -185,8 +253,8 @@ export const jobAPI = {
   getJob: (jobId) => api.get(`/jobs/${jobId}`),
   
   // Apply to job
-  applyJob: (jobId, applicationData) =>
-    api.post(`/jobs/${jobId}/apply`, applicationData),
+  applyJob: (jobId, userId, applicationData = {}) =>
+    api.post(`/jobs/${jobId}/apply/${userId}`, applicationData),
   
   // Save/unsave job
   saveJob: (userId, jobId) => api.post(`/jobs/saved/${userId}`, { jobId }),
@@ -196,7 +264,60 @@ export const jobAPI = {
   getSavedJobs: (userId) => api.get(`/jobs/saved/${userId}`),
   
   // Get application history
-  getApplications: (userId) => api.get(`/jobs/applications/${userId}`)
+  getApplications: (userId, params = {}) => api.get(`/jobs/applications/${userId}`, { params }),
+  
+  // Track an application
+  createApplication: (userId, applicationData) =>
+    api.post(`/jobs/applications/${userId}`, applicationData),
+  
+  // Update application details
+  updateApplication: (userId, applicationId, updates) =>
+    api.put(`/jobs/applications/${userId}/${applicationId}`, updates),
+  
+  // Move an application to another stage
+  moveApplicationStage: (userId, applicationId, stage, note) =>
+    api.post(`/jobs/applications/${userId}/${applicationId}/stage`, { stage, note }),
+  
+  // Add a note to an application
+  addApplicationNote: (userId, applicationId, text) =>
+    api.post(`/jobs/applications/${userId}/${applicationId}/notes`, { text }),
+  
+  // Stop tracking an application
+  deleteApplication: (userId, applicationId) =>
+    api.delete(`/jobs/applications/${userId}/${applicationId}`),
+  
+  // Saved searches with match alerts
+  getSavedSearches: (userId) => api.get(`/jobs/searches/${userId}`),
+  createSavedSearch: (userId, searchData) => api.post(`/jobs/searches/${userId}`, searchData),
+  updateSavedSearch: (userId, searchId, updates) =>
+    api.put(`/jobs/searches/${userId}/${searchId}`, updates),
+  deleteSavedSearch: (userId, searchId) => api.delete(`/jobs/searches/${userId}/${searchId}`),
+  
+  // Run a saved search
+  getSavedSearchResults: (userId, searchId, params = {}) =>
+    api.get(`/jobs/searches/${userId}/${searchId}/results`, { params }),
+  checkSavedSearch: (userId, searchId) => api.post(`/jobs/searches/${userId}/${searchId}/run`)
+};
+
+// Notifications API
+export const notificationAPI = {
+  // Get notification feed
+  getNotifications: (userId, params = {}) => api.get(`/notifications/${userId}`, { params }),
+  
+  // Mark notifications as read (all unread when ids is omitted)
+  markRead: (userId, ids) => api.post(`/notifications/${userId}/read`, { ids }),
+  
+  // Dismiss a notification
+  dismiss: (userId, notificationId) => api.delete(`/notifications/${userId}/${notificationId}`)
+};
+
+// Skills API
+export const skillAPI = {
+  // Autocomplete known skills
+  suggest: (query, params = {}) => api.get('/skills/suggest', { params: { q: query, ...params } }),
+  
+  // Map free-text names to canonical skill names
+  normalize: (names) => api.post('/skills/normalize', { names })
 };
 
 // Progress API
@@ -223,6 +344,88 @@ export const careerGuideAPI = {
   saveGoals: (userId, goals) => api.post(`/progress/${userId}/goals`, { goals })
 };
 
+// Learning Plan API
+export const learningPlanAPI = {
+  // Get the active plan (re-planned if progress changed)
+  get: (userId) => api.get(`/learning-plans/${userId}`),
+  
+  // Build a new plan: { careerPath, weeklyHours, startDate }
+  create: (userId, options = {}) => api.post(`/learning-plans/${userId}`, options),
+  
+  // Re-plan now, optionally with new weekly hours
+  replan: (userId, options = {}) => api.post(`/learning-plans/${userId}/replan`, options),
+  
+  // Skip a step or bring it back: status 'skipped' | 'planned'
+  updateStep: (userId, stepId, status) => api.patch(`/learning-plans/${userId}/steps/${stepId}`, { status })
+};
+
+// Study Schedule API
+export const studyScheduleAPI = {
+  // Get the schedule (missed sessions are rebalanced first)
+  get: (userId) => api.get(`/study-schedule/${userId}`),
+  
+  // Replace weekly study windows: { slots: [{ day, start, end }], timezone, weeklyHours }
+  updateAvailability: (userId, availability) => api.put(`/study-schedule/${userId}/availability`, availability),
+  
+  // Rebuild now, optionally over a different number of weeks
+  rebuild: (userId, options = {}) => api.post(`/study-schedule/${userId}/rebuild`, options),
+  
+  // Mark a session: status 'completed' | 'missed' | 'skipped'
+  updateSession: (userId, sessionId, status) => api.patch(`/study-schedule/${userId}/sessions/${sessionId}`, { status }),
+  
+  // Download the schedule as an .ics file
+  downloadCalendar: (userId) => api.get(`/study-schedule/${userId}/calendar.ics`, { responseType: 'blob' }),
+  
+  // Invalidate the old subscription link and get a new one
+  resetFeed: (userId) => api.post(`/study-schedule/${userId}/feed-token`)
+};
+
+// Learning List API
+export const learningListAPI = {
+  // All lists, plus { [courseId]: [listId, ...] } for bookmarked courses
+  getLists: (userId) => api.get(`/learning-lists/${userId}`),
+  
+  // One list with current course details
+  getList: (userId, listId) => api.get(`/learning-lists/${userId}/${listId}`),
+  
+  // Create a list: { name, description }
+  createList: (userId, list) => api.post(`/learning-lists/${userId}`, list),
+  
+  // Rename a list or change its description
+  updateList: (userId, listId, changes) => api.patch(`/learning-lists/${userId}/${listId}`, changes),
+  
+  deleteList: (userId, listId) => api.delete(`/learning-lists/${userId}/${listId}`),
+  
+  // Put the lists in this order
+  reorderLists: (userId, listIds) => api.put(`/learning-lists/${userId}/order`, { listIds }),
+  
+  // Bookmark a course into a list (the default list when listId is left out)
+  bookmark: (userId, courseId, listId, note) =>
+    api.post(`/learning-lists/${userId}/bookmarks`, { courseId, listId, note }),
+  
+  // Remove a course from every list
+  removeBookmark: (userId, courseId) => api.delete(`/learning-lists/${userId}/bookmarks/${courseId}`),
+  
+  // Take a course out of one list
+  removeFromList: (userId, listId, courseId) =>
+    api.delete(`/learning-lists/${userId}/${listId}/items/${courseId}`),
+  
+  // Put the list's courses in this order
+  reorderCourses: (userId, listId, courseIds) =>
+    api.put(`/learning-lists/${userId}/${listId}/items/order`, { courseIds }),
+  
+  // Share by link (or replace the link), and stop sharing
+  share: (userId, listId) => api.post(`/learning-lists/${userId}/${listId}/share`),
+  unshare: (userId, listId) => api.delete(`/learning-lists/${userId}/${listId}/share`),
+  
+  // Download as 'csv' or 'json'
+  exportList: (userId, listId, format = 'csv') =>
+    api.get(`/learning-lists/${userId}/${listId}/export`, { params: { format }, responseType: 'blob' }),
+  
+  // A list someone shared with you
+  getShared: (token) => api.get(`/learning-lists/shared/${token}`)
+};
+
 // Utility functions
 export const apiUtils = {
   // Handle file download